@@ -9,9 +9,16 @@ import { Server as TrackerServer } from 'bittorrent-tracker';
 
 import apiRouter from './src/router.js';
 import { applyTrackerFilters } from './src/tracker/tracker-filter.js';
+import { trackerConfig } from './src/config/tracker.js';
 import { HttpTracker } from './src/tracker/http-strategy.js';
 import { UdpTracker } from './src/tracker/udp-strategy.js';
 import { WsTracker } from './src/tracker/ws-strategy.js';
+import { evaluateHitAndRuns } from './src/hit-and-runs/hit-and-runs.service.js';
+import { evaluateRatioWatch } from './src/users/ratio-watch.service.js';
+import { evaluateUserClasses } from './src/users/user-classes.service.js';
+import { startIPBanIndex } from './src/ip-bans/ip-ban-index.js';
+import { cleanupExpiredIPBans } from './src/ip-bans/ip-bans.service.js';
+import { cleanupExpiredBans } from './src/users/user-ban.service.js';
 
 import { db } from './src/utils/db.server.js';
 import './src/utils/redis.js';
@@ -28,6 +35,7 @@ import {
   preventEnumeration
 } from './src/middleware/security.js';
 import { setupMorgan, logMessage } from './src/utils/utils.js';
+import { scheduleJob } from './src/utils/scheduler.js';
 import { apiRateLimiter, authRateLimiter } from './src/middleware/rateLimit.js';
 
 dotenv.config();
@@ -91,11 +99,18 @@ app.use(apiRateLimiter);
 app.use(authRateLimiter);
 
 // ----------------- Trackers -----------------
+try {
+  await startIPBanIndex();
+} catch (error) {
+  logMessage('error', `IP ban index unavailable, falling back to Redis cache: ${error.message}`);
+}
+
 const trackerServer = new TrackerServer({
   udp: process.env.UDP === 'true',
   http: false,
   ws: process.env.WS === 'true',
-  interval: Number(process.env.ANNOUNCE_INTERVAL) || 300,
+  // bittorrent-tracker takes the interval in milliseconds
+  interval: trackerConfig.announceInterval * 1000,
   stats: process.env.STATS === 'true',
   trustProxy: process.env.TRUST_PROXY === 'true',
   filter: applyTrackerFilters
@@ -132,6 +147,33 @@ httpServer.listen(PORT, () => {
   logMessage('info', `Express + Tracker running at http://localhost:${PORT}`);
 });
 
+// ----------------- Scheduled jobs -----------------
+scheduleJob(
+  'hit-and-run evaluation',
+  trackerConfig.hitAndRun.checkIntervalMinutes * 60 * 1000,
+  evaluateHitAndRuns
+);
+scheduleJob(
+  'ratio watch evaluation',
+  trackerConfig.ratioWatch.checkIntervalMinutes * 60 * 1000,
+  evaluateRatioWatch
+);
+scheduleJob(
+  'user class evaluation',
+  trackerConfig.userClasses.checkIntervalMinutes * 60 * 1000,
+  evaluateUserClasses
+);
+scheduleJob(
+  'expired IP ban cleanup',
+  trackerConfig.ipBans.cleanupIntervalMinutes * 60 * 1000,
+  cleanupExpiredIPBans
+);
+scheduleJob(
+  'expired user ban cleanup',
+  trackerConfig.userBans.cleanupIntervalMinutes * 60 * 1000,
+  cleanupExpiredBans
+);
+
 // ----------------- Graceful shutdown -----------------
 process.on('SIGINT', async () => {
   logMessage('info', 'Shutting down server...');
@@ -18,6 +18,7 @@ async function main() {
   await prisma.user.deleteMany();
   await prisma.iPBan.deleteMany();
   await prisma.geoIP.deleteMany();
+  await prisma.userClassRule.deleteMany();
 
   console.log('🧹 Existing data deleted');
 
@@ -352,6 +353,37 @@ async function main() {
 
   console.log('🌍 GeoIP data created');
 
+  // Automatic user classes
+  const GiB = 1024 ** 3;
+  const userClassRules = await Promise.all([
+    prisma.userClassRule.create({
+      data: {
+        name: 'Power User',
+        rank: 1,
+        minAgeDays: 28,
+        minUploaded: BigInt(25 * GiB),
+        minRatio: 1.05,
+        minSeedtime: 0,
+        demoteRatio: 0.95,
+        inviteBonus: 1
+      }
+    }),
+    prisma.userClassRule.create({
+      data: {
+        name: 'Elite',
+        rank: 2,
+        minAgeDays: 56,
+        minUploaded: BigInt(500 * GiB),
+        minRatio: 1.05,
+        minSeedtime: 1000 * 3600, // 1000 hours
+        demoteRatio: 0.95,
+        inviteBonus: 2
+      }
+    })
+  ]);
+
+  console.log('🏅 User classes created');
+
   console.log('✅ Seed completed successfully!');
   console.log(`
 📊 Summary of created data:
@@ -365,6 +397,7 @@ async function main() {
 - ${ipBans.length} bans de IP
 - ${inviteTree.length} invitation tree nodes
 - ${geoIPs.length} registros de GeoIP
+- ${userClassRules.length} user classes
   `);
 }
 
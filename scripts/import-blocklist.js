@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Imports an IP blocklist (PeerGuardian P2P, eMule DAT or CIDR list)
+ *
+ * Usage: node scripts/import-blocklist.js <file> --source <name> [--replace]
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function parseArgs(argv) {
+  const options = { file: null, source: null, replace: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--replace') {
+      options.replace = true;
+    } else if (arg === '--source') {
+      options.source = argv[++i];
+    } else if (arg.startsWith('--source=')) {
+      options.source = arg.slice('--source='.length);
+    } else if (!options.file) {
+      options.file = arg;
+    }
+  }
+
+  // Default the source tag to the file name so re-imports replace cleanly
+  if (!options.source && options.file) {
+    options.source = path.basename(options.file).replace(/\.[^.]+$/, '');
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node scripts/import-blocklist.js <file> --source <name> [--replace]');
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(options.file, 'utf8');
+
+  // Imported lazily so the usage message works without database or Redis
+  const { importBlocklist } = await import('../src/ip-bans/ip-bans.service.js');
+  const result = await importBlocklist(content, {
+    source: options.source,
+    replace: options.replace
+  });
+
+  console.log(`Imported ${options.file} as "${result.source}"`);
+  console.log(`  added:   ${result.added}`);
+  console.log(`  merged:  ${result.merged}`);
+  console.log(`  skipped: ${result.skipped}`);
+  console.log(`  removed: ${result.removed}`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error(`Blocklist import failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Replaces the GeoIP table with a country range CSV
+ * (start,end,code with addresses or integers, or network,code)
+ *
+ * Usage: node scripts/import-geoip.js <file.csv>
+ */
+
+import fs from 'fs';
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node scripts/import-geoip.js <file.csv>');
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+
+  // Imported lazily so the usage message works without database or Redis
+  const { importGeoIP } = await import('../src/geoip/geoip.service.js');
+  const result = await importGeoIP(content);
+
+  console.log(`Imported ${file}`);
+  console.log(`  ranges:  ${result.imported}`);
+  console.log(`  skipped: ${result.skipped}`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error(`GeoIP import failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+const mockApiKeysService = {
+  API_KEY_SCOPES: ['torrents:read', 'torrents:write', 'bans:write'],
+  createApiKey: jest.fn(),
+  listApiKeys: jest.fn(),
+  revokeApiKey: jest.fn()
+};
+
+const mockPrometheus = {
+  Counter: jest.fn().mockImplementation(() => ({
+    inc: jest.fn()
+  }))
+};
+
+jest.unstable_mockModule('../api-keys.service.js', () => mockApiKeysService);
+jest.unstable_mockModule('prom-client', () => mockPrometheus);
+
+const { apiKeysRouter } = await import('../api-keys.router.js');
+
+describe('API Keys Router', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 5, role: 'USER' };
+      next();
+    });
+    app.use('/api/api-keys', apiKeysRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/api-keys/scopes', () => {
+    it('should list the grantable scopes', async () => {
+      const response = await request(app).get('/api/api-keys/scopes');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ scopes: mockApiKeysService.API_KEY_SCOPES });
+    });
+  });
+
+  describe('GET /api/api-keys', () => {
+    it('should list the keys of the current user', async () => {
+      mockApiKeysService.listApiKeys.mockResolvedValue([{ id: 1, name: 'seedbox' }]);
+
+      const response = await request(app).get('/api/api-keys');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ apiKeys: [{ id: 1, name: 'seedbox' }] });
+      expect(mockApiKeysService.listApiKeys).toHaveBeenCalledWith(5);
+    });
+  });
+
+  describe('POST /api/api-keys', () => {
+    it('should create a key and return it', async () => {
+      mockApiKeysService.createApiKey.mockResolvedValue({ id: 1, name: 'seedbox', key: 'ntk_abc' });
+
+      const response = await request(app)
+        .post('/api/api-keys')
+        .send({ name: 'seedbox', scopes: ['torrents:read'], expiresAt: '2030-01-01T00:00:00Z' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.apiKey.key).toBe('ntk_abc');
+      expect(mockApiKeysService.createApiKey).toHaveBeenCalledWith(5, {
+        name: 'seedbox',
+        scopes: ['torrents:read'],
+        expiresAt: '2030-01-01T00:00:00Z'
+      });
+    });
+
+    it('should validate name and scopes', async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .send({ name: '', scopes: ['root'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(['name', 'scopes[0]']);
+      expect(mockApiKeysService.createApiKey).not.toHaveBeenCalled();
+    });
+
+    it('should report service input errors', async () => {
+      mockApiKeysService.createApiKey.mockRejectedValue(new Error('API key limit reached'));
+
+      const response = await request(app)
+        .post('/api/api-keys')
+        .send({ name: 'seedbox', scopes: ['torrents:read'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'API key limit reached' });
+    });
+
+    it('should hide unexpected errors', async () => {
+      mockApiKeysService.createApiKey.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/api-keys')
+        .send({ name: 'seedbox', scopes: ['torrents:read'] });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Error creating API key' });
+    });
+  });
+
+  describe('DELETE /api/api-keys/:id', () => {
+    it('should revoke a key', async () => {
+      mockApiKeysService.revokeApiKey.mockResolvedValue();
+
+      const response = await request(app).delete('/api/api-keys/3');
+
+      expect(response.status).toBe(204);
+      expect(mockApiKeysService.revokeApiKey).toHaveBeenCalledWith(5, 3);
+    });
+
+    it('should return 404 for unknown keys', async () => {
+      mockApiKeysService.revokeApiKey.mockRejectedValue(new Error('API key not found'));
+
+      const response = await request(app).delete('/api/api-keys/3');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should validate the id', async () => {
+      const response = await request(app).delete('/api/api-keys/abc');
+
+      expect(response.status).toBe(400);
+      expect(mockApiKeysService.revokeApiKey).not.toHaveBeenCalled();
+    });
+  });
+});
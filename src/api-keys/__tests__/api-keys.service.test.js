@@ -0,0 +1,187 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+
+const mockDb = {
+  apiKey: {
+    count: jest.fn(),
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage
+}));
+
+const {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+} = await import('../api-keys.service.js');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const future = () => new Date(Date.now() + 86400000);
+
+describe('API Keys Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedis.get.mockResolvedValue(null);
+    mockRedis.set.mockResolvedValue('OK');
+  });
+
+  describe('isApiKey', () => {
+    it('should recognise the key prefix', () => {
+      expect(isApiKey('ntk_abc')).toBe(true);
+      expect(isApiKey('eyJhbGciOi')).toBe(false);
+      expect(isApiKey(null)).toBe(false);
+    });
+  });
+
+  describe('createApiKey', () => {
+    beforeEach(() => {
+      mockDb.apiKey.count.mockResolvedValue(0);
+      mockDb.apiKey.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, name: data.name, scopes: data.scopes }));
+    });
+
+    it('should store only the hash and return the key once', async () => {
+      const result = await createApiKey(5, { name: 'seedbox', scopes: ['torrents:read', 'torrents:read'] });
+
+      expect(result.key).toMatch(/^ntk_[\w-]{43}$/);
+      const { data } = mockDb.apiKey.create.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({
+        userId: 5,
+        name: 'seedbox',
+        scopes: ['torrents:read'],
+        expiresAt: null,
+        prefix: result.key.slice(0, 10),
+        keyHash: sha256(result.key)
+      }));
+      expect(JSON.stringify(data)).not.toContain(result.key);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await expect(createApiKey(5, { name: 'x', scopes: ['torrents:read', 'root'] }))
+        .rejects.toThrow('Invalid API key scope: root');
+      expect(mockDb.apiKey.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject past expiry dates', async () => {
+      await expect(createApiKey(5, { name: 'x', scopes: ['bans:write'], expiresAt: '2000-01-01' }))
+        .rejects.toThrow('Invalid API key expiry: must be a future date');
+    });
+
+    it('should enforce the per-user limit', async () => {
+      mockDb.apiKey.count.mockResolvedValue(10);
+
+      await expect(createApiKey(5, { name: 'x', scopes: ['bans:write'] }))
+        .rejects.toThrow('API key limit reached');
+    });
+  });
+
+  describe('listApiKeys', () => {
+    it('should never select the key hash', async () => {
+      mockDb.apiKey.findMany.mockResolvedValue([]);
+
+      await listApiKeys(5);
+
+      const { where, select } = mockDb.apiKey.findMany.mock.calls[0][0];
+      expect(where).toEqual({ userId: 5 });
+      expect(select.keyHash).toBeUndefined();
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    it('should revoke the key and drop its cache entry', async () => {
+      mockDb.apiKey.findFirst.mockResolvedValue({ id: 2, keyHash: 'hash' });
+
+      await revokeApiKey(5, 2);
+
+      expect(mockDb.apiKey.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 2, userId: 5, revokedAt: null }
+      }));
+      expect(mockDb.apiKey.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { revokedAt: expect.any(Date) }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith('cache:apikey:hash');
+    });
+
+    it('should not reveal keys of other users', async () => {
+      mockDb.apiKey.findFirst.mockResolvedValue(null);
+
+      await expect(revokeApiKey(5, 99)).rejects.toThrow('API key not found');
+      expect(mockDb.apiKey.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticateApiKey', () => {
+    const key = 'ntk_secret';
+
+    it('should return the owner and scopes of a valid key', async () => {
+      mockDb.apiKey.findUnique.mockResolvedValue({
+        id: 2, userId: 5, scopes: ['torrents:read'], expiresAt: future(), revokedAt: null
+      });
+
+      const result = await authenticateApiKey(key);
+
+      expect(mockDb.apiKey.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { keyHash: sha256(key) }
+      }));
+      expect(result).toEqual({ id: 2, userId: 5, scopes: ['torrents:read'] });
+      expect(mockDb.apiKey.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { lastUsedAt: expect.any(Date) }
+      });
+    });
+
+    it('should only record the last use once per resolution window', async () => {
+      mockDb.apiKey.findUnique.mockResolvedValue({ id: 2, userId: 5, scopes: [], expiresAt: null, revokedAt: null });
+      mockRedis.set.mockImplementation((redisKey) =>
+        Promise.resolve(redisKey === 'auth:apikey:used:2' ? null : 'OK'));
+
+      expect(await authenticateApiKey(key)).not.toBeNull();
+      expect(mockDb.apiKey.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject revoked and expired keys', async () => {
+      mockDb.apiKey.findUnique.mockResolvedValueOnce({
+        id: 2, userId: 5, scopes: [], expiresAt: null, revokedAt: new Date()
+      });
+      expect(await authenticateApiKey(key)).toBeNull();
+
+      mockDb.apiKey.findUnique.mockResolvedValueOnce({
+        id: 2, userId: 5, scopes: [], expiresAt: new Date(Date.now() - 1000), revokedAt: null
+      });
+      expect(await authenticateApiKey(key)).toBeNull();
+    });
+
+    it('should honour expiry for cached keys', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        id: 2, userId: 5, scopes: [], expiresAt: new Date(Date.now() - 1000).toISOString(), revokedAt: null
+      }));
+
+      expect(await authenticateApiKey(key)).toBeNull();
+      expect(mockDb.apiKey.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should ignore values without the key prefix', async () => {
+      expect(await authenticateApiKey('eyJhbGciOi')).toBeNull();
+      expect(mockDb.apiKey.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { Counter } from 'prom-client';
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} from './api-keys.service.js';
+
+export const apiKeysRouter = express.Router();
+
+const createApiKeyCounter = new Counter({
+  name: 'create_api_key_requests',
+  help: 'Count API key creations'
+});
+
+const revokeApiKeyCounter = new Counter({
+  name: 'revoke_api_key_requests',
+  help: 'Count API key revocations'
+});
+
+const createApiKeyValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage('Invalid scope'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+];
+
+// Scope and expiry problems are the caller's; the rest stays generic
+const isInputError = (error) =>
+  error.message.startsWith('Invalid API key') ||
+  error.message === 'At least one API key scope is required' ||
+  error.message === 'API key limit reached';
+
+// GET /api/api-keys/scopes - Scopes that can be granted to a key
+apiKeysRouter.get('/scopes', (req, res) => {
+  res.json({ scopes: API_KEY_SCOPES });
+});
+
+// GET /api/api-keys - Keys of the current user, revoked ones included
+apiKeysRouter.get('/', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+    res.json({ apiKeys });
+  } catch {
+    res.status(500).json({ error: 'Error retrieving API keys' });
+  }
+});
+
+// POST /api/api-keys - Create a key; the plaintext key is only returned here
+apiKeysRouter.post('/',
+  createApiKeyValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const apiKey = await createApiKey(req.user.id, {
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresAt: req.body.expiresAt
+      });
+
+      createApiKeyCounter.inc();
+      res.status(201).json({
+        message: 'API key created. Store it now, it will not be shown again.',
+        apiKey
+      });
+    } catch (error) {
+      if (isInputError(error)) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Error creating API key' });
+    }
+  }
+);
+
+// DELETE /api/api-keys/:id - Revoke a key of the current user
+apiKeysRouter.delete('/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid API key ID'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await revokeApiKey(req.user.id, parseInt(req.params.id, 10));
+
+      revokeApiKeyCounter.inc();
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'API key not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Error revoking API key' });
+    }
+  }
+);
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { db } from '../utils/db.server.js';
+import redisClient from '../utils/redis.js';
+import { logMessage } from '../utils/utils.js';
+import { RedisKeys, RedisTTL, RedisHelpers } from '../utils/redis-keys.js';
+import { securityConfig } from '../config/security.js';
+
+// "<resource>:read" covers GET/HEAD requests, "<resource>:write" the rest
+const API_KEY_SCOPES = [
+  'torrents:read', 'torrents:write',
+  'users:read', 'users:write',
+  'invites:read', 'invites:write',
+  'bans:read', 'bans:write',
+  'geoip:read', 'geoip:write',
+  'hit-and-runs:read', 'hit-and-runs:write',
+  'freeleech:read', 'freeleech:write',
+  'metrics:read'
+];
+
+// Never returned: keyHash identifies the key, the rest is safe to list
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  revokedAt: true
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(securityConfig.apiKeys.prefix);
+}
+
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('At least one API key scope is required');
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid API key scope: ${unknown.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+}
+
+function normalizeExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) {
+    return null;
+  }
+
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw new Error('Invalid API key expiry: must be a future date');
+  }
+  return date;
+}
+
+const isUsable = (apiKey) =>
+  !apiKey.revokedAt && (!apiKey.expiresAt || new Date(apiKey.expiresAt) > new Date());
+
+async function createApiKey(userId, { name, scopes, expiresAt } = {}) {
+  try {
+    const data = {
+      name,
+      scopes: normalizeScopes(scopes),
+      expiresAt: normalizeExpiry(expiresAt)
+    };
+
+    const active = await db.apiKey.count({
+      where: {
+        userId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+      }
+    });
+    if (active >= securityConfig.apiKeys.maxPerUser) {
+      throw new Error('API key limit reached');
+    }
+
+    const key = `${securityConfig.apiKeys.prefix}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await db.apiKey.create({
+      data: {
+        ...data,
+        userId,
+        prefix: key.slice(0, securityConfig.apiKeys.prefix.length + 6),
+        keyHash: hashApiKey(key)
+      },
+      select: apiKeySelect
+    });
+
+    logMessage('info', `API key ${apiKey.id} created for user ${userId}`);
+    // The plaintext key is only available in this response
+    return { ...apiKey, key };
+  } catch (error) {
+    logMessage('error', `Error creating API key: ${error.message}`);
+    throw error;
+  }
+}
+
+async function listApiKeys(userId) {
+  try {
+    return await db.apiKey.findMany({
+      where: { userId },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+  } catch (error) {
+    logMessage('error', `Error listing API keys: ${error.message}`);
+    throw error;
+  }
+}
+
+async function revokeApiKey(userId, id) {
+  try {
+    const apiKey = await db.apiKey.findFirst({
+      where: { id, userId, revokedAt: null },
+      select: { id: true, keyHash: true }
+    });
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    await db.apiKey.update({
+      where: { id: apiKey.id },
+      data: { revokedAt: new Date() }
+    });
+    await redisClient.del(RedisKeys.cache.apiKey(apiKey.keyHash));
+
+    logMessage('info', `API key ${apiKey.id} of user ${userId} revoked`);
+  } catch (error) {
+    logMessage('error', `Error revoking API key: ${error.message}`);
+    throw error;
+  }
+}
+
+// lastUsedAt is written at most once per lastUsedResolution so busy keys
+// do not turn every request into a database write
+async function touchApiKey(id) {
+  const fresh = await redisClient.set(RedisKeys.auth.apiKeyUsed(id), '1', {
+    NX: true,
+    EX: securityConfig.apiKeys.lastUsedResolution
+  });
+  if (fresh !== null) {
+    await db.apiKey.update({
+      where: { id },
+      data: { lastUsedAt: new Date() }
+    });
+  }
+}
+
+async function authenticateApiKey(key) {
+  try {
+    if (!isApiKey(key)) {
+      return null;
+    }
+
+    const apiKey = await RedisHelpers.getOrCompute(
+      RedisKeys.cache.apiKey(hashApiKey(key)),
+      () => db.apiKey.findUnique({
+        where: { keyHash: hashApiKey(key) },
+        select: { id: true, userId: true, scopes: true, expiresAt: true, revokedAt: true }
+      }),
+      RedisTTL.QUERY_CACHE
+    );
+
+    if (!apiKey || !isUsable(apiKey)) {
+      return null;
+    }
+
+    await touchApiKey(apiKey.id).catch(error =>
+      logMessage('warn', `Could not update last use of API key ${apiKey.id}: ${error.message}`));
+
+    return { id: apiKey.id, userId: apiKey.userId, scopes: apiKey.scopes };
+  } catch (error) {
+    logMessage('error', `Error authenticating API key: ${error.message}`);
+    return null;
+  }
+}
+
+export {
+  API_KEY_SCOPES,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
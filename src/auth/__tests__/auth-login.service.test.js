@@ -0,0 +1,299 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  user: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn()
+  }
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn(),
+  ttl: jest.fn()
+};
+
+const mockBcrypt = {
+  compare: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+const mockGenerateToken = jest.fn();
+const mockIsUserBanned = jest.fn();
+const mockSessionService = {
+  createSession: jest.fn(),
+  rotateSession: jest.fn(),
+  revokeSession: jest.fn()
+};
+const mockTwoFactorService = {
+  isTwoFactorRequired: jest.fn(),
+  verifyTwoFactorCode: jest.fn(),
+  createTwoFactorChallenge: jest.fn(),
+  getTwoFactorChallenge: jest.fn(),
+  registerFailedTwoFactorAttempt: jest.fn(),
+  clearTwoFactorChallenge: jest.fn()
+};
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage,
+  generateToken: mockGenerateToken
+}));
+jest.unstable_mockModule('../../users/user-ban.service.js', () => ({
+  isUserBanned: mockIsUserBanned
+}));
+jest.unstable_mockModule('../session.service.js', () => mockSessionService);
+jest.unstable_mockModule('../two-factor.service.js', () => mockTwoFactorService);
+jest.unstable_mockModule('bcrypt', () => ({ default: mockBcrypt }));
+
+const {
+  loginUser,
+  completeTwoFactorLogin,
+  refreshAccessToken,
+  getLoginLockout,
+  registerFailedLogin,
+  clearFailedLogins
+} = await import('../auth.service.js');
+
+describe('Auth Service - Login', () => {
+  const storedUser = {
+    id: 1,
+    username: 'testuser',
+    email: 'test@example.com',
+    password: '$2b$10$hash',
+    role: 'USER',
+    banned: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockIsUserBanned.mockResolvedValue(false);
+    mockGenerateToken.mockReturnValue('jwt_token');
+    mockSessionService.createSession.mockResolvedValue({ sessionId: 'sess1', refreshToken: 'sess1.secret' });
+    mockTwoFactorService.isTwoFactorRequired.mockReturnValue(false);
+  });
+
+  describe('loginUser', () => {
+    it('should issue a token for valid credentials', async () => {
+      mockDb.user.findFirst.mockResolvedValue(storedUser);
+      mockBcrypt.compare.mockResolvedValue(true);
+
+      const client = { ip: '10.0.0.1', userAgent: 'qBittorrent' };
+      const result = await loginUser('test@example.com', 'secret', client);
+
+      expect(mockDb.user.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          OR: [
+            { username: 'test@example.com' },
+            { email: 'test@example.com' }
+          ]
+        }
+      }));
+      expect(mockBcrypt.compare).toHaveBeenCalledWith('secret', '$2b$10$hash');
+      expect(mockSessionService.createSession).toHaveBeenCalledWith(1, client);
+      expect(mockGenerateToken).toHaveBeenCalledWith(storedUser, 'sess1');
+      expect(result).toEqual({
+        success: true,
+        token: 'jwt_token',
+        refreshToken: 'sess1.secret',
+        user: { id: 1, username: 'testuser', email: 'test@example.com', role: 'USER' }
+      });
+    });
+
+    it('should reject a wrong password', async () => {
+      mockDb.user.findFirst.mockResolvedValue(storedUser);
+      mockBcrypt.compare.mockResolvedValue(false);
+
+      const result = await loginUser('testuser', 'wrong');
+
+      expect(result).toEqual({ success: false, message: 'Invalid credentials' });
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+    });
+
+    it('should still hash-compare for unknown users', async () => {
+      mockDb.user.findFirst.mockResolvedValue(null);
+      mockBcrypt.compare.mockResolvedValue(false);
+
+      const result = await loginUser('nobody', 'secret');
+
+      expect(mockBcrypt.compare).toHaveBeenCalledWith('secret', expect.stringMatching(/^\$2b\$10\$/));
+      expect(result).toEqual({ success: false, message: 'Invalid credentials' });
+    });
+
+    it('should refuse users with an active ban', async () => {
+      mockDb.user.findFirst.mockResolvedValue(storedUser);
+      mockBcrypt.compare.mockResolvedValue(true);
+      mockIsUserBanned.mockResolvedValue(true);
+
+      const result = await loginUser('testuser', 'secret');
+
+      expect(mockIsUserBanned).toHaveBeenCalledWith(1);
+      expect(result).toEqual({ success: false, banned: true, message: 'Account is banned' });
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+      expect(mockSessionService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should ask for a second factor when 2FA is enabled', async () => {
+      mockDb.user.findFirst.mockResolvedValue({ ...storedUser, twoFactorEnabled: true });
+      mockBcrypt.compare.mockResolvedValue(true);
+      mockTwoFactorService.createTwoFactorChallenge.mockResolvedValue('challenge');
+
+      const result = await loginUser('testuser', 'secret');
+
+      expect(mockTwoFactorService.createTwoFactorChallenge).toHaveBeenCalledWith(1);
+      expect(result).toEqual({ success: true, twoFactorRequired: true, challengeToken: 'challenge' });
+      expect(mockSessionService.createSession).not.toHaveBeenCalled();
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+    });
+
+    it('should flag forced roles that have not enrolled yet', async () => {
+      mockDb.user.findFirst.mockResolvedValue({ ...storedUser, role: 'ADMIN', twoFactorEnabled: false });
+      mockBcrypt.compare.mockResolvedValue(true);
+      mockTwoFactorService.isTwoFactorRequired.mockReturnValue(true);
+
+      const result = await loginUser('testuser', 'secret');
+
+      expect(mockTwoFactorService.isTwoFactorRequired).toHaveBeenCalledWith('ADMIN');
+      expect(result.twoFactorSetupRequired).toBe(true);
+      expect(result.token).toBe('jwt_token');
+    });
+  });
+
+  describe('completeTwoFactorLogin', () => {
+    const twoFactorUser = { ...storedUser, password: undefined, twoFactorEnabled: true };
+
+    beforeEach(() => {
+      mockTwoFactorService.getTwoFactorChallenge.mockResolvedValue(1);
+      mockDb.user.findUnique.mockResolvedValue(twoFactorUser);
+    });
+
+    it('should open the session once the code is valid', async () => {
+      mockTwoFactorService.verifyTwoFactorCode.mockResolvedValue(true);
+
+      const result = await completeTwoFactorLogin('challenge', '123456', { ip: '10.0.0.1' });
+
+      expect(mockTwoFactorService.verifyTwoFactorCode).toHaveBeenCalledWith(1, '123456');
+      expect(mockTwoFactorService.clearTwoFactorChallenge).toHaveBeenCalledWith('challenge');
+      expect(mockSessionService.createSession).toHaveBeenCalledWith(1, { ip: '10.0.0.1' });
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        token: 'jwt_token',
+        refreshToken: 'sess1.secret'
+      }));
+    });
+
+    it('should keep the challenge when the code is wrong', async () => {
+      mockTwoFactorService.verifyTwoFactorCode.mockResolvedValue(false);
+      mockTwoFactorService.registerFailedTwoFactorAttempt.mockResolvedValue(4);
+
+      const result = await completeTwoFactorLogin('challenge', '000000');
+
+      expect(result).toEqual({ success: false, message: 'Invalid two-factor code' });
+      expect(mockTwoFactorService.registerFailedTwoFactorAttempt).toHaveBeenCalledWith('challenge');
+      expect(mockTwoFactorService.clearTwoFactorChallenge).not.toHaveBeenCalled();
+      expect(mockSessionService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should tell the user to log in again once the challenge is discarded', async () => {
+      mockTwoFactorService.verifyTwoFactorCode.mockResolvedValue(false);
+      mockTwoFactorService.registerFailedTwoFactorAttempt.mockResolvedValue(0);
+
+      const result = await completeTwoFactorLogin('challenge', '000000');
+
+      expect(result).toEqual({ success: false, message: 'Too many invalid two-factor codes, log in again' });
+      expect(mockSessionService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired challenges', async () => {
+      mockTwoFactorService.getTwoFactorChallenge.mockResolvedValue(null);
+
+      const result = await completeTwoFactorLogin('stale', '123456');
+
+      expect(result).toEqual({ success: false, message: 'Invalid or expired two-factor challenge' });
+      expect(mockTwoFactorService.verifyTwoFactorCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    const rotated = {
+      session: { id: 'sess1', userId: 1 },
+      refreshToken: 'sess1.rotated'
+    };
+
+    it('should issue a new token pair for a valid refresh token', async () => {
+      mockSessionService.rotateSession.mockResolvedValue(rotated);
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'testuser', banned: false });
+
+      const result = await refreshAccessToken('sess1.secret', { ip: '10.0.0.1' });
+
+      expect(mockSessionService.rotateSession).toHaveBeenCalledWith('sess1.secret', { ip: '10.0.0.1' });
+      expect(mockGenerateToken).toHaveBeenCalledWith({ id: 1, username: 'testuser', banned: false }, 'sess1');
+      expect(result).toEqual({ success: true, token: 'jwt_token', refreshToken: 'sess1.rotated' });
+    });
+
+    it('should reject refresh tokens that do not rotate', async () => {
+      mockSessionService.rotateSession.mockResolvedValue(null);
+
+      const result = await refreshAccessToken('sess1.reused');
+
+      expect(result).toEqual({ success: false, message: 'Invalid or expired refresh token' });
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+    });
+
+    it('should close the session of a banned user', async () => {
+      mockSessionService.rotateSession.mockResolvedValue(rotated);
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'testuser', banned: false });
+      mockIsUserBanned.mockResolvedValue(true);
+
+      const result = await refreshAccessToken('sess1.secret');
+
+      expect(mockSessionService.revokeSession).toHaveBeenCalledWith(1, 'sess1');
+      expect(result).toEqual({ success: false, message: 'User not found or is banned' });
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login lockout', () => {
+    it('should report the remaining lockout of a blocked IP', async () => {
+      mockRedis.ttl.mockResolvedValue(120);
+
+      expect(await getLoginLockout('10.0.0.1')).toBe(120);
+      expect(mockRedis.ttl).toHaveBeenCalledWith('auth:login:blocked:10.0.0.1');
+    });
+
+    it('should not lock IPs without a block key', async () => {
+      mockRedis.ttl.mockResolvedValue(-2);
+
+      expect(await getLoginLockout('10.0.0.1')).toBe(0);
+    });
+
+    it('should start the attempt window on the first failure', async () => {
+      mockRedis.incr.mockResolvedValue(1);
+
+      await registerFailedLogin('10.0.0.1');
+
+      expect(mockRedis.incr).toHaveBeenCalledWith('auth:login:attempts:10.0.0.1');
+      expect(mockRedis.expire).toHaveBeenCalledWith('auth:login:attempts:10.0.0.1', 900);
+      expect(mockRedis.set).not.toHaveBeenCalled();
+    });
+
+    it('should block the IP once maxAttempts is reached', async () => {
+      mockRedis.incr.mockResolvedValue(5);
+
+      await registerFailedLogin('10.0.0.1');
+
+      expect(mockRedis.set).toHaveBeenCalledWith('auth:login:blocked:10.0.0.1', 'blocked', { EX: 900 });
+      expect(mockRedis.del).toHaveBeenCalledWith('auth:login:attempts:10.0.0.1');
+    });
+
+    it('should reset the attempts after a successful login', async () => {
+      await clearFailedLogins('10.0.0.1');
+
+      expect(mockRedis.del).toHaveBeenCalledWith('auth:login:attempts:10.0.0.1');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockTx = {
+  invite: {
+    updateMany: jest.fn()
+  },
+  user: {
+    create: jest.fn()
+  },
+  inviteTreeNode: {
+    create: jest.fn()
+  }
+};
+
+const mockDb = {
+  invite: {
+    findUnique: jest.fn()
+  },
+  user: {
+    findFirst: jest.fn()
+  },
+  $transaction: jest.fn((callback) => callback(mockTx))
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage,
+  generateToken: jest.fn()
+}));
+jest.unstable_mockModule('../../users/user-ban.service.js', () => ({
+  isUserBanned: jest.fn()
+}));
+jest.unstable_mockModule('../../users/users.service.js', () => ({
+  generatePasskey: () => 'a'.repeat(32)
+}));
+jest.unstable_mockModule('../session.service.js', () => ({
+  createSession: jest.fn(),
+  rotateSession: jest.fn(),
+  revokeSession: jest.fn()
+}));
+jest.unstable_mockModule('../two-factor.service.js', () => ({
+  isTwoFactorRequired: jest.fn(),
+  verifyTwoFactorCode: jest.fn(),
+  createTwoFactorChallenge: jest.fn(),
+  getTwoFactorChallenge: jest.fn(),
+  registerFailedTwoFactorAttempt: jest.fn(),
+  clearTwoFactorChallenge: jest.fn()
+}));
+jest.unstable_mockModule('bcrypt', () => ({
+  default: {
+    hash: jest.fn().mockResolvedValue('hashedpassword'),
+    compare: jest.fn()
+  }
+}));
+
+const { registerUser } = await import('../auth.service.js');
+
+describe('Auth Service - Registration', () => {
+  const registration = {
+    username: 'newuser',
+    email: 'New@Example.com',
+    password: 'Str0ng!Pass',
+    inviteKey: 'inv_123'
+  };
+
+  const invite = {
+    id: 4,
+    inviterId: 9,
+    inviteKey: 'inv_123',
+    email: 'new@example.com',
+    expires: new Date(Date.now() + 24 * 3600 * 1000),
+    used: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.invite.findUnique.mockResolvedValue(invite);
+    mockDb.user.findFirst.mockResolvedValue(null);
+    mockTx.invite.updateMany.mockResolvedValue({ count: 1 });
+    mockTx.user.create.mockResolvedValue({ id: 12, username: 'newuser', email: 'New@Example.com', role: 'USER' });
+  });
+
+  it('should create the user, consume the invite and record the inviter', async () => {
+    const user = await registerUser(registration);
+
+    expect(mockTx.invite.updateMany).toHaveBeenCalledWith({
+      where: { id: 4, used: false, expires: { gt: expect.any(Date) } },
+      data: { used: true }
+    });
+    expect(mockTx.user.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        username: 'newuser',
+        email: 'New@Example.com',
+        password: 'hashedpassword',
+        passkey: 'a'.repeat(32),
+        role: 'USER',
+        invitedById: 9
+      })
+    });
+    expect(mockTx.inviteTreeNode.create).toHaveBeenCalledWith({
+      data: { userId: 12, inviterId: 9 }
+    });
+    expect(user).toEqual({ id: 12, username: 'newuser', email: 'New@Example.com', role: 'USER' });
+  });
+
+  it('should reject unknown and used invitations', async () => {
+    mockDb.invite.findUnique.mockResolvedValueOnce(null);
+    await expect(registerUser(registration)).rejects.toThrow('Invalid or already used invitation');
+
+    mockDb.invite.findUnique.mockResolvedValueOnce({ ...invite, used: true });
+    await expect(registerUser(registration)).rejects.toThrow('Invalid or already used invitation');
+
+    expect(mockDb.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should reject expired invitations', async () => {
+    mockDb.invite.findUnique.mockResolvedValue({ ...invite, expires: new Date(Date.now() - 1000) });
+
+    await expect(registerUser(registration)).rejects.toThrow('Invitation has expired');
+  });
+
+  it('should require the invited email', async () => {
+    await expect(registerUser({ ...registration, email: 'other@example.com' }))
+      .rejects.toThrow('Email does not match the invitation');
+  });
+
+  it('should reject taken usernames or emails', async () => {
+    mockDb.user.findFirst.mockResolvedValue({ id: 3 });
+
+    await expect(registerUser(registration)).rejects.toThrow('User or email already exists');
+    expect(mockDb.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should not create the user when the invite was consumed concurrently', async () => {
+    mockTx.invite.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(registerUser(registration)).rejects.toThrow('Invalid or already used invitation');
+    expect(mockTx.user.create).not.toHaveBeenCalled();
+    expect(mockTx.inviteTreeNode.create).not.toHaveBeenCalled();
+  });
+});
@@ -5,17 +5,56 @@ import express from 'express';
 // Mock dependencies
 const mockAuthService = {
   loginUser: jest.fn(),
-  logoutUser: jest.fn()
+  logoutUser: jest.fn(),
+  blocklistToken: jest.fn(),
+  getLoginLockout: jest.fn(),
+  registerFailedLogin: jest.fn(),
+  clearFailedLogins: jest.fn(),
+  registerUser: jest.fn(),
+  refreshAccessToken: jest.fn(),
+  completeTwoFactorLogin: jest.fn()
 };
 
+const mockSessionService = {
+  listSessions: jest.fn(),
+  revokeSession: jest.fn()
+};
+
+const mockTwoFactorService = {
+  startTwoFactorSetup: jest.fn(),
+  confirmTwoFactor: jest.fn(),
+  disableTwoFactor: jest.fn()
+};
+
+const mockVerificationService = {
+  sendVerificationEmail: jest.fn(),
+  verifyEmail: jest.fn(),
+  requestPasswordReset: jest.fn(),
+  resetPassword: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
 const mockAuthMiddleware = jest.fn((req, res, next) => {
   req.user = { id: 1, username: 'testuser', role: 'USER' };
+  req.sessionId = 'aa11';
   next();
 });
 
 jest.unstable_mockModule('../auth.service.js', () => mockAuthService);
+jest.unstable_mockModule('../session.service.js', () => mockSessionService);
+jest.unstable_mockModule('../two-factor.service.js', () => mockTwoFactorService);
+jest.unstable_mockModule('../verification.service.js', () => mockVerificationService);
 jest.unstable_mockModule('../../middleware/auth.js', () => ({
-  authMiddleware: mockAuthMiddleware
+  sessionAuthMiddleware: mockAuthMiddleware,
+  twoFactorSetupAuthMiddleware: mockAuthMiddleware
+}));
+
+jest.unstable_mockModule('../../middleware/rateLimit.js', () => ({
+  authRateLimiter: (req, res, next) => next()
+}));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage
 }));
 
 jest.unstable_mockModule('prom-client', () => ({
@@ -34,6 +73,7 @@ describe('Auth Router', () => {
     app.use(express.json());
     app.use('/api/auth', authRouter);
     jest.clearAllMocks();
+    mockAuthService.getLoginLockout.mockResolvedValue(0);
   });
 
   describe('POST /api/auth/login', () => {
@@ -61,7 +101,10 @@ describe('Auth Router', () => {
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('token');
       expect(response.body.success).toBe(true);
-      expect(mockAuthService.loginUser).toHaveBeenCalledWith('test@example.com', 'testpassword');
+      expect(mockAuthService.loginUser).toHaveBeenCalledWith('test@example.com', 'testpassword', {
+        ip: expect.any(String),
+        userAgent: undefined
+      });
     });
 
     it('should return 401 for invalid credentials', async () => {
@@ -81,6 +124,452 @@ describe('Auth Router', () => {
 
       expect(response.status).toBe(401);
       expect(response.body.success).toBe(false);
+      expect(mockAuthService.registerFailedLogin).toHaveBeenCalled();
+    });
+
+    it('should accept a username instead of an email', async () => {
+      mockAuthService.loginUser.mockResolvedValue({ success: true, token: 'mock_jwt_token', user: { id: 1 } });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(response.status).toBe(200);
+      expect(mockAuthService.loginUser).toHaveBeenCalledWith('testuser', 'testpassword', expect.objectContaining({ ip: expect.any(String) }));
+      expect(mockAuthService.clearFailedLogins).toHaveBeenCalled();
+    });
+
+    it('should refuse banned users without counting a failed attempt', async () => {
+      mockAuthService.loginUser.mockResolvedValue({ success: false, banned: true, message: 'Account is banned' });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ success: false, message: 'Account is banned' });
+      expect(mockAuthService.registerFailedLogin).not.toHaveBeenCalled();
+    });
+
+    it('should reject logins from a locked out IP', async () => {
+      mockAuthService.getLoginLockout.mockResolvedValue(600);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'testpassword' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('600');
+      expect(mockAuthService.loginUser).not.toHaveBeenCalled();
+    });
+
+    it('should require credentials', async () => {
+      const missingIdentifier = await request(app)
+        .post('/api/auth/login')
+        .send({ password: 'testpassword' });
+      const missingPassword = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser' });
+
+      expect(missingIdentifier.status).toBe(400);
+      expect(missingPassword.status).toBe(400);
+      expect(mockAuthService.loginUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    const registration = {
+      username: 'newuser',
+      email: 'new@example.com',
+      password: 'Str0ng!Pass',
+      inviteKey: 'inv_123'
+    };
+
+    it('should register a user with a valid invitation', async () => {
+      const user = { id: 12, username: 'newuser', email: 'new@example.com', role: 'USER' };
+      mockAuthService.registerUser.mockResolvedValue(user);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ message: 'User registered successfully', user });
+      expect(mockAuthService.registerUser).toHaveBeenCalledWith(registration);
+      expect(mockVerificationService.sendVerificationEmail).toHaveBeenCalledWith(12);
+    });
+
+    it('should register even if the verification email fails', async () => {
+      mockAuthService.registerUser.mockResolvedValue({ id: 12, username: 'newuser' });
+      mockVerificationService.sendVerificationEmail.mockRejectedValue(new Error('SMTP error 421'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration);
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should enforce the password policy', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...registration, password: 'weakpass' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toContain('Password must contain an uppercase letter');
+      expect(mockAuthService.registerUser).not.toHaveBeenCalled();
+    });
+
+    it('should require an invitation key', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...registration, inviteKey: undefined });
+
+      expect(response.status).toBe(400);
+      expect(mockAuthService.registerUser).not.toHaveBeenCalled();
+    });
+
+    it('should report invitation problems', async () => {
+      mockAuthService.registerUser.mockRejectedValue(new Error('Email does not match the invitation'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Email does not match the invitation' });
+    });
+
+    it('should return 409 for taken usernames', async () => {
+      mockAuthService.registerUser.mockRejectedValue(new Error('User or email already exists'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should hide unexpected errors', async () => {
+      mockAuthService.registerUser.mockRejectedValue(new Error('connection reset'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'An error occurred during registration' });
+    });
+  });
+
+  describe('email verification', () => {
+    it('should send a new verification email to the current user', async () => {
+      mockVerificationService.sendVerificationEmail.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(200);
+      expect(mockVerificationService.sendVerificationEmail).toHaveBeenCalledWith(1);
+    });
+
+    it('should return 409 when the email is already verified', async () => {
+      mockVerificationService.sendVerificationEmail.mockRejectedValue(new Error('Email is already verified'));
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should verify the email with a valid token', async () => {
+      mockVerificationService.verifyEmail.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'token' });
+
+      expect(response.status).toBe(200);
+      expect(mockVerificationService.verifyEmail).toHaveBeenCalledWith('token');
+    });
+
+    it('should reject invalid verification tokens', async () => {
+      mockVerificationService.verifyEmail.mockRejectedValue(new Error('Invalid or expired verification token'));
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'used' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid or expired verification token' });
+    });
+  });
+
+  describe('password reset', () => {
+    it('should answer the same whether or not the email exists', async () => {
+      mockVerificationService.requestPasswordReset.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'alice@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'If the email is registered, a reset link has been sent' });
+      expect(mockVerificationService.requestPasswordReset).toHaveBeenCalledWith('alice@example.com');
+    });
+
+    it('should reset the password with a valid token', async () => {
+      mockVerificationService.resetPassword.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'token', password: 'N3w!Password' });
+
+      expect(response.status).toBe(200);
+      expect(mockVerificationService.resetPassword).toHaveBeenCalledWith('token', 'N3w!Password');
+    });
+
+    it('should enforce the password policy', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'token', password: 'weak' });
+
+      expect(response.status).toBe(400);
+      expect(mockVerificationService.resetPassword).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid reset tokens', async () => {
+      mockVerificationService.resetPassword.mockRejectedValue(new Error('Invalid or expired reset token'));
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'used', password: 'N3w!Password' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/login/2fa', () => {
+    it('should complete the login with a valid code', async () => {
+      const mockResult = { success: true, token: 'jwt', refreshToken: 'aa11.secret', user: { id: 1 } };
+      mockAuthService.completeTwoFactorLogin.mockResolvedValue(mockResult);
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'challenge', code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockResult);
+      expect(mockAuthService.completeTwoFactorLogin).toHaveBeenCalledWith(
+        'challenge',
+        '123456',
+        expect.objectContaining({ ip: expect.any(String) })
+      );
+      expect(mockAuthService.clearFailedLogins).toHaveBeenCalled();
+    });
+
+    it('should count wrong codes as failed logins', async () => {
+      mockAuthService.completeTwoFactorLogin.mockResolvedValue({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'challenge', code: '000000' });
+
+      expect(response.status).toBe(401);
+      expect(mockAuthService.registerFailedLogin).toHaveBeenCalled();
+    });
+
+    it('should honour the login lockout', async () => {
+      mockAuthService.getLoginLockout.mockResolvedValue(60);
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'challenge', code: '123456' });
+
+      expect(response.status).toBe(429);
+      expect(mockAuthService.completeTwoFactorLogin).not.toHaveBeenCalled();
+    });
+
+    it('should require a challenge and a code', async () => {
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ code: '123456' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('two-factor enrollment', () => {
+    it('should start the setup for the current user', async () => {
+      const setup = { secret: 'JBSWY3DPEHPK3PXP', otpauthUri: 'otpauth://totp/x' };
+      mockTwoFactorService.startTwoFactorSetup.mockResolvedValue(setup);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(setup);
+      expect(mockTwoFactorService.startTwoFactorSetup).toHaveBeenCalledWith(1);
+    });
+
+    it('should return 409 when 2FA is already enabled', async () => {
+      mockTwoFactorService.startTwoFactorSetup.mockRejectedValue(
+        new Error('Two-factor authentication is already enabled')
+      );
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return the recovery codes on confirmation', async () => {
+      mockTwoFactorService.confirmTwoFactor.mockResolvedValue(['abcde-12345']);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', 'Bearer mock_jwt_token')
+        .send({ code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodes).toEqual(['abcde-12345']);
+      expect(mockTwoFactorService.confirmTwoFactor).toHaveBeenCalledWith(1, '123456');
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      mockTwoFactorService.confirmTwoFactor.mockRejectedValue(new Error('Invalid two-factor code'));
+
+      const response = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', 'Bearer mock_jwt_token')
+        .send({ code: '000000' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid two-factor code' });
+    });
+
+    it('should refuse to disable 2FA for forced roles', async () => {
+      mockTwoFactorService.disableTwoFactor.mockRejectedValue(
+        new Error('Two-factor authentication is required for your role')
+      );
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', 'Bearer mock_jwt_token')
+        .send({ password: 'secret', code: '123456' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should disable 2FA with the password and a code', async () => {
+      mockTwoFactorService.disableTwoFactor.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', 'Bearer mock_jwt_token')
+        .send({ password: 'secret', code: 'abcde-12345' });
+
+      expect(response.status).toBe(200);
+      expect(mockTwoFactorService.disableTwoFactor).toHaveBeenCalledWith(1, 'secret', 'abcde-12345');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should exchange a refresh token for a new token pair', async () => {
+      const mockResult = { success: true, token: 'new_jwt', refreshToken: 'aa11.rotated' };
+      mockAuthService.refreshAccessToken.mockResolvedValue(mockResult);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('User-Agent', 'qBittorrent')
+        .send({ refreshToken: 'aa11.secret' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockResult);
+      expect(mockAuthService.refreshAccessToken).toHaveBeenCalledWith('aa11.secret', {
+        ip: expect.any(String),
+        userAgent: 'qBittorrent'
+      });
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(mockAuthService.refreshAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for rejected refresh tokens', async () => {
+      mockAuthService.refreshAccessToken.mockResolvedValue({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'aa11.reused' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Invalid or expired refresh token');
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list the sessions and flag the current one', async () => {
+      mockSessionService.listSessions.mockResolvedValue([
+        { id: 'aa11', ip: '10.0.0.1', country: 'ES', userAgent: 'qBittorrent' },
+        { id: 'bb22', ip: '10.0.0.2', country: null, userAgent: 'curl' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(200);
+      expect(mockSessionService.listSessions).toHaveBeenCalledWith(1);
+      expect(response.body.sessions.map(session => session.current)).toEqual([true, false]);
+      expect(response.body.sessions[0].country).toBe('ES');
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke a session of the user', async () => {
+      mockSessionService.revokeSession.mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/bb22')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(204);
+      expect(mockSessionService.revokeSession).toHaveBeenCalledWith(1, 'bb22');
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      mockSessionService.revokeSession.mockResolvedValue(false);
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/cc33')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject malformed session ids', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions/not-a-session')
+        .set('Authorization', 'Bearer mock_jwt_token');
+
+      expect(response.status).toBe(400);
+      expect(mockSessionService.revokeSession).not.toHaveBeenCalled();
     });
   });
 
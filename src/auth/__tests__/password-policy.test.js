@@ -0,0 +1,27 @@
+import { describe, it, expect } from '@jest/globals';
+import { checkPasswordPolicy } from '../password-policy.js';
+
+describe('Password Policy', () => {
+  it('should accept a password meeting every requirement', () => {
+    expect(checkPasswordPolicy('Str0ng!Pass')).toEqual([]);
+  });
+
+  it('should list every unmet requirement', () => {
+    expect(checkPasswordPolicy('short')).toEqual([
+      'Password must be at least 8 characters long',
+      'Password must contain an uppercase letter',
+      'Password must contain a number',
+      'Password must contain one of !@#$%^&*(),.?":{}|<>'
+    ]);
+  });
+
+  it('should enforce the maximum length', () => {
+    expect(checkPasswordPolicy(`Aa1!${'x'.repeat(130)}`)).toEqual([
+      'Password must not exceed 128 characters'
+    ]);
+  });
+
+  it('should treat missing passwords as empty', () => {
+    expect(checkPasswordPolicy(undefined)).toContain('Password must be at least 8 characters long');
+  });
+});
@@ -0,0 +1,209 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  ttl: jest.fn(),
+  expire: jest.fn(),
+  mGet: jest.fn(),
+  zAdd: jest.fn(),
+  zRem: jest.fn(),
+  zRange: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+const mockLookupCountry = jest.fn();
+
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage
+}));
+jest.unstable_mockModule('../../geoip/geoip.service.js', () => ({
+  lookupCountry: mockLookupCountry
+}));
+
+const {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = await import('../session.service.js');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const storedSession = (overrides = {}) => ({
+  id: 'abc123',
+  userId: 1,
+  refreshTokenHash: hash('secret'),
+  ip: '10.0.0.1',
+  userAgent: 'qBittorrent',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  lastUsedAt: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedis.zRange.mockResolvedValue([]);
+    mockRedis.mGet.mockResolvedValue([]);
+  });
+
+  describe('createSession', () => {
+    it('should store the session and index it for the user', async () => {
+      const { sessionId, refreshToken } = await createSession(1, { ip: '10.0.0.1', userAgent: 'qBittorrent' });
+
+      expect(sessionId).toMatch(/^[0-9a-f]{32}$/);
+      const [prefix, secret] = refreshToken.split('.');
+      expect(prefix).toBe(sessionId);
+
+      const [key, value, options] = mockRedis.set.mock.calls[0];
+      expect(key).toBe(`user:session:${sessionId}`);
+      expect(options).toEqual({ EX: 1800 });
+      expect(JSON.parse(value)).toEqual(expect.objectContaining({
+        id: sessionId,
+        userId: 1,
+        refreshTokenHash: hash(secret),
+        ip: '10.0.0.1',
+        userAgent: 'qBittorrent'
+      }));
+      expect(mockRedis.zAdd).toHaveBeenCalledWith('user:sessions:1', { score: expect.any(Number), value: sessionId });
+      expect(mockRedis.expire).toHaveBeenCalledWith('user:sessions:1', 1800);
+    });
+
+    it('should close the least recently used sessions over the cap', async () => {
+      const ids = ['s1', 's2', 's3', 's4', 's5'];
+      mockRedis.zRange.mockResolvedValue(ids);
+      mockRedis.mGet.mockResolvedValue(ids.map(id => JSON.stringify(storedSession({ id }))));
+
+      await createSession(1);
+
+      expect(mockRedis.del).toHaveBeenCalledTimes(1);
+      expect(mockRedis.del).toHaveBeenCalledWith('user:session:s1');
+      expect(mockRedis.zRem).toHaveBeenCalledWith('user:sessions:1', 's1');
+    });
+
+    it('should not count expired sessions towards the cap', async () => {
+      const ids = ['s1', 's2', 's3', 's4', 's5'];
+      mockRedis.zRange.mockResolvedValue(ids);
+      mockRedis.mGet.mockResolvedValue([null, null, ...ids.slice(2).map(id => JSON.stringify(storedSession({ id })))]);
+
+      await createSession(1);
+
+      expect(mockRedis.zRem).toHaveBeenCalledWith('user:sessions:1', ['s1', 's2']);
+      expect(mockRedis.del).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('should replace the refresh token of a valid session', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(storedSession()));
+
+      const result = await rotateSession('abc123.secret', { ip: '10.0.0.2' });
+
+      expect(result.refreshToken).toMatch(/^abc123\./);
+      expect(result.refreshToken).not.toBe('abc123.secret');
+      expect(result.session).toEqual(expect.objectContaining({
+        id: 'abc123',
+        ip: '10.0.0.2',
+        userAgent: 'qBittorrent',
+        refreshTokenHash: hash(result.refreshToken.split('.')[1])
+      }));
+      expect(mockRedis.set).toHaveBeenCalledWith('user:session:abc123', expect.any(String), { EX: 1800 });
+    });
+
+    it('should reject malformed and unknown tokens', async () => {
+      expect(await rotateSession('garbage')).toBeNull();
+
+      mockRedis.get.mockResolvedValue(null);
+      expect(await rotateSession('abc123.secret')).toBeNull();
+      expect(mockRedis.set).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(storedSession()));
+
+      expect(await rotateSession('abc123.old-secret')).toBeNull();
+      expect(mockRedis.del).toHaveBeenCalledWith('user:session:abc123');
+      expect(mockRedis.zRem).toHaveBeenCalledWith('user:sessions:1', 'abc123');
+      expect(mockRedis.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isSessionActive', () => {
+    it('should reject expired or revoked sessions', async () => {
+      mockRedis.ttl.mockResolvedValue(-2);
+
+      expect(await isSessionActive('abc123', 1)).toBe(false);
+    });
+
+    it('should extend sessions close to expiring', async () => {
+      mockRedis.ttl.mockResolvedValue(120);
+
+      expect(await isSessionActive('abc123', 1)).toBe(true);
+      expect(mockRedis.expire).toHaveBeenCalledWith('user:session:abc123', 1800);
+      expect(mockRedis.expire).toHaveBeenCalledWith('user:sessions:1', 1800);
+    });
+
+    it('should leave other sessions untouched', async () => {
+      mockRedis.ttl.mockResolvedValue(1500);
+
+      expect(await isSessionActive('abc123', 1)).toBe(true);
+      expect(mockRedis.expire).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should list sessions most recent first with their country', async () => {
+      mockRedis.zRange.mockResolvedValue(['s1', 's2']);
+      mockRedis.mGet.mockResolvedValue([
+        JSON.stringify(storedSession({ id: 's1', ip: '10.0.0.1' })),
+        JSON.stringify(storedSession({ id: 's2', ip: '10.0.0.2' }))
+      ]);
+      mockLookupCountry.mockImplementation(async (ip) => (ip === '10.0.0.2' ? 'ES' : null));
+
+      const sessions = await listSessions(1);
+
+      expect(sessions.map(session => session.id)).toEqual(['s2', 's1']);
+      expect(sessions[0]).toEqual({
+        id: 's2',
+        ip: '10.0.0.2',
+        country: 'ES',
+        userAgent: 'qBittorrent',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        lastUsedAt: '2024-01-01T00:00:00.000Z'
+      });
+      expect(sessions[0]).not.toHaveProperty('refreshTokenHash');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should delete a session owned by the user', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(storedSession()));
+
+      expect(await revokeSession(1, 'abc123')).toBe(true);
+      expect(mockRedis.del).toHaveBeenCalledWith('user:session:abc123');
+    });
+
+    it('should not touch sessions of other users', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(storedSession({ userId: 2 })));
+
+      expect(await revokeSession(1, 'abc123')).toBe(false);
+      expect(mockRedis.del).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('should delete every session and the index', async () => {
+      mockRedis.zRange.mockResolvedValue(['s1', 's2']);
+
+      expect(await revokeAllSessions(1)).toBe(2);
+      expect(mockRedis.del).toHaveBeenCalledWith(['user:session:s1', 'user:session:s2']);
+      expect(mockRedis.del).toHaveBeenCalledWith('user:sessions:1');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  totpCounter,
+  verifyTotp,
+  buildOtpauthUri
+} from '../totp.js';
+
+// RFC 6238 appendix B SHA-1 seed
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezdgnbv').toString()).toBe('12345');
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 secret');
+  });
+
+  it('should generate 160-bit base32 secrets', () => {
+    const secret = generateTotpSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, totpCounter(59 * 1000))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, totpCounter(1111111109 * 1000))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, totpCounter(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('should accept codes one step either side and return the matched step', () => {
+    const time = 1111111109 * 1000;
+    const counter = totpCounter(time);
+
+    expect(verifyTotp(RFC_SECRET, '081804', time)).toBe(counter);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter - 1), time)).toBe(counter - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter + 1), time)).toBe(counter + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter + 2), time)).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345a')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 123456)).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri('JBSWY3DPEHPK3PXP', 'alice smith'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(uri.pathname).toBe('/node-tracker:alice%20smith');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: 'JBSWY3DPEHPK3PXP',
+      issuer: 'node-tracker',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
@@ -0,0 +1,243 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import { generateTotp, totpCounter } from '../totp.js';
+
+const mockDb = {
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  twoFactorRecoveryCode: {
+    deleteMany: jest.fn(),
+    createMany: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  incr: jest.fn(),
+  expire: jest.fn()
+};
+
+const mockBcrypt = {
+  compare: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage
+}));
+jest.unstable_mockModule('bcrypt', () => ({ default: mockBcrypt }));
+
+const { securityConfig } = await import('../../config/security.js');
+const {
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  confirmTwoFactor,
+  verifyTwoFactorCode,
+  disableTwoFactor,
+  createTwoFactorChallenge,
+  getTwoFactorChallenge,
+  registerFailedTwoFactorAttempt,
+  clearTwoFactorChallenge
+} = await import('../two-factor.service.js');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const currentCode = () => generateTotp(SECRET, totpCounter());
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Two-Factor Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    securityConfig.twoFactor.requiredRoles = [];
+    mockDb.$transaction.mockResolvedValue([]);
+  });
+
+  describe('isTwoFactorRequired', () => {
+    it('should follow the configured roles', () => {
+      expect(isTwoFactorRequired('ADMIN')).toBe(false);
+
+      securityConfig.twoFactor.requiredRoles = ['ADMIN', 'MODERATOR'];
+
+      expect(isTwoFactorRequired('ADMIN')).toBe(true);
+      expect(isTwoFactorRequired('MODERATOR')).toBe(true);
+      expect(isTwoFactorRequired('USER')).toBe(false);
+    });
+  });
+
+  describe('startTwoFactorSetup', () => {
+    it('should store a pending secret and return the otpauth URI', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ username: 'alice', twoFactorEnabled: false });
+
+      const { secret, otpauthUri } = await startTwoFactorSetup(1);
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(otpauthUri).toContain(`secret=${secret}`);
+      expect(otpauthUri).toContain('node-tracker:alice');
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { twoFactorSecret: secret }
+      });
+    });
+
+    it('should refuse users that already have 2FA', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ username: 'alice', twoFactorEnabled: true });
+
+      await expect(startTwoFactorSetup(1)).rejects.toThrow('Two-factor authentication is already enabled');
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmTwoFactor', () => {
+    it('should enable 2FA and store only hashed recovery codes', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ twoFactorSecret: SECRET, twoFactorEnabled: false });
+
+      const recoveryCodes = await confirmTwoFactor(1, currentCode());
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(mockDb.twoFactorRecoveryCode.createMany).toHaveBeenCalledWith({
+        data: recoveryCodes.map(code => ({ userId: 1, codeHash: sha256(code.replace('-', '')) }))
+      });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { twoFactorEnabled: true }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith('user:stats:1');
+    });
+
+    it('should require a started setup', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ twoFactorSecret: null, twoFactorEnabled: false });
+
+      await expect(confirmTwoFactor(1, '123456')).rejects.toThrow('Two-factor setup has not been started');
+    });
+
+    it('should reject a wrong first code', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ twoFactorSecret: SECRET, twoFactorEnabled: false });
+      const wrongCode = currentCode() === '000000' ? '111111' : '000000';
+
+      await expect(confirmTwoFactor(1, wrongCode)).rejects.toThrow('Invalid two-factor code');
+      expect(mockDb.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyTwoFactorCode', () => {
+    beforeEach(() => {
+      mockDb.user.findUnique.mockResolvedValue({ twoFactorSecret: SECRET, twoFactorEnabled: true });
+    });
+
+    it('should accept a current TOTP code once', async () => {
+      mockRedis.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+      const code = currentCode();
+
+      expect(await verifyTwoFactorCode(1, code)).toBe(true);
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        expect.stringMatching(/^auth:2fa:used:1:\d+$/),
+        '1',
+        { NX: true, EX: 90 }
+      );
+      expect(await verifyTwoFactorCode(1, code)).toBe(false);
+    });
+
+    it('should consume a matching recovery code', async () => {
+      mockDb.twoFactorRecoveryCode.deleteMany.mockResolvedValue({ count: 1 });
+
+      expect(await verifyTwoFactorCode(1, 'ABCDE-12345')).toBe(true);
+      expect(mockDb.twoFactorRecoveryCode.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1, codeHash: sha256('abcde12345') }
+      });
+    });
+
+    it('should reject unknown codes', async () => {
+      mockDb.twoFactorRecoveryCode.deleteMany.mockResolvedValue({ count: 0 });
+
+      expect(await verifyTwoFactorCode(1, 'abcde-12345')).toBe(false);
+    });
+
+    it('should reject users without 2FA', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ twoFactorSecret: SECRET, twoFactorEnabled: false });
+
+      expect(await verifyTwoFactorCode(1, currentCode())).toBe(false);
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    it('should clear the secret and recovery codes', async () => {
+      mockDb.user.findUnique.mockResolvedValue({
+        password: 'hash',
+        role: 'USER',
+        twoFactorEnabled: true,
+        twoFactorSecret: SECRET
+      });
+      mockBcrypt.compare.mockResolvedValue(true);
+      mockRedis.set.mockResolvedValue('OK');
+
+      await disableTwoFactor(1, 'secret', currentCode());
+
+      expect(mockDb.twoFactorRecoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { twoFactorEnabled: false, twoFactorSecret: null }
+      });
+    });
+
+    it('should not let forced roles turn 2FA off', async () => {
+      securityConfig.twoFactor.requiredRoles = ['ADMIN'];
+      mockDb.user.findUnique.mockResolvedValue({ password: 'hash', role: 'ADMIN', twoFactorEnabled: true });
+
+      await expect(disableTwoFactor(1, 'secret', '123456'))
+        .rejects.toThrow('Two-factor authentication is required for your role');
+    });
+
+    it('should require the password', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ password: 'hash', role: 'USER', twoFactorEnabled: true });
+      mockBcrypt.compare.mockResolvedValue(false);
+
+      await expect(disableTwoFactor(1, 'wrong', '123456')).rejects.toThrow('Invalid password');
+      expect(mockDb.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login challenges', () => {
+    it('should store a short-lived challenge for the user', async () => {
+      const challengeToken = await createTwoFactorChallenge(7);
+
+      expect(mockRedis.set).toHaveBeenCalledWith(`auth:2fa:challenge:${challengeToken}`, '7', { EX: 300 });
+
+      mockRedis.get.mockResolvedValue('7');
+      expect(await getTwoFactorChallenge(challengeToken)).toBe(7);
+
+      mockRedis.get.mockResolvedValue(null);
+      expect(await getTwoFactorChallenge(challengeToken)).toBeNull();
+    });
+
+    it('should count failed codes against the challenge', async () => {
+      mockRedis.incr.mockResolvedValue(1);
+
+      expect(await registerFailedTwoFactorAttempt('challenge')).toBe(4);
+      expect(mockRedis.incr).toHaveBeenCalledWith('auth:2fa:attempts:challenge');
+      expect(mockRedis.expire).toHaveBeenCalledWith('auth:2fa:attempts:challenge', 300);
+      expect(mockRedis.del).not.toHaveBeenCalled();
+    });
+
+    it('should discard the challenge after too many failed codes', async () => {
+      mockRedis.incr.mockResolvedValue(securityConfig.twoFactor.challengeAttempts);
+
+      expect(await registerFailedTwoFactorAttempt('challenge')).toBe(0);
+      expect(mockRedis.expire).not.toHaveBeenCalled();
+      expect(mockRedis.del).toHaveBeenCalledWith(['auth:2fa:challenge:challenge', 'auth:2fa:attempts:challenge']);
+    });
+
+    it('should clear the attempt counter with the challenge', async () => {
+      await clearTwoFactorChallenge('challenge');
+
+      expect(mockRedis.del).toHaveBeenCalledWith(['auth:2fa:challenge:challenge', 'auth:2fa:attempts:challenge']);
+    });
+  });
+});
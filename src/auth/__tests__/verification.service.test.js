@@ -0,0 +1,216 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+
+const mockDb = {
+  user: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+const mockRedis = {
+  set: jest.fn(),
+  getDel: jest.fn(),
+  del: jest.fn()
+};
+
+const mockRedisHelpers = {
+  invalidatePasskeyCache: jest.fn()
+};
+
+const mockSendMail = jest.fn();
+const mockRevokeAllSessions = jest.fn();
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/redis-keys.js', () => ({
+  RedisKeys: {
+    temp: {
+      emailVerify: (token) => `temp:email:verify:${token}`,
+      passwordReset: (token) => `temp:password:reset:${token}`
+    },
+    user: {
+      stats: (userId) => `user:stats:${userId}`
+    }
+  },
+  RedisTTL: {
+    EMAIL_VERIFY: 86400,
+    PASSWORD_RESET: 3600
+  },
+  RedisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage
+}));
+jest.unstable_mockModule('../../mail/mailer.js', () => ({
+  sendMail: mockSendMail
+}));
+jest.unstable_mockModule('../session.service.js', () => ({
+  revokeAllSessions: mockRevokeAllSessions
+}));
+jest.unstable_mockModule('bcrypt', () => ({
+  default: {
+    hash: jest.fn().mockResolvedValue('new_hash'),
+    compare: jest.fn(async (password, hash) => hash === `hash:${password}`)
+  }
+}));
+
+const {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+} = await import('../verification.service.js');
+
+const fingerprint = (hash) => crypto.createHash('sha256').update(hash).digest('hex').slice(0, 16);
+const tokenFromMail = () => new URL(mockSendMail.mock.calls[0][0].text.match(/http\S+/)[0]).searchParams.get('token');
+
+describe('Verification Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('sendVerificationEmail', () => {
+    it('should store a single-use token and mail the link', async () => {
+      mockDb.user.findUnique.mockResolvedValue({
+        id: 1,
+        username: 'alice',
+        email: 'alice@example.com',
+        emailVerified: false
+      });
+
+      await sendVerificationEmail(1);
+
+      const token = tokenFromMail();
+      expect(mockRedis.set).toHaveBeenCalledWith(`temp:email:verify:${token}`, '1', { EX: 86400 });
+      expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'alice@example.com',
+        subject: 'Verify your email address',
+        text: expect.stringContaining('http://localhost:3000/verify-email?token=')
+      }));
+    });
+
+    it('should not mail users that are already verified', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, emailVerified: true });
+
+      await expect(sendVerificationEmail(1)).rejects.toThrow('Email is already verified');
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should verify the email and drop the cached user', async () => {
+      mockRedis.getDel.mockResolvedValue('1');
+      mockDb.user.update.mockResolvedValue({ id: 1, username: 'alice', passkey: 'a'.repeat(32) });
+
+      await verifyEmail('token');
+
+      expect(mockRedis.getDel).toHaveBeenCalledWith('temp:email:verify:token');
+      expect(mockDb.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 1 },
+        data: { emailVerified: true }
+      }));
+      expect(mockRedis.del).toHaveBeenCalledWith('user:stats:1');
+      expect(mockRedisHelpers.invalidatePasskeyCache).toHaveBeenCalledWith('a'.repeat(32));
+    });
+
+    it('should reject used or unknown tokens', async () => {
+      mockRedis.getDel.mockResolvedValue(null);
+
+      await expect(verifyEmail('token')).rejects.toThrow('Invalid or expired verification token');
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestPasswordReset', () => {
+    it('should mail a reset link bound to the current password', async () => {
+      mockDb.user.findFirst.mockResolvedValue({
+        id: 1,
+        username: 'alice',
+        email: 'alice@example.com',
+        password: 'old_hash'
+      });
+
+      await requestPasswordReset('ALICE@example.com');
+
+      const token = tokenFromMail();
+      expect(mockDb.user.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { email: { equals: 'ALICE@example.com', mode: 'insensitive' } }
+      }));
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        `temp:password:reset:${token}`,
+        `1:${fingerprint('old_hash')}`,
+        { EX: 3600 }
+      );
+    });
+
+    it('should quietly ignore unknown emails', async () => {
+      mockDb.user.findFirst.mockResolvedValue(null);
+
+      await expect(requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should change the password and close every session', async () => {
+      mockRedis.getDel.mockResolvedValue(`1:${fingerprint('old_hash')}`);
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'alice', password: 'old_hash' });
+
+      await resetPassword('token', 'N3w!Password');
+
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { password: 'new_hash' }
+      });
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject tokens issued before the last password change', async () => {
+      mockRedis.getDel.mockResolvedValue(`1:${fingerprint('old_hash')}`);
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'alice', password: 'changed_hash' });
+
+      await expect(resetPassword('token', 'N3w!Password')).rejects.toThrow('Invalid or expired reset token');
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject used or unknown tokens', async () => {
+      mockRedis.getDel.mockResolvedValue(null);
+
+      await expect(resetPassword('token', 'N3w!Password')).rejects.toThrow('Invalid or expired reset token');
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should check the current password and close every session', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'alice', password: 'hash:Old!Passw0rd' });
+
+      await changePassword('1', 'N3w!Password', 'Old!Passw0rd');
+
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { password: 'new_hash' }
+      });
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject a wrong current password', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'alice', password: 'hash:Old!Passw0rd' });
+
+      await expect(changePassword('1', 'N3w!Password', 'guess')).rejects.toThrow('Current password is incorrect');
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+      expect(mockRevokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    it('should skip the check when no current password is given', async () => {
+      mockDb.user.findUnique.mockResolvedValue({ id: 2, username: 'bob', password: 'hash:x' });
+
+      await changePassword('2', 'N3w!Password');
+
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(2);
+    });
+  });
+});
@@ -1,17 +1,386 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import { authMiddleware } from '../middleware/auth.js';
-import { blocklistToken } from './auth.service.js';
+import { body, param, validationResult } from 'express-validator';
+import { sessionAuthMiddleware, twoFactorSetupAuthMiddleware } from '../middleware/auth.js';
+import {
+  blocklistToken,
+  loginUser,
+  getLoginLockout,
+  registerFailedLogin,
+  clearFailedLogins,
+  registerUser,
+  refreshAccessToken,
+  completeTwoFactorLogin
+} from './auth.service.js';
+import { listSessions, revokeSession } from './session.service.js';
+import { startTwoFactorSetup, confirmTwoFactor, disableTwoFactor } from './two-factor.service.js';
+import {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+} from './verification.service.js';
+import { checkPasswordPolicy } from './password-policy.js';
 import { logMessage } from '../utils/utils.js';
 import { authRateLimiter } from '../middleware/rateLimit.js';
 
 export const authRouter = express.Router();
 
-authRouter.post('/login', authRateLimiter, async (req, res) => {
-  res.status(501).json({ message: 'Login endpoint not implemented' });
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+const loginValidation = [
+  body('username').optional().isString().trim().notEmpty().withMessage('Username must not be empty'),
+  body('email').optional().isEmail().withMessage('Invalid email'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const passwordPolicyValidation = body('password').custom((password) => {
+  const problems = checkPasswordPolicy(password);
+  if (problems.length > 0) {
+    throw new Error(problems.join('. '));
+  }
+  return true;
+});
+
+const registerValidation = [
+  body('username')
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Username must be between 3 and 20 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers and underscores'),
+  body('email').isEmail().withMessage('Invalid email'),
+  passwordPolicyValidation,
+  body('inviteKey').isString().notEmpty().withMessage('Invitation key is required')
+];
+
+const twoFactorCodeValidation = body('code').isString().trim().notEmpty().withMessage('Two-factor code is required');
+
+// Errors that describe a problem with the submitted invitation or account
+const registrationErrors = {
+  'Invalid or already used invitation': 400,
+  'Invitation has expired': 400,
+  'Email does not match the invitation': 400,
+  'User or email already exists': 409
+};
+
+const twoFactorErrors = {
+  'Two-factor authentication is already enabled': 409,
+  'Two-factor authentication is not enabled': 400,
+  'Two-factor setup has not been started': 400,
+  'Two-factor authentication is required for your role': 403,
+  'Invalid two-factor code': 400,
+  'Invalid password': 400
+};
+
+const sendTwoFactorError = (res, error) => {
+  const status = twoFactorErrors[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  logMessage('error', `Two-factor error: ${error.message}`);
+  res.status(500).json({ error: 'An error occurred while updating two-factor authentication' });
+};
+
+authRouter.post('/register', authRateLimiter, registerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, password, inviteKey } = req.body;
+    const user = await registerUser({ username, email, password, inviteKey });
+
+    try {
+      await sendVerificationEmail(user.id);
+    } catch {
+      // Already logged; the user can ask for another one once logged in
+    }
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      user
+    });
+  } catch (error) {
+    const status = registrationErrors[error.message];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    logMessage('error', `Error during registration: ${error.message}`);
+    res.status(500).json({ error: 'An error occurred during registration' });
+  }
+});
+
+// POST /api/auth/verify-email/request - Send a new verification link to the current user
+authRouter.post('/verify-email/request', authRateLimiter, sessionAuthMiddleware, async (req, res) => {
+  try {
+    await sendVerificationEmail(req.user.id);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    if (error.message === 'Email is already verified') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'An error occurred while sending the verification email' });
+  }
 });
 
-authRouter.post('/logout', authMiddleware, async (req, res) => {
+// POST /api/auth/verify-email - Consume a verification link token
+authRouter.post('/verify-email',
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await verifyEmail(req.body.token);
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      if (error.message === 'Invalid or expired verification token') {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'An error occurred while verifying the email' });
+    }
+  }
+);
+
+// POST /api/auth/forgot-password - Email a reset link; the answer never reveals whether the email exists
+authRouter.post('/forgot-password',
+  authRateLimiter,
+  body('email').isEmail().withMessage('Invalid email'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await requestPasswordReset(req.body.email);
+      res.json({ message: 'If the email is registered, a reset link has been sent' });
+    } catch {
+      res.status(500).json({ error: 'An error occurred while requesting the password reset' });
+    }
+  }
+);
+
+// POST /api/auth/reset-password - Set a new password with a reset link token
+authRouter.post('/reset-password',
+  authRateLimiter,
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  passwordPolicyValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await resetPassword(req.body.token, req.body.password);
+      res.json({ message: 'Password reset successfully. Please log in again.' });
+    } catch (error) {
+      if (error.message === 'Invalid or expired reset token') {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'An error occurred while resetting the password' });
+    }
+  }
+);
+
+authRouter.post('/login', authRateLimiter, loginValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const identifier = req.body.username || req.body.email;
+    if (!identifier) {
+      return res.status(400).json({ error: 'Username or email is required' });
+    }
+
+    const lockout = await getLoginLockout(req.ip);
+    if (lockout > 0) {
+      res.set('Retry-After', String(lockout));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Try again later.'
+      });
+    }
+
+    const result = await loginUser(identifier, req.body.password, clientInfo(req));
+    if (!result.success) {
+      // A banned user with the right password is not guessing
+      if (!result.banned) {
+        await registerFailedLogin(req.ip);
+      }
+      logMessage('warn', `Failed login for ${identifier} from IP: ${req.ip}`);
+      return res.status(result.banned ? 403 : 401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await clearFailedLogins(req.ip);
+    res.status(200).json(result);
+  } catch (error) {
+    logMessage('error', `Error during login: ${error.message}`);
+    res.status(500).json({ error: 'An error occurred during login' });
+  }
+});
+
+authRouter.post('/login/2fa',
+  authRateLimiter,
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  twoFactorCodeValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const lockout = await getLoginLockout(req.ip);
+      if (lockout > 0) {
+        res.set('Retry-After', String(lockout));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts. Try again later.'
+        });
+      }
+
+      const result = await completeTwoFactorLogin(req.body.challengeToken, req.body.code, clientInfo(req));
+      if (!result.success) {
+        if (!result.banned) {
+          await registerFailedLogin(req.ip);
+        }
+        logMessage('warn', `Failed two-factor login from IP: ${req.ip}`);
+        return res.status(result.banned ? 403 : 401).json(result);
+      }
+
+      await clearFailedLogins(req.ip);
+      res.status(200).json(result);
+    } catch (error) {
+      logMessage('error', `Error during two-factor login: ${error.message}`);
+      res.status(500).json({ error: 'An error occurred during login' });
+    }
+  }
+);
+
+// POST /api/auth/2fa/setup - Start enrollment; returns the secret and otpauth URI for the app
+authRouter.post('/2fa/setup', twoFactorSetupAuthMiddleware, async (req, res) => {
+  try {
+    const setup = await startTwoFactorSetup(req.user.id);
+    res.json(setup);
+  } catch (error) {
+    sendTwoFactorError(res, error);
+  }
+});
+
+// POST /api/auth/2fa/confirm - Enable 2FA with a first code; returns the recovery codes once
+authRouter.post('/2fa/confirm',
+  twoFactorSetupAuthMiddleware,
+  twoFactorCodeValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const recoveryCodes = await confirmTwoFactor(req.user.id, req.body.code);
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  }
+);
+
+// POST /api/auth/2fa/disable - Turn 2FA off with the password and a code
+authRouter.post('/2fa/disable',
+  sessionAuthMiddleware,
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  twoFactorCodeValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await disableTwoFactor(req.user.id, req.body.password, req.body.code);
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      sendTwoFactorError(res, error);
+    }
+  }
+);
+
+authRouter.post('/refresh',
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await refreshAccessToken(req.body.refreshToken, clientInfo(req));
+      if (!result.success) {
+        logMessage('warn', `Refresh token rejected from IP: ${req.ip}`);
+        return res.status(401).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logMessage('error', `Error refreshing token: ${error.message}`);
+      res.status(500).json({ error: 'An error occurred while refreshing the token' });
+    }
+  }
+);
+
+authRouter.get('/sessions', sessionAuthMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    logMessage('error', `Error listing sessions: ${error.message}`);
+    res.status(500).json({ error: 'An error occurred while listing sessions' });
+  }
+});
+
+authRouter.delete('/sessions/:id',
+  sessionAuthMiddleware,
+  param('id').isHexadecimal().withMessage('Invalid session id'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await revokeSession(req.user.id, req.params.id))) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      logMessage('error', `Error revoking session: ${error.message}`);
+      res.status(500).json({ error: 'An error occurred while revoking the session' });
+    }
+  }
+);
+
+authRouter.post('/logout', twoFactorSetupAuthMiddleware, async (req, res) => {
   try {
     const { token } = req;
     const decoded = jwt.decode(token);
@@ -19,6 +388,9 @@ authRouter.post('/logout', authMiddleware, async (req, res) => {
     if (decoded && decoded.exp) {
       await blocklistToken(token, decoded.exp);
     }
+    if (req.sessionId) {
+      await revokeSession(req.user.id, req.sessionId);
+    }
 
     logMessage('info', `User ${req.user.username} logged out successfully.`);
     res.status(200).json({ message: 'Successfully logged out' });
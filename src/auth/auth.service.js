@@ -1,8 +1,29 @@
+import bcrypt from 'bcrypt';
+import { db } from '../utils/db.server.js';
 import redisClient from '../utils/redis.js';
-import { logMessage } from '../utils/utils.js';
+import { logMessage, generateToken } from '../utils/utils.js';
+import { RedisKeys } from '../utils/redis-keys.js';
+import { securityConfig } from '../config/security.js';
+import { isUserBanned } from '../users/user-ban.service.js';
+import { generatePasskey } from '../users/users.service.js';
+import { createSession, rotateSession, revokeSession } from './session.service.js';
+import {
+  isTwoFactorRequired,
+  verifyTwoFactorCode,
+  createTwoFactorChallenge,
+  getTwoFactorChallenge,
+  registerFailedTwoFactorAttempt,
+  clearTwoFactorChallenge
+} from './two-factor.service.js';
 
 const TOKEN_BLACKLIST_PREFIX = 'blacklist:';
 
+// Compared against when the account does not exist, so both paths pay the
+// bcrypt cost and response times do not reveal valid usernames
+const DUMMY_PASSWORD_HASH = '$2b$10$jRxOBeOvZQieFchcxrS5Le3ttnS1oJZZNaqov8J1zaOlqydellQZO';
+
+const lockoutSeconds = () => Math.ceil(securityConfig.password.lockoutTime / 1000);
+
 /**
  * Añade un token a la lista de bloqueo de Redis con una expiración.
  * @param {string} token - El token JWT a bloquear.
@@ -37,4 +58,297 @@ export async function isTokenBlocklisted(token) {
     logMessage('error', `Error checking token blocklist: ${error.message}`);
     return false;
   }
-}
\ No newline at end of file
+}
+
+// Abre una sesión y arma la respuesta de un login correcto
+async function issueLogin(user, client) {
+  const { sessionId, refreshToken } = await createSession(user.id, client);
+  const token = generateToken(user, sessionId);
+
+  logMessage('info', `User ${user.username} logged in`);
+  const result = {
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    }
+  };
+
+  // Forced roles only get to enroll until 2FA is on (see authMiddleware)
+  if (isTwoFactorRequired(user.role) && !user.twoFactorEnabled) {
+    result.twoFactorSetupRequired = true;
+  }
+  return result;
+}
+
+/**
+ * Verifica usuario (nombre o email) y contraseña, abre una sesión y emite un
+ * JWT junto con el refresh token de la sesión. Con 2FA activado devuelve en
+ * su lugar un reto para completeTwoFactorLogin.
+ * @param {string} identifier - Nombre de usuario o email.
+ * @param {string} password - Contraseña en texto plano.
+ * @param {object} client - { ip, userAgent } de la petición.
+ * @returns {Promise<object>} - { success, token, refreshToken, user }, { success, twoFactorRequired, challengeToken } o { success: false, message, banned? }.
+ */
+export async function loginUser(identifier, password, client = {}) {
+  try {
+    const user = await db.user.findFirst({
+      where: {
+        OR: [
+          { username: identifier },
+          { email: identifier }
+        ]
+      },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        password: true,
+        role: true,
+        banned: true,
+        twoFactorEnabled: true
+      }
+    });
+
+    const validPassword = await bcrypt.compare(password, user?.password ?? DUMMY_PASSWORD_HASH);
+    if (!user || !validPassword) {
+      return { success: false, message: 'Invalid credentials' };
+    }
+
+    if (user.banned || await isUserBanned(user.id)) {
+      logMessage('warn', `Login refused for banned user ${user.username}`);
+      return { success: false, banned: true, message: 'Account is banned' };
+    }
+
+    if (user.twoFactorEnabled) {
+      const challengeToken = await createTwoFactorChallenge(user.id);
+      return { success: true, twoFactorRequired: true, challengeToken };
+    }
+
+    return await issueLogin(user, client);
+  } catch (error) {
+    logMessage('error', `Error during login: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Segundo paso del login: canjea el reto y un código 2FA por la sesión.
+ * @param {string} challengeToken - Reto devuelto por loginUser.
+ * @param {string} code - Código TOTP o de recuperación.
+ * @param {object} client - { ip, userAgent } de la petición.
+ * @returns {Promise<object>} - Igual que loginUser.
+ */
+export async function completeTwoFactorLogin(challengeToken, code, client = {}) {
+  try {
+    const userId = await getTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return { success: false, message: 'Invalid or expired two-factor challenge' };
+    }
+
+    if (!(await verifyTwoFactorCode(userId, code))) {
+      const remaining = await registerFailedTwoFactorAttempt(challengeToken);
+      return remaining > 0
+        ? { success: false, message: 'Invalid two-factor code' }
+        : { success: false, message: 'Too many invalid two-factor codes, log in again' };
+    }
+    await clearTwoFactorChallenge(challengeToken);
+
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        role: true,
+        banned: true,
+        twoFactorEnabled: true
+      }
+    });
+
+    if (!user) {
+      return { success: false, message: 'Invalid or expired two-factor challenge' };
+    }
+    if (user.banned || await isUserBanned(user.id)) {
+      return { success: false, banned: true, message: 'Account is banned' };
+    }
+
+    return await issueLogin(user, client);
+  } catch (error) {
+    logMessage('error', `Error during two-factor login: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Emite un nuevo JWT a partir de un refresh token, rotándolo.
+ * @param {string} refreshToken - Refresh token de la sesión.
+ * @param {object} client - { ip, userAgent } de la petición.
+ * @returns {Promise<object>} - { success, token, refreshToken } o { success: false, message }.
+ */
+export async function refreshAccessToken(refreshToken, client = {}) {
+  try {
+    const rotated = await rotateSession(refreshToken, client);
+    if (!rotated) {
+      return { success: false, message: 'Invalid or expired refresh token' };
+    }
+
+    const { session } = rotated;
+    const user = await db.user.findUnique({
+      where: { id: session.userId },
+      select: { id: true, username: true, banned: true }
+    });
+
+    if (!user || user.banned || await isUserBanned(user.id)) {
+      await revokeSession(session.userId, session.id);
+      return { success: false, message: 'User not found or is banned' };
+    }
+
+    return {
+      success: true,
+      token: generateToken(user, session.id),
+      refreshToken: rotated.refreshToken
+    };
+  } catch (error) {
+    logMessage('error', `Error refreshing token: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Segundos que le quedan a una IP bloqueada por intentos fallidos.
+ * @param {string} ip - IP del cliente.
+ * @returns {Promise<number>} - 0 si la IP no está bloqueada.
+ */
+export async function getLoginLockout(ip) {
+  try {
+    const ttl = await redisClient.ttl(RedisKeys.auth.blocked(ip));
+    return ttl > 0 ? ttl : 0;
+  } catch (error) {
+    logMessage('error', `Error checking login lockout: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Cuenta un intento fallido y bloquea la IP al alcanzar maxAttempts.
+ * @param {string} ip - IP del cliente.
+ * @returns {Promise<number>} - Intentos fallidos acumulados en la ventana.
+ */
+export async function registerFailedLogin(ip) {
+  try {
+    const attemptsKey = RedisKeys.auth.attempts(ip);
+    const attempts = await redisClient.incr(attemptsKey);
+    if (attempts === 1) {
+      await redisClient.expire(attemptsKey, lockoutSeconds());
+    }
+
+    if (attempts >= securityConfig.password.maxAttempts) {
+      await redisClient.set(RedisKeys.auth.blocked(ip), 'blocked', { EX: lockoutSeconds() });
+      await redisClient.del(attemptsKey);
+      logMessage('warn', `Login blocked for IP ${ip} after ${attempts} failed attempts`);
+    }
+
+    return attempts;
+  } catch (error) {
+    logMessage('error', `Error registering failed login: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Reinicia el contador de intentos tras un login correcto.
+ * @param {string} ip - IP del cliente.
+ */
+export async function clearFailedLogins(ip) {
+  try {
+    await redisClient.del(RedisKeys.auth.attempts(ip));
+  } catch (error) {
+    logMessage('error', `Error clearing failed logins: ${error.message}`);
+  }
+}
+
+/**
+ * Registra un usuario consumiendo una invitación.
+ * La invitación se marca como usada dentro de la misma transacción y sólo si
+ * sigue libre, así dos registros simultáneos no pueden consumirla dos veces.
+ * @param {object} registration - { username, email, password, inviteKey }.
+ * @returns {Promise<object>} - { id, username, email, role } del nuevo usuario.
+ */
+export async function registerUser(registration) {
+  try {
+    const { username, email, password, inviteKey } = registration;
+
+    const invite = await db.invite.findUnique({
+      where: { inviteKey }
+    });
+
+    if (!invite || invite.used) {
+      throw new Error('Invalid or already used invitation');
+    }
+    if (invite.expires <= new Date()) {
+      throw new Error('Invitation has expired');
+    }
+    if (invite.email.toLowerCase() !== email.toLowerCase()) {
+      throw new Error('Email does not match the invitation');
+    }
+
+    const existingUser = await db.user.findFirst({
+      where: {
+        OR: [
+          { username },
+          { email }
+        ]
+      }
+    });
+    if (existingUser) {
+      throw new Error('User or email already exists');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = await db.$transaction(async (tx) => {
+      const { count } = await tx.invite.updateMany({
+        where: { id: invite.id, used: false, expires: { gt: new Date() } },
+        data: { used: true }
+      });
+      if (count === 0) {
+        throw new Error('Invalid or already used invitation');
+      }
+
+      const newUser = await tx.user.create({
+        data: {
+          username,
+          email,
+          password: hashedPassword,
+          passkey: generatePasskey(),
+          created: new Date(),
+          banned: false,
+          role: 'USER',
+          remainingInvites: 0,
+          emailVerified: false,
+          invitedById: invite.inviterId
+        }
+      });
+
+      await tx.inviteTreeNode.create({
+        data: {
+          userId: newUser.id,
+          inviterId: invite.inviterId
+        }
+      });
+
+      return newUser;
+    });
+
+    logMessage('info', `User registered with invitation from user ${invite.inviterId}: ${username}`);
+    return { id: user.id, username: user.username, email: user.email, role: user.role };
+  } catch (error) {
+    logMessage('error', `Error registering user: ${error.message}`);
+    throw error;
+  }
+}
@@ -0,0 +1,36 @@
+import { securityConfig } from '../config/security.js';
+
+const escapeForClass = (chars) => chars.replace(/[\\\]^-]/g, '\\$&');
+
+/**
+ * Comprueba una contraseña contra securityConfig.password.
+ * @param {string} password - Contraseña en texto plano.
+ * @returns {string[]} - Requisitos incumplidos; vacío si la contraseña es válida.
+ */
+export function checkPasswordPolicy(password) {
+  const policy = securityConfig.password;
+  const value = typeof password === 'string' ? password : '';
+  const problems = [];
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (value.length > policy.maxLength) {
+    problems.push(`Password must not exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumbers && !/\d/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.requireSpecialChars &&
+      !new RegExp(`[${escapeForClass(policy.specialChars)}]`).test(value)) {
+    problems.push(`Password must contain one of ${policy.specialChars}`);
+  }
+
+  return problems;
+}
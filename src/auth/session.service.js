@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import redisClient from '../utils/redis.js';
+import { logMessage } from '../utils/utils.js';
+import { RedisKeys } from '../utils/redis-keys.js';
+import { securityConfig } from '../config/security.js';
+import { lookupCountry } from '../geoip/geoip.service.js';
+
+const sessionSeconds = () => Math.ceil(securityConfig.session.sessionTimeout / 1000);
+const renewSeconds = () => Math.ceil(securityConfig.session.renewThreshold / 1000);
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+function issueRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashSecret(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken ?? '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+}
+
+function secretMatches(secret, storedHash) {
+  const given = Buffer.from(hashSecret(secret), 'hex');
+  const stored = Buffer.from(storedHash ?? '', 'hex');
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+async function saveSession(session) {
+  const indexKey = RedisKeys.auth.sessions(session.userId);
+
+  await redisClient.set(RedisKeys.auth.session(session.id), JSON.stringify(session), { EX: sessionSeconds() });
+  await redisClient.zAdd(indexKey, { score: Date.parse(session.lastUsedAt), value: session.id });
+  await redisClient.expire(indexKey, sessionSeconds());
+}
+
+async function deleteSession(userId, sessionId) {
+  await redisClient.del(RedisKeys.auth.session(sessionId));
+  await redisClient.zRem(RedisKeys.auth.sessions(userId), sessionId);
+}
+
+// Live sessions of a user, least recently used first. Ids whose session key
+// already expired are dropped from the index on the way.
+async function loadSessions(userId) {
+  const indexKey = RedisKeys.auth.sessions(userId);
+  const ids = await redisClient.zRange(indexKey, 0, -1);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const values = await redisClient.mGet(ids.map(id => RedisKeys.auth.session(id)));
+  const stale = ids.filter((id, index) => values[index] === null);
+  if (stale.length > 0) {
+    await redisClient.zRem(indexKey, stale);
+  }
+
+  return values.filter(value => value !== null).map(value => JSON.parse(value));
+}
+
+/**
+ * Abre una sesión y emite su refresh token.
+ * Si el usuario ya tiene maxConcurrentSessions se cierran las menos usadas.
+ * @param {number} userId - ID del usuario.
+ * @param {object} client - { ip, userAgent } de la petición.
+ * @returns {Promise<object>} - { sessionId, refreshToken }.
+ */
+export async function createSession(userId, client = {}) {
+  try {
+    const sessions = await loadSessions(userId);
+    const excess = sessions.length + 1 - securityConfig.session.maxConcurrentSessions;
+    for (const session of sessions.slice(0, Math.max(excess, 0))) {
+      await deleteSession(userId, session.id);
+      logMessage('info', `Session ${session.id} of user ${userId} closed: concurrent session limit reached`);
+    }
+
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const { refreshToken, refreshTokenHash } = issueRefreshToken(sessionId);
+    const now = new Date().toISOString();
+
+    await saveSession({
+      id: sessionId,
+      userId,
+      refreshTokenHash,
+      ip: client.ip ?? null,
+      userAgent: client.userAgent ?? null,
+      createdAt: now,
+      lastUsedAt: now
+    });
+
+    return { sessionId, refreshToken };
+  } catch (error) {
+    logMessage('error', `Error creating session: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Canjea un refresh token por otro nuevo (rotación).
+ * Presentar un token ya rotado indica que se ha filtrado, así que la sesión
+ * se revoca entera.
+ * @param {string} refreshToken - Refresh token actual.
+ * @param {object} client - { ip, userAgent } de la petición.
+ * @returns {Promise<object|null>} - { session, refreshToken } o null si no es válido.
+ */
+export async function rotateSession(refreshToken, client = {}) {
+  try {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return null;
+    }
+
+    const stored = await redisClient.get(RedisKeys.auth.session(parsed.sessionId));
+    if (!stored) {
+      return null;
+    }
+
+    const session = JSON.parse(stored);
+    if (!secretMatches(parsed.secret, session.refreshTokenHash)) {
+      await deleteSession(session.userId, session.id);
+      logMessage('warn', `Refresh token reuse detected, session ${session.id} of user ${session.userId} revoked`);
+      return null;
+    }
+
+    const issued = issueRefreshToken(session.id);
+    const rotated = {
+      ...session,
+      refreshTokenHash: issued.refreshTokenHash,
+      ip: client.ip ?? session.ip,
+      userAgent: client.userAgent ?? session.userAgent,
+      lastUsedAt: new Date().toISOString()
+    };
+    await saveSession(rotated);
+
+    return { session: rotated, refreshToken: issued.refreshToken };
+  } catch (error) {
+    logMessage('error', `Error rotating session: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Comprueba que la sesión de un access token sigue abierta y la prolonga
+ * cuando le queda menos de renewThreshold.
+ * @param {string} sessionId - ID de la sesión (claim sid del JWT).
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<boolean>} - False si la sesión expiró o fue revocada.
+ */
+export async function isSessionActive(sessionId, userId) {
+  try {
+    const ttl = await redisClient.ttl(RedisKeys.auth.session(sessionId));
+    if (ttl === -2) {
+      return false;
+    }
+
+    if (ttl < renewSeconds()) {
+      await redisClient.expire(RedisKeys.auth.session(sessionId), sessionSeconds());
+      await redisClient.expire(RedisKeys.auth.sessions(userId), sessionSeconds());
+    }
+    return true;
+  } catch (error) {
+    logMessage('error', `Error checking session: ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * Sesiones abiertas de un usuario, la más reciente primero.
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<object[]>} - { id, ip, country, userAgent, createdAt, lastUsedAt }.
+ */
+export async function listSessions(userId) {
+  try {
+    const sessions = await loadSessions(userId);
+
+    return await Promise.all(sessions.reverse().map(async (session) => ({
+      id: session.id,
+      ip: session.ip,
+      country: await lookupCountry(session.ip),
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt
+    })));
+  } catch (error) {
+    logMessage('error', `Error listing sessions: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Cierra una sesión del usuario.
+ * @param {number} userId - ID del usuario.
+ * @param {string} sessionId - ID de la sesión.
+ * @returns {Promise<boolean>} - False si la sesión no existe o es de otro usuario.
+ */
+export async function revokeSession(userId, sessionId) {
+  try {
+    const stored = await redisClient.get(RedisKeys.auth.session(sessionId));
+    if (!stored || JSON.parse(stored).userId !== userId) {
+      return false;
+    }
+
+    await deleteSession(userId, sessionId);
+    logMessage('info', `Session ${sessionId} of user ${userId} revoked`);
+    return true;
+  } catch (error) {
+    logMessage('error', `Error revoking session: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Cierra todas las sesiones de un usuario, p. ej. tras cambiar la contraseña.
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<number>} - Sesiones cerradas.
+ */
+export async function revokeAllSessions(userId) {
+  try {
+    const indexKey = RedisKeys.auth.sessions(userId);
+    const ids = await redisClient.zRange(indexKey, 0, -1);
+
+    if (ids.length > 0) {
+      await redisClient.del(ids.map(id => RedisKeys.auth.session(id)));
+    }
+    await redisClient.del(indexKey);
+
+    logMessage('info', `All sessions of user ${userId} revoked (${ids.length})`);
+    return ids.length;
+  } catch (error) {
+    logMessage('error', `Error revoking sessions: ${error.message}`);
+    throw error;
+  }
+}
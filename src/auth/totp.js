@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { securityConfig } from '../config/security.js';
+
+// RFC 4648 base32, the secret encoding authenticator apps expect
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of String(text).toUpperCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP over the RFC 6238 time step
+function generateTotp(secret, counter) {
+  const { digits } = securityConfig.twoFactor;
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function totpCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / securityConfig.twoFactor.period);
+}
+
+// Returns the matching time step so callers can reject replays, or null.
+// Codes from `window` steps either side are accepted for clock drift.
+function verifyTotp(secret, code, time = Date.now()) {
+  const { digits, window } = securityConfig.twoFactor;
+  if (typeof code !== 'string' || code.length !== digits || !/^\d+$/.test(code)) {
+    return null;
+  }
+
+  const given = Buffer.from(code);
+  const current = totpCounter(time);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, counter)), given)) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+function buildOtpauthUri(secret, accountName) {
+  const { issuer, digits, period } = securityConfig.twoFactor;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+export {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  totpCounter,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { db } from '../utils/db.server.js';
+import redisClient from '../utils/redis.js';
+import { logMessage } from '../utils/utils.js';
+import { RedisKeys } from '../utils/redis-keys.js';
+import { securityConfig } from '../config/security.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from './totp.js';
+
+const challengeSeconds = () => Math.ceil(securityConfig.twoFactor.challengeTimeout / 1000);
+
+// Recovery codes are compared without separators or case
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+function generateRecoveryCodes() {
+  return Array.from({ length: securityConfig.twoFactor.recoveryCodes }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Indica si la configuración obliga a un rol a usar 2FA.
+ * @param {string} role - Rol del usuario.
+ * @returns {boolean}
+ */
+export function isTwoFactorRequired(role) {
+  return securityConfig.twoFactor.requiredRoles.includes(role);
+}
+
+/**
+ * Genera un secreto TOTP pendiente de confirmar.
+ * Repetir el alta antes de confirmar sustituye el secreto anterior.
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<object>} - { secret, otpauthUri }.
+ */
+export async function startTwoFactorSetup(userId) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: { username: true, twoFactorEnabled: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await db.user.update({
+      where: { id: userId },
+      data: { twoFactorSecret: secret }
+    });
+
+    return { secret, otpauthUri: buildOtpauthUri(secret, user.username) };
+  } catch (error) {
+    logMessage('error', `Error starting two-factor setup: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Activa 2FA tras comprobar un primer código y emite los códigos de recuperación.
+ * Los códigos sólo se devuelven aquí; en base de datos se guarda su hash.
+ * @param {number} userId - ID del usuario.
+ * @param {string} code - Código TOTP de la aplicación.
+ * @returns {Promise<string[]>} - Códigos de recuperación en claro.
+ */
+export async function confirmTwoFactor(userId, code) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: { twoFactorSecret: true, twoFactorEnabled: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+    if (verifyTotp(user.twoFactorSecret, code) === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await db.$transaction([
+      db.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+      db.twoFactorRecoveryCode.createMany({
+        data: recoveryCodes.map(recoveryCode => ({ userId, codeHash: hashRecoveryCode(recoveryCode) }))
+      }),
+      db.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: true }
+      })
+    ]);
+    await redisClient.del(RedisKeys.user.stats(userId));
+
+    logMessage('info', `Two-factor authentication enabled for user ${userId}`);
+    return recoveryCodes;
+  } catch (error) {
+    logMessage('error', `Error confirming two-factor setup: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Comprueba un código TOTP o, si no lo es, un código de recuperación.
+ * Cada paso TOTP y cada código de recuperación sólo se aceptan una vez.
+ * @param {number} userId - ID del usuario.
+ * @param {string} code - Código TOTP o de recuperación.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTwoFactorCode(userId, code) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: { twoFactorSecret: true, twoFactorEnabled: true }
+    });
+
+    if (!user?.twoFactorEnabled || !user.twoFactorSecret || typeof code !== 'string') {
+      return false;
+    }
+
+    const counter = verifyTotp(user.twoFactorSecret, code);
+    if (counter !== null) {
+      const { period, window } = securityConfig.twoFactor;
+      const fresh = await redisClient.set(RedisKeys.auth.totpUsed(userId, counter), '1', {
+        NX: true,
+        EX: period * (2 * window + 1)
+      });
+      return fresh !== null;
+    }
+
+    const { count } = await db.twoFactorRecoveryCode.deleteMany({
+      where: { userId, codeHash: hashRecoveryCode(code) }
+    });
+    if (count > 0) {
+      logMessage('warn', `Recovery code used by user ${userId}`);
+    }
+    return count > 0;
+  } catch (error) {
+    logMessage('error', `Error verifying two-factor code: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Desactiva 2FA pidiendo contraseña y un código válido.
+ * @param {number} userId - ID del usuario.
+ * @param {string} password - Contraseña actual.
+ * @param {string} code - Código TOTP o de recuperación.
+ */
+export async function disableTwoFactor(userId, password, code) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: { password: true, role: true, twoFactorEnabled: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (isTwoFactorRequired(user.role)) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw new Error('Invalid password');
+    }
+    if (!(await verifyTwoFactorCode(userId, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await db.$transaction([
+      db.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+      db.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: false, twoFactorSecret: null }
+      })
+    ]);
+    await redisClient.del(RedisKeys.user.stats(userId));
+
+    logMessage('info', `Two-factor authentication disabled for user ${userId}`);
+  } catch (error) {
+    logMessage('error', `Error disabling two-factor authentication: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Crea el reto del segundo paso de login para un usuario con 2FA.
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<string>} - Token de reto de un solo uso.
+ */
+export async function createTwoFactorChallenge(userId) {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  await redisClient.set(RedisKeys.auth.twoFactorChallenge(challengeToken), String(userId), {
+    EX: challengeSeconds()
+  });
+  return challengeToken;
+}
+
+/**
+ * Usuario al que pertenece un reto de login pendiente.
+ * @param {string} challengeToken - Token de reto.
+ * @returns {Promise<number|null>} - ID del usuario o null si expiró.
+ */
+export async function getTwoFactorChallenge(challengeToken) {
+  const userId = await redisClient.get(RedisKeys.auth.twoFactorChallenge(challengeToken));
+  return userId ? parseInt(userId, 10) : null;
+}
+
+/**
+ * Cuenta un código fallido contra un reto y lo descarta al alcanzar
+ * challengeAttempts, obligando a repetir el login con contraseña.
+ * @param {string} challengeToken - Token de reto.
+ * @returns {Promise<number>} - Intentos restantes; 0 si el reto se descartó.
+ */
+export async function registerFailedTwoFactorAttempt(challengeToken) {
+  const attemptsKey = RedisKeys.auth.twoFactorAttempts(challengeToken);
+  const attempts = await redisClient.incr(attemptsKey);
+  if (attempts === 1) {
+    await redisClient.expire(attemptsKey, challengeSeconds());
+  }
+
+  const remaining = securityConfig.twoFactor.challengeAttempts - attempts;
+  if (remaining <= 0) {
+    await clearTwoFactorChallenge(challengeToken);
+    logMessage('warn', `Two-factor challenge discarded after ${attempts} failed attempts`);
+    return 0;
+  }
+  return remaining;
+}
+
+/**
+ * Invalida un reto de login ya resuelto.
+ * @param {string} challengeToken - Token de reto.
+ */
+export async function clearTwoFactorChallenge(challengeToken) {
+  await redisClient.del([
+    RedisKeys.auth.twoFactorChallenge(challengeToken),
+    RedisKeys.auth.twoFactorAttempts(challengeToken)
+  ]);
+}
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { db } from '../utils/db.server.js';
+import redisClient from '../utils/redis.js';
+import { logMessage } from '../utils/utils.js';
+import { RedisKeys, RedisTTL, RedisHelpers } from '../utils/redis-keys.js';
+import { mailConfig } from '../config/mail.js';
+import { sendMail } from '../mail/mailer.js';
+import { revokeAllSessions } from './session.service.js';
+
+const generateLinkToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Reset tokens carry a fingerprint of the password hash they were issued
+// for, so every outstanding token dies once the password changes
+const passwordFingerprint = (passwordHash) =>
+  crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16);
+
+const link = (page, token) => `${mailConfig.appUrl}/${page}?token=${encodeURIComponent(token)}`;
+
+/**
+ * Envía al usuario un enlace de un solo uso para verificar su email.
+ * @param {number} userId - ID del usuario.
+ */
+export async function sendVerificationEmail(userId) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, email: true, emailVerified: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.emailVerified) {
+      throw new Error('Email is already verified');
+    }
+
+    const token = generateLinkToken();
+    await redisClient.set(RedisKeys.temp.emailVerify(token), String(user.id), { EX: RedisTTL.EMAIL_VERIFY });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Confirm your email address by opening this link:',
+        link('verify-email', token),
+        '',
+        `The link expires in ${RedisTTL.EMAIL_VERIFY / 3600} hours.`
+      ].join('\n')
+    });
+  } catch (error) {
+    logMessage('error', `Error sending verification email: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Marca el email como verificado consumiendo el token.
+ * @param {string} token - Token del enlace de verificación.
+ */
+export async function verifyEmail(token) {
+  try {
+    const userId = await redisClient.getDel(RedisKeys.temp.emailVerify(token));
+    if (!userId) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    const user = await db.user.update({
+      where: { id: parseInt(userId, 10) },
+      data: { emailVerified: true },
+      select: { id: true, username: true, passkey: true }
+    });
+
+    // Both caches hold emailVerified (profile and tracker passkey lookup)
+    await redisClient.del(RedisKeys.user.stats(user.id));
+    await RedisHelpers.invalidatePasskeyCache(user.passkey);
+
+    logMessage('info', `Email verified for user ${user.username}`);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('Invalid or expired verification token');
+    }
+    logMessage('error', `Error verifying email: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Envía un enlace para restablecer la contraseña si el email existe.
+ * No indica si el email está registrado.
+ * @param {string} email - Email de la cuenta.
+ */
+export async function requestPasswordReset(email) {
+  try {
+    const user = await db.user.findFirst({
+      where: { email: { equals: email, mode: 'insensitive' } },
+      select: { id: true, username: true, email: true, password: true }
+    });
+
+    if (!user) {
+      logMessage('info', `Password reset requested for unknown email ${email}`);
+      return;
+    }
+
+    const token = generateLinkToken();
+    await redisClient.set(
+      RedisKeys.temp.passwordReset(token),
+      `${user.id}:${passwordFingerprint(user.password)}`,
+      { EX: RedisTTL.PASSWORD_RESET }
+    );
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. If it was you, open this link:',
+        link('reset-password', token),
+        '',
+        `The link expires in ${RedisTTL.PASSWORD_RESET / 60} minutes. If you did not ask for it, ignore this email.`
+      ].join('\n')
+    });
+  } catch (error) {
+    logMessage('error', `Error requesting password reset: ${error.message}`);
+    throw error;
+  }
+}
+
+// Guarda el nuevo hash y cierra todas las sesiones abiertas con el anterior
+async function replacePassword(userId, password) {
+  await db.user.update({
+    where: { id: userId },
+    data: { password: await bcrypt.hash(password, 10) }
+  });
+  await revokeAllSessions(userId);
+}
+
+/**
+ * Cambia la contraseña consumiendo el token y cierra todas las sesiones.
+ * @param {string} token - Token del enlace de restablecimiento.
+ * @param {string} password - Nueva contraseña, ya validada contra la política.
+ */
+export async function resetPassword(token, password) {
+  try {
+    const stored = await redisClient.getDel(RedisKeys.temp.passwordReset(token));
+    if (!stored) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    const [userId, fingerprint] = stored.split(':');
+    const user = await db.user.findUnique({
+      where: { id: parseInt(userId, 10) },
+      select: { id: true, username: true, password: true }
+    });
+
+    if (!user || passwordFingerprint(user.password) !== fingerprint) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    await replacePassword(user.id, password);
+
+    logMessage('info', `Password reset for user ${user.username}`);
+  } catch (error) {
+    logMessage('error', `Error resetting password: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Cambia la contraseña de una cuenta y cierra todas sus sesiones.
+ * @param {number} userId - ID del usuario.
+ * @param {string} password - Nueva contraseña, ya validada contra la política.
+ * @param {string} [currentPassword] - Contraseña actual; si se indica debe coincidir.
+ */
+export async function changePassword(userId, password, currentPassword) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: parseInt(userId, 10) },
+      select: { id: true, username: true, password: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (currentPassword !== undefined && !(await bcrypt.compare(currentPassword, user.password))) {
+      throw new Error('Current password is incorrect');
+    }
+
+    await replacePassword(user.id, password);
+
+    logMessage('info', `Password changed for user ${user.username}`);
+  } catch (error) {
+    logMessage('error', `Error changing password: ${error.message}`);
+    throw error;
+  }
+}
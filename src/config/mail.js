@@ -0,0 +1,23 @@
+export const mailConfig = {
+  // console and file are meant for local testing and refused in production;
+  // see src/mail/mailer.js
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+  from: process.env.FROM_EMAIL || 'noreply@localhost',
+  // Base URL of the frontend pages that consume verification and reset links
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  fileDir: process.env.MAIL_FILE_DIR || './mail',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    // Send AUTH over a connection without TLS; only for trusted local relays
+    allowPlaintextAuth: process.env.SMTP_ALLOW_PLAINTEXT === 'true',
+    timeout: 30000
+  }
+};
+
+export default mailConfig;
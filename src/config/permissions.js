@@ -0,0 +1,107 @@
+import { readFileSync } from 'fs';
+
+// Every permission the API checks. Routers ask for them with
+// requirePermission; roles and user classes grant them. "<action>.own" and
+// "<action>.any" pairs cover resources that belong to a user.
+export const PERMISSIONS = {
+  'torrents.upload': 'Upload torrents',
+  'torrents.edit.own': 'Edit own torrents',
+  'torrents.edit.any': 'Edit any torrent',
+  'torrents.delete.own': 'Delete own torrents',
+  'torrents.delete.any': 'Delete any torrent',
+  'torrents.multipliers': 'Set upload and download multipliers',
+  'torrents.freeleech': 'Mark torrents as freeleech',
+
+  'users.list': 'List users and the ratio watch',
+  'users.create': 'Create users directly',
+  'users.view.own': 'View own profile',
+  'users.view.any': 'View any profile and its statistics',
+  'users.edit.own': 'Edit own profile',
+  'users.edit.any': 'Edit any profile',
+  'users.manage': 'Change role, user class, invitations and ban flag',
+  'users.classes': 'Manage automatic user class rules and run the evaluation',
+
+  'invites.create': 'Send invitations',
+  'invites.unlimited': 'Send invitations without spending remainingInvites',
+  'invites.view.own': 'View own invitations',
+  'invites.view.any': 'View all invitations',
+  'invites.delete.own': 'Delete own invitations',
+  'invites.delete.any': 'Delete any invitation',
+
+  'bans.user.view': 'View user bans',
+  'bans.user.create': 'Ban users for a limited time',
+  'bans.user.permanent': 'Ban users permanently',
+  'bans.user.deactivate': 'Lift user bans',
+  'bans.user.cleanup': 'Clean up expired user bans',
+  'bans.ip.view': 'View IP bans',
+  'bans.ip.edit': 'Create, update and delete IP bans',
+  'bans.ip.import': 'Import blocklists and clean up expired IP bans',
+
+  'geoip.lookup': 'Look up the country of an IP',
+  'geoip.import': 'Import the GeoIP database',
+  'geoip.rules': 'Manage country announce rules',
+
+  'hit-and-runs.view': 'View hit and runs of every user',
+  'hit-and-runs.forgive': 'Forgive hit and runs',
+  'hit-and-runs.rules': 'Manage hit and run rules and run the evaluation',
+
+  'freeleech.manage': 'Schedule and cancel freeleech windows'
+};
+
+const USER_PERMISSIONS = [
+  'torrents.upload',
+  'torrents.edit.own',
+  'torrents.delete.own',
+  'users.view.own',
+  'users.edit.own',
+  'invites.create',
+  'invites.view.own',
+  'invites.delete.own'
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'torrents.edit.any',
+  'torrents.multipliers',
+  'torrents.freeleech',
+  'bans.user.view',
+  'bans.user.create',
+  'bans.user.deactivate',
+  'bans.ip.view',
+  'bans.ip.edit',
+  'geoip.lookup',
+  'hit-and-runs.view',
+  'hit-and-runs.forgive'
+];
+
+// USER_CLASSES_FILE points to a JSON file of custom user classes:
+// { "classes": { "Uploader": { "permissions": ["torrents.multipliers"] } } }
+// A user with userClass set gets the class permissions on top of the role's.
+function loadUserClasses(path) {
+  if (!path) {
+    return {};
+  }
+
+  const { classes = {} } = JSON.parse(readFileSync(path, 'utf8'));
+  for (const [name, userClass] of Object.entries(classes)) {
+    const unknown = (userClass.permissions ?? []).filter(permission =>
+      permission !== '*' && !permission.endsWith('.*') && !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission in user class ${name}: ${unknown.join(', ')}`);
+    }
+  }
+  return classes;
+}
+
+export const permissionsConfig = {
+  // "*" grants everything and "bans.*" everything under bans
+  roles: {
+    USER: USER_PERMISSIONS,
+    MODERATOR: MODERATOR_PERMISSIONS,
+    ADMIN: ['*']
+  },
+
+  userClasses: loadUserClasses(process.env.USER_CLASSES_FILE)
+};
+
+export default permissionsConfig;
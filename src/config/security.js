@@ -1,3 +1,5 @@
+import { mailConfig } from './mail.js';
+
 export const securityConfig = {
   jwt: {
     secret: process.env.JWT_SECRET,
@@ -80,6 +82,26 @@ export const securityConfig = {
     secureCookies: process.env.NODE_ENV === 'production'
   },
 
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'node-tracker',
+    // Roles that cannot use the API until they enable 2FA, e.g. "ADMIN,MODERATOR"
+    requiredRoles: process.env.TWO_FACTOR_REQUIRED_ROLES?.split(',').map(role => role.trim()).filter(Boolean) || [],
+    digits: 6,
+    period: 30,
+    window: 1,
+    recoveryCodes: 10,
+    challengeTimeout: 5 * 60 * 1000,
+    // Wrong codes accepted per login challenge before it is discarded
+    challengeAttempts: 5
+  },
+
+  apiKeys: {
+    prefix: 'ntk_',
+    maxPerUser: 10,
+    // lastUsedAt is written at most this often per key
+    lastUsedResolution: 60
+  },
+
   ipSecurity: {
     trustProxy: process.env.TRUST_PROXY === 'true',
     maxRequestsPerIP: 1000,
@@ -141,6 +163,12 @@ export const validateSecurityConfig = () => {
     if (!process.env.DATABASE_URL?.includes('ssl=true')) {
       errors.push('SSL should be enabled for database in production');
     }
+
+    // Both write verification and password reset links where anyone
+    // reading the logs or the mail directory could use them
+    if (['console', 'file'].includes(mailConfig.transport)) {
+      errors.push(`MAIL_TRANSPORT=${mailConfig.transport} is for local testing; set SMTP_HOST in production`);
+    }
   }
 
   if (securityConfig.cors.origin.includes('*')) {
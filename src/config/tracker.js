@@ -0,0 +1,56 @@
+const GiB = 1024 ** 3;
+
+export const trackerConfig = {
+  // Seconds; index.js converts it to the milliseconds bittorrent-tracker expects
+  announceInterval: Number(process.env.ANNOUNCE_INTERVAL) || 300,
+
+  // Refuse announces from users who have not verified their email
+  requireVerifiedEmail: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+
+  seedtime: {
+    // Seconds a seeder may go quiet past the announce interval before the
+    // gap stops counting as seeding time
+    graceSeconds: Number(process.env.SEEDTIME_GRACE) || 600
+  },
+
+  // Defaults for categories without their own HitAndRunRule
+  hitAndRun: {
+    minSeedtime: (Number(process.env.HNR_MIN_SEEDTIME_HOURS) || 72) * 3600,
+    minRatio: Number(process.env.HNR_MIN_RATIO) || 1,
+    windowDays: Number(process.env.HNR_WINDOW_DAYS) || 14,
+    maxWarnings: Number(process.env.HNR_MAX_WARNINGS) || 3,
+    // 0 bans permanently
+    banDays: Number(process.env.HNR_BAN_DAYS ?? 14),
+    checkIntervalMinutes: Number(process.env.HNR_CHECK_INTERVAL_MINUTES) || 60
+  },
+
+  ipBans: {
+    cleanupIntervalMinutes: Number(process.env.IP_BAN_CLEANUP_INTERVAL_MINUTES) || 10
+  },
+
+  // Lifts temporary user bans (e.g. from hit-and-runs) once they expire
+  userBans: {
+    cleanupIntervalMinutes: Number(process.env.USER_BAN_CLEANUP_INTERVAL_MINUTES) || 10
+  },
+
+  ratioWatch: {
+    graceDays: Number(process.env.RATIO_WATCH_DAYS) || 14,
+    checkIntervalMinutes: Number(process.env.RATIO_WATCH_CHECK_INTERVAL_MINUTES) || 60,
+    // Required ratio by total downloaded; the highest matching tier applies
+    tiers: [
+      { downloaded: 5 * GiB, ratio: 0.15 },
+      { downloaded: 10 * GiB, ratio: 0.2 },
+      { downloaded: 20 * GiB, ratio: 0.3 },
+      { downloaded: 30 * GiB, ratio: 0.4 },
+      { downloaded: 40 * GiB, ratio: 0.5 },
+      { downloaded: 50 * GiB, ratio: 0.6 }
+    ]
+  },
+
+  // Thresholds live in UserClassRule and are tuned through /api/user-classes
+  userClasses: {
+    checkIntervalMinutes: Number(process.env.USER_CLASS_CHECK_INTERVAL_MINUTES) || 60
+  }
+};
+
+export default trackerConfig;
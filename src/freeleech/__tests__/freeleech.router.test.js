@@ -0,0 +1,104 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+const mockFreeleechService = {
+  createFreeleechWindow: jest.fn(),
+  listFreeleechWindows: jest.fn(),
+  deleteFreeleechWindow: jest.fn()
+};
+
+jest.unstable_mockModule('../freeleech.service.js', () => mockFreeleechService);
+jest.unstable_mockModule('prom-client', () => ({
+  Counter: jest.fn().mockImplementation(() => ({
+    inc: jest.fn()
+  }))
+}));
+
+const { freeleechRouter } = await import('../freeleech.router.js');
+
+describe('Freeleech Router', () => {
+  let app;
+  let currentUser;
+
+  beforeEach(() => {
+    currentUser = { id: 1, username: 'admin', role: 'ADMIN' };
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      next();
+    });
+    app.use('/api/freeleech', freeleechRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/freeleech', () => {
+    it('should list windows for any authenticated user', async () => {
+      currentUser = { id: 2, username: 'user', role: 'USER' };
+      mockFreeleechService.listFreeleechWindows.mockResolvedValue({ windows: [], pagination: {} });
+
+      const response = await request(app).get('/api/freeleech?upcoming=true');
+
+      expect(response.status).toBe(200);
+      expect(mockFreeleechService.listFreeleechWindows).toHaveBeenCalledWith(1, 20, { upcoming: true });
+    });
+  });
+
+  describe('POST /api/freeleech', () => {
+    const payload = {
+      name: 'Anniversary',
+      startsAt: '2030-01-01T00:00:00Z',
+      endsAt: '2030-01-02T00:00:00Z',
+      uploadMultiplier: 2
+    };
+
+    it('should schedule a window as admin', async () => {
+      mockFreeleechService.createFreeleechWindow.mockResolvedValue({ id: 1, ...payload });
+
+      const response = await request(app).post('/api/freeleech').send(payload);
+
+      expect(response.status).toBe(201);
+      expect(mockFreeleechService.createFreeleechWindow).toHaveBeenCalledWith({
+        ...payload,
+        downloadMultiplier: undefined,
+        createdBy: 'admin'
+      });
+    });
+
+    it('should deny non-admin users', async () => {
+      currentUser = { id: 2, username: 'user', role: 'USER' };
+
+      const response = await request(app).post('/api/freeleech').send(payload);
+
+      expect(response.status).toBe(403);
+      expect(mockFreeleechService.createFreeleechWindow).not.toHaveBeenCalled();
+    });
+
+    it('should validate dates', async () => {
+      const response = await request(app)
+        .post('/api/freeleech')
+        .send({ ...payload, endsAt: 'tomorrow' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/freeleech/:id', () => {
+    it('should delete a window', async () => {
+      mockFreeleechService.deleteFreeleechWindow.mockResolvedValue();
+
+      const response = await request(app).delete('/api/freeleech/1');
+
+      expect(response.status).toBe(204);
+    });
+
+    it('should return 404 for unknown windows', async () => {
+      mockFreeleechService.deleteFreeleechWindow.mockRejectedValue(new Error('Freeleech window not found'));
+
+      const response = await request(app).delete('/api/freeleech/99');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
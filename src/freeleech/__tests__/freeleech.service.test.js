@@ -0,0 +1,129 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  freeleechWindow: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    count: jest.fn(),
+    delete: jest.fn()
+  }
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+
+const {
+  createFreeleechWindow,
+  listFreeleechWindows,
+  deleteFreeleechWindow,
+  getActiveFreeleechWindow
+} = await import('../freeleech.service.js');
+
+describe('Freeleech Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createFreeleechWindow', () => {
+    it('should schedule a window and invalidate the active window cache', async () => {
+      const mockWindow = { id: 1, name: 'Weekend' };
+      mockDb.freeleechWindow.create.mockResolvedValue(mockWindow);
+
+      const result = await createFreeleechWindow({
+        name: 'Weekend',
+        startsAt: '2030-01-01T00:00:00Z',
+        endsAt: '2030-01-03T00:00:00Z',
+        createdBy: 'admin'
+      });
+
+      expect(mockDb.freeleechWindow.create).toHaveBeenCalledWith({
+        data: {
+          name: 'Weekend',
+          startsAt: new Date('2030-01-01T00:00:00Z'),
+          endsAt: new Date('2030-01-03T00:00:00Z'),
+          uploadMultiplier: 1,
+          downloadMultiplier: 0,
+          createdBy: 'admin'
+        }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith('cache:freeleech:active');
+      expect(result).toEqual(mockWindow);
+    });
+
+    it('should reject windows that end before they start', async () => {
+      await expect(createFreeleechWindow({
+        name: 'Broken',
+        startsAt: '2030-01-03T00:00:00Z',
+        endsAt: '2030-01-01T00:00:00Z',
+        createdBy: 'admin'
+      })).rejects.toThrow('End date must be after start date');
+      expect(mockDb.freeleechWindow.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listFreeleechWindows', () => {
+    it('should list windows with pagination', async () => {
+      mockDb.freeleechWindow.findMany.mockResolvedValue([{ id: 1 }]);
+      mockDb.freeleechWindow.count.mockResolvedValue(1);
+
+      const result = await listFreeleechWindows(1, 20);
+
+      expect(mockDb.freeleechWindow.findMany).toHaveBeenCalledWith({
+        where: {},
+        skip: 0,
+        take: 20,
+        orderBy: { startsAt: 'desc' }
+      });
+      expect(result.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+
+    it('should only return windows that have not ended when upcoming is set', async () => {
+      mockDb.freeleechWindow.findMany.mockResolvedValue([]);
+      mockDb.freeleechWindow.count.mockResolvedValue(0);
+
+      await listFreeleechWindows(1, 20, { upcoming: true });
+
+      const { where } = mockDb.freeleechWindow.findMany.mock.calls[0][0];
+      expect(where.endsAt.gt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('deleteFreeleechWindow', () => {
+    it('should throw a not found error for unknown windows', async () => {
+      mockDb.freeleechWindow.delete.mockRejectedValue({ code: 'P2025' });
+
+      await expect(deleteFreeleechWindow(99)).rejects.toThrow('Freeleech window not found');
+    });
+  });
+
+  describe('getActiveFreeleechWindow', () => {
+    it('should return the cached window when present', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({ id: 1, downloadMultiplier: 0 }));
+
+      const result = await getActiveFreeleechWindow();
+
+      expect(result).toEqual({ id: 1, downloadMultiplier: 0 });
+      expect(mockDb.freeleechWindow.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should query and cache the active window on a cache miss', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.freeleechWindow.findFirst.mockResolvedValue(null);
+
+      const result = await getActiveFreeleechWindow();
+
+      expect(result).toBeNull();
+      expect(mockRedis.set).toHaveBeenCalledWith('cache:freeleech:active', 'null', { EX: 60 });
+    });
+  });
+});
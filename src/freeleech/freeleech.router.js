@@ -0,0 +1,119 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { Counter } from 'prom-client';
+import { requirePermission } from '../middleware/permissions.js';
+import {
+  createFreeleechWindow,
+  listFreeleechWindows,
+  deleteFreeleechWindow
+} from './freeleech.service.js';
+
+export const freeleechRouter = express.Router();
+
+const getWindowCounter = new Counter({
+  name: 'get_freeleech_windows_requests',
+  help: 'Count get freeleech window requests'
+});
+
+const createWindowCounter = new Counter({
+  name: 'create_freeleech_windows_requests',
+  help: 'Count create freeleech window requests'
+});
+
+const createWindowValidation = [
+  body('name')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Starts at must be a valid date'),
+  body('endsAt')
+    .isISO8601()
+    .withMessage('Ends at must be a valid date'),
+  body('uploadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Upload multiplier must be between 0 and 10'),
+  body('downloadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Download multiplier must be between 0 and 10')
+];
+
+freeleechRouter.get('/',
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('upcoming').optional().isBoolean().withMessage('Upcoming must be true or false'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const upcoming = req.query.upcoming === 'true';
+
+      const result = await listFreeleechWindows(page, limit, { upcoming });
+
+      getWindowCounter.inc();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+freeleechRouter.post('/',
+  createWindowValidation,
+  requirePermission('freeleech.manage'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, startsAt, endsAt, uploadMultiplier, downloadMultiplier } = req.body;
+
+      const freeleechWindow = await createFreeleechWindow({
+        name,
+        startsAt,
+        endsAt,
+        uploadMultiplier: uploadMultiplier !== undefined ? parseFloat(uploadMultiplier) : undefined,
+        downloadMultiplier: downloadMultiplier !== undefined ? parseFloat(downloadMultiplier) : undefined,
+        createdBy: req.user.username
+      });
+
+      createWindowCounter.inc();
+      res.status(201).json({
+        message: 'Freeleech window scheduled successfully',
+        freeleechWindow
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+freeleechRouter.delete('/:id',
+  param('id').isInt({ min: 1 }).withMessage('ID must be a positive integer'),
+  requirePermission('freeleech.manage'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await deleteFreeleechWindow(req.params.id);
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'Freeleech window not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
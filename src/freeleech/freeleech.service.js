@@ -0,0 +1,113 @@
+import { db } from '../utils/db.server.js';
+import { logMessage } from '../utils/utils.js';
+import redisClient from '../utils/redis.js';
+import { RedisKeys, RedisTTL, RedisHelpers } from '../utils/redis-keys.js';
+
+async function createFreeleechWindow(windowData) {
+  try {
+    const { name, startsAt, endsAt, uploadMultiplier = 1, downloadMultiplier = 0, createdBy } = windowData;
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (end <= start) {
+      throw new Error('End date must be after start date');
+    }
+
+    const freeleechWindow = await db.freeleechWindow.create({
+      data: {
+        name,
+        startsAt: start,
+        endsAt: end,
+        uploadMultiplier,
+        downloadMultiplier,
+        createdBy
+      }
+    });
+
+    await redisClient.del(RedisKeys.cache.freeleechWindow());
+
+    logMessage('info', `Freeleech window scheduled: ${name} (${start.toISOString()} - ${end.toISOString()}) by ${createdBy}`);
+    return freeleechWindow;
+  } catch (error) {
+    logMessage('error', `Error creating freeleech window: ${error.message}`);
+    throw error;
+  }
+}
+
+async function listFreeleechWindows(page = 1, limit = 20, filters = {}) {
+  try {
+    const skip = (page - 1) * limit;
+    const { upcoming } = filters;
+
+    const where = {};
+    if (upcoming) {
+      where.endsAt = { gt: new Date() };
+    }
+
+    const [windows, total] = await Promise.all([
+      db.freeleechWindow.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { startsAt: 'desc' }
+      }),
+      db.freeleechWindow.count({ where })
+    ]);
+
+    return {
+      windows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logMessage('error', `Error listing freeleech windows: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deleteFreeleechWindow(id) {
+  try {
+    await db.freeleechWindow.delete({
+      where: { id: parseInt(id) }
+    });
+
+    await redisClient.del(RedisKeys.cache.freeleechWindow());
+
+    logMessage('info', `Freeleech window deleted: ${id}`);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('Freeleech window not found');
+    }
+    logMessage('error', `Error deleting freeleech window: ${error.message}`);
+    throw error;
+  }
+}
+
+// Looked up on every announce, so the active window is cached briefly
+async function getActiveFreeleechWindow() {
+  return RedisHelpers.getOrCompute(
+    RedisKeys.cache.freeleechWindow(),
+    async () => {
+      const now = new Date();
+      return db.freeleechWindow.findFirst({
+        where: {
+          startsAt: { lte: now },
+          endsAt: { gt: now }
+        },
+        orderBy: { startsAt: 'desc' }
+      });
+    },
+    RedisTTL.FREELEECH_WINDOW
+  );
+}
+
+export {
+  createFreeleechWindow,
+  listFreeleechWindows,
+  deleteFreeleechWindow,
+  getActiveFreeleechWindow
+};
@@ -0,0 +1,63 @@
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({ log: jest.fn() }),
+  format: {
+    combine: jest.fn(),
+    timestamp: jest.fn(),
+    printf: jest.fn()
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn()
+  }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { parseGeoIPCsv } = await import('../geoip-csv.js');
+
+describe('GeoIP CSV parser', () => {
+  it('should parse integer ranges with quoted country names', () => {
+    const result = parseGeoIPCsv([
+      '"16777216","16777471","AU","Australia"',
+      '"16781312","16785407","KR","Korea, Republic of"'
+    ].join('\r\n'));
+
+    expect(result).toEqual({
+      ranges: [
+        { startIP: 16777216n, endIP: 16777471n, code: 'AU' },
+        { startIP: 16781312n, endIP: 16785407n, code: 'KR' }
+      ],
+      skipped: 0
+    });
+  });
+
+  it('should parse address ranges including IPv6', () => {
+    const result = parseGeoIPCsv('1.0.0.0,1.0.0.255,au\n2001:db8::,2001:db8::ffff,NL');
+
+    expect(result.ranges).toEqual([
+      { startIP: 16777216n, endIP: 16777471n, code: 'AU' },
+      { startIP: 0x20010db8000000000000000000000000n, endIP: 0x20010db800000000000000000000ffffn, code: 'NL' }
+    ]);
+  });
+
+  it('should parse network,code rows', () => {
+    const result = parseGeoIPCsv('10.0.0.0/8,US');
+
+    expect(result.ranges).toEqual([{ startIP: 167772160n, endIP: 184549375n, code: 'US' }]);
+  });
+
+  it('should skip headers, reserved ranges and malformed rows', () => {
+    const result = parseGeoIPCsv([
+      'ip_from,ip_to,country_code,country_name',
+      '"0","16777215","-","-"',
+      '1.0.0.0,1.0.0.255,AUS',
+      '# comment',
+      '1.0.0.0,1.0.0.255,AU'
+    ].join('\n'));
+
+    expect(result.ranges).toHaveLength(1);
+    expect(result.skipped).toBe(3);
+  });
+});
@@ -0,0 +1,151 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+const mockGeoIPService = {
+  importGeoIP: jest.fn(),
+  lookupCountry: jest.fn(),
+  listCountryRules: jest.fn(),
+  upsertCountryRule: jest.fn(),
+  deleteCountryRule: jest.fn()
+};
+
+jest.unstable_mockModule('../geoip.service.js', () => mockGeoIPService);
+jest.unstable_mockModule('prom-client', () => ({
+  Counter: jest.fn().mockImplementation(() => ({
+    inc: jest.fn()
+  }))
+}));
+
+const { geoipRouter } = await import('../geoip.router.js');
+
+describe('GeoIP Router', () => {
+  let app;
+  let currentUser;
+
+  beforeEach(() => {
+    currentUser = { id: 1, username: 'admin', role: 'ADMIN' };
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      next();
+    });
+    app.use('/api/geoip', geoipRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/geoip/lookup/:ip', () => {
+    it('should resolve the country for moderators', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+      mockGeoIPService.lookupCountry.mockResolvedValue('AU');
+
+      const response = await request(app).get('/api/geoip/lookup/1.0.0.7');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ip: '1.0.0.7', country: 'AU' });
+    });
+
+    it('should reject invalid addresses', async () => {
+      const response = await request(app).get('/api/geoip/lookup/not-an-ip');
+
+      expect(response.status).toBe(400);
+      expect(mockGeoIPService.lookupCountry).not.toHaveBeenCalled();
+    });
+
+    it('should deny regular users', async () => {
+      currentUser = { id: 3, username: 'user', role: 'USER' };
+
+      const response = await request(app).get('/api/geoip/lookup/1.0.0.7');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/geoip/import', () => {
+    it('should import the CSV', async () => {
+      mockGeoIPService.importGeoIP.mockResolvedValue({ imported: 2, skipped: 0 });
+
+      const response = await request(app)
+        .post('/api/geoip/import')
+        .send({ content: '1.0.0.0,1.0.0.255,AU' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ message: 'GeoIP database imported successfully', imported: 2, skipped: 0 });
+    });
+
+    it('should report files without ranges', async () => {
+      mockGeoIPService.importGeoIP.mockRejectedValue(new Error('No GeoIP ranges found'));
+
+      const response = await request(app)
+        .post('/api/geoip/import')
+        .send({ content: 'garbage' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'No GeoIP ranges found' });
+    });
+
+    it('should deny moderators', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+
+      const response = await request(app)
+        .post('/api/geoip/import')
+        .send({ content: '1.0.0.0,1.0.0.255,AU' });
+
+      expect(response.status).toBe(403);
+      expect(mockGeoIPService.importGeoIP).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('country rules', () => {
+    it('should list rules', async () => {
+      mockGeoIPService.listCountryRules.mockResolvedValue([{ code: 'CN', action: 'DENY' }]);
+
+      const response = await request(app).get('/api/geoip/rules');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ rules: [{ code: 'CN', action: 'DENY' }] });
+    });
+
+    it('should save a rule', async () => {
+      mockGeoIPService.upsertCountryRule.mockResolvedValue({ code: 'CN', action: 'DENY' });
+
+      const response = await request(app)
+        .put('/api/geoip/rules/CN')
+        .send({ action: 'DENY', reason: 'Abuse' });
+
+      expect(response.status).toBe(200);
+      expect(mockGeoIPService.upsertCountryRule).toHaveBeenCalledWith('CN', {
+        action: 'DENY',
+        reason: 'Abuse',
+        createdBy: 'admin'
+      });
+    });
+
+    it('should validate the country code and action', async () => {
+      const response = await request(app)
+        .put('/api/geoip/rules/XX1')
+        .send({ action: 'BLOCK' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toHaveLength(2);
+    });
+
+    it('should return 404 for unknown rules', async () => {
+      mockGeoIPService.deleteCountryRule.mockRejectedValue(new Error('Country rule not found'));
+
+      const response = await request(app).delete('/api/geoip/rules/CN');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should delete a rule', async () => {
+      mockGeoIPService.deleteCountryRule.mockResolvedValue();
+
+      const response = await request(app).delete('/api/geoip/rules/CN');
+
+      expect(response.status).toBe(204);
+      expect(mockGeoIPService.deleteCountryRule).toHaveBeenCalledWith('CN');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  geoIP: {
+    deleteMany: jest.fn(),
+    createMany: jest.fn(),
+    findFirst: jest.fn()
+  },
+  countryRule: {
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  incr: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage,
+  ipToNumber: (ip) => {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(Number.isNaN)) {
+      return null;
+    }
+    return parts.reduce((acc, part) => acc * 256n + BigInt(part), 0n);
+  }
+}));
+
+const {
+  importGeoIP,
+  lookupCountry,
+  upsertCountryRule,
+  deleteCountryRule,
+  checkCountryAllowed
+} = await import('../geoip.service.js');
+
+describe('GeoIP Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedis.get.mockResolvedValue(null);
+    mockDb.geoIP.deleteMany.mockReturnValue('delete-op');
+    mockDb.geoIP.createMany.mockReturnValue('create-op');
+  });
+
+  describe('importGeoIP', () => {
+    it('should replace the table and invalidate cached lookups', async () => {
+      mockDb.$transaction.mockResolvedValue([{ count: 10 }, { count: 2 }]);
+
+      const result = await importGeoIP('1.0.0.0,1.0.0.255,AU\n1.0.1.0,1.0.3.255,CN\nbad row');
+
+      expect(mockDb.geoIP.createMany).toHaveBeenCalledWith({
+        data: [
+          { startIP: 16777216n, endIP: 16777471n, code: 'AU' },
+          { startIP: 16777472n, endIP: 16778239n, code: 'CN' }
+        ],
+        skipDuplicates: true
+      });
+      expect(mockDb.$transaction).toHaveBeenCalledWith(['delete-op', 'create-op']);
+      expect(mockRedis.incr).toHaveBeenCalledWith('geoip:version');
+      expect(result).toEqual({ imported: 2, skipped: 1 });
+    });
+
+    it('should refuse to empty the table on an unusable file', async () => {
+      await expect(importGeoIP('not,a,csv')).rejects.toThrow('No GeoIP ranges found');
+      expect(mockDb.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lookupCountry', () => {
+    it('should resolve the range containing the address and cache it', async () => {
+      mockDb.geoIP.findFirst.mockResolvedValue({ endIP: 16777471n, code: 'AU' });
+
+      const country = await lookupCountry('1.0.0.7');
+
+      expect(country).toBe('AU');
+      expect(mockDb.geoIP.findFirst).toHaveBeenCalledWith({
+        where: { startIP: { lte: 16777223n } },
+        orderBy: { startIP: 'desc' },
+        select: { endIP: true, code: true }
+      });
+      expect(mockRedis.set).toHaveBeenCalledWith('geoip:lookup:0:1.0.0.7', 'AU', { EX: 86400 });
+    });
+
+    it('should return null for addresses in a gap between ranges', async () => {
+      mockDb.geoIP.findFirst.mockResolvedValue({ endIP: 16777471n, code: 'AU' });
+
+      const country = await lookupCountry('1.0.1.1');
+
+      expect(country).toBeNull();
+      expect(mockRedis.set).toHaveBeenCalledWith('geoip:lookup:0:1.0.1.1', '', { EX: 86400 });
+    });
+
+    it('should answer from the cache', async () => {
+      mockRedis.get.mockImplementation(async (key) => {
+        if (key === 'geoip:version') {return '2';}
+        if (key === 'geoip:lookup:2:1.0.0.7') {return 'AU';}
+        return null;
+      });
+
+      const country = await lookupCountry('1.0.0.7');
+
+      expect(country).toBe('AU');
+      expect(mockDb.geoIP.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should ignore unparseable addresses', async () => {
+      expect(await lookupCountry('invalid-ip')).toBeNull();
+      expect(await lookupCountry(undefined)).toBeNull();
+    });
+  });
+
+  describe('country rules', () => {
+    it('should upsert a rule and drop the cached rule list', async () => {
+      mockDb.countryRule.upsert.mockResolvedValue({ code: 'CN', action: 'DENY' });
+
+      await upsertCountryRule('cn', { action: 'DENY', reason: 'Abuse', createdBy: 'admin' });
+
+      expect(mockDb.countryRule.upsert).toHaveBeenCalledWith({
+        where: { code: 'CN' },
+        create: { code: 'CN', action: 'DENY', reason: 'Abuse', createdBy: 'admin' },
+        update: { action: 'DENY', reason: 'Abuse' }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith('cache:country:rules');
+    });
+
+    it('should report missing rules on delete', async () => {
+      mockDb.countryRule.delete.mockRejectedValue({ code: 'P2025' });
+
+      await expect(deleteCountryRule('CN')).rejects.toThrow('Country rule not found');
+    });
+  });
+
+  describe('checkCountryAllowed', () => {
+    it('should skip the lookup when no rules are configured', async () => {
+      mockDb.countryRule.findMany.mockResolvedValue([]);
+
+      await expect(checkCountryAllowed('1.0.0.7')).resolves.toBeNull();
+      expect(mockDb.geoIP.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should block denied countries', async () => {
+      mockDb.countryRule.findMany.mockResolvedValue([{ code: 'AU', action: 'DENY' }]);
+      mockDb.geoIP.findFirst.mockResolvedValue({ endIP: 16777471n, code: 'AU' });
+
+      await expect(checkCountryAllowed('1.0.0.7')).rejects.toThrow('Country not allowed: AU');
+    });
+
+    it('should only admit allowed countries once an allow rule exists', async () => {
+      mockDb.countryRule.findMany.mockResolvedValue([{ code: 'NL', action: 'ALLOW' }]);
+      mockDb.geoIP.findFirst.mockResolvedValue({ endIP: 16777471n, code: 'AU' });
+
+      await expect(checkCountryAllowed('1.0.0.7')).rejects.toThrow('Country not allowed: AU');
+
+      mockDb.geoIP.findFirst.mockResolvedValue({ endIP: 16777471n, code: 'NL' });
+      await expect(checkCountryAllowed('1.0.0.8')).resolves.toBe('NL');
+    });
+
+    it('should let peers of unknown country through', async () => {
+      mockDb.countryRule.findMany.mockResolvedValue([{ code: 'NL', action: 'ALLOW' }]);
+      mockDb.geoIP.findFirst.mockResolvedValue(null);
+
+      await expect(checkCountryAllowed('1.0.0.7')).resolves.toBeNull();
+    });
+  });
+});
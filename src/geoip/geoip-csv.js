@@ -0,0 +1,75 @@
+import { parseIPRange, normalizeIPBanInput } from '../ip-bans/ip-range.js';
+
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+// Minimal CSV field splitter: quoted fields may contain commas
+// ("KR","Korea, Republic of")
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+function parseRow(fields) {
+  // network,code (CIDR) or start,end,code with addresses or integers
+  // (IP2Location LITE, DB-IP and similar country range exports)
+  const [first, second, third] = fields;
+  const range = first.includes('/')
+    ? { ...parseIPRange(first), code: second }
+    : { ...normalizeIPBanInput({ fromIP: first, toIP: second }), code: third };
+
+  const code = String(range.code ?? '').toUpperCase();
+  if (!COUNTRY_CODE.test(code)) {
+    return null;
+  }
+
+  return { startIP: range.fromIP, endIP: range.toIP, code };
+}
+
+// Header rows, reserved ranges ("-") and malformed lines are counted as skipped
+function parseGeoIPCsv(text) {
+  const ranges = [];
+  let skipped = 0;
+
+  for (const rawLine of String(text ?? '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    try {
+      const range = parseRow(splitCsvLine(line));
+      if (range) {
+        ranges.push(range);
+      } else {
+        skipped++;
+      }
+    } catch {
+      skipped++;
+    }
+  }
+
+  return { ranges, skipped };
+}
+
+export { parseGeoIPCsv };
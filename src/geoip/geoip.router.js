@@ -0,0 +1,142 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { Counter } from 'prom-client';
+import { requirePermission } from '../middleware/permissions.js';
+import {
+  importGeoIP,
+  lookupCountry,
+  listCountryRules,
+  upsertCountryRule,
+  deleteCountryRule
+} from './geoip.service.js';
+
+export const geoipRouter = express.Router();
+
+const lookupCounter = new Counter({
+  name: 'geoip_lookup_requests',
+  help: 'Count GeoIP lookup requests'
+});
+
+const importCounter = new Counter({
+  name: 'geoip_import_requests',
+  help: 'Count GeoIP import requests'
+});
+
+const countryCodeValidation = param('code')
+  .isISO31661Alpha2()
+  .withMessage('Country code must be an ISO 3166-1 alpha-2 code');
+
+// GET /api/geoip/lookup/:ip - Resolve an IP address to a country
+geoipRouter.get('/lookup/:ip',
+  param('ip').isIP().withMessage('Invalid IP address'),
+  requirePermission('geoip.lookup'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const country = await lookupCountry(req.params.ip);
+
+      lookupCounter.inc();
+      res.json({ ip: req.params.ip, country });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// POST /api/geoip/import - Replace the GeoIP database from a country CSV
+geoipRouter.post('/import',
+  body('content').isString().notEmpty().withMessage('CSV content is required'),
+  requirePermission('geoip.import'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await importGeoIP(req.body.content);
+
+      importCounter.inc();
+      res.status(201).json({
+        message: 'GeoIP database imported successfully',
+        ...result
+      });
+    } catch (error) {
+      if (error.message === 'No GeoIP ranges found') {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /api/geoip/rules - Country announce rules
+geoipRouter.get('/rules',
+  requirePermission('geoip.rules'),
+  async (req, res) => {
+    try {
+      const rules = await listCountryRules();
+      res.json({ rules });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// PUT /api/geoip/rules/:code - Allow or deny a country
+geoipRouter.put('/rules/:code',
+  countryCodeValidation,
+  body('action').isIn(['ALLOW', 'DENY']).withMessage('Action must be ALLOW or DENY'),
+  body('reason')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters'),
+  requirePermission('geoip.rules'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rule = await upsertCountryRule(req.params.code, {
+        action: req.body.action,
+        reason: req.body.reason,
+        createdBy: req.user.username
+      });
+
+      res.json({
+        message: 'Country rule saved successfully',
+        rule
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// DELETE /api/geoip/rules/:code - Remove a country rule
+geoipRouter.delete('/rules/:code',
+  countryCodeValidation,
+  requirePermission('geoip.rules'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await deleteCountryRule(req.params.code);
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'Country rule not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
@@ -0,0 +1,165 @@
+import { db } from '../utils/db.server.js';
+import { logMessage, ipToNumber } from '../utils/utils.js';
+import redisClient from '../utils/redis.js';
+import { RedisKeys, RedisTTL, RedisHelpers } from '../utils/redis-keys.js';
+import { parseGeoIPCsv } from './geoip-csv.js';
+
+// Rows per createMany; keeps each statement well below Postgres' bind
+// parameter limit
+const IMPORT_CHUNK_SIZE = 5000;
+
+// Replaces the whole GeoIP table with the ranges of a country CSV
+async function importGeoIP(text) {
+  try {
+    const { ranges, skipped } = parseGeoIPCsv(text);
+    if (ranges.length === 0) {
+      throw new Error('No GeoIP ranges found');
+    }
+
+    const operations = [db.geoIP.deleteMany()];
+    for (let i = 0; i < ranges.length; i += IMPORT_CHUNK_SIZE) {
+      operations.push(db.geoIP.createMany({
+        data: ranges.slice(i, i + IMPORT_CHUNK_SIZE),
+        skipDuplicates: true
+      }));
+    }
+
+    const [, ...created] = await db.$transaction(operations);
+    const imported = created.reduce((total, result) => total + result.count, 0);
+
+    // Cached lookups are keyed by version, so they all go stale at once
+    await redisClient.incr(RedisKeys.geoip.version());
+
+    logMessage('info', `GeoIP database imported: ${imported} ranges, ${skipped} skipped`);
+    return { imported, skipped };
+  } catch (error) {
+    logMessage('error', `Error importing GeoIP database: ${error.message}`);
+    throw error;
+  }
+}
+
+async function findCountry(ipNumber) {
+  // The closest range starting at or below the address, via the primary key
+  const range = await db.geoIP.findFirst({
+    where: { startIP: { lte: ipNumber } },
+    orderBy: { startIP: 'desc' },
+    select: { endIP: true, code: true }
+  });
+
+  return range && range.endIP >= ipNumber ? range.code : null;
+}
+
+// Resolves an IP to an ISO country code, or null when unknown
+async function lookupCountry(ip) {
+  try {
+    const ipNumber = ip ? ipToNumber(ip) : null;
+    if (ipNumber === null) {
+      return null;
+    }
+
+    const version = (await redisClient.get(RedisKeys.geoip.version())) || 0;
+    const key = RedisKeys.geoip.lookup(ip, version);
+
+    const cached = await redisClient.get(key);
+    if (cached !== null) {
+      return cached || null;
+    }
+
+    const code = await findCountry(ipNumber);
+    await redisClient.set(key, code ?? '', { EX: RedisTTL.GEOIP_LOOKUP });
+    return code;
+  } catch (error) {
+    logMessage('error', `Error looking up country: ${error.message}`);
+    return null;
+  }
+}
+
+async function listCountryRules() {
+  try {
+    return await db.countryRule.findMany({
+      orderBy: { code: 'asc' }
+    });
+  } catch (error) {
+    logMessage('error', `Error listing country rules: ${error.message}`);
+    throw error;
+  }
+}
+
+async function upsertCountryRule(code, ruleData) {
+  try {
+    const { action, reason, createdBy } = ruleData;
+    const countryCode = String(code).toUpperCase();
+
+    const rule = await db.countryRule.upsert({
+      where: { code: countryCode },
+      create: { code: countryCode, action, reason, createdBy },
+      update: { action, reason }
+    });
+
+    await redisClient.del(RedisKeys.cache.countryRules());
+
+    logMessage('info', `Country rule saved: ${action} ${countryCode} by ${createdBy}`);
+    return rule;
+  } catch (error) {
+    logMessage('error', `Error saving country rule: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deleteCountryRule(code) {
+  try {
+    const countryCode = String(code).toUpperCase();
+
+    await db.countryRule.delete({
+      where: { code: countryCode }
+    });
+    await redisClient.del(RedisKeys.cache.countryRules());
+
+    logMessage('info', `Country rule deleted: ${countryCode}`);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('Country rule not found');
+    }
+    logMessage('error', `Error deleting country rule: ${error.message}`);
+    throw error;
+  }
+}
+
+// Any DENY rule blocks its country. Once an ALLOW rule exists only allowed
+// countries may announce. Peers whose country is unknown are never blocked,
+// so an empty or outdated GeoIP table cannot lock everyone out.
+async function checkCountryAllowed(ip) {
+  const rules = await RedisHelpers.getOrCompute(
+    RedisKeys.cache.countryRules(),
+    () => db.countryRule.findMany({
+      select: { code: true, action: true }
+    }),
+    RedisTTL.TRACKER_CACHE
+  );
+
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const country = await lookupCountry(ip);
+  if (!country) {
+    return null;
+  }
+
+  const rule = rules.find(countryRule => countryRule.code === country);
+  const allowlist = rules.some(countryRule => countryRule.action === 'ALLOW');
+  if (rule?.action === 'DENY' || (allowlist && rule?.action !== 'ALLOW')) {
+    throw new Error(`Country not allowed: ${country}`);
+  }
+
+  return country;
+}
+
+export {
+  importGeoIP,
+  lookupCountry,
+  listCountryRules,
+  upsertCountryRule,
+  deleteCountryRule,
+  checkCountryAllowed
+};
@@ -0,0 +1,147 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+const mockHitAndRunsService = {
+  listHitAndRuns: jest.fn(),
+  forgiveHitAndRun: jest.fn(),
+  evaluateHitAndRuns: jest.fn(),
+  listHitAndRunRules: jest.fn(),
+  upsertHitAndRunRule: jest.fn(),
+  deleteHitAndRunRule: jest.fn()
+};
+
+jest.unstable_mockModule('../hit-and-runs.service.js', () => mockHitAndRunsService);
+jest.unstable_mockModule('prom-client', () => ({
+  Counter: jest.fn().mockImplementation(() => ({
+    inc: jest.fn()
+  }))
+}));
+
+const { hitAndRunsRouter } = await import('../hit-and-runs.router.js');
+
+describe('Hit and Runs Router', () => {
+  let app;
+  let currentUser;
+
+  beforeEach(() => {
+    currentUser = { id: 1, username: 'admin', role: 'ADMIN' };
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      next();
+    });
+    app.use('/api/hit-and-runs', hitAndRunsRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/hit-and-runs', () => {
+    it('should list open hit and runs for moderators', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+      mockHitAndRunsService.listHitAndRuns.mockResolvedValue({ hitAndRuns: [], pagination: {} });
+
+      const response = await request(app).get('/api/hit-and-runs?userId=4');
+
+      expect(response.status).toBe(200);
+      expect(mockHitAndRunsService.listHitAndRuns).toHaveBeenCalledWith(1, 20, {
+        status: undefined,
+        userId: '4'
+      });
+    });
+
+    it('should deny regular users', async () => {
+      currentUser = { id: 3, username: 'user', role: 'USER' };
+
+      const response = await request(app).get('/api/hit-and-runs');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject unknown statuses', async () => {
+      const response = await request(app).get('/api/hit-and-runs?status=CLOSED');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/hit-and-runs/me', () => {
+    it('should list the current user hit and runs', async () => {
+      currentUser = { id: 3, username: 'user', role: 'USER' };
+      mockHitAndRunsService.listHitAndRuns.mockResolvedValue({ hitAndRuns: [], pagination: {} });
+
+      const response = await request(app).get('/api/hit-and-runs/me');
+
+      expect(response.status).toBe(200);
+      expect(mockHitAndRunsService.listHitAndRuns).toHaveBeenCalledWith(1, 20, {
+        status: undefined,
+        userId: 3
+      });
+    });
+  });
+
+  describe('PATCH /api/hit-and-runs/:id/forgive', () => {
+    it('should forgive a hit and run', async () => {
+      mockHitAndRunsService.forgiveHitAndRun.mockResolvedValue({ id: 1, status: 'FORGIVEN' });
+
+      const response = await request(app).patch('/api/hit-and-runs/1/forgive');
+
+      expect(response.status).toBe(200);
+      expect(mockHitAndRunsService.forgiveHitAndRun).toHaveBeenCalledWith('1', 'admin');
+    });
+
+    it('should return 404 for unknown hit and runs', async () => {
+      mockHitAndRunsService.forgiveHitAndRun.mockRejectedValue(new Error('Hit and run not found'));
+
+      const response = await request(app).patch('/api/hit-and-runs/99/forgive');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('rules', () => {
+    it('should save a category rule', async () => {
+      mockHitAndRunsService.upsertHitAndRunRule.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .put('/api/hit-and-runs/rules/3')
+        .send({ minSeedtime: 86400, minRatio: 1, windowDays: 14 });
+
+      expect(response.status).toBe(200);
+      expect(mockHitAndRunsService.upsertHitAndRunRule).toHaveBeenCalledWith('3', {
+        minSeedtime: 86400,
+        minRatio: 1,
+        windowDays: 14
+      });
+    });
+
+    it('should only allow admins to change rules', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+
+      const response = await request(app)
+        .put('/api/hit-and-runs/rules/3')
+        .send({ minSeedtime: 86400, minRatio: 1, windowDays: 14 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should validate rule values', async () => {
+      const response = await request(app)
+        .put('/api/hit-and-runs/rules/3')
+        .send({ minSeedtime: -1, minRatio: 1, windowDays: 0 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/hit-and-runs/evaluate', () => {
+    it('should run the evaluation', async () => {
+      mockHitAndRunsService.evaluateHitAndRuns.mockResolvedValue({ satisfied: 1, warned: 2, banned: 0 });
+
+      const response = await request(app).post('/api/hit-and-runs/evaluate');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ satisfied: 1, warned: 2, banned: 0 });
+    });
+  });
+});
@@ -0,0 +1,269 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  hitAndRun: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn()
+  },
+  hitAndRunRule: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  torrent: {
+    findUnique: jest.fn()
+  },
+  category: {
+    findUnique: jest.fn()
+  },
+  progress: {
+    findUnique: jest.fn()
+  }
+};
+
+const mockLogMessage = jest.fn();
+const mockCreateUserBan = jest.fn();
+const mockIsUserBanned = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+jest.unstable_mockModule('../../users/user-ban.service.js', () => ({
+  createUserBan: mockCreateUserBan,
+  isUserBanned: mockIsUserBanned
+}));
+
+const { trackerConfig } = await import('../../config/tracker.js');
+const {
+  openHitAndRun,
+  listHitAndRuns,
+  forgiveHitAndRun,
+  evaluateHitAndRuns,
+  upsertHitAndRunRule,
+  deleteHitAndRunRule
+} = await import('../hit-and-runs.service.js');
+
+describe('Hit and Runs Service', () => {
+  const infoHash = 'a'.repeat(40);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('openHitAndRun', () => {
+    it('should open a watch using the category rule', async () => {
+      const completedAt = new Date('2030-01-01T00:00:00Z');
+      mockDb.hitAndRun.findUnique.mockResolvedValue(null);
+      mockDb.torrent.findUnique.mockResolvedValue({ uploadedById: 1, categoryId: 3 });
+      mockDb.hitAndRunRule.findUnique.mockResolvedValue({ minSeedtime: 3600, minRatio: 0.5, windowDays: 7 });
+      mockDb.hitAndRun.create.mockResolvedValue({ id: 1 });
+
+      await openHitAndRun(2, infoHash, completedAt);
+
+      expect(mockDb.hitAndRunRule.findUnique).toHaveBeenCalledWith({ where: { categoryId: 3 } });
+      expect(mockDb.hitAndRun.create).toHaveBeenCalledWith({
+        data: {
+          userId: 2,
+          infoHash,
+          completedAt,
+          deadline: new Date('2030-01-08T00:00:00Z'),
+          requiredSeedtime: 3600,
+          requiredRatio: 0.5
+        }
+      });
+    });
+
+    it('should fall back to the default rule for uncategorized torrents', async () => {
+      mockDb.hitAndRun.findUnique.mockResolvedValue(null);
+      mockDb.torrent.findUnique.mockResolvedValue({ uploadedById: 1, categoryId: null });
+      mockDb.hitAndRun.create.mockResolvedValue({ id: 1 });
+
+      await openHitAndRun(2, infoHash);
+
+      expect(mockDb.hitAndRunRule.findUnique).not.toHaveBeenCalled();
+      const { data } = mockDb.hitAndRun.create.mock.calls[0][0];
+      expect(data.requiredSeedtime).toBe(trackerConfig.hitAndRun.minSeedtime);
+      expect(data.requiredRatio).toBe(trackerConfig.hitAndRun.minRatio);
+    });
+
+    it('should not open a watch for the uploader', async () => {
+      mockDb.hitAndRun.findUnique.mockResolvedValue(null);
+      mockDb.torrent.findUnique.mockResolvedValue({ uploadedById: 2, categoryId: null });
+
+      const result = await openHitAndRun(2, infoHash);
+
+      expect(result).toBeNull();
+      expect(mockDb.hitAndRun.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep an existing watch', async () => {
+      const existing = { id: 5, status: 'PENDING' };
+      mockDb.hitAndRun.findUnique.mockResolvedValue(existing);
+
+      const result = await openHitAndRun(2, infoHash);
+
+      expect(result).toBe(existing);
+      expect(mockDb.hitAndRun.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listHitAndRuns', () => {
+    it('should list open hit and runs by default', async () => {
+      mockDb.hitAndRun.findMany.mockResolvedValue([]);
+      mockDb.hitAndRun.count.mockResolvedValue(0);
+
+      const result = await listHitAndRuns(1, 20);
+
+      expect(mockDb.hitAndRun.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { status: { in: ['PENDING', 'WARNED'] } },
+        skip: 0,
+        take: 20
+      }));
+      expect(result.pagination.total).toBe(0);
+    });
+
+    it('should filter by status and user', async () => {
+      mockDb.hitAndRun.findMany.mockResolvedValue([]);
+      mockDb.hitAndRun.count.mockResolvedValue(0);
+
+      await listHitAndRuns(1, 20, { status: 'WARNED', userId: '4' });
+
+      expect(mockDb.hitAndRun.count).toHaveBeenCalledWith({
+        where: { status: 'WARNED', userId: 4 }
+      });
+    });
+  });
+
+  describe('forgiveHitAndRun', () => {
+    it('should forgive an open hit and run', async () => {
+      mockDb.hitAndRun.findUnique.mockResolvedValue({ id: 1, status: 'WARNED' });
+      mockDb.hitAndRun.update.mockResolvedValue({ id: 1, status: 'FORGIVEN' });
+
+      await forgiveHitAndRun(1, 'mod');
+
+      expect(mockDb.hitAndRun.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: {
+          status: 'FORGIVEN',
+          forgivenBy: 'mod',
+          resolvedAt: expect.any(Date)
+        }
+      });
+    });
+
+    it('should reject resolved hit and runs', async () => {
+      mockDb.hitAndRun.findUnique.mockResolvedValue({ id: 1, status: 'SATISFIED' });
+
+      await expect(forgiveHitAndRun(1, 'mod')).rejects.toThrow('Hit and run is already resolved');
+    });
+
+    it('should throw when the hit and run does not exist', async () => {
+      mockDb.hitAndRun.findUnique.mockResolvedValue(null);
+
+      await expect(forgiveHitAndRun(99, 'mod')).rejects.toThrow('Hit and run not found');
+    });
+  });
+
+  describe('evaluateHitAndRuns', () => {
+    const past = new Date(Date.now() - 1000);
+    const future = new Date(Date.now() + 86400000);
+
+    it('should satisfy watches that reached the seedtime or ratio', async () => {
+      mockDb.hitAndRun.findMany.mockResolvedValue([
+        { id: 1, userId: 2, infoHash, deadline: future, requiredSeedtime: 3600, requiredRatio: 1 },
+        { id: 2, userId: 3, infoHash, deadline: past, requiredSeedtime: 3600, requiredRatio: 1 }
+      ]);
+      mockDb.progress.findUnique
+        .mockResolvedValueOnce({ seedtime: 4000n, uploaded: 0n, download: 100n })
+        .mockResolvedValueOnce({ seedtime: 0n, uploaded: 150n, download: 100n });
+
+      const result = await evaluateHitAndRuns();
+
+      expect(result).toEqual({ satisfied: 2, warned: 0, banned: 0 });
+      expect(mockDb.hitAndRun.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { status: 'SATISFIED', resolvedAt: expect.any(Date) }
+      });
+    });
+
+    it('should leave watches within their window untouched', async () => {
+      mockDb.hitAndRun.findMany.mockResolvedValue([
+        { id: 1, userId: 2, infoHash, deadline: future, requiredSeedtime: 3600, requiredRatio: 1 }
+      ]);
+      mockDb.progress.findUnique.mockResolvedValue({ seedtime: 10n, uploaded: 0n, download: 100n });
+
+      const result = await evaluateHitAndRuns();
+
+      expect(result).toEqual({ satisfied: 0, warned: 0, banned: 0 });
+      expect(mockDb.hitAndRun.update).not.toHaveBeenCalled();
+    });
+
+    it('should warn expired watches and ban after repeated offences', async () => {
+      mockDb.hitAndRun.findMany.mockResolvedValue([
+        { id: 1, userId: 2, infoHash, deadline: past, requiredSeedtime: 3600, requiredRatio: 1 }
+      ]);
+      mockDb.progress.findUnique.mockResolvedValue(null);
+      mockDb.hitAndRun.count.mockResolvedValue(trackerConfig.hitAndRun.maxWarnings);
+      mockIsUserBanned.mockResolvedValue(false);
+
+      const result = await evaluateHitAndRuns();
+
+      expect(result).toEqual({ satisfied: 0, warned: 1, banned: 1 });
+      expect(mockDb.hitAndRun.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { status: 'WARNED' }
+      });
+      expect(mockCreateUserBan).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 2,
+        bannedBy: 'system'
+      }));
+    });
+
+    it('should not ban users below the warning threshold', async () => {
+      mockDb.hitAndRun.findMany.mockResolvedValue([
+        { id: 1, userId: 2, infoHash, deadline: past, requiredSeedtime: 3600, requiredRatio: 1 }
+      ]);
+      mockDb.progress.findUnique.mockResolvedValue(null);
+      mockDb.hitAndRun.count.mockResolvedValue(1);
+
+      const result = await evaluateHitAndRuns();
+
+      expect(result.banned).toBe(0);
+      expect(mockCreateUserBan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upsertHitAndRunRule', () => {
+    it('should save a rule for an existing category', async () => {
+      mockDb.category.findUnique.mockResolvedValue({ id: 3, name: 'Movies' });
+      mockDb.hitAndRunRule.upsert.mockResolvedValue({ id: 1 });
+
+      await upsertHitAndRunRule('3', { minSeedtime: 7200, minRatio: 1, windowDays: 10 });
+
+      expect(mockDb.hitAndRunRule.upsert).toHaveBeenCalledWith({
+        where: { categoryId: 3 },
+        create: { categoryId: 3, minSeedtime: 7200, minRatio: 1, windowDays: 10 },
+        update: { minSeedtime: 7200, minRatio: 1, windowDays: 10 },
+        include: { category: true }
+      });
+    });
+
+    it('should reject unknown categories', async () => {
+      mockDb.category.findUnique.mockResolvedValue(null);
+
+      await expect(upsertHitAndRunRule(99, { minSeedtime: 0, minRatio: 1, windowDays: 1 }))
+        .rejects.toThrow('Category not found');
+    });
+  });
+
+  describe('deleteHitAndRunRule', () => {
+    it('should throw when no rule exists', async () => {
+      mockDb.hitAndRunRule.delete.mockRejectedValue({ code: 'P2025' });
+
+      await expect(deleteHitAndRunRule(3)).rejects.toThrow('Hit and run rule not found');
+    });
+  });
+});
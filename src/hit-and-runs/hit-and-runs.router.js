@@ -0,0 +1,210 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { Counter } from 'prom-client';
+import { requirePermission } from '../middleware/permissions.js';
+import {
+  listHitAndRuns,
+  forgiveHitAndRun,
+  evaluateHitAndRuns,
+  listHitAndRunRules,
+  upsertHitAndRunRule,
+  deleteHitAndRunRule
+} from './hit-and-runs.service.js';
+
+export const hitAndRunsRouter = express.Router();
+
+const getHitAndRunCounter = new Counter({
+  name: 'get_hit_and_runs_requests',
+  help: 'Count get hit and run requests'
+});
+
+const forgiveHitAndRunCounter = new Counter({
+  name: 'forgive_hit_and_runs_requests',
+  help: 'Count forgive hit and run requests'
+});
+
+const listValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['PENDING', 'SATISFIED', 'WARNED', 'FORGIVEN'])
+    .withMessage('Invalid status')
+];
+
+const ruleValidation = [
+  param('categoryId').isInt({ min: 1 }).withMessage('Category ID must be a positive integer'),
+  body('minSeedtime')
+    .isInt({ min: 0 })
+    .withMessage('Minimum seedtime must be a positive number of seconds'),
+  body('minRatio')
+    .isFloat({ min: 0 })
+    .withMessage('Minimum ratio must be a positive number'),
+  body('windowDays')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Window days must be between 1 and 365')
+];
+
+// GET /api/hit-and-runs/me - Open hit and runs of the current user
+hitAndRunsRouter.get('/me',
+  listValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await listHitAndRuns(page, limit, {
+        status: req.query.status,
+        userId: req.user.id
+      });
+
+      getHitAndRunCounter.inc();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /api/hit-and-runs/rules - Default and per-category rules
+hitAndRunsRouter.get('/rules',
+  requirePermission('hit-and-runs.rules'),
+  async (req, res) => {
+    try {
+      const result = await listHitAndRunRules();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// PUT /api/hit-and-runs/rules/:categoryId - Configure a category rule
+hitAndRunsRouter.put('/rules/:categoryId',
+  ruleValidation,
+  requirePermission('hit-and-runs.rules'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { minSeedtime, minRatio, windowDays } = req.body;
+      const rule = await upsertHitAndRunRule(req.params.categoryId, {
+        minSeedtime: parseInt(minSeedtime),
+        minRatio: parseFloat(minRatio),
+        windowDays: parseInt(windowDays)
+      });
+
+      res.json({
+        message: 'Hit and run rule saved successfully',
+        rule
+      });
+    } catch (error) {
+      if (error.message === 'Category not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// DELETE /api/hit-and-runs/rules/:categoryId - Fall back to the default rule
+hitAndRunsRouter.delete('/rules/:categoryId',
+  param('categoryId').isInt({ min: 1 }).withMessage('Category ID must be a positive integer'),
+  requirePermission('hit-and-runs.rules'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await deleteHitAndRunRule(req.params.categoryId);
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'Hit and run rule not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// POST /api/hit-and-runs/evaluate - Run the evaluation job now
+hitAndRunsRouter.post('/evaluate',
+  requirePermission('hit-and-runs.rules'),
+  async (req, res) => {
+    try {
+      const result = await evaluateHitAndRuns();
+
+      res.json({
+        message: 'Hit and run evaluation completed',
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /api/hit-and-runs - List open hit and runs
+hitAndRunsRouter.get('/',
+  listValidation,
+  query('userId').optional().isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  requirePermission('hit-and-runs.view'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await listHitAndRuns(page, limit, {
+        status: req.query.status,
+        userId: req.query.userId
+      });
+
+      getHitAndRunCounter.inc();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// PATCH /api/hit-and-runs/:id/forgive - Forgive a hit and run
+hitAndRunsRouter.patch('/:id/forgive',
+  param('id').isInt({ min: 1 }).withMessage('ID must be a positive integer'),
+  requirePermission('hit-and-runs.forgive'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const hitAndRun = await forgiveHitAndRun(req.params.id, req.user.username);
+
+      forgiveHitAndRunCounter.inc();
+      res.json({
+        message: 'Hit and run forgiven successfully',
+        hitAndRun
+      });
+    } catch (error) {
+      if (error.message === 'Hit and run not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
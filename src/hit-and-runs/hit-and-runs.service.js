@@ -0,0 +1,297 @@
+import { db } from '../utils/db.server.js';
+import { logMessage } from '../utils/utils.js';
+import { trackerConfig } from '../config/tracker.js';
+import { createUserBan, isUserBanned } from '../users/user-ban.service.js';
+
+const OPEN_STATUSES = ['PENDING', 'WARNED'];
+
+async function getRuleForCategory(categoryId) {
+  const defaults = trackerConfig.hitAndRun;
+  if (!categoryId) {
+    return defaults;
+  }
+
+  const rule = await db.hitAndRunRule.findUnique({
+    where: { categoryId }
+  });
+
+  return rule || defaults;
+}
+
+async function openHitAndRun(userId, infoHash, completedAt = new Date()) {
+  try {
+    const existing = await db.hitAndRun.findUnique({
+      where: { userId_infoHash: { userId, infoHash } }
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const torrent = await db.torrent.findUnique({
+      where: { infoHash },
+      select: { uploadedById: true, categoryId: true }
+    });
+
+    // Uploaders are seeding their own release and never owe anything on it
+    if (!torrent || torrent.uploadedById === userId) {
+      return null;
+    }
+
+    const rule = await getRuleForCategory(torrent.categoryId);
+    const deadline = new Date(completedAt);
+    deadline.setDate(deadline.getDate() + rule.windowDays);
+
+    const hitAndRun = await db.hitAndRun.create({
+      data: {
+        userId,
+        infoHash,
+        completedAt,
+        deadline,
+        requiredSeedtime: rule.minSeedtime,
+        requiredRatio: rule.minRatio
+      }
+    });
+
+    logMessage('info', `Hit and run watch opened for user ${userId} on ${infoHash} until ${deadline.toISOString()}`);
+    return hitAndRun;
+  } catch (error) {
+    logMessage('error', `Error opening hit and run: ${error.message}`);
+    throw error;
+  }
+}
+
+async function listHitAndRuns(page = 1, limit = 20, filters = {}) {
+  try {
+    const skip = (page - 1) * limit;
+    const { status, userId } = filters;
+
+    const where = {
+      status: status ? status : { in: OPEN_STATUSES }
+    };
+
+    if (userId) {
+      where.userId = parseInt(userId);
+    }
+
+    const [hitAndRuns, total] = await Promise.all([
+      db.hitAndRun.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { deadline: 'asc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              username: true
+            }
+          },
+          torrent: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        }
+      }),
+      db.hitAndRun.count({ where })
+    ]);
+
+    return {
+      hitAndRuns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logMessage('error', `Error listing hit and runs: ${error.message}`);
+    throw error;
+  }
+}
+
+async function forgiveHitAndRun(id, forgivenBy) {
+  try {
+    const hitAndRun = await db.hitAndRun.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!hitAndRun) {
+      throw new Error('Hit and run not found');
+    }
+
+    if (!OPEN_STATUSES.includes(hitAndRun.status)) {
+      throw new Error('Hit and run is already resolved');
+    }
+
+    const updatedHitAndRun = await db.hitAndRun.update({
+      where: { id: parseInt(id) },
+      data: {
+        status: 'FORGIVEN',
+        forgivenBy,
+        resolvedAt: new Date()
+      }
+    });
+
+    logMessage('info', `Hit and run ${id} forgiven by ${forgivenBy}`);
+    return updatedHitAndRun;
+  } catch (error) {
+    logMessage('error', `Error forgiving hit and run: ${error.message}`);
+    throw error;
+  }
+}
+
+function meetsRequirement(progress, hitAndRun) {
+  if (Number(progress.seedtime) >= hitAndRun.requiredSeedtime) {
+    return true;
+  }
+
+  const downloaded = Number(progress.download);
+  return downloaded > 0 && Number(progress.uploaded) / downloaded >= hitAndRun.requiredRatio;
+}
+
+async function enforceWarnings(userId) {
+  const { maxWarnings, banDays } = trackerConfig.hitAndRun;
+
+  const warnings = await db.hitAndRun.count({
+    where: { userId, status: 'WARNED' }
+  });
+
+  if (warnings < maxWarnings || await isUserBanned(userId)) {
+    return false;
+  }
+
+  let expiresAt = null;
+  if (banDays > 0) {
+    expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + banDays);
+  }
+
+  await createUserBan({
+    userId,
+    reason: `Automatic ban: ${warnings} hit and run warnings`,
+    bannedBy: 'system',
+    expiresAt
+  });
+
+  return true;
+}
+
+async function evaluateHitAndRuns() {
+  try {
+    const now = new Date();
+    const result = { satisfied: 0, warned: 0, banned: 0 };
+
+    const pending = await db.hitAndRun.findMany({
+      where: { status: 'PENDING' }
+    });
+
+    for (const hitAndRun of pending) {
+      const progress = await db.progress.findUnique({
+        where: { infoHash_userId: { infoHash: hitAndRun.infoHash, userId: hitAndRun.userId } }
+      });
+
+      if (progress && meetsRequirement(progress, hitAndRun)) {
+        await db.hitAndRun.update({
+          where: { id: hitAndRun.id },
+          data: { status: 'SATISFIED', resolvedAt: now }
+        });
+        result.satisfied++;
+        continue;
+      }
+
+      if (hitAndRun.deadline <= now) {
+        await db.hitAndRun.update({
+          where: { id: hitAndRun.id },
+          data: { status: 'WARNED' }
+        });
+        result.warned++;
+        logMessage('warn', `Hit and run warning for user ${hitAndRun.userId} on ${hitAndRun.infoHash}`);
+
+        if (await enforceWarnings(hitAndRun.userId)) {
+          result.banned++;
+        }
+      }
+    }
+
+    logMessage('info', `Hit and run evaluation: ${result.satisfied} satisfied, ${result.warned} warned, ${result.banned} banned`);
+    return result;
+  } catch (error) {
+    logMessage('error', `Error evaluating hit and runs: ${error.message}`);
+    throw error;
+  }
+}
+
+async function listHitAndRunRules() {
+  try {
+    const rules = await db.hitAndRunRule.findMany({
+      include: { category: true },
+      orderBy: { categoryId: 'asc' }
+    });
+
+    const { minSeedtime, minRatio, windowDays } = trackerConfig.hitAndRun;
+    return {
+      defaults: { minSeedtime, minRatio, windowDays },
+      rules
+    };
+  } catch (error) {
+    logMessage('error', `Error listing hit and run rules: ${error.message}`);
+    throw error;
+  }
+}
+
+async function upsertHitAndRunRule(categoryId, ruleData) {
+  try {
+    const { minSeedtime, minRatio, windowDays } = ruleData;
+
+    const category = await db.category.findUnique({
+      where: { id: parseInt(categoryId) }
+    });
+
+    if (!category) {
+      throw new Error('Category not found');
+    }
+
+    const data = { minSeedtime, minRatio, windowDays };
+    const rule = await db.hitAndRunRule.upsert({
+      where: { categoryId: category.id },
+      create: { categoryId: category.id, ...data },
+      update: data,
+      include: { category: true }
+    });
+
+    logMessage('info', `Hit and run rule updated for category ${category.name}`);
+    return rule;
+  } catch (error) {
+    logMessage('error', `Error updating hit and run rule: ${error.message}`);
+    throw error;
+  }
+}
+
+async function deleteHitAndRunRule(categoryId) {
+  try {
+    await db.hitAndRunRule.delete({
+      where: { categoryId: parseInt(categoryId) }
+    });
+
+    logMessage('info', `Hit and run rule deleted for category ${categoryId}`);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('Hit and run rule not found');
+    }
+    logMessage('error', `Error deleting hit and run rule: ${error.message}`);
+    throw error;
+  }
+}
+
+export {
+  openHitAndRun,
+  listHitAndRuns,
+  forgiveHitAndRun,
+  evaluateHitAndRuns,
+  listHitAndRunRules,
+  upsertHitAndRunRule,
+  deleteHitAndRunRule
+};
@@ -230,6 +230,35 @@ describe('Invitations Router', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error', 'Creation failed');
     });
+
+    it('should refuse users without remaining invitations', async () => {
+      mockInvitationsService.createInvitation.mockRejectedValue(new Error('No invitations remaining'));
+
+      const response = await request(app)
+        .post('/api/invitations')
+        .send({ email: 'test@example.com', reason: 'Friend invitation' });
+
+      expect(response.status).toBe(403);
+      expect(mockInvitationsService.createInvitation).toHaveBeenCalledWith(
+        expect.objectContaining({ unlimited: false })
+      );
+    });
+
+    it('should let admins invite without spending invitations', async () => {
+      mockAuthMiddleware.mockImplementation((req, res, next) => {
+        req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+        next();
+      });
+      mockInvitationsService.createInvitation.mockResolvedValue({ id: 1 });
+
+      await request(app)
+        .post('/api/invitations')
+        .send({ email: 'test@example.com', reason: 'Friend invitation' });
+
+      expect(mockInvitationsService.createInvitation).toHaveBeenCalledWith(
+        expect.objectContaining({ unlimited: true })
+      );
+    });
   });
 
   describe('GET /api/invitations/:id', () => {
@@ -310,24 +339,29 @@ describe('Invitations Router', () => {
   });
 
   describe('DELETE /api/invitations/:id', () => {
+    const ownInvitation = { id: 1, inviter: { id: 1, username: 'testuser' } };
+    const otherInvitation = { id: 1, inviter: { id: 2, username: 'otheruser' } };
+
     it('should delete invitation (owner or admin)', async () => {
+      mockInvitationsService.getInvitationById.mockResolvedValue(ownInvitation);
       mockInvitationsService.deleteInvitation.mockResolvedValue({ message: 'Invitation deleted' });
 
       const response = await request(app)
         .delete('/api/invitations/1');
 
       expect(response.status).toBe(200);
-      expect(mockInvitationsService.deleteInvitation).toHaveBeenCalledWith('1', 1, 'USER');
+      expect(mockInvitationsService.deleteInvitation).toHaveBeenCalledWith('1');
     });
 
     it('should deny access to delete other users invitations for non-admin', async () => {
-      mockInvitationsService.deleteInvitation.mockRejectedValue(new Error('Access denied'));
+      mockInvitationsService.getInvitationById.mockResolvedValue(otherInvitation);
 
       const response = await request(app)
         .delete('/api/invitations/1');
 
       expect(response.status).toBe(403);
-      expect(response.body).toHaveProperty('error', 'Access denied');
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'invites.delete.any' });
+      expect(mockInvitationsService.deleteInvitation).not.toHaveBeenCalled();
     });
 
     it('should allow admin to delete any invitation', async () => {
@@ -336,17 +370,18 @@ describe('Invitations Router', () => {
         next();
       });
 
+      mockInvitationsService.getInvitationById.mockResolvedValue(otherInvitation);
       mockInvitationsService.deleteInvitation.mockResolvedValue({ message: 'Invitation deleted' });
 
       const response = await request(app)
         .delete('/api/invitations/1');
 
       expect(response.status).toBe(200);
-      expect(mockInvitationsService.deleteInvitation).toHaveBeenCalledWith('1', 1, 'ADMIN');
+      expect(mockInvitationsService.deleteInvitation).toHaveBeenCalledWith('1');
     });
 
     it('should return 404 for non-existent invitation', async () => {
-      mockInvitationsService.deleteInvitation.mockRejectedValue(new Error('Invitation not found'));
+      mockInvitationsService.getInvitationById.mockRejectedValue(new Error('Invitation not found'));
 
       const response = await request(app)
         .delete('/api/invitations/999');
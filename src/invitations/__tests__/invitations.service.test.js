@@ -7,13 +7,22 @@ const mockDb = {
     create: jest.fn(),
     delete: jest.fn(),
     count: jest.fn()
-  }
+  },
+  user: {
+    updateMany: jest.fn()
+  },
+  $transaction: jest.fn((callback) => callback(mockDb))
+};
+
+const mockRedis = {
+  del: jest.fn()
 };
 
 const mockLogMessage = jest.fn();
 const mockGenerateInviteKey = jest.fn();
 
 jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
 jest.unstable_mockModule('../../utils/utils.js', () => ({ 
   logMessage: mockLogMessage,
   generateInviteKey: mockGenerateInviteKey
@@ -29,6 +38,7 @@ const {
 describe('Invitations Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockDb.user.updateMany.mockResolvedValue({ count: 1 });
   });
 
   describe('getAllInvitations', () => {
@@ -210,6 +220,38 @@ describe('Invitations Service', () => {
       await expect(createInvitation(invitationData)).rejects.toThrow('Database error');
       expect(mockLogMessage).toHaveBeenCalledWith('error', 'Error creating invitation: Database error');
     });
+
+    it('should spend one of the inviter remaining invitations', async () => {
+      mockGenerateInviteKey.mockReturnValue('generated_key_123');
+      mockDb.user.updateMany.mockResolvedValue({ count: 1 });
+      mockDb.invite.create.mockResolvedValue({ id: 1 });
+
+      await createInvitation({ inviterId: 1 });
+
+      expect(mockDb.user.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, remainingInvites: { gt: 0 } },
+        data: { remainingInvites: { decrement: 1 } }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith('user:stats:1');
+    });
+
+    it('should refuse inviters without remaining invitations', async () => {
+      mockGenerateInviteKey.mockReturnValue('generated_key_123');
+      mockDb.user.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(createInvitation({ inviterId: 1 })).rejects.toThrow('No invitations remaining');
+      expect(mockDb.invite.create).not.toHaveBeenCalled();
+    });
+
+    it('should not spend invitations when unlimited', async () => {
+      mockGenerateInviteKey.mockReturnValue('generated_key_123');
+      mockDb.invite.create.mockResolvedValue({ id: 1 });
+
+      await createInvitation({ inviterId: 1, unlimited: true });
+
+      expect(mockDb.user.updateMany).not.toHaveBeenCalled();
+      expect(mockDb.$transaction).not.toHaveBeenCalled();
+    });
   });
 
   describe('getInvitationById', () => {
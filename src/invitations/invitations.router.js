@@ -2,6 +2,7 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { Counter } from 'prom-client';
 import { authMiddleware } from '../middleware/auth.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
 import {
   createInvitation,
   getUserInvitations,
@@ -22,13 +23,23 @@ const getInvitationCounter = new Counter({
   help: 'Count get invitation requests'
 });
 
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Access denied. Administrator role required.' });
+// Loads the invitation so the .own permissions can compare its inviter
+const loadInvitation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    req.invitation = await getInvitationById(req.params.id);
+    next();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
   }
-  next();
 };
 
+const invitationOwner = (req) => req.invitation.inviter.id;
+
 const createInvitationValidation = [
   body('email')
     .isEmail()
@@ -58,7 +69,7 @@ invitationsRouter.get('/',
       const limit = parseInt(req.query.limit) || 20;
 
       let result;
-      if (req.user.role === 'ADMIN') {
+      if (hasPermission(req.user, 'invites.view.any')) {
         result = await getAllInvitations(page, limit);
       } else {
         const invitations = await getUserInvitations(req.user.id);
@@ -75,6 +86,7 @@ invitationsRouter.get('/',
 
 invitationsRouter.post('/',
   createInvitationValidation,
+  requirePermission('invites.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -89,7 +101,8 @@ invitationsRouter.post('/',
         inviterId: req.user.id,
         email,
         reason,
-        expires
+        expires,
+        unlimited: hasPermission(req.user, 'invites.unlimited')
       });
       
       createInvitationCounter.inc();
@@ -103,6 +116,9 @@ invitationsRouter.post('/',
         }
       });
     } catch (error) {
+      if (error.message === 'No invitations remaining') {
+        return res.status(403).json({ error: error.message });
+      }
       res.status(400).json({ error: error.message });
     }
   }
@@ -110,45 +126,26 @@ invitationsRouter.post('/',
 
 invitationsRouter.get('/:id',
   param('id').isInt().withMessage('ID must be a number'),
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
-      const invitation = await getInvitationById(req.params.id);
-      
-      if (req.user.role !== 'ADMIN' && invitation.inviter.id !== req.user.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-
-      getInvitationCounter.inc();
-      res.json(invitation);
-    } catch (error) {
-      res.status(404).json({ error: error.message });
-    }
+  loadInvitation,
+  requirePermission('invites.view', { owner: invitationOwner }),
+  (req, res) => {
+    getInvitationCounter.inc();
+    res.json(req.invitation);
   }
 );
 
 invitationsRouter.delete('/:id',
   param('id').isInt().withMessage('ID must be a number'),
+  loadInvitation,
+  requirePermission('invites.delete', { owner: invitationOwner }),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
-      const result = await deleteInvitation(req.params.id, req.user.id, req.user.role);
+      const result = await deleteInvitation(req.params.id);
       res.json(result);
     } catch (error) {
       if (error.message === 'Invitation not found') {
         return res.status(404).json({ error: error.message });
       }
-      if (error.message === 'Access denied') {
-        return res.status(403).json({ error: error.message });
-      }
       res.status(400).json({ error: error.message });
     }
   }
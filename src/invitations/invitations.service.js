@@ -1,15 +1,19 @@
 import { db } from '../utils/db.server.js';
+import redisClient from '../utils/redis.js';
 import { logMessage, generateInviteKey } from '../utils/utils.js';
+import { RedisKeys } from '../utils/redis-keys.js';
 
+// unlimited skips spending one of the inviter's remainingInvites
+// (the invites.unlimited permission)
 async function createInvitation(invitationData) {
   try {
-    const { inviterId, email, reason, expires } = invitationData;
+    const { inviterId, email, reason, expires, unlimited = false } = invitationData;
     
     const inviteKey = generateInviteKey();
     
     const expiresAt = expires ? new Date(expires) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
 
-    const invitation = await db.invite.create({
+    const create = (client) => client.invite.create({
       data: {
         inviterId: parseInt(inviterId),
         inviteKey,
@@ -28,6 +32,23 @@ async function createInvitation(invitationData) {
       }
     });
 
+    const invitation = unlimited
+      ? await create(db)
+      : await db.$transaction(async (tx) => {
+        const { count } = await tx.user.updateMany({
+          where: { id: parseInt(inviterId), remainingInvites: { gt: 0 } },
+          data: { remainingInvites: { decrement: 1 } }
+        });
+        if (count === 0) {
+          throw new Error('No invitations remaining');
+        }
+        return create(tx);
+      });
+
+    if (!unlimited) {
+      await redisClient.del(RedisKeys.user.stats(inviterId));
+    }
+
     logMessage('info', `Invitation created by user: ${inviterId} for email: ${email}`);
     return invitation;
   } catch (error) {
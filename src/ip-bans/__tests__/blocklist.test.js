@@ -0,0 +1,69 @@
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({ log: jest.fn() }),
+  format: {
+    combine: jest.fn(),
+    timestamp: jest.fn(),
+    printf: jest.fn()
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn()
+  }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { parseBlocklist } = await import('../blocklist.js');
+
+describe('Blocklist parser', () => {
+  it('should parse PeerGuardian P2P lines', () => {
+    const result = parseBlocklist('Bad Corp: Tokyo:1.2.3.0-1.2.3.255\n');
+
+    expect(result).toEqual({
+      ranges: [{ fromIP: 16909056n, toIP: 16909311n, reason: 'Bad Corp: Tokyo' }],
+      skipped: 0
+    });
+  });
+
+  it('should parse eMule DAT lines with zero padded addresses', () => {
+    const result = parseBlocklist('001.002.003.000 - 001.002.003.255 , 000 , Bad Corp\r\n');
+
+    expect(result).toEqual({
+      ranges: [{ fromIP: 16909056n, toIP: 16909311n, reason: 'Bad Corp' }],
+      skipped: 0
+    });
+  });
+
+  it('should skip DAT entries with an allow access level', () => {
+    const result = parseBlocklist('010.000.000.000 - 010.255.255.255 , 200 , LAN');
+
+    expect(result).toEqual({ ranges: [], skipped: 1 });
+  });
+
+  it('should parse CIDR lists and ignore comments', () => {
+    const result = parseBlocklist([
+      '# spamhaus drop',
+      '// another comment',
+      '',
+      '10.0.0.0/8',
+      '2001:db8::/32',
+      '192.168.1.1'
+    ].join('\n'));
+
+    expect(result.skipped).toBe(0);
+    expect(result.ranges).toEqual([
+      { fromIP: 167772160n, toIP: 184549375n },
+      { fromIP: 0x20010db8000000000000000000000000n, toIP: 0x20010db8ffffffffffffffffffffffffn },
+      { fromIP: 3232235777n, toIP: 3232235777n }
+    ]);
+  });
+
+  it('should count lines that cannot be parsed as skipped', () => {
+    const result = parseBlocklist('garbage\n10.0.0.0/8\n1.2.3.4 - 1.2.3.0 , 000 , backwards');
+
+    expect(result.ranges).toHaveLength(1);
+    expect(result.skipped).toBe(2);
+  });
+});
@@ -0,0 +1,185 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  IPBan: {
+    findMany: jest.fn()
+  }
+};
+
+const mockSubscriber = {
+  on: jest.fn(),
+  connect: jest.fn(),
+  subscribe: jest.fn()
+};
+
+const mockRedis = {
+  duplicate: jest.fn(() => mockSubscriber)
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage,
+  ipToNumber: (ip) => {
+    if (ip.includes(':')) {
+      return ip === '2001:db8::1' ? 0x20010db8000000000000000000000001n : null;
+    }
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(Number.isNaN)) {
+      return null;
+    }
+    return parts.reduce((acc, part) => acc * 256n + BigInt(part), 0n);
+  }
+}));
+
+const {
+  buildIndex,
+  indexContains,
+  loadIPBanIndex,
+  reloadIPBanIndex,
+  startIPBanIndex,
+  isIPInBanIndex
+} = await import('../ip-ban-index.js');
+
+describe('IP Ban Index', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildIndex', () => {
+    it('should merge overlapping and adjacent ranges', () => {
+      const index = buildIndex([
+        { fromIP: 50n, toIP: 60n },
+        { fromIP: 10n, toIP: 20n },
+        { fromIP: 15n, toIP: 30n },
+        { fromIP: 31n, toIP: 40n }
+      ]);
+
+      expect(index.starts).toEqual([10n, 50n]);
+      expect(index.ends).toEqual([40n, 60n]);
+      expect(index.ranges).toBe(4);
+    });
+
+    it('should keep nested ranges inside the outer interval', () => {
+      const index = buildIndex([
+        { fromIP: 10n, toIP: 100n },
+        { fromIP: 20n, toIP: 30n }
+      ]);
+
+      expect(index.starts).toEqual([10n]);
+      expect(index.ends).toEqual([100n]);
+    });
+  });
+
+  describe('indexContains', () => {
+    const index = buildIndex([
+      { fromIP: 10n, toIP: 20n },
+      { fromIP: 50n, toIP: 60n },
+      { fromIP: 0x20010db8000000000000000000000000n, toIP: 0x20010db8ffffffffffffffffffffffffn }
+    ]);
+
+    it('should match values inside a range, bounds included', () => {
+      expect(indexContains(index, 10n)).toBe(true);
+      expect(indexContains(index, 55n)).toBe(true);
+      expect(indexContains(index, 60n)).toBe(true);
+      expect(indexContains(index, 0x20010db8000000000000000000000001n)).toBe(true);
+    });
+
+    it('should not match values between or outside ranges', () => {
+      expect(indexContains(index, 9n)).toBe(false);
+      expect(indexContains(index, 21n)).toBe(false);
+      expect(indexContains(index, 61n)).toBe(false);
+    });
+
+    it('should handle an empty index', () => {
+      expect(indexContains(buildIndex([]), 10n)).toBe(false);
+    });
+  });
+
+  describe('loadIPBanIndex', () => {
+    it('should answer lookups from the loaded bans', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([
+        { fromIP: 3232235777n, toIP: 3232236031n }, // 192.168.1.1 - 192.168.1.255
+        { fromIP: 0x20010db8000000000000000000000000n, toIP: 0x20010db8ffffffffffffffffffffffffn }
+      ]);
+
+      await loadIPBanIndex();
+
+      expect(isIPInBanIndex('192.168.1.100')).toBe(true);
+      expect(isIPInBanIndex('10.0.0.1')).toBe(false);
+      expect(isIPInBanIndex('2001:db8::1')).toBe(true);
+      expect(isIPInBanIndex('invalid-ip')).toBe(false);
+    });
+
+    it('should only load bans that have not expired', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([]);
+
+      await loadIPBanIndex();
+
+      expect(mockDb.IPBan.findMany).toHaveBeenCalledWith({
+        where: { OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }] },
+        select: { fromIP: true, toIP: true, expiresAt: true }
+      });
+    });
+
+    it('should reload when the earliest temporary ban expires', async () => {
+      jest.useFakeTimers();
+      try {
+        mockDb.IPBan.findMany.mockResolvedValue([
+          { fromIP: 10n, toIP: 20n, expiresAt: new Date(Date.now() + 60 * 1000) },
+          { fromIP: 30n, toIP: 40n, expiresAt: null }
+        ]);
+        await loadIPBanIndex();
+        expect(isIPInBanIndex('0.0.0.15')).toBe(true);
+
+        mockDb.IPBan.findMany.mockResolvedValue([{ fromIP: 30n, toIP: 40n, expiresAt: null }]);
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(mockDb.IPBan.findMany).toHaveBeenCalledTimes(2);
+        expect(isIPInBanIndex('0.0.0.15')).toBe(false);
+        expect(isIPInBanIndex('0.0.0.35')).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('reloadIPBanIndex', () => {
+    it('should coalesce changes published during a reload', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([]);
+
+      await Promise.all([reloadIPBanIndex(), reloadIPBanIndex(), reloadIPBanIndex()]);
+
+      expect(mockDb.IPBan.findMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the previous index when a reload fails', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([{ fromIP: 10n, toIP: 20n }]);
+      await loadIPBanIndex();
+      mockDb.IPBan.findMany.mockRejectedValue(new Error('Database error'));
+
+      await reloadIPBanIndex();
+
+      expect(isIPInBanIndex('0.0.0.15')).toBe(true);
+    });
+  });
+
+  describe('startIPBanIndex', () => {
+    it('should load the index and reload it on published changes', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([]);
+
+      await startIPBanIndex();
+
+      expect(mockSubscriber.subscribe).toHaveBeenCalledWith('channel:ipbans:changed', expect.any(Function));
+
+      mockDb.IPBan.findMany.mockResolvedValue([{ fromIP: 10n, toIP: 20n }]);
+      const onMessage = mockSubscriber.subscribe.mock.calls[0][1];
+      await onMessage('changed');
+      await reloadIPBanIndex();
+
+      expect(isIPInBanIndex('0.0.0.15')).toBe(true);
+    });
+  });
+});
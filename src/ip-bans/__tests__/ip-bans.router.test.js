@@ -7,7 +7,9 @@ const mockIPBansService = {
   createIPBan: jest.fn(),
   updateIPBan: jest.fn(),
   deleteIPBan: jest.fn(),
-  bulkCreateIPBans: jest.fn()
+  bulkCreateIPBans: jest.fn(),
+  importBlocklist: jest.fn(),
+  cleanupExpiredIPBans: jest.fn()
 };
 
 const mockPrometheus = {
@@ -21,16 +23,40 @@ jest.unstable_mockModule('prom-client', () => mockPrometheus);
 
 const { ipBansRouter } = await import('../ip-bans.router.js');
 
+const withRole = (role) => {
+  const roleApp = express();
+  roleApp.use(express.json());
+  roleApp.use((req, res, next) => {
+    req.user = { id: 1, role };
+    next();
+  });
+  roleApp.use('/api/ip-bans', ipBansRouter);
+  return roleApp;
+};
+
 describe('IP Bans Router', () => {
   let app;
 
   beforeEach(() => {
-    app = express();
-    app.use(express.json());
-    app.use('/api/ip-bans', ipBansRouter);
+    app = withRole('MODERATOR');
     jest.clearAllMocks();
   });
 
+  describe('permissions', () => {
+    it('should keep regular users away from IP bans', async () => {
+      const listResponse = await request(withRole('USER')).get('/api/ip-bans');
+      const createResponse = await request(withRole('USER'))
+        .post('/api/ip-bans')
+        .send({ fromIP: '10.0.0.1', toIP: '10.0.0.1' });
+
+      expect(listResponse.status).toBe(403);
+      expect(listResponse.body).toEqual({ error: 'Access denied', permission: 'bans.ip.view' });
+      expect(createResponse.status).toBe(403);
+      expect(mockIPBansService.listAllIPBans).not.toHaveBeenCalled();
+      expect(mockIPBansService.createIPBan).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/ip-bans', () => {
     it('should list all IP bans', async () => {
       const mockBans = {
@@ -108,6 +134,17 @@ describe('IP Bans Router', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error', 'Error creating IP ban.');
     });
+
+    it('should report malformed ranges', async () => {
+      mockIPBansService.createIPBan.mockRejectedValue(new Error('Invalid IP range: 10.0.0.0/40'));
+
+      const response = await request(app)
+        .post('/api/ip-bans')
+        .send({ range: '10.0.0.0/40' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Invalid IP range: 10.0.0.0/40');
+    });
   });
 
   describe('POST /api/ip-bans/bulk', () => {
@@ -144,6 +181,81 @@ describe('IP Bans Router', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error', 'Error creating bulk IP bans.');
     });
+
+    it('should reject a body that is not an array', async () => {
+      const response = await request(app)
+        .post('/api/ip-bans/bulk')
+        .send({ range: '10.0.0.0/8' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Expected an array of IP bans.');
+      expect(mockIPBansService.bulkCreateIPBans).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/ip-bans/import', () => {
+    it('should import a blocklist as admin', async () => {
+      const summary = { source: 'level1', added: 10, merged: 2, skipped: 1, removed: 0 };
+      mockIPBansService.importBlocklist.mockResolvedValue(summary);
+
+      const response = await request(withRole('ADMIN'))
+        .post('/api/ip-bans/import')
+        .send({ source: 'level1', content: '10.0.0.0/8', replace: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ message: 'Blocklist imported successfully', ...summary });
+      expect(mockIPBansService.importBlocklist).toHaveBeenCalledWith('10.0.0.0/8', {
+        source: 'level1',
+        replace: true
+      });
+    });
+
+    it('should deny non-admin users', async () => {
+      const response = await request(withRole('USER'))
+        .post('/api/ip-bans/import')
+        .send({ source: 'level1', content: '10.0.0.0/8' });
+
+      expect(response.status).toBe(403);
+      expect(mockIPBansService.importBlocklist).not.toHaveBeenCalled();
+    });
+
+    it('should validate the request body', async () => {
+      const response = await request(withRole('ADMIN'))
+        .post('/api/ip-bans/import')
+        .send({ content: '' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toBeDefined();
+    });
+
+    it('should handle import errors', async () => {
+      mockIPBansService.importBlocklist.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(withRole('ADMIN'))
+        .post('/api/ip-bans/import')
+        .send({ source: 'level1', content: '10.0.0.0/8' });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Error importing blocklist.');
+    });
+  });
+
+  describe('POST /api/ip-bans/cleanup', () => {
+    it('should delete expired bans as admin', async () => {
+      mockIPBansService.cleanupExpiredIPBans.mockResolvedValue({ cleaned: 4 });
+
+      const response = await request(withRole('ADMIN')).post('/api/ip-bans/cleanup');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'Expired IP bans cleanup completed', cleaned: 4 });
+    });
+
+    it('should deny non-admin users', async () => {
+      const response = await request(withRole('MODERATOR')).post('/api/ip-bans/cleanup');
+
+      expect(response.status).toBe(403);
+      expect(mockIPBansService.cleanupExpiredIPBans).not.toHaveBeenCalled();
+    });
   });
 
   describe('PUT /api/ip-bans/:id', () => {
@@ -8,14 +8,29 @@ const mockDb = {
     createMany: jest.fn(),
     update: jest.fn(),
     delete: jest.fn(),
+    deleteMany: jest.fn(),
     count: jest.fn()
-  }
+  },
+  $transaction: jest.fn()
 };
 
 const mockLogMessage = jest.fn();
+const mockRedisHelpers = {
+  invalidateIPBanCache: jest.fn()
+};
 
 jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
-jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage,
+  ipToNumber: (ip) => {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(Number.isNaN)) {
+      return null;
+    }
+    return parts.reduce((acc, part) => acc * 256n + BigInt(part), 0n);
+  }
+}));
+jest.unstable_mockModule('../../utils/redis-keys.js', () => ({ RedisHelpers: mockRedisHelpers }));
 
 const {
   listAllIPBans,
@@ -23,7 +38,9 @@ const {
   getIPBanById,
   updateIPBan,
   deleteIPBan,
-  bulkCreateIPBans
+  bulkCreateIPBans,
+  importBlocklist,
+  cleanupExpiredIPBans
 } = await import('../ip-bans.service.js');
 
 describe('IP Bans Service', () => {
@@ -34,8 +51,8 @@ describe('IP Bans Service', () => {
   describe('listAllIPBans', () => {
     it('should list all IP bans with pagination', async () => {
       const mockIPBans = [
-        { id: 1, fromIP: '192.168.1.1', toIP: '192.168.1.1', reason: 'Spam' },
-        { id: 2, fromIP: '10.0.0.1', toIP: '10.0.0.255', reason: 'Abuse' }
+        { id: 1, fromIP: 3232235777n, toIP: 3232235777n, reason: 'Spam' },
+        { id: 2, fromIP: 167772160n, toIP: 167772415n, reason: 'Abuse' }
       ];
 
       mockDb.IPBan.findMany.mockResolvedValue(mockIPBans);
@@ -44,12 +61,16 @@ describe('IP Bans Service', () => {
       const result = await listAllIPBans({ page: 1, limit: 20 });
 
       expect(mockDb.IPBan.findMany).toHaveBeenCalledWith({
+        where: { OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }] },
         skip: 0,
         take: 20,
         orderBy: { id: 'desc' }
       });
       expect(mockDb.IPBan.count).toHaveBeenCalled();
-      expect(result).toHaveProperty('ipBans', mockIPBans);
+      expect(result.ipBans).toEqual([
+        { id: 1, fromIP: '3232235777', toIP: '3232235777', cidr: ['192.168.1.1/32'], reason: 'Spam' },
+        { id: 2, fromIP: '167772160', toIP: '167772415', cidr: ['10.0.0.0/24'], reason: 'Abuse' }
+      ]);
       expect(result).toHaveProperty('pagination');
       expect(result.pagination.total).toBe(2);
       expect(result.pagination.pages).toBe(1);
@@ -62,6 +83,7 @@ describe('IP Bans Service', () => {
       const result = await listAllIPBans({ page: 3, limit: 10 });
 
       expect(mockDb.IPBan.findMany).toHaveBeenCalledWith({
+        where: { OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }] },
         skip: 20,
         take: 10,
         orderBy: { id: 'desc' }
@@ -71,6 +93,20 @@ describe('IP Bans Service', () => {
       expect(result.pagination.total).toBe(50);
       expect(result.pagination.pages).toBe(5);
     });
+
+    it('should filter by source list', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([]);
+      mockDb.IPBan.count.mockResolvedValue(0);
+
+      await listAllIPBans({ source: 'level1' });
+
+      expect(mockDb.IPBan.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ source: 'level1' })
+      }));
+      expect(mockDb.IPBan.count).toHaveBeenCalledWith({
+        where: expect.objectContaining({ source: 'level1' })
+      });
+    });
   });
 
   describe('createIPBan', () => {
@@ -83,8 +119,9 @@ describe('IP Bans Service', () => {
 
       const mockCreatedIPBan = {
         id: 1,
-        ...ipBanData,
-        created: new Date()
+        fromIP: 3232235777n,
+        toIP: 3232235777n,
+        reason: 'Spam activity'
       };
 
       mockDb.IPBan.create.mockResolvedValue(mockCreatedIPBan);
@@ -92,10 +129,52 @@ describe('IP Bans Service', () => {
       const result = await createIPBan(ipBanData);
 
       expect(mockDb.IPBan.create).toHaveBeenCalledWith({
-        data: ipBanData
+        data: { fromIP: 3232235777n, toIP: 3232235777n, reason: 'Spam activity' }
+      });
+      expect(result).toEqual({
+        id: 1,
+        fromIP: '3232235777',
+        toIP: '3232235777',
+        cidr: ['192.168.1.1/32'],
+        reason: 'Spam activity'
+      });
+      expect(mockRedisHelpers.invalidateIPBanCache).toHaveBeenCalled();
+      expect(mockLogMessage).toHaveBeenCalledWith('info', 'IP ban created: 192.168.1.1/32');
+    });
+
+    it('should accept a CIDR block', async () => {
+      mockDb.IPBan.create.mockResolvedValue({ id: 1, fromIP: 167772160n, toIP: 184549375n, reason: 'Abuse' });
+
+      const result = await createIPBan({ range: '10.0.0.0/8', reason: 'Abuse' });
+
+      expect(mockDb.IPBan.create).toHaveBeenCalledWith({
+        data: { fromIP: 167772160n, toIP: 184549375n, reason: 'Abuse' }
       });
-      expect(result).toEqual(mockCreatedIPBan);
-      expect(mockLogMessage).toHaveBeenCalledWith('info', 'IP ban created: 192.168.1.1 - 192.168.1.1');
+      expect(result.cidr).toEqual(['10.0.0.0/8']);
+    });
+
+    it('should reject malformed ranges before touching the database', async () => {
+      await expect(createIPBan({ range: '10.0.0.0/33' })).rejects.toThrow('Invalid IP range: 10.0.0.0/33');
+      expect(mockDb.IPBan.create).not.toHaveBeenCalled();
+    });
+
+    it('should store an optional expiry', async () => {
+      const expiresAt = new Date(Date.now() + 3600 * 1000);
+      mockDb.IPBan.create.mockResolvedValue({ id: 1, fromIP: 167772161n, toIP: 167772161n, expiresAt });
+
+      await createIPBan({ range: '10.0.0.1', expiresAt: expiresAt.toISOString() });
+
+      expect(mockDb.IPBan.create).toHaveBeenCalledWith({
+        data: { fromIP: 167772161n, toIP: 167772161n, expiresAt }
+      });
+    });
+
+    it('should reject expiries in the past', async () => {
+      await expect(createIPBan({ range: '10.0.0.1', expiresAt: '2000-01-01T00:00:00Z' }))
+        .rejects.toThrow('Invalid IP ban expiry: must be a future date');
+      await expect(createIPBan({ range: '10.0.0.1', expiresAt: 'tomorrow' }))
+        .rejects.toThrow('Invalid IP ban expiry');
+      expect(mockDb.IPBan.create).not.toHaveBeenCalled();
     });
 
     it('should handle creation errors', async () => {
@@ -116,8 +195,8 @@ describe('IP Bans Service', () => {
     it('should get IP ban by id successfully', async () => {
       const mockIPBan = {
         id: 1,
-        fromIP: '192.168.1.1',
-        toIP: '192.168.1.1',
+        fromIP: 3232235777n,
+        toIP: 3232235777n,
         reason: 'Spam activity'
       };
 
@@ -128,7 +207,13 @@ describe('IP Bans Service', () => {
       expect(mockDb.IPBan.findUnique).toHaveBeenCalledWith({
         where: { id: 1 }
       });
-      expect(result).toEqual(mockIPBan);
+      expect(result).toEqual({
+        id: 1,
+        fromIP: '3232235777',
+        toIP: '3232235777',
+        cidr: ['192.168.1.1/32'],
+        reason: 'Spam activity'
+      });
     });
 
     it('should throw error if IP ban not found', async () => {
@@ -149,7 +234,9 @@ describe('IP Bans Service', () => {
 
       const mockUpdatedIPBan = {
         id: 1,
-        ...updateData
+        fromIP: 3232235778n,
+        toIP: 3232235778n,
+        reason: 'Updated reason'
       };
 
       mockDb.IPBan.update.mockResolvedValue(mockUpdatedIPBan);
@@ -158,12 +245,51 @@ describe('IP Bans Service', () => {
 
       expect(mockDb.IPBan.update).toHaveBeenCalledWith({
         where: { id: 1 },
-        data: updateData
+        data: { fromIP: 3232235778n, toIP: 3232235778n, reason: 'Updated reason' }
       });
-      expect(result).toEqual(mockUpdatedIPBan);
+      expect(result.cidr).toEqual(['192.168.1.2/32']);
       expect(mockLogMessage).toHaveBeenCalledWith('info', 'IP ban updated: 1');
     });
 
+    it('should keep the stored upper bound when only fromIP changes', async () => {
+      mockDb.IPBan.findUnique.mockResolvedValue({ fromIP: 167772160n, toIP: 167772415n });
+      mockDb.IPBan.update.mockResolvedValue({ id: 1, fromIP: 167772288n, toIP: 167772415n });
+
+      const result = await updateIPBan(1, { fromIP: '10.0.0.128' });
+
+      expect(mockDb.IPBan.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { fromIP: 167772288n, toIP: 167772415n }
+      });
+      expect(result.cidr).toEqual(['10.0.0.128/25']);
+    });
+
+    it('should convert a lone toIP and merge it with the stored fromIP', async () => {
+      mockDb.IPBan.findUnique.mockResolvedValue({ fromIP: 167772160n, toIP: 167772160n });
+      mockDb.IPBan.update.mockResolvedValue({ id: 1, fromIP: 167772160n, toIP: 167772415n });
+
+      await updateIPBan(1, { toIP: '10.0.0.255' });
+
+      expect(mockDb.IPBan.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { fromIP: 167772160n, toIP: 167772415n }
+      });
+    });
+
+    it('should reject a single bound that inverts the stored range', async () => {
+      mockDb.IPBan.findUnique.mockResolvedValue({ fromIP: 167772160n, toIP: 167772415n });
+
+      await expect(updateIPBan(1, { toIP: '9.255.255.255' })).rejects.toThrow('Invalid IP range');
+      await expect(updateIPBan(1, { fromIP: '10.0.1.0' })).rejects.toThrow('Invalid IP range');
+      expect(mockDb.IPBan.update).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown bans when merging a single bound', async () => {
+      mockDb.IPBan.findUnique.mockResolvedValue(null);
+
+      await expect(updateIPBan(999, { toIP: '10.0.0.255' })).rejects.toThrow('IP ban not found');
+    });
+
     it('should throw error if IP ban not found during update', async () => {
       const updateData = { reason: 'Updated reason' };
 
@@ -191,6 +317,7 @@ describe('IP Bans Service', () => {
       expect(mockDb.IPBan.delete).toHaveBeenCalledWith({
         where: { id: 1 }
       });
+      expect(mockRedisHelpers.invalidateIPBanCache).toHaveBeenCalled();
       expect(mockLogMessage).toHaveBeenCalledWith('info', 'IP ban deleted: 1');
     });
 
@@ -212,7 +339,8 @@ describe('IP Bans Service', () => {
     it('should bulk create IP bans successfully', async () => {
       const ipBansData = [
         { fromIP: '192.168.1.1', toIP: '192.168.1.1', reason: 'Spam' },
-        { fromIP: '10.0.0.1', toIP: '10.0.0.255', reason: 'Abuse' }
+        { range: '10.0.0.1-10.0.0.255', reason: 'Abuse' },
+        '172.16.0.0/12'
       ];
 
       const mockResult = { count: 2 };
@@ -222,7 +350,11 @@ describe('IP Bans Service', () => {
       const result = await bulkCreateIPBans(ipBansData);
 
       expect(mockDb.IPBan.createMany).toHaveBeenCalledWith({
-        data: ipBansData,
+        data: [
+          { fromIP: 3232235777n, toIP: 3232235777n, reason: 'Spam' },
+          { fromIP: 167772161n, toIP: 167772415n, reason: 'Abuse' },
+          { fromIP: 2886729728n, toIP: 2887778303n }
+        ],
         skipDuplicates: true
       });
       expect(result).toEqual(mockResult);
@@ -240,4 +372,99 @@ describe('IP Bans Service', () => {
       expect(mockLogMessage).toHaveBeenCalledWith('error', 'Error bulk creating IP bans: Bulk creation failed');
     });
   });
+
+  describe('cleanupExpiredIPBans', () => {
+    it('should delete expired bans and refresh the ban caches', async () => {
+      mockDb.IPBan.deleteMany.mockResolvedValue({ count: 3 });
+
+      const result = await cleanupExpiredIPBans();
+
+      expect(mockDb.IPBan.deleteMany).toHaveBeenCalledWith({
+        where: { expiresAt: { lt: expect.any(Date) } }
+      });
+      expect(mockRedisHelpers.invalidateIPBanCache).toHaveBeenCalled();
+      expect(result).toEqual({ cleaned: 3 });
+    });
+
+    it('should leave the caches alone when nothing expired', async () => {
+      mockDb.IPBan.deleteMany.mockResolvedValue({ count: 0 });
+
+      const result = await cleanupExpiredIPBans();
+
+      expect(mockRedisHelpers.invalidateIPBanCache).not.toHaveBeenCalled();
+      expect(result).toEqual({ cleaned: 0 });
+    });
+
+    it('should handle cleanup errors', async () => {
+      mockDb.IPBan.deleteMany.mockRejectedValue(new Error('Database error'));
+
+      await expect(cleanupExpiredIPBans()).rejects.toThrow('Database error');
+      expect(mockLogMessage).toHaveBeenCalledWith('error', 'Error cleaning up expired IP bans: Database error');
+    });
+  });
+
+  describe('importBlocklist', () => {
+    const list = [
+      '# sample list',
+      'Bad Corp:1.2.3.0-1.2.3.127',
+      'Bad Corp:1.2.3.100-1.2.3.255',
+      '010.000.000.000 - 010.000.000.255 , 000 , Other Corp',
+      'not a range'
+    ].join('\n');
+
+    it('should merge ranges, tag them with the source and report counts', async () => {
+      mockDb.IPBan.createMany.mockResolvedValue({ count: 1 });
+
+      const result = await importBlocklist(list, { source: 'level1' });
+
+      expect(mockDb.IPBan.deleteMany).not.toHaveBeenCalled();
+      expect(mockDb.IPBan.createMany).toHaveBeenCalledWith({
+        data: [
+          { fromIP: 16909056n, toIP: 16909311n, reason: 'Bad Corp', source: 'level1' },
+          { fromIP: 167772160n, toIP: 167772415n, reason: 'Other Corp', source: 'level1' }
+        ],
+        skipDuplicates: true
+      });
+      expect(result).toEqual({
+        source: 'level1',
+        added: 1,
+        merged: 1,
+        skipped: 2,
+        removed: 0
+      });
+      expect(mockRedisHelpers.invalidateIPBanCache).toHaveBeenCalled();
+    });
+
+    it('should replace previous bans from the same source in one transaction', async () => {
+      const deleted = Promise.resolve({ count: 5 });
+      const created = Promise.resolve({ count: 2 });
+      mockDb.IPBan.deleteMany.mockReturnValue(deleted);
+      mockDb.IPBan.createMany.mockReturnValue(created);
+      mockDb.$transaction.mockImplementation(operations => Promise.all(operations));
+
+      const result = await importBlocklist(list, { source: 'level1', replace: true });
+
+      expect(mockDb.IPBan.deleteMany).toHaveBeenCalledWith({ where: { source: 'level1' } });
+      expect(mockDb.$transaction).toHaveBeenCalledWith([deleted, created]);
+      expect(result.removed).toBe(5);
+      expect(result.added).toBe(2);
+      expect(mockRedisHelpers.invalidateIPBanCache).toHaveBeenCalled();
+      expect(mockRedisHelpers.invalidateIPBanCache.mock.invocationCallOrder[0])
+        .toBeGreaterThan(mockDb.$transaction.mock.invocationCallOrder[0]);
+    });
+
+    it('should keep the ban cache when the replacing transaction fails', async () => {
+      mockDb.IPBan.deleteMany.mockReturnValue(Promise.resolve({ count: 5 }));
+      mockDb.IPBan.createMany.mockReturnValue(Promise.resolve({ count: 2 }));
+      mockDb.$transaction.mockRejectedValue(new Error('Insert failed'));
+
+      await expect(importBlocklist(list, { source: 'level1', replace: true })).rejects.toThrow('Insert failed');
+      expect(mockRedisHelpers.invalidateIPBanCache).not.toHaveBeenCalled();
+    });
+
+    it('should require a source', async () => {
+      await expect(importBlocklist(list, {})).rejects.toThrow('Blocklist source is required');
+      expect(mockDb.IPBan.createMany).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({ log: jest.fn() }),
+  format: {
+    combine: jest.fn(),
+    timestamp: jest.fn(),
+    printf: jest.fn()
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn()
+  }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { parseIPRange, normalizeIPBanInput, mergeRanges, rangeToCIDRs } = await import('../ip-range.js');
+
+describe('IP ranges', () => {
+  describe('parseIPRange', () => {
+    it('should parse IPv4 CIDR blocks', () => {
+      expect(parseIPRange('10.0.0.0/8')).toEqual({ fromIP: 167772160n, toIP: 184549375n });
+    });
+
+    it('should mask host bits in CIDR blocks', () => {
+      expect(parseIPRange('192.168.1.77/24')).toEqual({ fromIP: 3232235776n, toIP: 3232236031n });
+    });
+
+    it('should parse IPv6 CIDR blocks', () => {
+      expect(parseIPRange('2001:db8::/32')).toEqual({
+        fromIP: 0x20010db8000000000000000000000000n,
+        toIP: 0x20010db8ffffffffffffffffffffffffn
+      });
+    });
+
+    it('should parse single addresses', () => {
+      expect(parseIPRange('192.168.1.1')).toEqual({ fromIP: 3232235777n, toIP: 3232235777n });
+    });
+
+    it('should parse dashed ranges', () => {
+      expect(parseIPRange('10.0.0.1 - 10.0.0.255')).toEqual({ fromIP: 167772161n, toIP: 167772415n });
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => parseIPRange('10.0.0.0/40')).toThrow('Invalid IP range');
+      expect(() => parseIPRange('10.0.0.0/')).toThrow('Invalid IP range');
+      expect(() => parseIPRange('10.0.0.9-10.0.0.1')).toThrow('Invalid IP range');
+      expect(() => parseIPRange('not-an-ip')).toThrow('Invalid IP');
+      expect(() => parseIPRange('')).toThrow('Invalid IP range');
+    });
+  });
+
+  describe('normalizeIPBanInput', () => {
+    it('should keep accepting stored numeric bounds', () => {
+      expect(normalizeIPBanInput({ fromIP: '3232235777', toIP: '3232236031', reason: 'Spam' }))
+        .toEqual({ fromIP: 3232235777n, toIP: 3232236031n, reason: 'Spam' });
+    });
+
+    it('should accept address bounds and default toIP to fromIP', () => {
+      expect(normalizeIPBanInput({ fromIP: '192.168.1.1' }))
+        .toEqual({ fromIP: 3232235777n, toIP: 3232235777n });
+    });
+
+    it('should require a range or a start address', () => {
+      expect(() => normalizeIPBanInput({ reason: 'Spam' })).toThrow('Invalid IP range');
+    });
+  });
+
+  describe('mergeRanges', () => {
+    it('should merge overlapping and adjacent ranges keeping the first fields', () => {
+      expect(mergeRanges([
+        { fromIP: 20n, toIP: 30n, reason: 'b' },
+        { fromIP: 1n, toIP: 10n, reason: 'a' },
+        { fromIP: 11n, toIP: 15n, reason: 'c' },
+        { fromIP: 25n, toIP: 40n, reason: 'd' }
+      ])).toEqual([
+        { fromIP: 1n, toIP: 15n, reason: 'a' },
+        { fromIP: 20n, toIP: 40n, reason: 'b' }
+      ]);
+    });
+
+    it('should swap reversed bounds', () => {
+      expect(mergeRanges([{ fromIP: '9', toIP: '3' }])).toEqual([{ fromIP: 3n, toIP: 9n }]);
+    });
+  });
+
+  describe('rangeToCIDRs', () => {
+    it('should render aligned ranges as a single block', () => {
+      expect(rangeToCIDRs(167772160n, 184549375n)).toEqual(['10.0.0.0/8']);
+      expect(rangeToCIDRs(3232235777n, 3232235777n)).toEqual(['192.168.1.1/32']);
+    });
+
+    it('should split unaligned ranges into the minimal set of blocks', () => {
+      expect(rangeToCIDRs(167772161n, 167772415n)).toEqual([
+        '10.0.0.1/32',
+        '10.0.0.2/31',
+        '10.0.0.4/30',
+        '10.0.0.8/29',
+        '10.0.0.16/28',
+        '10.0.0.32/27',
+        '10.0.0.64/26',
+        '10.0.0.128/25'
+      ]);
+    });
+
+    it('should render IPv6 ranges', () => {
+      expect(rangeToCIDRs(0x20010db8000000000000000000000000n, 0x20010db8ffffffffffffffffffffffffn))
+        .toEqual(['2001:db8::/32']);
+    });
+
+    it('should cover the whole IPv4 space', () => {
+      expect(rangeToCIDRs(0n, 4294967295n)).toEqual(['0.0.0.0/0']);
+    });
+  });
+});
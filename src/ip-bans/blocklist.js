@@ -0,0 +1,65 @@
+import { parseIPRange } from './ip-range.js';
+
+// eMule DAT: "001.002.003.000 - 001.002.003.255 , 000 , Description"
+const DAT_LINE = /^(.+?)\s*-\s*(.+?)\s*,\s*(\d+)\s*,?\s*(.*)$/;
+// PeerGuardian P2P: "Description:1.2.3.0-1.2.3.255" (descriptions may contain colons)
+const P2P_LINE = /^(.*):(\d{1,3}(?:\.\d{1,3}){3})\s*-\s*(\d{1,3}(?:\.\d{1,3}){3})$/;
+// DAT entries at or above this access level are allowed, not blocked
+const DAT_ALLOW_LEVEL = 128;
+const MAX_REASON_LENGTH = 255;
+
+function isComment(line) {
+  return !line || line.startsWith('#') || line.startsWith('//');
+}
+
+function toReason(text) {
+  const reason = text.trim();
+  return reason ? reason.slice(0, MAX_REASON_LENGTH) : undefined;
+}
+
+function parseLine(line) {
+  const p2p = P2P_LINE.exec(line);
+  if (p2p) {
+    return { ...parseIPRange(`${p2p[2]}-${p2p[3]}`), reason: toReason(p2p[1]) };
+  }
+
+  const dat = DAT_LINE.exec(line);
+  if (dat) {
+    if (parseInt(dat[3], 10) >= DAT_ALLOW_LEVEL) {
+      return null;
+    }
+    return { ...parseIPRange(`${dat[1]}-${dat[2]}`), reason: toReason(dat[4]) };
+  }
+
+  return parseIPRange(line);
+}
+
+// Parses PeerGuardian P2P, eMule DAT and plain CIDR/range lists, detected per
+// line so concatenated lists work too. Blank lines and comments are ignored;
+// anything else that cannot be banned is counted as skipped.
+function parseBlocklist(text) {
+  const ranges = [];
+  let skipped = 0;
+
+  for (const rawLine of String(text ?? '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (isComment(line)) {
+      continue;
+    }
+
+    try {
+      const range = parseLine(line);
+      if (range) {
+        ranges.push(range);
+      } else {
+        skipped++;
+      }
+    } catch {
+      skipped++;
+    }
+  }
+
+  return { ranges, skipped };
+}
+
+export { parseBlocklist };
@@ -0,0 +1,139 @@
+import { db } from '../utils/db.server.js';
+import { logMessage, ipToNumber } from '../utils/utils.js';
+import redisClient from '../utils/redis.js';
+import { RedisKeys } from '../utils/redis-keys.js';
+import { mergeRanges } from './ip-range.js';
+
+// Ban ranges merged into disjoint intervals sorted by start, so a lookup is a
+// binary search. IPv4 and IPv6 share the numeric space produced by ipToNumber.
+let index = null;
+let reloading = null;
+let reloadPending = false;
+let expiryTimer = null;
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+function buildIndex(ranges) {
+  const merged = mergeRanges(ranges);
+
+  return {
+    starts: merged.map(range => range.fromIP),
+    ends: merged.map(range => range.toIP),
+    ranges: ranges.length
+  };
+}
+
+function indexContains(ipIndex, value) {
+  const { starts, ends } = ipIndex;
+  let low = 0;
+  let high = starts.length - 1;
+  let candidate = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (starts[mid] <= value) {
+      candidate = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return candidate !== -1 && value <= ends[candidate];
+}
+
+// Temporary bans drop out of the index when the first of them expires,
+// without waiting for the cleanup job to delete the rows
+function scheduleExpiryReload(ipBans) {
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+
+  const expiries = ipBans
+    .filter(ipBan => ipBan.expiresAt)
+    .map(ipBan => new Date(ipBan.expiresAt).getTime());
+  if (expiries.length === 0) {
+    return;
+  }
+
+  const delay = Math.min(Math.max(Math.min(...expiries) - Date.now(), 0), MAX_TIMER_DELAY);
+  expiryTimer = setTimeout(reloadIPBanIndex, delay);
+  expiryTimer.unref();
+}
+
+async function loadIPBanIndex() {
+  try {
+    const ipBans = await db.IPBan.findMany({
+      where: { OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] },
+      select: { fromIP: true, toIP: true, expiresAt: true }
+    });
+
+    index = buildIndex(ipBans);
+    scheduleExpiryReload(ipBans);
+    logMessage('info', `IP ban index loaded: ${index.ranges} ranges in ${index.starts.length} intervals`);
+    return index;
+  } catch (error) {
+    logMessage('error', `Error loading IP ban index: ${error.message}`);
+    throw error;
+  }
+}
+
+// Changes published while a reload runs trigger exactly one more reload
+async function reloadIPBanIndex() {
+  if (reloading) {
+    reloadPending = true;
+    return reloading;
+  }
+
+  reloading = (async () => {
+    try {
+      do {
+        reloadPending = false;
+        await loadIPBanIndex();
+      } while (reloadPending);
+    } catch {
+      // Keep serving the previous index; the error is already logged
+    } finally {
+      reloading = null;
+    }
+  })();
+
+  return reloading;
+}
+
+async function startIPBanIndex() {
+  await loadIPBanIndex();
+
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => {
+    logMessage('error', `Redis IP ban subscriber error: ${err}`);
+  });
+  await subscriber.connect();
+  await subscriber.subscribe(RedisKeys.channel.ipBans(), () => {
+    reloadIPBanIndex();
+  });
+
+  logMessage('info', 'Subscribed to IP ban changes');
+}
+
+function isIPBanIndexReady() {
+  return index !== null;
+}
+
+function isIPInBanIndex(ip) {
+  const value = ipToNumber(ip);
+  if (value === null || !index) {
+    return false;
+  }
+  return indexContains(index, value);
+}
+
+export {
+  buildIndex,
+  indexContains,
+  loadIPBanIndex,
+  reloadIPBanIndex,
+  startIPBanIndex,
+  isIPBanIndexReady,
+  isIPInBanIndex
+};
@@ -1,13 +1,17 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import {
   listAllIPBans,
   createIPBan,
   updateIPBan,
   deleteIPBan,
-  bulkCreateIPBans
+  bulkCreateIPBans,
+  importBlocklist,
+  cleanupExpiredIPBans
 } from './ip-bans.service.js';
 
 import { Counter } from 'prom-client';
+import { requirePermission } from '../middleware/permissions.js';
 
 export const ipBansRouter = express.Router();
 
@@ -31,7 +35,31 @@ const deleteRequestCounter = new Counter({
   help: 'Count delete IPBan'
 });
 
-ipBansRouter.get('/', async (req, res) => {
+const importRequestCounter = new Counter({
+  name: 'import_ipban_requests',
+  help: 'Count IPBan blocklist imports'
+});
+
+const importValidation = [
+  body('source')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Source must be between 1 and 100 characters'),
+  body('content')
+    .isString()
+    .notEmpty()
+    .withMessage('Blocklist content is required'),
+  body('replace')
+    .optional()
+    .isBoolean()
+    .withMessage('Replace must be a boolean')
+];
+
+// Malformed ranges are worth reporting back as-is; other failures stay generic
+const isRangeError = (error) => error.message.startsWith('Invalid IP');
+
+ipBansRouter.get('/', requirePermission('bans.ip.view'), async (req, res) => {
   getRequestCounter.inc();
   try {
     const ipBans = await listAllIPBans(req.query);
@@ -41,37 +69,93 @@ ipBansRouter.get('/', async (req, res) => {
   }
 });
 
-ipBansRouter.post('/', async (req, res) => {
+ipBansRouter.post('/', requirePermission('bans.ip.edit'), async (req, res) => {
   postRequestCounter.inc();
   try {
     const newIPBan = await createIPBan(req.body);
     res.status(201).json(newIPBan);
-  } catch (_error) {
+  } catch (error) {
+    if (isRangeError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(400).json({ error: 'Error creating IP ban.' });
   }
 });
 
-ipBansRouter.post('/bulk', async (req, res) => {
+ipBansRouter.post('/bulk', requirePermission('bans.ip.edit'), async (req, res) => {
   postRequestCounter.inc();
   try {
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Expected an array of IP bans.' });
+    }
     const result = await bulkCreateIPBans(req.body);
     res.status(201).json(result);
-  } catch (_error) {
+  } catch (error) {
+    if (isRangeError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(400).json({ error: 'Error creating bulk IP bans.' });
   }
 });
 
-ipBansRouter.put('/:id', async (req, res) => {
+// POST /api/ip-bans/import - Import a P2P, DAT or CIDR blocklist
+ipBansRouter.post('/import',
+  importValidation,
+  requirePermission('bans.ip.import'),
+  async (req, res) => {
+    importRequestCounter.inc();
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await importBlocklist(req.body.content, {
+        source: req.body.source,
+        replace: req.body.replace === true || req.body.replace === 'true'
+      });
+
+      res.status(201).json({
+        message: 'Blocklist imported successfully',
+        ...result
+      });
+    } catch {
+      res.status(500).json({ error: 'Error importing blocklist.' });
+    }
+  }
+);
+
+// POST /api/ip-bans/cleanup - Delete expired temporary bans now
+ipBansRouter.post('/cleanup',
+  requirePermission('bans.ip.import'),
+  async (req, res) => {
+    try {
+      const result = await cleanupExpiredIPBans();
+
+      res.json({
+        message: 'Expired IP bans cleanup completed',
+        cleaned: result.cleaned
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+ipBansRouter.put('/:id', requirePermission('bans.ip.edit'), async (req, res) => {
   putRequestCounter.inc();
   try {
     const updatedIPBan = await updateIPBan(req.params.id, req.body);
     res.status(200).json(updatedIPBan);
-  } catch (_error) {
+  } catch (error) {
+    if (isRangeError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(400).json({ error: 'Error updating IP ban.' });
   }
 });
 
-ipBansRouter.delete('/:id', async (req, res) => {
+ipBansRouter.delete('/:id', requirePermission('bans.ip.edit'), async (req, res) => {
   deleteRequestCounter.inc();
   try {
     await deleteIPBan(req.params.id);
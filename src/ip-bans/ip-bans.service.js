@@ -1,26 +1,66 @@
 import { db } from '../utils/db.server.js';
 import { logMessage } from '../utils/utils.js';
-import { RedisKeys } from '../utils/redis-keys.js';
+import { RedisHelpers } from '../utils/redis-keys.js';
+import { parseIPRange, normalizeIPBanInput, mergeRanges, rangeToCIDRs } from './ip-range.js';
+import { parseBlocklist } from './blocklist.js';
+
+// Stored bounds are BigInt; responses carry them as strings plus CIDR blocks
+function formatIPBan(ipBan) {
+  return {
+    ...ipBan,
+    fromIP: String(ipBan.fromIP),
+    toIP: String(ipBan.toIP),
+    cidr: rangeToCIDRs(ipBan.fromIP, ipBan.toIP)
+  };
+}
+
+// Expired bans stay in the table until cleanupExpiredIPBans runs
+function activeIPBanWhere() {
+  return {
+    OR: [
+      { expiresAt: null },
+      { expiresAt: { gt: new Date() } }
+    ]
+  };
+}
+
+// expiresAt is optional; null makes the ban permanent again
+function normalizeExpiry(data) {
+  if (data.expiresAt === undefined || data.expiresAt === null) {
+    return data;
+  }
+
+  const expiresAt = new Date(data.expiresAt);
+  if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+    throw new Error('Invalid IP ban expiry: must be a future date');
+  }
+  return { ...data, expiresAt };
+}
 
 async function listAllIPBans(query = {}) {
   try {
     const page = parseInt(query.page) || 1;
     const limit = parseInt(query.limit) || 20;
     const skip = (page - 1) * limit;
+    const where = activeIPBanWhere();
+    if (query.source) {
+      where.source = query.source;
+    }
     
     const [ipBans, total] = await Promise.all([
       db.IPBan.findMany({
+        where,
         skip,
         take: limit,
         orderBy: {
           id: 'desc'
         }
       }),
-      db.IPBan.count()
+      db.IPBan.count({ where })
     ]);
 
     return {
-      ipBans,
+      ipBans: ipBans.map(formatIPBan),
       pagination: {
         page,
         limit,
@@ -36,14 +76,14 @@ async function listAllIPBans(query = {}) {
 
 async function createIPBan(data) {
   try {
-    const ipKey = RedisKeys.ban.ipCheck(data.fromIP);
-    await redisClient.del(ipKey);
     const ipBan = await db.IPBan.create({
-      data
+      data: normalizeExpiry(normalizeIPBanInput(data))
     });
-    
-    logMessage('info', `IP ban created: ${data.fromIP} - ${data.toIP}`);
-    return ipBan;
+    await RedisHelpers.invalidateIPBanCache();
+
+    const formatted = formatIPBan(ipBan);
+    logMessage('info', `IP ban created: ${formatted.cidr.join(', ')}`);
+    return formatted;
   } catch (error) {
     logMessage('error', `Error creating IP ban: ${error.message}`);
     throw error;
@@ -60,22 +100,51 @@ async function getIPBanById(id) {
       throw new Error('IP ban not found');
     }
 
-    return ipBan;
+    return formatIPBan(ipBan);
   } catch (error) {
     logMessage('error', `Error getting IP ban: ${error.message}`);
     throw error;
   }
 }
 
+// A single bound is merged with the stored other one, so the range is
+// validated as a whole instead of collapsing to one address
+async function resolveIPBanUpdate(id, data) {
+  if (data.range !== undefined) {
+    return normalizeIPBanInput(data);
+  }
+  if (data.fromIP === undefined && data.toIP === undefined) {
+    return data;
+  }
+  if (data.fromIP !== undefined && data.toIP !== undefined) {
+    return normalizeIPBanInput(data);
+  }
+
+  const stored = await db.IPBan.findUnique({
+    where: { id: parseInt(id) },
+    select: { fromIP: true, toIP: true }
+  });
+  if (!stored) {
+    throw new Error('IP ban not found');
+  }
+
+  return normalizeIPBanInput({
+    ...data,
+    fromIP: data.fromIP ?? stored.fromIP,
+    toIP: data.toIP ?? stored.toIP
+  });
+}
+
 async function updateIPBan(id, data) {
   try {
     const ipBan = await db.IPBan.update({
       where: { id: parseInt(id) },
-      data
+      data: normalizeExpiry(await resolveIPBanUpdate(id, data))
     });
+    await RedisHelpers.invalidateIPBanCache();
     
     logMessage('info', `IP ban updated: ${id}`);
-    return ipBan;
+    return formatIPBan(ipBan);
   } catch (error) {
     if (error.code === 'P2025') {
       throw new Error('IP ban not found');
@@ -87,14 +156,10 @@ async function updateIPBan(id, data) {
 
 async function deleteIPBan(id) {
   try {
-    const ipBan = await db.IPBan.findUnique({ where: { id: parseInt(id) } });
-    if (ipBan) {
-      const ipKey = RedisKeys.ban.ipCheck(ipBan.fromIP);
-      await redisClient.del(ipKey);
-    }
     await db.IPBan.delete({
       where: { id: parseInt(id) }
     });
+    await RedisHelpers.invalidateIPBanCache();
     
     logMessage('info', `IP ban deleted: ${id}`);
   } catch (error) {
@@ -106,12 +171,22 @@ async function deleteIPBan(id) {
   }
 }
 
+// Items are either range strings or { range } / { fromIP, toIP } objects
+function createManyIPBans(data) {
+  const ipBans = data.map((item) => (
+    typeof item === 'string' ? parseIPRange(item) : normalizeExpiry(normalizeIPBanInput(item))
+  ));
+
+  return db.IPBan.createMany({
+    data: ipBans,
+    skipDuplicates: true
+  });
+}
+
 async function bulkCreateIPBans(data) {
   try {
-    const result = await db.IPBan.createMany({
-      data,
-      skipDuplicates: true
-    });
+    const result = await createManyIPBans(data);
+    await RedisHelpers.invalidateIPBanCache();
     
     logMessage('info', `Bulk IP bans created: ${result.count} records`);
     return result;
@@ -121,11 +196,71 @@ async function bulkCreateIPBans(data) {
   }
 }
 
+// Imports a P2P, DAT or CIDR blocklist tagged with its source. With replace,
+// bans previously imported from the same source are removed in the same
+// transaction, so a failed import leaves the old list in place.
+async function importBlocklist(text, { source, replace = false } = {}) {
+  try {
+    if (!source) {
+      throw new Error('Blocklist source is required');
+    }
+
+    const { ranges, skipped } = parseBlocklist(text);
+    const merged = mergeRanges(ranges);
+
+    const created = createManyIPBans(merged.map(range => ({ ...range, source })));
+    const [deleted, result] = replace
+      ? await db.$transaction([db.IPBan.deleteMany({ where: { source } }), created])
+      : [{ count: 0 }, await created];
+    const removed = deleted.count;
+
+    // Trackers reload their ban index only once the new list is committed
+    await RedisHelpers.invalidateIPBanCache();
+
+    const summary = {
+      source,
+      added: result.count,
+      merged: ranges.length - merged.length,
+      // Ranges that already exist are skipped by createMany
+      skipped: skipped + merged.length - result.count,
+      removed
+    };
+
+    logMessage('info', `Blocklist ${source} imported: ${summary.added} added, ${summary.merged} merged, ${summary.skipped} skipped, ${summary.removed} removed`);
+    return summary;
+  } catch (error) {
+    logMessage('error', `Error importing blocklist: ${error.message}`);
+    throw error;
+  }
+}
+
+async function cleanupExpiredIPBans() {
+  try {
+    const { count } = await db.IPBan.deleteMany({
+      where: { expiresAt: { lt: new Date() } }
+    });
+
+    if (count === 0) {
+      return { cleaned: 0 };
+    }
+
+    await RedisHelpers.invalidateIPBanCache();
+
+    logMessage('info', `Cleaned up ${count} expired IP bans`);
+    return { cleaned: count };
+  } catch (error) {
+    logMessage('error', `Error cleaning up expired IP bans: ${error.message}`);
+    throw error;
+  }
+}
+
 export {
   listAllIPBans,
   createIPBan,
   getIPBanById,
   updateIPBan,
   deleteIPBan,
-  bulkCreateIPBans
+  bulkCreateIPBans,
+  importBlocklist,
+  cleanupExpiredIPBans
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { Address4, Address6 } from 'ip-address';
+import { ipToNumber } from '../utils/utils.js';
+
+const MAX_IPV4 = 0xFFFFFFFFn;
+
+function toNumber(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    return BigInt(value);
+  }
+
+  const number = ipToNumber(String(value).trim());
+  if (number === null) {
+    throw new Error(`Invalid IP address: ${value}`);
+  }
+  return number;
+}
+
+function parseCIDR(input) {
+  const [address, prefixText] = input.split('/');
+  const bits = address.includes(':') ? 128n : 32n;
+
+  if (!/^\d+$/.test(prefixText ?? '') || BigInt(prefixText) > bits) {
+    throw new Error(`Invalid IP range: ${input}`);
+  }
+
+  const prefix = BigInt(prefixText);
+  const hostBits = bits - prefix;
+  const hostMask = (1n << hostBits) - 1n;
+  const fromIP = toNumber(address) & ~hostMask;
+  return { fromIP, toIP: fromIP | hostMask };
+}
+
+// Accepts a CIDR block (10.0.0.0/8, 2001:db8::/32), a dashed range
+// (10.0.0.1-10.0.0.255) or a single address
+function parseIPRange(input) {
+  const value = String(input ?? '').trim();
+  if (!value) {
+    throw new Error('Invalid IP range: empty value');
+  }
+
+  if (value.includes('/')) {
+    return parseCIDR(value);
+  }
+
+  const parts = value.split('-').map(part => part.trim());
+  if (parts.length > 2) {
+    throw new Error(`Invalid IP range: ${value}`);
+  }
+
+  const fromIP = toNumber(parts[0]);
+  const toIP = parts.length === 2 ? toNumber(parts[1]) : fromIP;
+  if (fromIP > toIP) {
+    throw new Error(`Invalid IP range: ${value}`);
+  }
+
+  return { fromIP, toIP };
+}
+
+// Normalizes an API payload: either { range } or { fromIP, toIP } where each
+// bound may be an address or the stored numeric value
+function normalizeIPBanInput(data) {
+  const { range, fromIP, toIP, ...rest } = data;
+
+  if (range !== undefined) {
+    return { ...rest, ...parseIPRange(range) };
+  }
+
+  if (fromIP === undefined) {
+    throw new Error('Invalid IP range: range or fromIP is required');
+  }
+
+  const from = toNumber(fromIP);
+  const to = toIP === undefined ? from : toNumber(toIP);
+  if (from > to) {
+    throw new Error(`Invalid IP range: ${fromIP}-${toIP}`);
+  }
+
+  return { ...rest, fromIP: from, toIP: to };
+}
+
+// Sorts ranges and collapses overlapping or adjacent ones; a merged range
+// keeps the remaining fields (reason, source) of its first member
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .map(({ fromIP, toIP, ...rest }) => {
+      const from = BigInt(fromIP);
+      const to = BigInt(toIP);
+      return from <= to ? { ...rest, fromIP: from, toIP: to } : { ...rest, fromIP: to, toIP: from };
+    })
+    .sort((a, b) => (a.fromIP < b.fromIP ? -1 : a.fromIP > b.fromIP ? 1 : 0));
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.fromIP <= last.toIP + 1n) {
+      if (range.toIP > last.toIP) {
+        last.toIP = range.toIP;
+      }
+    } else {
+      merged.push(range);
+    }
+  }
+
+  return merged;
+}
+
+function numberToIP(value, v6) {
+  return v6
+    ? Address6.fromBigInt(value).correctForm()
+    : Address4.fromBigInt(value).correctForm();
+}
+
+// Smallest set of CIDR blocks covering the range. Ranges that fit in 32 bits
+// are shown as IPv4, matching how ipToNumber stores v4 addresses.
+function rangeToCIDRs(fromIP, toIP) {
+  let from = BigInt(fromIP);
+  const to = BigInt(toIP);
+  const v6 = to > MAX_IPV4;
+  const bits = v6 ? 128n : 32n;
+  const blocks = [];
+
+  while (from <= to) {
+    let size = from === 0n ? 1n << bits : from & -from;
+    while (from + size - 1n > to) {
+      size >>= 1n;
+    }
+
+    const prefix = bits - BigInt(size.toString(2).length - 1);
+    blocks.push(`${numberToIP(from, v6)}/${prefix}`);
+    from += size;
+  }
+
+  return blocks;
+}
+
+export { parseIPRange, normalizeIPBanInput, mergeRanges, numberToIP, rangeToCIDRs };
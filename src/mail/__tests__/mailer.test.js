@@ -0,0 +1,239 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import net from 'net';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/utils.js', () => ({
+  logMessage: mockLogMessage
+}));
+
+const { mailConfig } = await import('../../config/mail.js');
+const { securityConfig, validateSecurityConfig } = await import('../../config/security.js');
+const { buildMessage, extractAddress } = await import('../message.js');
+const { createFileTransport } = await import('../transports.js');
+const { createSmtpTransport } = await import('../smtp-transport.js');
+const { sendMail, registerMailTransport } = await import('../mailer.js');
+
+// Accepts one message per connection and records the commands it received
+function startFakeSmtpServer() {
+  const session = { commands: [], data: '' };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake.smtp ESMTP\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-fake.smtp\r\n250 AUTH PLAIN\r\n');
+        } else if (line === 'STARTTLS') {
+          socket.write('454 TLS not available\r\n');
+        } else if (line.startsWith('AUTH')) {
+          socket.write('235 ok\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line.startsWith('RCPT') && line.includes('rejected')) {
+          socket.write('550 no such user\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port }));
+  });
+}
+
+describe('Mailer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildMessage', () => {
+    it('should build a plain-text message with CRLF line endings', () => {
+      const raw = buildMessage({
+        from: 'Tracker <noreply@tracker.test>',
+        to: 'alice@example.com',
+        subject: 'Verify your email address',
+        text: 'line one\nline two'
+      });
+
+      expect(raw).toContain('From: Tracker <noreply@tracker.test>\r\n');
+      expect(raw).toContain('To: alice@example.com\r\n');
+      expect(raw).toMatch(/Message-ID: <[0-9a-f-]+@tracker\.test>\r\n/);
+      expect(raw).toContain('Content-Type: text/plain; charset=utf-8\r\n');
+      expect(raw.endsWith('\r\n\r\nline one\r\nline two')).toBe(true);
+    });
+
+    it('should encode non-ASCII subjects', () => {
+      const raw = buildMessage({ from: 'a@b.c', to: 'd@e.f', subject: 'Contraseña', text: '' });
+
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Contraseña').toString('base64')}?=`);
+    });
+
+    it('should extract bare addresses', () => {
+      expect(extractAddress('Tracker <noreply@tracker.test>')).toBe('noreply@tracker.test');
+      expect(extractAddress(' alice@example.com ')).toBe('alice@example.com');
+    });
+  });
+
+  describe('file transport', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should write each message as an .eml file', async () => {
+      const transport = createFileTransport(path.join(directory, 'out'));
+
+      await transport.send({ raw: 'Subject: hi\r\n\r\nbody' });
+
+      const files = fs.readdirSync(path.join(directory, 'out'));
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      expect(fs.readFileSync(path.join(directory, 'out', files[0]), 'utf8')).toBe('Subject: hi\r\n\r\nbody');
+    });
+  });
+
+  describe('smtp transport', () => {
+    let fake;
+
+    beforeEach(async () => {
+      fake = await startFakeSmtpServer();
+    });
+
+    afterEach(() => new Promise(resolve => fake.server.close(resolve)));
+
+    it('should refuse to authenticate when the server offers no STARTTLS', async () => {
+      const transport = createSmtpTransport({
+        host: '127.0.0.1',
+        port: fake.port,
+        user: 'mailer',
+        pass: 'secret'
+      });
+
+      await expect(transport.send({ from: 'a@b.c', to: 'alice@example.com', raw: 'x' }))
+        .rejects.toThrow(/STARTTLS/);
+      expect(fake.session.commands).toEqual([expect.stringMatching(/^EHLO /), 'STARTTLS']);
+    });
+
+    it('should authenticate without TLS when plaintext auth is allowed', async () => {
+      const transport = createSmtpTransport({
+        host: '127.0.0.1',
+        port: fake.port,
+        user: 'mailer',
+        pass: 'secret',
+        allowPlaintextAuth: true
+      });
+
+      await transport.send({
+        from: 'Tracker <noreply@tracker.test>',
+        to: 'alice@example.com',
+        raw: 'Subject: hi\r\n\r\n.leading dot\r\nbody'
+      });
+
+      expect(fake.session.commands).toEqual([
+        expect.stringMatching(/^EHLO /),
+        `AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`,
+        'MAIL FROM:<noreply@tracker.test>',
+        'RCPT TO:<alice@example.com>',
+        'DATA'
+      ]);
+      expect(fake.session.data).toBe('Subject: hi\r\n\r\n..leading dot\r\nbody\r\n');
+    });
+
+    it('should surface server rejections', async () => {
+      const transport = createSmtpTransport({ host: '127.0.0.1', port: fake.port });
+
+      await expect(transport.send({ from: 'a@b.c', to: 'rejected@example.com', raw: 'x' }))
+        .rejects.toThrow('550 no such user');
+    });
+
+    it('should require a host', () => {
+      expect(() => createSmtpTransport({})).toThrow('SMTP_HOST is required for the smtp mail transport');
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should deliver through the configured transport', async () => {
+      const send = jest.fn();
+      registerMailTransport('memory', () => ({ send }));
+      mailConfig.transport = 'memory';
+
+      await sendMail({ to: 'alice@example.com', subject: 'Hello', text: 'Hi' });
+
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({
+        from: mailConfig.from,
+        to: 'alice@example.com',
+        subject: 'Hello',
+        text: 'Hi',
+        raw: expect.stringContaining('Subject: Hello')
+      }));
+    });
+
+    it('should reject unknown transports', async () => {
+      mailConfig.transport = 'pigeon';
+
+      await expect(sendMail({ to: 'alice@example.com', subject: 'Hello', text: 'Hi' }))
+        .rejects.toThrow('Unknown mail transport: pigeon');
+    });
+  });
+
+  describe('production config', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      process.env.NODE_ENV = 'production';
+      process.env.DATABASE_URL = 'postgresql://tracker@db/tracker?ssl=true';
+      securityConfig.jwt.secret = 'x'.repeat(32);
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('should refuse the console and file transports', () => {
+      for (const transport of ['console', 'file']) {
+        mailConfig.transport = transport;
+        expect(() => validateSecurityConfig())
+          .toThrow(`MAIL_TRANSPORT=${transport} is for local testing; set SMTP_HOST in production`);
+      }
+    });
+
+    it('should accept the smtp transport', () => {
+      mailConfig.transport = 'smtp';
+
+      expect(validateSecurityConfig()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { mailConfig } from '../config/mail.js';
+import { logMessage } from '../utils/utils.js';
+import { buildMessage } from './message.js';
+import { createConsoleTransport, createFileTransport } from './transports.js';
+import { createSmtpTransport } from './smtp-transport.js';
+
+// Transports by MAIL_TRANSPORT name; registerMailTransport adds others
+const transportFactories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(mailConfig.fileDir),
+  smtp: () => createSmtpTransport(mailConfig.smtp)
+};
+
+// Created on first use and kept while MAIL_TRANSPORT names the same one
+let active = null;
+
+function registerMailTransport(name, factory) {
+  transportFactories[name] = factory;
+  if (active?.name === name) {
+    active = null;
+  }
+}
+
+function getTransport() {
+  const name = mailConfig.transport;
+  if (active?.name !== name) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    active = { name, transport: factory() };
+  }
+  return active.transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  try {
+    const from = mailConfig.from;
+    const raw = buildMessage({ from, to, subject, text });
+
+    await getTransport().send({ from, to, subject, text, raw });
+
+    logMessage('info', `Mail "${subject}" sent to ${to} via ${mailConfig.transport}`);
+  } catch (error) {
+    logMessage('error', `Error sending mail to ${to}: ${error.message}`);
+    throw error;
+  }
+}
+
+export { sendMail, registerMailTransport };
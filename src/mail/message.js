@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// Bare address of "Name <user@host>" or "user@host"
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+// Plain-text RFC 5322 message with CRLF line endings
+function buildMessage({ from, to, subject, text }) {
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  return `${headers.join('\r\n')}\r\n\r\n${String(text).replace(/\r?\n/g, '\r\n')}`;
+}
+
+export { buildMessage, extractAddress };
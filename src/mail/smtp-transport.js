@@ -0,0 +1,34 @@
+import nodemailer from 'nodemailer';
+import { extractAddress } from './message.js';
+
+// Delivers the prebuilt message through nodemailer: implicit TLS with
+// secure, otherwise STARTTLS when offered. With credentials STARTTLS is
+// required, so AUTH never goes out in the clear unless allowPlaintextAuth
+// is set.
+function createSmtpTransport(options) {
+  if (!options.host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: Boolean(options.secure),
+    requireTLS: Boolean(options.user) && !options.allowPlaintextAuth,
+    auth: options.user ? { user: options.user, pass: options.pass ?? '' } : undefined,
+    connectionTimeout: options.timeout ?? 30000,
+    greetingTimeout: options.timeout ?? 30000,
+    socketTimeout: options.timeout ?? 30000
+  });
+
+  return {
+    async send({ from, to, raw }) {
+      await transporter.sendMail({
+        envelope: { from: extractAddress(from), to: extractAddress(to) },
+        raw
+      });
+    }
+  };
+}
+
+export { createSmtpTransport };
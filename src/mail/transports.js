@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logMessage } from '../utils/utils.js';
+
+// A transport is an object with send({ from, to, subject, text, raw })
+
+// Logs the message instead of delivering it
+function createConsoleTransport() {
+  return {
+    async send({ to, subject, text }) {
+      logMessage('info', `Mail to ${to}: ${subject}\n${text}`);
+    }
+  };
+}
+
+// Writes each message as an .eml file that mail clients can open
+function createFileTransport(directory) {
+  return {
+    async send({ raw }) {
+      await fs.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.writeFile(file, raw);
+    }
+  };
+}
+
+export { createConsoleTransport, createFileTransport };
@@ -5,24 +5,47 @@ const mockJwt = {
 };
 
 const mockLogMessage = jest.fn();
-
-const mockDb = {
-  user: {
-    findUnique: jest.fn()
-  }
-};
+const mockGetUserById = jest.fn();
+const mockIsTokenBlocklisted = jest.fn();
+const mockIsSessionActive = jest.fn();
+const mockIsTwoFactorRequired = jest.fn();
+const mockAuthenticateApiKey = jest.fn();
 
 jest.unstable_mockModule('jsonwebtoken', () => ({ default: mockJwt }));
 jest.unstable_mockModule('../../utils/utils.js', () => ({
   logMessage: mockLogMessage
 }));
-jest.unstable_mockModule('../../utils/db.server.js', () => ({
-  db: mockDb
+jest.unstable_mockModule('../../users/users.service.js', () => ({
+  getUserById: mockGetUserById
+}));
+jest.unstable_mockModule('../../auth/auth.service.js', () => ({
+  isTokenBlocklisted: mockIsTokenBlocklisted
+}));
+jest.unstable_mockModule('../../auth/session.service.js', () => ({
+  isSessionActive: mockIsSessionActive
+}));
+jest.unstable_mockModule('../../auth/two-factor.service.js', () => ({
+  isTwoFactorRequired: mockIsTwoFactorRequired
+}));
+jest.unstable_mockModule('../../api-keys/api-keys.service.js', () => ({
+  isApiKey: (value) => typeof value === 'string' && value.startsWith('ntk_'),
+  authenticateApiKey: mockAuthenticateApiKey
 }));
 
 process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing-purposes-at-least-32-characters-long-and-secure';
 
-const { authMiddleware } = await import('../auth.js');
+const {
+  authMiddleware,
+  sessionAuthMiddleware,
+  twoFactorSetupAuthMiddleware,
+  requireScope
+} = await import('../auth.js');
+
+const verifyOptions = {
+  algorithms: ['HS256'],
+  issuer: 'node-tracker',
+  audience: 'tracker-users'
+};
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -38,46 +61,49 @@ describe('Auth Middleware', () => {
     };
     next = jest.fn();
     jest.clearAllMocks();
+    mockIsTokenBlocklisted.mockResolvedValue(false);
+    mockIsSessionActive.mockResolvedValue(true);
+    mockIsTwoFactorRequired.mockReturnValue(false);
   });
 
   describe('authMiddleware', () => {
-    it('should authenticate valid token successfully', async () => {
-      const mockDecodedToken = {
-        id: 1,
-        username: 'testuser'
-      };
-
-      const mockUser = {
-        id: 1,
-        username: 'testuser',
-        email: 'test@example.com',
-        role: 'USER',
-        banned: false,
-        emailVerified: true
-      };
+    const mockUser = {
+      id: 1,
+      username: 'testuser',
+      email: 'test@example.com',
+      role: 'USER',
+      banned: false,
+      emailVerified: true
+    };
+
+    const expectTokenRequired = () => {
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Authentication token required' });
+      expect(next).not.toHaveBeenCalled();
+    };
 
+    const expectInvalidToken = () => {
+      expect(mockLogMessage).toHaveBeenCalledWith('warn', expect.stringContaining('Invalid token provided'));
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+      expect(next).not.toHaveBeenCalled();
+    };
+
+    it('should authenticate valid token successfully', async () => {
       req.headers.authorization = 'Bearer valid_jwt_token';
-      mockJwt.verify.mockReturnValue(mockDecodedToken);
-      mockDb.user.findUnique.mockResolvedValue(mockUser);
+      mockJwt.verify.mockReturnValue({ id: 1, username: 'testuser' });
+      mockGetUserById.mockResolvedValue(mockUser);
 
       await authMiddleware(req, res, next);
 
       expect(mockJwt.verify).toHaveBeenCalledWith(
         'valid_jwt_token',
-        process.env.JWT_SECRET
+        process.env.JWT_SECRET,
+        verifyOptions
       );
-      expect(mockDb.user.findUnique).toHaveBeenCalledWith({
-        where: { id: 1 },
-        select: {
-          id: true,
-          username: true,
-          email: true,
-          role: true,
-          banned: true,
-          emailVerified: true
-        }
-      });
+      expect(mockGetUserById).toHaveBeenCalledWith(1);
       expect(req.user).toEqual(mockUser);
+      expect(req.token).toBe('valid_jwt_token');
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
       expect(res.json).not.toHaveBeenCalled();
@@ -86,16 +112,7 @@ describe('Auth Middleware', () => {
     it('should reject request without authorization header', async () => {
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Access without token from IP: ${req.ip}`
-      );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ 
-        error: 'Access denied',
-        code: 'NO_TOKEN'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectTokenRequired();
     });
 
     it('should reject request with malformed authorization header', async () => {
@@ -103,16 +120,7 @@ describe('Auth Middleware', () => {
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Access without token from IP: ${req.ip}`
-      );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ 
-        error: 'Access denied',
-        code: 'NO_TOKEN'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectTokenRequired();
     });
 
     it('should reject request with authorization header not starting with Bearer', async () => {
@@ -120,16 +128,7 @@ describe('Auth Middleware', () => {
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Access without token from IP: ${req.ip}`
-      );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ 
-        error: 'Access denied',
-        code: 'NO_TOKEN'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectTokenRequired();
     });
 
     it('should reject request with only Bearer in authorization header', async () => {
@@ -137,16 +136,7 @@ describe('Auth Middleware', () => {
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Access without token from IP: ${req.ip}`
-      );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ 
-        error: 'Access denied',
-        code: 'NO_TOKEN'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectTokenRequired();
     });
 
     it('should reject request with invalid token', async () => {
@@ -161,18 +151,10 @@ describe('Auth Middleware', () => {
 
       expect(mockJwt.verify).toHaveBeenCalledWith(
         'invalid_token',
-        process.env.JWT_SECRET
-      );
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Invalid token from IP: ${req.ip}`
+        process.env.JWT_SECRET,
+        verifyOptions
       );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Invalid token',
-        code: 'TOKEN_INVALID'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectInvalidToken();
     });
 
     it('should reject request with expired token', async () => {
@@ -187,18 +169,10 @@ describe('Auth Middleware', () => {
 
       expect(mockJwt.verify).toHaveBeenCalledWith(
         'expired_token',
-        process.env.JWT_SECRET
+        process.env.JWT_SECRET,
+        verifyOptions
       );
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Expired token from IP: ${req.ip}`
-      );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Token expired',
-        code: 'TOKEN_EXPIRED'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectInvalidToken();
     });
 
     it('should handle JWT verification errors gracefully', async () => {
@@ -211,80 +185,52 @@ describe('Auth Middleware', () => {
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Invalid token from IP: ${req.ip}`
-      );
+      expectInvalidToken();
+    });
+
+    it('should reject blocklisted tokens', async () => {
+      req.headers.authorization = 'Bearer logged_out_token';
+      mockIsTokenBlocklisted.mockResolvedValue(true);
+
+      await authMiddleware(req, res, next);
+
+      expect(mockJwt.verify).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'Invalid token',
-        code: 'TOKEN_INVALID'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ error: 'Token has been invalidated. Please log in again.' });
     });
 
     it('should extract token correctly from Bearer header', async () => {
       const token = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.test.signature';
-      const mockDecodedToken = { id: 1, username: 'testuser' };
-      const mockUser = {
-        id: 1,
-        username: 'testuser',
-        email: 'test@example.com',
-        role: 'USER',
-        banned: false,
-        emailVerified: true
-      };
 
       req.headers.authorization = `Bearer ${token}`;
-      mockJwt.verify.mockReturnValue(mockDecodedToken);
-      mockDb.user.findUnique.mockResolvedValue(mockUser);
+      mockJwt.verify.mockReturnValue({ id: 1, username: 'testuser' });
+      mockGetUserById.mockResolvedValue(mockUser);
 
       await authMiddleware(req, res, next);
 
-      expect(mockJwt.verify).toHaveBeenCalledWith(token, process.env.JWT_SECRET);
+      expect(mockJwt.verify).toHaveBeenCalledWith(token, process.env.JWT_SECRET, verifyOptions);
       expect(next).toHaveBeenCalled();
     });
 
     it('should handle case-sensitive authorization header', async () => {
-      req.headers.Authorization = 'Bearer valid_token'; 
+      req.headers.Authorization = 'Bearer valid_token';
       mockJwt.verify.mockReturnValue({ id: 1, username: 'testuser' });
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Access without token from IP: ${req.ip}`
-      );
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({ 
-        error: 'Access denied',
-        code: 'NO_TOKEN'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expectTokenRequired();
     });
 
     it('should set user object on request after successful authentication', async () => {
-      const mockDecodedToken = {
-        id: 123,
-        username: 'testuser'
-      };
-
-      const mockUser = {
-        id: 123,
-        username: 'testuser',
-        email: 'test@example.com',
-        role: 'USER',
-        banned: false,
-        emailVerified: true
-      };
+      const user = { ...mockUser, id: 123 };
 
       req.headers.authorization = 'Bearer valid_token';
-      mockJwt.verify.mockReturnValue(mockDecodedToken);
-      mockDb.user.findUnique.mockResolvedValue(mockUser);
+      mockJwt.verify.mockReturnValue({ id: 123, username: 'testuser' });
+      mockGetUserById.mockResolvedValue(user);
 
       await authMiddleware(req, res, next);
 
-      expect(req.user).toEqual(mockUser);
+      expect(req.user).toEqual(user);
       expect(req.user.id).toBe(123);
       expect(req.user.username).toBe('testuser');
       expect(req.user.role).toBe('USER');
@@ -292,60 +238,136 @@ describe('Auth Middleware', () => {
     });
 
     it('should reject request when user not found in database', async () => {
-      const mockDecodedToken = {
-        id: 999,
-        username: 'nonexistent'
-      };
-
       req.headers.authorization = 'Bearer valid_token';
-      mockJwt.verify.mockReturnValue(mockDecodedToken);
-      mockDb.user.findUnique.mockResolvedValue(null);
+      mockJwt.verify.mockReturnValue({ id: 999, username: 'nonexistent' });
+      mockGetUserById.mockResolvedValue(null);
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Token for non-existent user: ${mockDecodedToken.id} from IP: ${req.ip}`
-      );
       expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
+      expect(res.json).toHaveBeenCalledWith({ error: 'User not found or is banned' });
       expect(next).not.toHaveBeenCalled();
     });
 
     it('should reject request when user is banned', async () => {
-      const mockDecodedToken = {
-        id: 1,
-        username: 'banneduser'
-      };
-
-      const mockBannedUser = {
-        id: 1,
-        username: 'banneduser',
-        email: 'banned@example.com',
-        role: 'USER',
-        banned: true,
-        emailVerified: true
-      };
+      req.headers.authorization = 'Bearer valid_token';
+      mockJwt.verify.mockReturnValue({ id: 1, username: 'banneduser' });
+      mockGetUserById.mockResolvedValue({ ...mockUser, username: 'banneduser', banned: true });
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'User not found or is banned' });
+      expect(next).not.toHaveBeenCalled();
+    });
 
+    it('should reject tokens whose session was revoked', async () => {
       req.headers.authorization = 'Bearer valid_token';
-      mockJwt.verify.mockReturnValue(mockDecodedToken);
-      mockDb.user.findUnique.mockResolvedValue(mockBannedUser);
+      mockJwt.verify.mockReturnValue({ id: 1, username: 'testuser', sid: 'abc123' });
+      mockIsSessionActive.mockResolvedValue(false);
+
+      await authMiddleware(req, res, next);
+
+      expect(mockIsSessionActive).toHaveBeenCalledWith('abc123', 1);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(mockGetUserById).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should hold back forced roles until they enable 2FA', async () => {
+      const mockAdmin = { id: 1, username: 'admin', role: 'ADMIN', banned: false, twoFactorEnabled: false };
+      req.headers.authorization = 'Bearer valid_token';
+      mockJwt.verify.mockReturnValue({ id: 1, username: 'admin' });
+      mockGetUserById.mockResolvedValue(mockAdmin);
+      mockIsTwoFactorRequired.mockReturnValue(true);
 
       await authMiddleware(req, res, next);
 
-      expect(mockLogMessage).toHaveBeenCalledWith(
-        'warn',
-        `Banned user attempted access: ${mockBannedUser.username} from IP: ${req.ip}`
-      );
       expect(res.status).toHaveBeenCalledWith(403);
       expect(res.json).toHaveBeenCalledWith({
-        error: 'User account is banned',
-        code: 'USER_BANNED'
+        error: 'Two-factor authentication must be enabled for your role',
+        twoFactorSetupRequired: true
       });
       expect(next).not.toHaveBeenCalled();
+
+      await twoFactorSetupAuthMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('API keys', () => {
+    const mockUser = { id: 7, username: 'bot', role: 'USER', banned: false };
+
+    it('should authenticate an X-API-Key header', async () => {
+      req.headers['x-api-key'] = 'ntk_secret';
+      mockAuthenticateApiKey.mockResolvedValue({ id: 3, userId: 7, scopes: ['torrents:read'] });
+      mockGetUserById.mockResolvedValue(mockUser);
+
+      await authMiddleware(req, res, next);
+
+      expect(mockAuthenticateApiKey).toHaveBeenCalledWith('ntk_secret');
+      expect(mockJwt.verify).not.toHaveBeenCalled();
+      expect(req.apiKey).toEqual({ id: 3, scopes: ['torrents:read'] });
+      expect(req.token).toBeUndefined();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should accept a key sent as a Bearer token', async () => {
+      req.headers.authorization = 'Bearer ntk_secret';
+      mockAuthenticateApiKey.mockResolvedValue({ id: 3, userId: 7, scopes: [] });
+      mockGetUserById.mockResolvedValue(mockUser);
+
+      await authMiddleware(req, res, next);
+
+      expect(mockAuthenticateApiKey).toHaveBeenCalledWith('ntk_secret');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject invalid, expired or revoked keys', async () => {
+      req.headers['x-api-key'] = 'ntk_revoked';
+      mockAuthenticateApiKey.mockResolvedValue(null);
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid, expired or revoked API key' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should refuse keys on session-only routes', async () => {
+      req.headers['x-api-key'] = 'ntk_secret';
+
+      await sessionAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(mockAuthenticateApiKey).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireScope', () => {
+    it('should let JWT requests through', () => {
+      req.method = 'DELETE';
+
+      requireScope('torrents')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should map GET to read and other methods to write', () => {
+      req.apiKey = { id: 3, scopes: ['torrents:read'] };
+      req.method = 'GET';
+
+      requireScope('torrents')(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      req.method = 'POST';
+      requireScope('torrents')(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'API key is missing the torrents:write scope' });
     });
   });
 });
@@ -0,0 +1,96 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { permissionsConfig } from '../../config/permissions.js';
+import { hasPermission, listPermissions, requirePermission } from '../permissions.js';
+
+describe('Permissions Middleware', () => {
+  let res, next;
+
+  beforeEach(() => {
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    permissionsConfig.userClasses = {};
+  });
+
+  describe('hasPermission', () => {
+    it('should follow the role defaults', () => {
+      expect(hasPermission({ role: 'USER' }, 'torrents.upload')).toBe(true);
+      expect(hasPermission({ role: 'USER' }, 'bans.user.create')).toBe(false);
+      expect(hasPermission({ role: 'MODERATOR' }, 'bans.user.create')).toBe(true);
+      expect(hasPermission({ role: 'MODERATOR' }, 'bans.user.permanent')).toBe(false);
+      expect(hasPermission({ role: 'ADMIN' }, 'bans.user.permanent')).toBe(true);
+    });
+
+    it('should add the permissions of the user class', () => {
+      permissionsConfig.userClasses = {
+        Uploader: { permissions: ['torrents.multipliers'] },
+        Warden: { permissions: ['bans.*'] }
+      };
+
+      expect(hasPermission({ role: 'USER', userClass: 'Uploader' }, 'torrents.multipliers')).toBe(true);
+      expect(hasPermission({ role: 'USER', userClass: 'Warden' }, 'bans.ip.import')).toBe(true);
+      expect(hasPermission({ role: 'USER', userClass: 'Warden' }, 'geoip.rules')).toBe(false);
+      expect(hasPermission({ role: 'USER', userClass: 'Unknown' }, 'torrents.multipliers')).toBe(false);
+    });
+
+    it('should grant nothing without a user', () => {
+      expect(hasPermission(undefined, 'torrents.upload')).toBe(false);
+    });
+  });
+
+  describe('listPermissions', () => {
+    it('should expand wildcards to registered permissions', () => {
+      const permissions = listPermissions({ role: 'ADMIN' });
+
+      expect(permissions).toContain('freeleech.manage');
+      expect(permissions).not.toContain('*');
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should reject unknown permissions when the route is defined', () => {
+      expect(() => requirePermission('torrents.fly')).toThrow('Unknown permission: torrents.fly');
+      expect(() => requirePermission('freeleech.manage', { owner: () => 1 }))
+        .toThrow('Unknown permission: freeleech.manage.any');
+    });
+
+    it('should pass users holding the permission', async () => {
+      await requirePermission('bans.user.view')({ user: { id: 1, role: 'MODERATOR' } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should answer 403 with the missing permission', async () => {
+      await requirePermission('bans.user.view')({ user: { id: 1, role: 'USER' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Access denied', permission: 'bans.user.view' });
+    });
+
+    it('should accept .own only for the owner', async () => {
+      const middleware = requirePermission('torrents.delete', { owner: (req) => req.torrent.uploadedById });
+
+      await middleware({ user: { id: 1, role: 'USER' }, torrent: { uploadedById: 1 } }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      await middleware({ user: { id: 1, role: 'USER' }, torrent: { uploadedById: 2 } }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Access denied', permission: 'torrents.delete.any' });
+    });
+
+    it('should not ask for the owner when .any is granted', async () => {
+      const owner = jest.fn();
+
+      await requirePermission('torrents.delete', { owner })({ user: { id: 1, role: 'ADMIN' } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(owner).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,37 +1,107 @@
 import jwt from 'jsonwebtoken';
 import { getUserById } from '../users/users.service.js';
 import { isTokenBlocklisted } from '../auth/auth.service.js';
+import { isSessionActive } from '../auth/session.service.js';
+import { isTwoFactorRequired } from '../auth/two-factor.service.js';
+import { isApiKey, authenticateApiKey } from '../api-keys/api-keys.service.js';
 import { logMessage } from '../utils/utils.js';
+import { securityConfig } from '../config/security.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
-export const authMiddleware = async (req, res, next) => {
+// API keys come in X-API-Key or as a Bearer token with the key prefix
+function extractCredentials(req) {
   const authHeader = req.headers.authorization;
+  const bearer = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const apiKey = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  return apiKey ? { apiKey } : { token: bearer };
+}
+
+// allowApiKey: accept personal API keys besides JWTs. Routes that manage
+// credentials (sessions, 2FA, API keys) leave it off.
+// allowTwoFactorSetup: let users whose role requires 2FA reach the
+// enrollment routes before they have enabled it
+const authenticate = ({ allowApiKey = false, allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
+  const { apiKey, token } = extractCredentials(req);
+
+  if (apiKey && !allowApiKey) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  }
+  if (!apiKey && !token) {
     return res.status(401).json({ error: 'Authentication token required' });
   }
 
-  const token = authHeader.split(' ')[1];
-
   try {
-    if (await isTokenBlocklisted(token)) {
-      logMessage('warn', `Attempt to use a blocklisted token from IP: ${req.ip}`);
-      return res.status(401).json({ error: 'Token has been invalidated. Please log in again.' });
-    }
+    let userId;
+    let decoded = null;
+    let key = null;
+
+    if (apiKey) {
+      key = await authenticateApiKey(apiKey);
+      if (!key) {
+        logMessage('warn', `Invalid API key used from IP: ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+      }
+      userId = key.userId;
+    } else {
+      if (await isTokenBlocklisted(token)) {
+        logMessage('warn', `Attempt to use a blocklisted token from IP: ${req.ip}`);
+        return res.status(401).json({ error: 'Token has been invalidated. Please log in again.' });
+      }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+      decoded = jwt.verify(token, JWT_SECRET, {
+        algorithms: [securityConfig.jwt.algorithm],
+        issuer: securityConfig.jwt.issuer,
+        audience: securityConfig.jwt.audience
+      });
+
+      if (decoded.sid && !(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json({ error: 'Session has expired or was revoked. Please log in again.' });
+      }
+      userId = decoded.id;
+    }
 
-    const user = await getUserById(decoded.id);
+    const user = await getUserById(userId);
     if (!user || user.banned) {
       return res.status(401).json({ error: 'User not found or is banned' });
     }
 
+    if (!allowTwoFactorSetup && isTwoFactorRequired(user.role) && !user.twoFactorEnabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be enabled for your role',
+        twoFactorSetupRequired: true
+      });
+    }
+
     req.user = user;
-    req.token = token;
+    if (key) {
+      req.apiKey = { id: key.id, scopes: key.scopes };
+    } else {
+      req.token = token;
+      req.sessionId = decoded.sid;
+    }
     next();
   } catch (error) {
     logMessage('warn', `Invalid token provided: ${error.message}`);
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
-};
\ No newline at end of file
+};
+
+// Limits API-key requests to the key's scopes: GET/HEAD need
+// "<resource>:read", anything else "<resource>:write". JWT requests pass.
+export const requireScope = (resource) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const scope = `${resource}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`;
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  }
+  next();
+};
+
+export const authMiddleware = authenticate({ allowApiKey: true });
+export const sessionAuthMiddleware = authenticate();
+export const twoFactorSetupAuthMiddleware = authenticate({ allowTwoFactorSetup: true });
@@ -0,0 +1,47 @@
+import { PERMISSIONS, permissionsConfig } from '../config/permissions.js';
+
+const grants = (pattern, permission) =>
+  pattern === '*' ||
+  pattern === permission ||
+  (pattern.endsWith('.*') && permission.startsWith(pattern.slice(0, -1)));
+
+// Role permissions plus those of the user's custom class, if any
+function grantedPatterns(user) {
+  const fromRole = permissionsConfig.roles[user?.role] ?? [];
+  const fromClass = permissionsConfig.userClasses[user?.userClass]?.permissions ?? [];
+  return [...fromRole, ...fromClass];
+}
+
+export function hasPermission(user, permission) {
+  return grantedPatterns(user).some(pattern => grants(pattern, permission));
+}
+
+export function listPermissions(user) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(user, permission));
+}
+
+// requirePermission('bans.user.create') needs exactly that permission.
+// With owner, requirePermission('torrents.edit', { owner }) passes with
+// torrents.edit.any, or with torrents.edit.own when owner(req) returns the
+// id of the requesting user.
+export const requirePermission = (permission, { owner } = {}) => {
+  const [required, ownPermission] = owner
+    ? [`${permission}.any`, `${permission}.own`]
+    : [permission, null];
+
+  for (const name of [required, ownPermission].filter(Boolean)) {
+    if (!PERMISSIONS[name]) {
+      throw new Error(`Unknown permission: ${name}`);
+    }
+  }
+
+  return async (req, res, next) => {
+    if (hasPermission(req.user, required)) {
+      return next();
+    }
+    if (ownPermission && hasPermission(req.user, ownPermission) && (await owner(req)) === req.user.id) {
+      return next();
+    }
+    res.status(403).json({ error: 'Access denied', permission: required });
+  };
+};
@@ -1,11 +1,16 @@
 import express from 'express';
-import { authMiddleware } from './middleware/auth.js';
+import { authMiddleware, sessionAuthMiddleware, requireScope } from './middleware/auth.js';
 import { usersRouter } from './users/users.router.js';
 import { userBanRouter } from './users/user-ban.router.js';
+import { userClassesRouter } from './users/user-classes.router.js';
 import { ipBansRouter } from './ip-bans/ip-bans.router.js';
+import { geoipRouter } from './geoip/geoip.router.js';
 import { torrentsRouter } from './torrents/torrents.router.js';
 import { invitationsRouter } from './invitations/invitations.router.js';
+import { freeleechRouter } from './freeleech/freeleech.router.js';
+import { hitAndRunsRouter } from './hit-and-runs/hit-and-runs.router.js';
 import { authRouter } from './auth/auth.router.js';
+import { apiKeysRouter } from './api-keys/api-keys.router.js';
 import { securityRouter } from './security/security.router.js';
 import { register } from 'prom-client';
 import { specs, swaggerUi } from './config/swagger.js';
@@ -18,15 +23,20 @@ const router = express.Router();
 // Auth & security
 router.use('/api/auth', authRouter);
 router.use('/api/security', securityRouter);
+router.use('/api/api-keys', sessionAuthMiddleware, apiKeysRouter);
 
 // Users & bans
 router.use('/api/users', usersRouter);
-router.use('/api/user-bans', authMiddleware, userBanRouter);
-router.use('/api/ip-bans', authMiddleware, ipBansRouter);
+router.use('/api/user-classes', authMiddleware, requireScope('users'), userClassesRouter);
+router.use('/api/user-bans', authMiddleware, requireScope('bans'), userBanRouter);
+router.use('/api/ip-bans', authMiddleware, requireScope('bans'), ipBansRouter);
+router.use('/api/geoip', authMiddleware, requireScope('geoip'), geoipRouter);
+router.use('/api/hit-and-runs', authMiddleware, requireScope('hit-and-runs'), hitAndRunsRouter);
 
 // Torrents & invitations
-router.use('/api/torrents', authMiddleware, torrentsRouter);
-router.use('/api/invitations', authMiddleware, invitationsRouter);
+router.use('/api/torrents', authMiddleware, requireScope('torrents'), torrentsRouter);
+router.use('/api/invitations', authMiddleware, requireScope('invites'), invitationsRouter);
+router.use('/api/freeleech', authMiddleware, requireScope('freeleech'), freeleechRouter);
 
 // Health check
 router.get('/health', async (req, res) => {
@@ -40,14 +50,14 @@ router.get('/health', async (req, res) => {
 });
 
 // Metrics
-router.get('/metrics', authMiddleware, async (req, res) => {
+router.get('/metrics', authMiddleware, requireScope('metrics'), async (req, res) => {
   res.set('Content-Type', register.contentType);
   res.end(await register.metrics());
 });
 
 // Swagger docs
 router.use(
-  '/api-docs', authMiddleware,
+  '/api-docs', sessionAuthMiddleware,
   rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 50,
@@ -0,0 +1,143 @@
+import { describe, it, expect } from '@jest/globals';
+import bencode from 'bencode';
+import crypto from 'crypto';
+import { parseTorrentFile, personalizeTorrentFile } from '../metainfo.js';
+
+const pieces = Buffer.alloc(40, 1);
+
+const torrentFile = (info, extra = {}) => Buffer.from(bencode.encode({
+  announce: 'http://other.tracker/announce',
+  info: { name: 'Example', 'piece length': 16384, pieces, ...info },
+  ...extra
+}));
+
+describe('Metainfo', () => {
+  describe('parseTorrentFile', () => {
+    it('should read a single-file torrent', () => {
+      const parsed = parseTorrentFile(torrentFile({ name: 'movie.mkv', length: 3 * 1024 ** 3 }));
+
+      expect(parsed.name).toBe('movie.mkv');
+      expect(parsed.size).toBe(3 * 1024 ** 3);
+      expect(parsed.files).toEqual([{ path: 'movie.mkv', length: 3 * 1024 ** 3 }]);
+    });
+
+    it('should join the paths of multi-file torrents', () => {
+      const parsed = parseTorrentFile(torrentFile({
+        files: [
+          { path: [Buffer.from('Season 1'), Buffer.from('e01.mkv')], length: 100 },
+          { path: [Buffer.from('info.nfo')], length: 5 }
+        ]
+      }));
+
+      expect(parsed.size).toBe(105);
+      expect(parsed.files).toEqual([
+        { path: 'Season 1/e01.mkv', length: 100 },
+        { path: 'info.nfo', length: 5 }
+      ]);
+    });
+
+    it('should force the private flag and hash the modified info', () => {
+      const parsed = parseTorrentFile(torrentFile({ length: 10, private: 0 }));
+      const stored = bencode.decode(parsed.metainfo);
+
+      expect(stored.info.private).toBe(1);
+      expect(parsed.infoHash).toBe(
+        crypto.createHash('sha1').update(bencode.encode(stored.info)).digest('hex')
+      );
+    });
+
+    it('should keep the hash of torrents that are already private', () => {
+      const info = { name: 'Example', 'piece length': 16384, pieces, length: 10, private: 1 };
+
+      const parsed = parseTorrentFile(Buffer.from(bencode.encode({ info })));
+
+      expect(parsed.infoHash).toBe(crypto.createHash('sha1').update(bencode.encode(info)).digest('hex'));
+    });
+
+    it('should leave out padding files', () => {
+      const parsed = parseTorrentFile(torrentFile({
+        files: [
+          { path: [Buffer.from('a.bin')], length: 10 },
+          { path: [Buffer.from('.pad'), Buffer.from('16374')], length: 16374, attr: Buffer.from('p') },
+          { path: [Buffer.from('b.bin')], length: 20 }
+        ]
+      }));
+
+      expect(parsed.files.map(file => file.path)).toEqual(['a.bin', 'b.bin']);
+      expect(parsed.size).toBe(30);
+    });
+
+    it('should hash v2-only torrents with SHA-256 and key them by the truncated hash', () => {
+      const parsed = parseTorrentFile(Buffer.from(bencode.encode({
+        info: {
+          name: 'Album',
+          'piece length': 16384,
+          'meta version': 2,
+          'file tree': {
+            'cover.jpg': { '': { length: 50, 'pieces root': Buffer.alloc(32) } },
+            CD1: { '01.flac': { '': { length: 100, 'pieces root': Buffer.alloc(32) } } }
+          }
+        }
+      })));
+      const stored = bencode.decode(parsed.metainfo);
+
+      expect(parsed.infoHashV2).toBe(
+        crypto.createHash('sha256').update(bencode.encode(stored.info)).digest('hex')
+      );
+      expect(parsed.infoHash).toBe(parsed.infoHashV2.slice(0, 40));
+      expect(parsed.size).toBe(150);
+      expect(parsed.files).toEqual(expect.arrayContaining([
+        { path: 'CD1/01.flac', length: 100 },
+        { path: 'cover.jpg', length: 50 }
+      ]));
+    });
+
+    it('should keep both hashes of hybrid torrents', () => {
+      const parsed = parseTorrentFile(torrentFile({
+        name: 'movie.mkv',
+        length: 10,
+        'meta version': 2,
+        'file tree': { 'movie.mkv': { '': { length: 10, 'pieces root': Buffer.alloc(32) } } }
+      }));
+      const { info } = bencode.decode(parsed.metainfo);
+
+      expect(parsed.infoHash).toBe(crypto.createHash('sha1').update(bencode.encode(info)).digest('hex'));
+      expect(parsed.infoHashV2).toBe(crypto.createHash('sha256').update(bencode.encode(info)).digest('hex'));
+      expect(parsed.files).toEqual([{ path: 'movie.mkv', length: 10 }]);
+    });
+
+    it('should not give v1 torrents a v2 hash', () => {
+      expect(parseTorrentFile(torrentFile({ length: 10 })).infoHashV2).toBeNull();
+    });
+
+    it('should reject data that is not a torrent', () => {
+      expect(() => parseTorrentFile(Buffer.from('not a torrent')))
+        .toThrow('Invalid torrent file: not bencoded');
+      expect(() => parseTorrentFile(Buffer.from(bencode.encode({ announce: 'x' }))))
+        .toThrow('Invalid torrent file: missing info dictionary');
+      expect(() => parseTorrentFile(torrentFile({ length: 10, pieces: Buffer.alloc(7) })))
+        .toThrow('Invalid torrent file: bad pieces');
+      expect(() => parseTorrentFile(torrentFile({})))
+        .toThrow('Invalid torrent file: missing length');
+      expect(() => parseTorrentFile(torrentFile({ length: 10, 'meta version': 3 })))
+        .toThrow('Invalid torrent file: unsupported meta version');
+      expect(() => parseTorrentFile(torrentFile({ 'meta version': 2, 'file tree': {} })))
+        .toThrow('Invalid torrent file: empty file list');
+    });
+  });
+
+  describe('personalizeTorrentFile', () => {
+    it('should replace the trackers and keep the info hash', () => {
+      const { metainfo, infoHash } = parseTorrentFile(torrentFile({ length: 10 }, {
+        'announce-list': [[Buffer.from('http://a/announce')], [Buffer.from('http://b/announce')]]
+      }));
+
+      const personalized = bencode.decode(personalizeTorrentFile(metainfo, 'http://t/abc/announce'));
+
+      expect(Buffer.from(personalized.announce).toString()).toBe('http://t/abc/announce');
+      expect(personalized['announce-list'].map(tier => tier.map(url => Buffer.from(url).toString())))
+        .toEqual([['http://t/abc/announce']]);
+      expect(crypto.createHash('sha1').update(bencode.encode(personalized.info)).digest('hex')).toBe(infoHash);
+    });
+  });
+});
@@ -4,8 +4,11 @@ import express from 'express';
 
 const mockTorrentsService = {
   addTorrent: jest.fn(),
+  addTorrentFromFile: jest.fn(),
   getTorrentById: jest.fn(),
   getTorrentByInfoHash: jest.fn(),
+  getTorrentFile: jest.fn(),
+  getTorrentFiles: jest.fn(),
   getAllTorrents: jest.fn(),
   updateTorrent: jest.fn(),
   deleteTorrent: jest.fn()
@@ -93,19 +96,36 @@ describe('Torrents Router', () => {
       expect(response.status).toBe(200);
       expect(mockTorrentsService.getAllTorrents).toHaveBeenCalledWith(1, 20, { search: 'action' });
     });
+
+    it('should find torrents containing a file', async () => {
+      mockTorrentsService.getAllTorrents.mockResolvedValue({ torrents: [], pagination: {} });
+
+      const response = await request(app)
+        .get('/api/torrents?file=e01.mkv');
+
+      expect(response.status).toBe(200);
+      expect(mockTorrentsService.getAllTorrents).toHaveBeenCalledWith(1, 20, { file: 'e01.mkv' });
+    });
+
+    it('should reject file searches that are too short', async () => {
+      const response = await request(app)
+        .get('/api/torrents?file=e');
+
+      expect(response.status).toBe(400);
+      expect(mockTorrentsService.getAllTorrents).not.toHaveBeenCalled();
+    });
   });
 
   describe('POST /api/torrents', () => {
     it('should create a new torrent successfully', async () => {
       const torrentData = {
-        infoHash: 'abc123def456ghi789jkl012mno345pqr678stu9',
+        infoHash: 'abc123def4567890abcdef1234567890abcdef12',
         name: 'Test Torrent',
         category: 'Movies',
         tags: 'action, thriller',
         description: 'A test torrent',
         size: 1024,
-        anonymous: false,
-        freeleech: true
+        anonymous: false
       };
 
       const mockTorrent = {
@@ -129,6 +149,65 @@ describe('Torrents Router', () => {
       });
     });
 
+    it('should ignore multipliers sent by non-staff users', async () => {
+      mockTorrentsService.addTorrent.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .post('/api/torrents')
+        .send({
+          infoHash: 'abc123def4567890abcdef1234567890abcdef12',
+          name: 'Test Torrent',
+          uploadMultiplier: 2,
+          downloadMultiplier: 0
+        });
+
+      expect(response.status).toBe(201);
+      const [torrentData] = mockTorrentsService.addTorrent.mock.calls[0];
+      expect(torrentData.uploadMultiplier).toBeUndefined();
+      expect(torrentData.downloadMultiplier).toBeUndefined();
+    });
+
+    it('should ignore freeleech sent by non-staff users', async () => {
+      mockTorrentsService.addTorrent.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .post('/api/torrents')
+        .send({
+          infoHash: 'abc123def4567890abcdef1234567890abcdef12',
+          name: 'Test Torrent',
+          freeleech: true
+        });
+
+      expect(response.status).toBe(201);
+      const [torrentData] = mockTorrentsService.addTorrent.mock.calls[0];
+      expect(torrentData.freeleech).toBeUndefined();
+    });
+
+    it('should accept multipliers from moderators', async () => {
+      mockAuthMiddleware.mockImplementationOnce((req, res, next) => {
+        req.user = { id: 1, username: 'mod', role: 'MODERATOR' };
+        next();
+      });
+      mockTorrentsService.addTorrent.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .post('/api/torrents')
+        .send({
+          infoHash: 'abc123def4567890abcdef1234567890abcdef12',
+          name: 'Test Torrent',
+          freeleech: true,
+          uploadMultiplier: 2,
+          downloadMultiplier: 0
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockTorrentsService.addTorrent).toHaveBeenCalledWith(expect.objectContaining({
+        freeleech: true,
+        uploadMultiplier: 2,
+        downloadMultiplier: 0
+      }));
+    });
+
     it('should validate required fields', async () => {
       const response = await request(app)
         .post('/api/torrents')
@@ -138,9 +217,71 @@ describe('Torrents Router', () => {
       expect(response.body).toHaveProperty('errors');
     });
 
+    it('should accept v2 and hybrid hashes', async () => {
+      mockTorrentsService.addTorrent.mockResolvedValue({ id: 1 });
+      const infoHashV2 = 'ab'.repeat(32);
+
+      const v2 = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: infoHashV2, name: 'V2 Torrent' });
+      const hybrid = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: 'cd'.repeat(20), infoHashV2, name: 'Hybrid Torrent' });
+
+      expect(v2.status).toBe(201);
+      expect(hybrid.status).toBe(201);
+      expect(mockTorrentsService.addTorrent).toHaveBeenLastCalledWith(expect.objectContaining({
+        infoHash: 'cd'.repeat(20),
+        infoHashV2
+      }));
+    });
+
+    it('should validate the hash lengths', async () => {
+      const wrongLength = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: 'a'.repeat(50), name: 'Test Torrent' });
+      const v2WithoutV1 = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: 'a'.repeat(64), infoHashV2: 'a'.repeat(64), name: 'Test Torrent' });
+
+      expect(wrongLength.status).toBe(400);
+      expect(v2WithoutV1.status).toBe(400);
+      expect(v2WithoutV1.body.errors[0].msg).toBe('InfoHashV2 requires the 40-character v1 infoHash');
+      expect(mockTorrentsService.addTorrent).not.toHaveBeenCalled();
+    });
+
+    it('should reject hashes that are not hexadecimal', async () => {
+      const notHex = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: 'z'.repeat(40), name: 'Test Torrent' });
+      const v2NotHex = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: 'a'.repeat(40), infoHashV2: 'g'.repeat(64), name: 'Test Torrent' });
+
+      expect(notHex.status).toBe(400);
+      expect(notHex.body.errors[0].msg).toBe('InfoHash must be 40 (v1) or 64 (v2) hexadecimal characters');
+      expect(v2NotHex.status).toBe(400);
+      expect(v2NotHex.body.errors[0].msg).toBe('InfoHashV2 must be 64 hexadecimal characters');
+      expect(mockTorrentsService.addTorrent).not.toHaveBeenCalled();
+    });
+
+    it('should store the hashes in lowercase', async () => {
+      mockTorrentsService.addTorrent.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .post('/api/torrents')
+        .send({ infoHash: 'AB'.repeat(20), infoHashV2: 'CD'.repeat(32), name: 'Hybrid Torrent' });
+
+      expect(response.status).toBe(201);
+      expect(mockTorrentsService.addTorrent).toHaveBeenCalledWith(expect.objectContaining({
+        infoHash: 'ab'.repeat(20),
+        infoHashV2: 'cd'.repeat(32)
+      }));
+    });
+
     it('should handle duplicate torrent error with 409 status', async () => {
       const torrentData = {
-        infoHash: 'abc123def456ghi789jkl012mno345pqr678stu9',
+        infoHash: 'abc123def4567890abcdef1234567890abcdef12',
         name: 'Test Torrent'
       };
 
@@ -155,6 +296,69 @@ describe('Torrents Router', () => {
     });
   });
 
+  describe('POST /api/torrents/upload', () => {
+    const file = Buffer.from('d4:infod4:name4:testee');
+
+    it('should create the torrent from the uploaded file', async () => {
+      mockTorrentsService.addTorrentFromFile.mockResolvedValue({
+        torrent: { id: 1, name: 'test' },
+        files: [{ path: 'test', length: 4 }]
+      });
+
+      const response = await request(app)
+        .post('/api/torrents/upload')
+        .field('category', 'Movies')
+        .field('anonymous', 'true')
+        .field('uploadMultiplier', '2')
+        .attach('torrent', file, 'test.torrent');
+
+      expect(response.status).toBe(201);
+      expect(response.body.files).toEqual([{ path: 'test', length: 4 }]);
+      const [buffer, data] = mockTorrentsService.addTorrentFromFile.mock.calls[0];
+      expect(buffer.equals(file)).toBe(true);
+      expect(data).toEqual(expect.objectContaining({
+        category: 'Movies',
+        anonymous: true,
+        uploadedById: 1
+      }));
+      expect(data.uploadMultiplier).toBeUndefined();
+    });
+
+    it('should require the file part', async () => {
+      const response = await request(app)
+        .post('/api/torrents/upload')
+        .field('name', 'test');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'A .torrent file is required' });
+    });
+
+    it('should reject file types that are not allowed', async () => {
+      const response = await request(app)
+        .post('/api/torrents/upload')
+        .attach('torrent', file, { filename: 'test.exe', contentType: 'application/x-msdownload' });
+
+      expect(response.status).toBe(415);
+      expect(mockTorrentsService.addTorrentFromFile).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid torrents and duplicates', async () => {
+      mockTorrentsService.addTorrentFromFile
+        .mockRejectedValueOnce(new Error('Invalid torrent file: not bencoded'))
+        .mockRejectedValueOnce(new Error('Torrent with this infoHash already exists'));
+
+      const invalid = await request(app)
+        .post('/api/torrents/upload')
+        .attach('torrent', file, 'test.torrent');
+      const duplicate = await request(app)
+        .post('/api/torrents/upload')
+        .attach('torrent', file, 'test.torrent');
+
+      expect(invalid.status).toBe(400);
+      expect(duplicate.status).toBe(409);
+    });
+  });
+
   describe('GET /api/torrents/:id', () => {
     it('should get torrent by id', async () => {
       const mockTorrent = {
@@ -184,9 +388,61 @@ describe('Torrents Router', () => {
     });
   });
 
+  describe('GET /api/torrents/:id/files', () => {
+    it('should list the files of the torrent', async () => {
+      const files = [{ path: 'Season 1/e01.mkv', length: 3221225472 }];
+      mockTorrentsService.getTorrentFiles.mockResolvedValue(files);
+
+      const response = await request(app).get('/api/torrents/1/files');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ files });
+      expect(mockTorrentsService.getTorrentFiles).toHaveBeenCalledWith('1');
+    });
+
+    it('should return 404 for unknown torrents', async () => {
+      mockTorrentsService.getTorrentFiles.mockRejectedValue(new Error('Torrent not found'));
+
+      const response = await request(app).get('/api/torrents/99/files');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/torrents/:id/download', () => {
+    it('should send the personalized .torrent as an attachment', async () => {
+      const data = Buffer.from('d8:announce4:teste');
+      mockTorrentsService.getTorrentFile.mockResolvedValue({ filename: 'Test Torrent.torrent', data });
+
+      const response = await request(app)
+        .get('/api/torrents/1/download')
+        .set('Host', 'tracker.example:3000')
+        .responseType('blob');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/x-bittorrent');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="Test Torrent.torrent"');
+      expect(response.body.equals(data)).toBe(true);
+      expect(mockTorrentsService.getTorrentFile).toHaveBeenCalledWith(
+        '1',
+        expect.objectContaining({ id: 1 }),
+        'http://tracker.example'
+      );
+    });
+
+    it('should return 404 when there is no file to send', async () => {
+      mockTorrentsService.getTorrentFile.mockRejectedValue(new Error('Torrent file not available'));
+
+      const response = await request(app).get('/api/torrents/1/download');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Torrent file not available' });
+    });
+  });
+
   describe('GET /api/torrents/by-hash/:infoHash', () => {
     it('should get torrent by infoHash and return magnet URI', async () => {
-      const infoHash = 'abc123def456ghi789jkl012mno345pqr678stu9';
+      const infoHash = 'abc123def4567890abcdef1234567890abcdef12';
       const magnetUri = 'magnet:?xt=urn:btih:abc123&dn=Test%20Torrent&tr=localhost:3000/announce';
 
       mockTorrentsService.getTorrentByInfoHash.mockResolvedValue(magnetUri);
@@ -200,6 +456,23 @@ describe('Torrents Router', () => {
       expect(mockTorrentsService.getTorrentByInfoHash).toHaveBeenCalledWith(infoHash, 'localhost');
     });
 
+    it('should accept full v2 hashes', async () => {
+      const infoHashV2 = 'ef'.repeat(32);
+      mockTorrentsService.getTorrentByInfoHash.mockResolvedValue('magnet:?xt=urn:btmh:1220efef');
+
+      const response = await request(app).get(`/api/torrents/by-hash/${infoHashV2}`);
+
+      expect(response.status).toBe(200);
+      expect(mockTorrentsService.getTorrentByInfoHash.mock.calls[0][0]).toBe(infoHashV2);
+    });
+
+    it('should reject hashes that are not hexadecimal', async () => {
+      const response = await request(app).get(`/api/torrents/by-hash/${'z'.repeat(40)}`);
+
+      expect(response.status).toBe(400);
+      expect(mockTorrentsService.getTorrentByInfoHash).not.toHaveBeenCalled();
+    });
+
     it('should return 404 for non-existent torrent hash', async () => {
       const nonExistentHash = '1234567890123456789012345678901234567890'; 
       mockTorrentsService.getTorrentByInfoHash.mockRejectedValue(new Error('Torrent not found'));
@@ -253,7 +526,19 @@ describe('Torrents Router', () => {
         .send({ name: 'Hacked Torrent' });
 
       expect(response.status).toBe(403);
-      expect(response.body).toHaveProperty('error', 'Access denied. You can only modify your own torrents.');
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'torrents.edit.any' });
+    });
+
+    it('should not let owners make their own torrents freeleech', async () => {
+      mockTorrentsService.getTorrentById.mockResolvedValue({ id: 1, uploadedById: 1 });
+      mockTorrentsService.updateTorrent.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .put('/api/torrents/1')
+        .send({ name: 'Renamed', freeleech: true });
+
+      expect(response.status).toBe(200);
+      expect(mockTorrentsService.updateTorrent).toHaveBeenCalledWith('1', { name: 'Renamed' });
     });
 
     it('should allow admin to update any torrent', async () => {
@@ -332,7 +617,7 @@ describe('Torrents Router', () => {
         .delete('/api/torrents/1');
 
       expect(response.status).toBe(403);
-      expect(response.body).toHaveProperty('error', 'Access denied. You can only modify your own torrents.');
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'torrents.delete.any' });
     });
 
     it('should return 404 for non-existent torrent', async () => {
@@ -1,4 +1,5 @@
 import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import bencode from 'bencode';
 
 const mockDb = {
   torrent: {
@@ -23,8 +24,11 @@ jest.unstable_mockModule('magnet-uri', () => ({ default: mockMagnet }));
 
 const {
   addTorrent,
+  addTorrentFromFile,
   getTorrentById,
   getTorrentByInfoHash,
+  getTorrentFile,
+  getTorrentFiles,
   getAllTorrents,
   updateTorrent,
   deleteTorrent
@@ -93,6 +97,27 @@ describe('Torrents Service', () => {
       expect(result).toBeDefined();
     });
 
+    it('should store upload and download multipliers when provided', async () => {
+      mockDb.torrent.findFirst.mockResolvedValue(null);
+      mockDb.torrent.create.mockResolvedValue({ id: 1 });
+
+      await addTorrent({
+        infoHash: 'abc123',
+        name: 'Test Torrent',
+        uploadMultiplier: '2',
+        downloadMultiplier: 0,
+        uploadedById: 1
+      });
+
+      expect(mockDb.torrent.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          uploadMultiplier: 2,
+          downloadMultiplier: 0
+        }),
+        include: expect.any(Object)
+      });
+    });
+
     it('should throw error if torrent already exists', async () => {
       const torrentData = {
         infoHash: 'abc123',
@@ -105,6 +130,36 @@ describe('Torrents Service', () => {
       await expect(addTorrent(torrentData)).rejects.toThrow('Torrent with this infoHash already exists');
     });
 
+    it('should key v2 torrents by the truncated v2 hash', async () => {
+      const infoHashV2 = 'b'.repeat(24) + 'c'.repeat(40);
+      mockDb.torrent.findFirst.mockResolvedValue(null);
+      mockDb.torrent.create.mockResolvedValue({ id: 1 });
+
+      await addTorrent({ infoHash: infoHashV2, name: 'Test Torrent', uploadedById: 1 });
+
+      expect(mockDb.torrent.findFirst).toHaveBeenCalledWith({
+        where: { OR: [{ infoHash: infoHashV2.slice(0, 40) }, { infoHashV2 }] }
+      });
+      expect(mockDb.torrent.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        infoHash: infoHashV2.slice(0, 40),
+        infoHashV2
+      }));
+    });
+
+    it('should store both hashes of hybrid torrents', async () => {
+      const infoHashV2 = 'd'.repeat(64);
+      mockDb.torrent.findFirst.mockResolvedValue(null);
+      mockDb.torrent.create.mockResolvedValue({ id: 1 });
+
+      await addTorrent({ infoHash: 'a'.repeat(40), infoHashV2, name: 'Test Torrent', uploadedById: 1 });
+
+      expect(mockDb.torrent.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        infoHash: 'a'.repeat(40),
+        infoHashV2,
+        infoHashV2Truncated: 'd'.repeat(40)
+      }));
+    });
+
     it('should add torrent without optional fields', async () => {
       const torrentData = {
         infoHash: 'abc123',
@@ -137,12 +192,80 @@ describe('Torrents Service', () => {
     });
   });
 
+  describe('addTorrentFromFile', () => {
+    const file = Buffer.from(bencode.encode({
+      info: { name: 'movie.mkv', length: 2048, 'piece length': 16384, pieces: Buffer.alloc(20) }
+    }));
+
+    it('should create the torrent with the hash, size and metainfo of the file', async () => {
+      mockDb.torrent.findFirst.mockResolvedValue(null);
+      mockDb.torrent.create.mockResolvedValue({ id: 1 });
+
+      const result = await addTorrentFromFile(file, { category: 'Movies', uploadedById: 1 });
+
+      const { data } = mockDb.torrent.create.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({
+        infoHash: expect.stringMatching(/^[0-9a-f]{40}$/),
+        name: 'movie.mkv',
+        size: 2048,
+        uploadedById: 1,
+        metainfo: { create: { data: expect.any(Buffer) } },
+        files: { createMany: { data: [{ path: 'movie.mkv', length: BigInt(2048) }] } }
+      }));
+      expect(result.files).toEqual([{ path: 'movie.mkv', length: 2048 }]);
+    });
+
+    it('should prefer the name given by the uploader', async () => {
+      mockDb.torrent.findFirst.mockResolvedValue(null);
+      mockDb.torrent.create.mockResolvedValue({ id: 1 });
+
+      await addTorrentFromFile(file, { name: 'Movie (2024)', uploadedById: 1 });
+
+      expect(mockDb.torrent.create.mock.calls[0][0].data.name).toBe('Movie (2024)');
+    });
+
+    it('should reject files that are not torrents', async () => {
+      await expect(addTorrentFromFile(Buffer.from('nope'), { uploadedById: 1 }))
+        .rejects.toThrow('Invalid torrent file');
+      expect(mockDb.torrent.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTorrentFile', () => {
+    const metainfo = Buffer.from(bencode.encode({
+      announce: 'http://other.tracker/announce',
+      info: { name: 'movie.mkv', length: 2048, 'piece length': 16384, pieces: Buffer.alloc(20), private: 1 }
+    }));
+
+    it('should inject the passkey announce URL and count the download', async () => {
+      mockDb.torrent.findUnique.mockResolvedValue({ id: 1, name: 'Movie', metainfo: { data: metainfo } });
+
+      const result = await getTorrentFile('1', { id: 5, passkey: 'a'.repeat(32) }, 'https://tracker.example');
+
+      const decoded = bencode.decode(result.data);
+      expect(Buffer.from(decoded.announce).toString()).toBe(`https://tracker.example:3000/${'a'.repeat(32)}/announce`);
+      expect(result.filename).toBe('Movie.torrent');
+      expect(mockDb.torrent.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { downloads: { increment: 1 } }
+      });
+    });
+
+    it('should fail for torrents without a stored file', async () => {
+      mockDb.torrent.findUnique.mockResolvedValue({ id: 1, name: 'Movie', metainfo: null });
+
+      await expect(getTorrentFile('1', { id: 5 }, 'http://localhost')).rejects.toThrow('Torrent file not available');
+      expect(mockDb.torrent.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getTorrentById', () => {
     it('should get torrent by id successfully', async () => {
       const mockTorrent = {
         id: 1,
         infoHash: 'abc123',
         name: 'Test Torrent',
+        size: BigInt(3221225472),
         category: { name: 'Movies' },
         tags: [{ name: 'action' }],
         uploadedBy: { id: 1, username: 'testuser' }
@@ -156,7 +279,7 @@ describe('Torrents Service', () => {
         where: { id: 1 },
         include: expect.any(Object)
       });
-      expect(result).toEqual(mockTorrent);
+      expect(result).toEqual({ ...mockTorrent, size: 3221225472 });
     });
 
     it('should throw error if torrent not found', async () => {
@@ -183,7 +306,7 @@ describe('Torrents Service', () => {
       const result = await getTorrentByInfoHash('abc123', 'localhost');
 
       expect(mockDb.torrent.findFirst).toHaveBeenCalledWith({
-        where: { infoHash: 'abc123' },
+        where: { OR: [{ infoHash: 'abc123' }, { infoHashV2Truncated: 'abc123' }] },
         include: expect.any(Object)
       });
       expect(mockMagnet.encode).toHaveBeenCalledWith({
@@ -194,6 +317,59 @@ describe('Torrents Service', () => {
       expect(result).toBe('magnet:?xt=urn:btih:abc123&dn=Test%20Torrent&tr=localhost:3000/announce');
     });
 
+    it('should look up hashes in lowercase', async () => {
+      mockDb.torrent.findFirst.mockResolvedValue({ id: 1, infoHash: 'ab'.repeat(20), name: 'Test Torrent' });
+      mockMagnet.encode.mockReturnValue('magnet:?xt=urn:btih:abab');
+
+      await getTorrentByInfoHash('AB'.repeat(20), 'localhost');
+      await getTorrentByInfoHash('CD'.repeat(32), 'localhost');
+
+      expect(mockDb.torrent.findFirst.mock.calls[0][0].where)
+        .toEqual({ OR: [{ infoHash: 'ab'.repeat(20) }, { infoHashV2Truncated: 'ab'.repeat(20) }] });
+      expect(mockDb.torrent.findFirst.mock.calls[1][0].where).toEqual({ infoHashV2: 'cd'.repeat(32) });
+    });
+
+    it('should put the passkey in the announce path', async () => {
+      mockDb.torrent.findFirst.mockResolvedValue({ id: 1, infoHash: 'abc123', name: 'Test Torrent' });
+      mockMagnet.encode.mockReturnValue('magnet:?xt=urn:btih:abc123');
+
+      await getTorrentByInfoHash('abc123', 'localhost', 'a'.repeat(32));
+
+      expect(mockMagnet.encode).toHaveBeenCalledWith({
+        xt: 'urn:btih:abc123',
+        dn: 'Test Torrent',
+        tr: `localhost:3000/${'a'.repeat(32)}/announce`
+      });
+    });
+
+    it('should list both hashes in the magnet of hybrid torrents', async () => {
+      const infoHashV2 = 'd'.repeat(64);
+      mockDb.torrent.findFirst.mockResolvedValue({ id: 1, infoHash: 'a'.repeat(40), infoHashV2, name: 'Hybrid' });
+      mockMagnet.encode.mockReturnValue('magnet:?xt=urn:btih:aaa');
+
+      await getTorrentByInfoHash(infoHashV2, 'localhost');
+
+      expect(mockDb.torrent.findFirst).toHaveBeenCalledWith({
+        where: { infoHashV2 },
+        include: expect.any(Object)
+      });
+      expect(mockMagnet.encode).toHaveBeenCalledWith(expect.objectContaining({
+        xt: [`urn:btih:${'a'.repeat(40)}`, `urn:btmh:1220${infoHashV2}`]
+      }));
+    });
+
+    it('should only use the multihash for v2-only torrents', async () => {
+      const infoHashV2 = 'e'.repeat(64);
+      mockDb.torrent.findFirst.mockResolvedValue({ id: 1, infoHash: 'e'.repeat(40), infoHashV2, name: 'V2' });
+      mockMagnet.encode.mockReturnValue('magnet:?xt=urn:btmh:1220eee');
+
+      await getTorrentByInfoHash('e'.repeat(40), 'localhost');
+
+      expect(mockMagnet.encode).toHaveBeenCalledWith(expect.objectContaining({
+        xt: `urn:btmh:1220${infoHashV2}`
+      }));
+    });
+
     it('should throw error if torrent not found', async () => {
       mockDb.torrent.findFirst.mockResolvedValue(null);
 
@@ -204,8 +380,8 @@ describe('Torrents Service', () => {
   describe('getAllTorrents', () => {
     it('should get all torrents with pagination', async () => {
       const mockTorrents = [
-        { id: 1, name: 'Torrent 1' },
-        { id: 2, name: 'Torrent 2' }
+        { id: 1, name: 'Torrent 1', size: 0 },
+        { id: 2, name: 'Torrent 2', size: 0 }
       ];
 
       mockDb.torrent.findMany.mockResolvedValue(mockTorrents);
@@ -227,7 +403,7 @@ describe('Torrents Service', () => {
     });
 
     it('should filter torrents by category', async () => {
-      const mockTorrents = [{ id: 1, name: 'Movie Torrent' }];
+      const mockTorrents = [{ id: 1, name: 'Movie Torrent', size: 0 }];
 
       mockDb.torrent.findMany.mockResolvedValue(mockTorrents);
       mockDb.torrent.count.mockResolvedValue(1);
@@ -247,7 +423,7 @@ describe('Torrents Service', () => {
     });
 
     it('should filter torrents by search term', async () => {
-      const mockTorrents = [{ id: 1, name: 'Action Movie' }];
+      const mockTorrents = [{ id: 1, name: 'Action Movie', size: 0 }];
 
       mockDb.torrent.findMany.mockResolvedValue(mockTorrents);
       mockDb.torrent.count.mockResolvedValue(1);
@@ -268,6 +444,40 @@ describe('Torrents Service', () => {
       });
       expect(result.torrents).toEqual(mockTorrents);
     });
+
+    it('should find torrents containing a file', async () => {
+      mockDb.torrent.findMany.mockResolvedValue([]);
+      mockDb.torrent.count.mockResolvedValue(0);
+
+      await getAllTorrents(1, 20, { file: 'e01.mkv' });
+
+      expect(mockDb.torrent.findMany.mock.calls[0][0].where).toEqual({
+        files: {
+          some: {
+            path: { contains: 'e01.mkv', mode: 'insensitive' }
+          }
+        }
+      });
+    });
+  });
+
+  describe('getTorrentFiles', () => {
+    it('should return the file list with numeric lengths', async () => {
+      mockDb.torrent.findUnique.mockResolvedValue({
+        id: 1,
+        files: [{ path: 'Season 1/e01.mkv', length: BigInt(3221225472) }]
+      });
+
+      const files = await getTorrentFiles(1);
+
+      expect(files).toEqual([{ path: 'Season 1/e01.mkv', length: 3221225472 }]);
+    });
+
+    it('should throw error if torrent not found', async () => {
+      mockDb.torrent.findUnique.mockResolvedValue(null);
+
+      await expect(getTorrentFiles(999)).rejects.toThrow('Torrent not found');
+    });
   });
 
   describe('updateTorrent', () => {
@@ -281,6 +491,7 @@ describe('Torrents Service', () => {
       const mockUpdatedTorrent = {
         id: 1,
         name: 'Updated Torrent',
+        size: 0,
         category: { name: 'TV Shows' },
         tags: [{ name: 'drama' }, { name: 'comedy' }]
       };
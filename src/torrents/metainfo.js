@@ -0,0 +1,130 @@
+import bencode from 'bencode';
+import crypto from 'crypto';
+
+const textDecoder = new TextDecoder();
+
+const isBytes = (value) => value instanceof Uint8Array;
+const isDictionary = (value) => !!value && typeof value === 'object' && !isBytes(value) && !Array.isArray(value);
+const toText = (value) => textDecoder.decode(value);
+
+function invalid(reason) {
+  return new Error(`Invalid torrent file: ${reason}`);
+}
+
+// BEP 3 file list: one entry for single-file torrents, otherwise one per
+// info.files item with its path components joined by "/". BEP 47 padding
+// files only align pieces and are left out.
+function readFiles(info, name) {
+  if (info.files === undefined) {
+    if (!Number.isSafeInteger(info.length) || info.length < 0) {
+      throw invalid('missing length');
+    }
+    return [{ path: name, length: info.length }];
+  }
+
+  if (!Array.isArray(info.files) || info.files.length === 0) {
+    throw invalid('empty file list');
+  }
+
+  const files = info.files.filter(file => !(isBytes(file.attr) && toText(file.attr).includes('p')));
+
+  return files.map(file => {
+    const segments = file['path.utf-8'] ?? file.path;
+    if (!Array.isArray(segments) || segments.length === 0 || !segments.every(isBytes)) {
+      throw invalid('bad file path');
+    }
+    if (!Number.isSafeInteger(file.length) || file.length < 0) {
+      throw invalid('bad file length');
+    }
+    return { path: segments.map(toText).join('/'), length: file.length };
+  });
+}
+
+// BEP 52 file tree: nested dictionaries keyed by path component, where an
+// empty key marks a file. Single-file torrents have the name as only key.
+function readFileTree(tree, prefix = []) {
+  if (!isDictionary(tree)) {
+    throw invalid('bad file tree');
+  }
+
+  return Object.entries(tree).flatMap(([segment, node]) => {
+    if (segment === '') {
+      if (!isDictionary(node) || !Number.isSafeInteger(node.length) || node.length < 0) {
+        throw invalid('bad file length');
+      }
+      return [{ path: prefix.join('/'), length: node.length }];
+    }
+    return readFileTree(node, [...prefix, segment]);
+  });
+}
+
+// Decodes an uploaded .torrent and prepares it for this tracker. The private
+// flag is forced on, which changes the info dictionary, so the info hashes are
+// computed from the re-encoded metainfo that is stored and served.
+// v2 torrents (BEP 52) also get an infoHashV2; hybrids carry v1 pieces too and
+// keep the SHA-1 infoHash, v2-only ones use the truncated v2 hash instead.
+function parseTorrentFile(buffer) {
+  let metainfo;
+  try {
+    metainfo = bencode.decode(buffer);
+  } catch {
+    throw invalid('not bencoded');
+  }
+
+  const info = metainfo?.info;
+  if (!isDictionary(info)) {
+    throw invalid('missing info dictionary');
+  }
+  if (!isBytes(info.name) || info.name.length === 0) {
+    throw invalid('missing name');
+  }
+  if (!Number.isSafeInteger(info['piece length']) || info['piece length'] <= 0) {
+    throw invalid('missing piece length');
+  }
+
+  const isV2 = info['meta version'] !== undefined;
+  if (isV2 && info['meta version'] !== 2) {
+    throw invalid('unsupported meta version');
+  }
+
+  const hasV1 = !isV2 || info.pieces !== undefined;
+  if (hasV1 && (!isBytes(info.pieces) || info.pieces.length === 0 || info.pieces.length % 20 !== 0)) {
+    throw invalid('bad pieces');
+  }
+
+  const name = toText(info['name.utf-8'] ?? info.name);
+  const files = isV2 ? readFileTree(info['file tree']) : readFiles(info, name);
+  if (files.length === 0) {
+    throw invalid('empty file list');
+  }
+
+  info.private = 1;
+  const encodedInfo = bencode.encode(info);
+  const infoHashV2 = isV2 ? crypto.createHash('sha256').update(encodedInfo).digest('hex') : null;
+  const infoHash = hasV1
+    ? crypto.createHash('sha1').update(encodedInfo).digest('hex')
+    : infoHashV2.slice(0, 40);
+
+  return {
+    infoHash,
+    infoHashV2,
+    name,
+    size: files.reduce((total, file) => total + file.length, 0),
+    files,
+    metainfo: Buffer.from(bencode.encode(metainfo))
+  };
+}
+
+// The stored metainfo with the user's own announce URL as the only tracker.
+// The info dictionary is untouched, so the info hash stays the same.
+function personalizeTorrentFile(buffer, announceUrl) {
+  const metainfo = bencode.decode(buffer);
+  metainfo.announce = announceUrl;
+  metainfo['announce-list'] = [[announceUrl]];
+  return Buffer.from(bencode.encode(metainfo));
+}
+
+export {
+  parseTorrentFile,
+  personalizeTorrentFile
+};
@@ -1,11 +1,18 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { Counter } from 'prom-client';
+import formidable from 'formidable';
+import { readFile, unlink } from 'fs/promises';
+import { securityConfig } from '../config/security.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
 import {
   addTorrent,
+  addTorrentFromFile,
   getTorrentById,
   getTorrentByInfoHash,
+  getTorrentFile,
+  getTorrentFiles,
   getAllTorrents,
   updateTorrent,
   deleteTorrent
@@ -23,6 +30,11 @@ const createTorrentCounter = new Counter({
   help: 'Count torrents created'
 });
 
+const downloadTorrentCounter = new Counter({
+  name: 'download_torrents_requests',
+  help: 'Count .torrent files downloaded'
+});
+
 const updateTorrentCounter = new Counter({
   name: 'update_torrents_requests',
   help: 'Count torrents updated'
@@ -33,27 +45,80 @@ const deleteTorrentCounter = new Counter({
   help: 'Count torrents deleted'
 });
 
-const requireOwnerOrAdmin = async (req, res, next) => {
+// Loads the torrent so the .own permissions can compare its uploader
+const loadTorrent = async (req, res, next) => {
   try {
-    const torrent = await getTorrentById(req.params.id);
-    if (req.user.role !== 'ADMIN' && torrent.uploadedById !== req.user.id) {
-      return res.status(403).json({
-        error: 'Access denied. You can only modify your own torrents.'
-      });
-    }
-    req.torrent = torrent;
+    req.torrent = await getTorrentById(req.params.id);
     next();
-  } catch (_error) {
+  } catch {
     res.status(404).json({ error: 'Torrent not found' });
   }
 };
 
+const torrentOwner = (req) => req.torrent.uploadedById;
+
+// Changing how traffic on a torrent is credited needs torrents.multipliers,
+// and making downloads on it free needs torrents.freeleech
+const stripCreditFieldsForNonStaff = (req, res, next) => {
+  if (!hasPermission(req.user, 'torrents.multipliers')) {
+    delete req.body.uploadMultiplier;
+    delete req.body.downloadMultiplier;
+  }
+  if (!hasPermission(req.user, 'torrents.freeleech')) {
+    delete req.body.freeleech;
+  }
+  next();
+};
+
+// Reads a multipart upload with a single "torrent" file part. The other
+// fields become req.body so the usual validators apply; the file contents
+// end up in req.torrentFile.
+const parseTorrentUpload = async (req, res, next) => {
+  const { maxFileSize, allowedMimeTypes } = securityConfig.upload;
+  const form = formidable({ maxFiles: 1, maxFileSize, allowEmptyFiles: false });
+  let uploaded = [];
+
+  try {
+    const [fields, files] = await form.parse(req);
+    uploaded = Object.values(files).flat();
+
+    req.body = Object.fromEntries(
+      Object.entries(fields).map(([name, values]) => [name, values[0]])
+    );
+
+    const file = files.torrent?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'A .torrent file is required' });
+    }
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      return res.status(415).json({ error: `File type not allowed: ${file.mimetype}` });
+    }
+
+    req.torrentFile = await readFile(file.filepath);
+    next();
+  } catch (error) {
+    res.status(error.httpCode === 413 ? 413 : 400).json({ error: error.message });
+  } finally {
+    await Promise.all(uploaded.map(file => unlink(file.filepath).catch(() => {})));
+  }
+};
+
 const createTorrentValidation = [
   body('infoHash')
     .notEmpty()
     .withMessage('InfoHash is required')
-    .isLength({ min: 40, max: 40 })
-    .withMessage('InfoHash must be 40 characters long'),
+    .matches(/^([0-9a-f]{40}|[0-9a-f]{64})$/i)
+    .withMessage('InfoHash must be 40 (v1) or 64 (v2) hexadecimal characters')
+    // Hashes are stored lowercase, the same form announces look them up in
+    .toLowerCase(),
+  // Hybrid torrents send their v1 hash as infoHash and the v2 one here
+  body('infoHashV2')
+    .optional()
+    .matches(/^[0-9a-f]{64}$/i)
+    .withMessage('InfoHashV2 must be 64 hexadecimal characters')
+    .custom((value, { req }) => req.body.infoHash?.length === 40)
+    .withMessage('InfoHashV2 requires the 40-character v1 infoHash')
+    .toLowerCase(),
   body('name')
     .notEmpty()
     .withMessage('Name is required')
@@ -76,10 +141,53 @@ const createTorrentValidation = [
     .optional()
     .isBoolean()
     .withMessage('Anonymous must be true or false'),
+  body('freeleech')
+    .optional()
+    .isBoolean()
+    .withMessage('Freeleech must be true or false'),
+  body('uploadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Upload multiplier must be between 0 and 10'),
+  body('downloadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Download multiplier must be between 0 and 10')
+];
+
+// Hash and size come from the file, and the name defaults to its own
+const uploadTorrentValidation = [
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a string'),
+  body('tags').optional().isString().withMessage('Tags must be a string'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string'),
+  body('anonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('Anonymous must be true or false')
+    .toBoolean(),
   body('freeleech')
     .optional()
     .isBoolean()
     .withMessage('Freeleech must be true or false')
+    .toBoolean(),
+  body('uploadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Upload multiplier must be between 0 and 10'),
+  body('downloadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Download multiplier must be between 0 and 10')
 ];
 
 const updateTorrentValidation = [
@@ -103,7 +211,15 @@ const updateTorrentValidation = [
   body('freeleech')
     .optional()
     .isBoolean()
-    .withMessage('Freeleech must be true or false')
+    .withMessage('Freeleech must be true or false'),
+  body('uploadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Upload multiplier must be between 0 and 10'),
+  body('downloadMultiplier')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Download multiplier must be between 0 and 10')
 ];
 
 torrentsRouter.use(authMiddleware);
@@ -123,6 +239,11 @@ torrentsRouter.get(
     .isString()
     .withMessage('Category must be a string'),
   query('search').optional().isString().withMessage('Search must be a string'),
+  query('file')
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('File must be between 2 and 255 characters'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -132,9 +253,9 @@ torrentsRouter.get(
 
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
-      const { category, search } = req.query;
+      const { category, search, file } = req.query;
 
-      const result = await getAllTorrents(page, limit, { category, search });
+      const result = await getAllTorrents(page, limit, { category, search, file });
 
       getTorrentCounter.inc();
       res.json(result);
@@ -144,48 +265,109 @@ torrentsRouter.get(
   }
 );
 
-torrentsRouter.post('/', createTorrentValidation, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+torrentsRouter.post('/',
+  createTorrentValidation,
+  requirePermission('torrents.upload'),
+  stripCreditFieldsForNonStaff,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        infoHash,
+        infoHashV2,
+        name,
+        category,
+        tags,
+        description,
+        size,
+        anonymous,
+        freeleech,
+        uploadMultiplier,
+        downloadMultiplier
+      } = req.body;
+
+      const torrent = await addTorrent({
+        infoHash,
+        infoHashV2,
+        name,
+        category,
+        tags,
+        description,
+        size,
+        anonymous,
+        freeleech,
+        uploadMultiplier,
+        downloadMultiplier,
+        uploadedById: req.user.id
+      });
+
+      createTorrentCounter.inc();
+      res.status(201).json({
+        message: 'Torrent created successfully',
+        torrent
+      });
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
     }
+  }
+);
 
-    const {
-      infoHash,
-      name,
-      category,
-      tags,
-      description,
-      size,
-      anonymous,
-      freeleech
-    } = req.body;
-
-    const torrent = await addTorrent({
-      infoHash,
-      name,
-      category,
-      tags,
-      description,
-      size,
-      anonymous,
-      freeleech,
-      uploadedById: req.user.id
-    });
-
-    createTorrentCounter.inc();
-    res.status(201).json({
-      message: 'Torrent created successfully',
-      torrent
-    });
-  } catch (error) {
-    if (error.message.includes('already exists')) {
-      return res.status(409).json({ error: error.message });
+torrentsRouter.post('/upload',
+  requirePermission('torrents.upload'),
+  parseTorrentUpload,
+  uploadTorrentValidation,
+  stripCreditFieldsForNonStaff,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        name,
+        category,
+        tags,
+        description,
+        anonymous,
+        freeleech,
+        uploadMultiplier,
+        downloadMultiplier
+      } = req.body;
+
+      const { torrent, files } = await addTorrentFromFile(req.torrentFile, {
+        name,
+        category,
+        tags,
+        description,
+        anonymous,
+        freeleech,
+        uploadMultiplier,
+        downloadMultiplier,
+        uploadedById: req.user.id
+      });
+
+      createTorrentCounter.inc();
+      res.status(201).json({
+        message: 'Torrent uploaded successfully',
+        torrent,
+        files
+      });
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
     }
-    res.status(400).json({ error: error.message });
   }
-});
+);
 
 torrentsRouter.get(
   '/:id',
@@ -207,11 +389,57 @@ torrentsRouter.get(
   }
 );
 
+torrentsRouter.get(
+  '/:id/files',
+  param('id').isInt().withMessage('ID must be a number'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const files = await getTorrentFiles(req.params.id);
+
+      getTorrentCounter.inc();
+      res.json({ files });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+torrentsRouter.get(
+  '/:id/download',
+  param('id').isInt().withMessage('ID must be a number'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { filename, data } = await getTorrentFile(
+        req.params.id,
+        req.user,
+        `${req.protocol}://${req.hostname}`
+      );
+
+      downloadTorrentCounter.inc();
+      res.attachment(filename);
+      res.type('application/x-bittorrent');
+      res.send(data);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+);
+
 torrentsRouter.get(
   '/by-hash/:infoHash',
   param('infoHash')
-    .isLength({ min: 40, max: 40 })
-    .withMessage('InfoHash must be 40 characters'),
+    .matches(/^([0-9a-f]{40}|[0-9a-f]{64})$/i)
+    .withMessage('InfoHash must be 40 (v1) or 64 (v2) hexadecimal characters'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -237,7 +465,9 @@ torrentsRouter.put(
   '/:id',
   param('id').isInt().withMessage('ID must be a number'),
   updateTorrentValidation,
-  requireOwnerOrAdmin,
+  loadTorrent,
+  requirePermission('torrents.edit', { owner: torrentOwner }),
+  stripCreditFieldsForNonStaff,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -262,7 +492,9 @@ torrentsRouter.patch(
   '/:id',
   param('id').isInt().withMessage('ID must be a number'),
   updateTorrentValidation,
-  requireOwnerOrAdmin,
+  loadTorrent,
+  requirePermission('torrents.edit', { owner: torrentOwner }),
+  stripCreditFieldsForNonStaff,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -286,7 +518,8 @@ torrentsRouter.patch(
 torrentsRouter.delete(
   '/:id',
   param('id').isInt().withMessage('ID must be a number'),
-  requireOwnerOrAdmin,
+  loadTorrent,
+  requirePermission('torrents.delete', { owner: torrentOwner }),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -1,16 +1,31 @@
 import { db } from '../utils/db.server.js';
 import { logMessage } from '../utils/utils.js';
 import magnet from 'magnet-uri';
-import { RedisKeys } from '../utils/redis-keys.js';
+import { RedisKeys, RedisHelpers } from '../utils/redis-keys.js';
 import redisClient from '../utils/redis.js';
+import { parseTorrentFile, personalizeTorrentFile } from './metainfo.js';
 
-function generateMagnetURI(infoHash, name, hostname,passkey) {
+function buildAnnounceUrl(hostname, passkey) {
+  const port = process.env.PORT || 3000;
+  // Passkey goes in the path: many clients mangle or drop announce query strings
+  const announcePath = passkey ? `/${passkey}/announce` : '/announce';
+  return `${hostname}:${port}${announcePath}`;
+}
+
+// v2 hashes go in a multihash xt: 0x12 is SHA-256, 0x20 its 32-byte length.
+// Hybrids list both, v2-only torrents have no btih at all.
+function generateMagnetURI(infoHash, name, hostname, passkey, infoHashV2 = null) {
   try {
-    const port = process.env.PORT || 3000;
-    const trackerUrl = `${hostname}:${port}/announce?passkey=${passkey}`;
-    
+    const trackerUrl = buildAnnounceUrl(hostname, passkey);
+
+    let xt = `urn:btih:${infoHash}`;
+    if (infoHashV2) {
+      const btmh = `urn:btmh:1220${infoHashV2}`;
+      xt = infoHashV2.startsWith(infoHash) ? btmh : [xt, btmh];
+    }
+
     const magnetUri = magnet.encode({
-      xt: `urn:btih:${infoHash}`,
+      xt,
       dn: name,
       tr: trackerUrl
     });
@@ -21,12 +36,56 @@ function generateMagnetURI(infoHash, name, hostname,passkey) {
   }
 }
 
+// Clients announce v2 torrents by their SHA-256 hash truncated to 40 chars
+function truncateInfoHash(infoHashV2) {
+  return infoHashV2 ? infoHashV2.slice(0, 40) : null;
+}
+
+async function invalidateTrackerCache(torrent) {
+  await RedisHelpers.invalidateTorrentCache(torrent.infoHash);
+  const truncated = truncateInfoHash(torrent.infoHashV2);
+  if (truncated && truncated !== torrent.infoHash) {
+    await RedisHelpers.invalidateTorrentCache(truncated);
+  }
+}
+
+// size is a BigInt column; JSON cannot carry BigInt
+function formatTorrent(torrent) {
+  return {
+    ...torrent,
+    size: Number(torrent.size ?? 0)
+  };
+}
+
 async function addTorrent(torrentData) {
   try {
-    const { infoHash, name, category, tags, description, size, anonymous, freeleech, uploadedById } = torrentData;
-    
+    const {
+      name,
+      category,
+      tags,
+      description,
+      size,
+      anonymous,
+      freeleech,
+      uploadMultiplier,
+      downloadMultiplier,
+      uploadedById,
+      metainfo,
+      files
+    } = torrentData;
+
+    // A 64-char infoHash is a v2 hash; the torrent is then keyed by its
+    // truncated form, which is what clients announce
+    let { infoHash, infoHashV2 } = torrentData;
+    if (infoHash && infoHash.length === 64) {
+      infoHashV2 = infoHash;
+      infoHash = null;
+    }
+    infoHash = infoHash || truncateInfoHash(infoHashV2);
+    infoHashV2 = infoHashV2 || null;
+
     const existingTorrent = await db.torrent.findFirst({
-      where: { infoHash }
+      where: infoHashV2 ? { OR: [{ infoHash }, { infoHashV2 }] } : { infoHash }
     });
 
     if (existingTorrent) {
@@ -35,6 +94,8 @@ async function addTorrent(torrentData) {
 
     const torrentCreateData = {
       infoHash,
+      infoHashV2,
+      infoHashV2Truncated: truncateInfoHash(infoHashV2),
       name,
       uploadedById,
       description: description || null,
@@ -43,6 +104,14 @@ async function addTorrent(torrentData) {
       freeleech: freeleech || false
     };
 
+    if (uploadMultiplier !== undefined) {
+      torrentCreateData.uploadMultiplier = parseFloat(uploadMultiplier);
+    }
+
+    if (downloadMultiplier !== undefined) {
+      torrentCreateData.downloadMultiplier = parseFloat(downloadMultiplier);
+    }
+
     if (category) {
       torrentCreateData.category = {
         connectOrCreate: {
@@ -61,6 +130,20 @@ async function addTorrent(torrentData) {
       };
     }
 
+    if (metainfo) {
+      torrentCreateData.metainfo = {
+        create: { data: metainfo }
+      };
+    }
+
+    if (files && files.length > 0) {
+      torrentCreateData.files = {
+        createMany: {
+          data: files.map(file => ({ path: file.path, length: BigInt(file.length) }))
+        }
+      };
+    }
+
     const newTorrent = await db.torrent.create({
       data: torrentCreateData,
       include: {
@@ -75,14 +158,40 @@ async function addTorrent(torrentData) {
       }
     });
 
+    // Announces for these hashes may have cached the torrent as unknown
+    await invalidateTrackerCache(newTorrent);
+
     logMessage('info', `Torrent added: ${name} by user ${uploadedById}`);
-    return newTorrent;
+    return formatTorrent(newTorrent);
   } catch (error) {
     logMessage('error', `Error adding torrent: ${error.message}`);
     throw error;
   }
 }
 
+// Creates the torrent from an uploaded .torrent file. Hash, size and the
+// default name come from the metainfo; the rest is taken from torrentData.
+async function addTorrentFromFile(buffer, torrentData) {
+  try {
+    const parsed = parseTorrentFile(buffer);
+
+    const torrent = await addTorrent({
+      ...torrentData,
+      infoHash: parsed.infoHash,
+      infoHashV2: parsed.infoHashV2,
+      name: torrentData.name || parsed.name,
+      size: parsed.size,
+      metainfo: parsed.metainfo,
+      files: parsed.files
+    });
+
+    return { torrent, files: parsed.files };
+  } catch (error) {
+    logMessage('error', `Error adding torrent file: ${error.message}`);
+    throw error;
+  }
+}
+
 async function getTorrentById(id) {
   try {
     const torrent = await db.torrent.findUnique({
@@ -103,17 +212,22 @@ async function getTorrentById(id) {
       throw new Error('Torrent not found');
     }
 
-    return torrent;
+    return formatTorrent(torrent);
   } catch (error) {
     logMessage('error', `Error getting torrent: ${error.message}`);
     throw error;
   }
 }
 
+// Accepts the stored infoHash, the full 64-char v2 hash or, like the
+// tracker, a hybrid's v2 hash truncated to 40 chars
 async function getTorrentByInfoHash(infoHash, hostname, userPasskey) {
   try {
+    const hash = infoHash.toLowerCase();
     const torrent = await db.torrent.findFirst({
-      where: { infoHash },
+      where: hash.length === 64
+        ? { infoHashV2: hash }
+        : { OR: [{ infoHash: hash }, { infoHashV2Truncated: hash }] },
       include: {
         category: true,
         tags: true,
@@ -130,7 +244,7 @@ async function getTorrentByInfoHash(infoHash, hostname, userPasskey) {
       throw new Error('Torrent not found');
     }
 
-    const uri = generateMagnetURI(infoHash, torrent.name, hostname, userPasskey);
+    const uri = generateMagnetURI(torrent.infoHash, torrent.name, hostname, userPasskey, torrent.infoHashV2);
     return uri;
   } catch (error) {
     logMessage('error', `Error getting torrents: ${error.message}`);
@@ -138,10 +252,75 @@ async function getTorrentByInfoHash(infoHash, hostname, userPasskey) {
   }
 }
 
+// The stored .torrent with the announce URL of the requesting user. Every
+// call counts as a download.
+async function getTorrentFile(id, user, baseUrl) {
+  try {
+    const torrent = await db.torrent.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        id: true,
+        name: true,
+        metainfo: { select: { data: true } }
+      }
+    });
+
+    if (!torrent) {
+      throw new Error('Torrent not found');
+    }
+    if (!torrent.metainfo) {
+      throw new Error('Torrent file not available');
+    }
+
+    const data = personalizeTorrentFile(torrent.metainfo.data, buildAnnounceUrl(baseUrl, user.passkey));
+
+    await db.torrent.update({
+      where: { id: torrent.id },
+      data: { downloads: { increment: 1 } }
+    });
+
+    logMessage('info', `Torrent file ${torrent.id} downloaded by user ${user.id}`);
+    return {
+      filename: `${torrent.name}.torrent`,
+      data
+    };
+  } catch (error) {
+    logMessage('error', `Error getting torrent file: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getTorrentFiles(id) {
+  try {
+    const torrent = await db.torrent.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        id: true,
+        files: {
+          select: { path: true, length: true },
+          orderBy: { path: 'asc' }
+        }
+      }
+    });
+
+    if (!torrent) {
+      throw new Error('Torrent not found');
+    }
+
+    return torrent.files.map(file => ({
+      path: file.path,
+      length: Number(file.length)
+    }));
+  } catch (error) {
+    logMessage('error', `Error getting torrent files: ${error.message}`);
+    throw error;
+  }
+}
+
 async function getAllTorrents(page = 1, limit = 20, filters = {}) {
   try {
     const skip = (page - 1) * limit;
-    const { category, search } = filters;
+    const { category, search, file } = filters;
 
     const where = {};
     
@@ -158,6 +337,17 @@ async function getAllTorrents(page = 1, limit = 20, filters = {}) {
       };
     }
 
+    if (file) {
+      where.files = {
+        some: {
+          path: {
+            contains: file,
+            mode: 'insensitive'
+          }
+        }
+      };
+    }
+
     const [torrents, total] = await Promise.all([
       db.torrent.findMany({
         where,
@@ -181,7 +371,7 @@ async function getAllTorrents(page = 1, limit = 20, filters = {}) {
     ]);
 
     return {
-      torrents,
+      torrents: torrents.map(formatTorrent),
       pagination: {
         page,
         limit,
@@ -197,10 +387,18 @@ async function getAllTorrents(page = 1, limit = 20, filters = {}) {
 
 async function updateTorrent(id, data) {
   try {
-    const { category, tags, ...otherData } = data;
+    const { category, tags, uploadMultiplier, downloadMultiplier, ...otherData } = data;
     
     const updateData = { ...otherData };
 
+    if (uploadMultiplier !== undefined) {
+      updateData.uploadMultiplier = parseFloat(uploadMultiplier);
+    }
+
+    if (downloadMultiplier !== undefined) {
+      updateData.downloadMultiplier = parseFloat(downloadMultiplier);
+    }
+
     if (category) {
       updateData.category = {
         connectOrCreate: {
@@ -241,8 +439,10 @@ async function updateTorrent(id, data) {
       }
     });
 
+    await invalidateTrackerCache(updatedTorrent);
+
     logMessage('info', `Torrent updated: ${updatedTorrent.name}`);
-    return updatedTorrent;
+    return formatTorrent(updatedTorrent);
   } catch (error) {
     logMessage('error', `Error updating torrent: ${error.message}`);
     throw error;
@@ -251,11 +451,12 @@ async function updateTorrent(id, data) {
 
 async function deleteTorrent(id) {
   try {
-    await db.torrent.delete({
+    const deletedTorrent = await db.torrent.delete({
       where: { id: parseInt(id) }
     });
     const cacheKey = RedisKeys.cache.torrentCount();
     await redisClient.del(cacheKey);
+    await invalidateTrackerCache(deletedTorrent);
     logMessage('info', `Torrent deleted: ${id}`);
   } catch (error) {
     logMessage('error', `Error deleting torrent: ${error.message}`);
@@ -265,8 +466,11 @@ async function deleteTorrent(id) {
 
 export {
   addTorrent,
+  addTorrentFromFile,
   getTorrentById,
   getTorrentByInfoHash,
+  getTorrentFile,
+  getTorrentFiles,
   getAllTorrents,
   updateTorrent,
   deleteTorrent
@@ -0,0 +1,322 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  progress: {
+    upsert: jest.fn()
+  },
+  torrent: {
+    findUnique: jest.fn()
+  },
+  user: {
+    update: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  hGetAll: jest.fn(),
+  hSet: jest.fn(),
+  expire: jest.fn(),
+  del: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+const mockGetActiveFreeleechWindow = jest.fn();
+const mockOpenHitAndRun = jest.fn();
+const mockLookupCountry = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../freeleech/freeleech.service.js', () => ({
+  getActiveFreeleechWindow: mockGetActiveFreeleechWindow
+}));
+jest.unstable_mockModule('../../hit-and-runs/hit-and-runs.service.js', () => ({
+  openHitAndRun: mockOpenHitAndRun
+}));
+jest.unstable_mockModule('../../geoip/geoip.service.js', () => ({
+  lookupCountry: mockLookupCountry
+}));
+
+const { recordAnnounce } = await import('../announce.service.js');
+
+describe('Announce Service', () => {
+  const user = { id: 7, username: 'seeder' };
+  const infoHash = 'a'.repeat(40);
+  const peerId = 'b'.repeat(40);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.progress.upsert.mockReturnValue('progress-op');
+    mockDb.user.update.mockReturnValue('user-op');
+    mockDb.$transaction.mockResolvedValue([]);
+    mockDb.torrent.findUnique.mockResolvedValue({ freeleech: false, uploadMultiplier: 1, downloadMultiplier: 1 });
+    mockGetActiveFreeleechWindow.mockResolvedValue(null);
+    mockLookupCountry.mockResolvedValue(null);
+    mockRedis.get.mockResolvedValue(null);
+  });
+
+  describe('recordAnnounce', () => {
+    it('should only set the baseline on the first announce of a peer', async () => {
+      mockRedis.hGetAll.mockResolvedValue({});
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '1000',
+        downloaded: '500',
+        left: 200,
+        event: 'started'
+      });
+
+      expect(result.delta).toEqual({ uploaded: 0n, downloaded: 0n });
+      expect(mockDb.progress.upsert).toHaveBeenCalledWith({
+        where: { infoHash_userId: { infoHash, userId: 7 } },
+        create: { infoHash, userId: 7, uploaded: 0n, download: 0n, left: 200n, seedtime: 0n, country: null },
+        update: {
+          uploaded: { increment: 0n },
+          download: { increment: 0n },
+          seedtime: { increment: 0n },
+          left: 200n
+        }
+      });
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+      expect(mockRedis.hSet).toHaveBeenCalledWith(
+        `announce:last:7:${infoHash}:${peerId}`,
+        { uploaded: '1000', downloaded: '500' }
+      );
+    });
+
+    it('should credit the difference with the previous announce', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '1000', downloaded: '500' });
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '4000',
+        downloaded: '1500',
+        left: 0
+      });
+
+      expect(result.delta).toEqual({ uploaded: 3000n, downloaded: 1000n });
+      expect(result.credit).toEqual({ uploaded: 3000n, downloaded: 1000n });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: {
+          uploaded: { increment: 3000n },
+          downloaded: { increment: 1000n }
+        }
+      });
+      expect(mockDb.$transaction).toHaveBeenCalledWith(['progress-op', 'user-op']);
+      expect(mockRedis.del).toHaveBeenCalledWith('user:stats:7');
+    });
+
+    it('should not credit negative deltas when a client resets its counters', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '5000', downloaded: '5000' });
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '100',
+        downloaded: '0',
+        left: 0
+      });
+
+      expect(result.delta).toEqual({ uploaded: 0n, downloaded: 0n });
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+      expect(mockRedis.hSet).toHaveBeenCalledWith(
+        `announce:last:7:${infoHash}:${peerId}`,
+        { uploaded: '100', downloaded: '0' }
+      );
+    });
+
+    it('should not count download on freeleech torrents', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockDb.torrent.findUnique.mockResolvedValue({ freeleech: true, uploadMultiplier: 1, downloadMultiplier: 1 });
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '100',
+        downloaded: '2000',
+        left: 0
+      });
+
+      expect(result.credit).toEqual({ uploaded: 100n, downloaded: 0n });
+      expect(mockDb.progress.upsert.mock.calls[0][0].update.download).toEqual({ increment: 2000n });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: {
+          uploaded: { increment: 100n },
+          downloaded: { increment: 0n }
+        }
+      });
+    });
+
+    it('should apply per-torrent upload and download multipliers', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockDb.torrent.findUnique.mockResolvedValue({ freeleech: false, uploadMultiplier: 2, downloadMultiplier: 0.5 });
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '300',
+        downloaded: '1001',
+        left: 0
+      });
+
+      expect(result.credit).toEqual({ uploaded: 600n, downloaded: 501n });
+    });
+
+    it('should apply the active site-wide freeleech window', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockDb.torrent.findUnique.mockResolvedValue({ freeleech: false, uploadMultiplier: 1.5, downloadMultiplier: 1 });
+      mockGetActiveFreeleechWindow.mockResolvedValue({ uploadMultiplier: 1, downloadMultiplier: 0 });
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '100',
+        downloaded: '100',
+        left: 0
+      });
+
+      expect(result.credit).toEqual({ uploaded: 150n, downloaded: 0n });
+    });
+
+    it('should credit seeding time between consecutive seeding announces', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockRedis.get.mockResolvedValue(String(Date.now() - 300 * 1000));
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '0',
+        downloaded: '0',
+        left: 0
+      });
+
+      expect(result.seedtime).toBeGreaterThanOrEqual(300n);
+      expect(result.seedtime).toBeLessThan(310n);
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { seedtime: { increment: result.seedtime } }
+      });
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        `announce:seeding:7:${infoHash}`,
+        expect.any(String),
+        { EX: 900 }
+      );
+    });
+
+    it('should not credit gaps longer than the interval plus grace window', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockRedis.get.mockResolvedValue(String(Date.now() - 3600 * 1000));
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '0',
+        downloaded: '0',
+        left: 0
+      });
+
+      expect(result.seedtime).toBe(0n);
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should stop tracking seeding time while leeching', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockRedis.get.mockResolvedValue(String(Date.now() - 60 * 1000));
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '0',
+        downloaded: '0',
+        left: 1000
+      });
+
+      expect(result.seedtime).toBe(0n);
+      expect(mockRedis.del).toHaveBeenCalledWith(`announce:seeding:7:${infoHash}`);
+      expect(mockRedis.set).not.toHaveBeenCalledWith(
+        `announce:seeding:7:${infoHash}`,
+        expect.any(String),
+        expect.any(Object)
+      );
+    });
+
+    it('should keep the stored left value when the client does not report it', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+
+      await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '10',
+        downloaded: '0',
+        left: Infinity
+      });
+
+      const upsert = mockDb.progress.upsert.mock.calls[0][0];
+      expect(upsert.update).not.toHaveProperty('left');
+      expect(upsert.create.left).toBe(0n);
+    });
+
+    it('should drop the peer state on a stopped event', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+
+      await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '10',
+        downloaded: '0',
+        left: 0,
+        event: 'stopped'
+      });
+
+      expect(mockRedis.del).toHaveBeenCalledWith(`announce:last:7:${infoHash}:${peerId}`);
+      expect(mockRedis.hSet).not.toHaveBeenCalled();
+    });
+
+    it('should open a hit and run watch when a download completes', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+
+      await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '0',
+        downloaded: '1000',
+        left: 0,
+        event: 'completed'
+      });
+
+      expect(mockOpenHitAndRun).toHaveBeenCalledWith(7, infoHash);
+    });
+
+    it('should record the country the peer announces from', async () => {
+      mockRedis.hGetAll.mockResolvedValue({});
+      mockLookupCountry.mockResolvedValue('ES');
+
+      await recordAnnounce(user, infoHash, { peer_id: peerId, ip: '85.84.0.1', left: 0 });
+
+      expect(mockLookupCountry).toHaveBeenCalledWith('85.84.0.1');
+      const upsert = mockDb.progress.upsert.mock.calls[0][0];
+      expect(upsert.create.country).toBe('ES');
+      expect(upsert.update.country).toBe('ES');
+    });
+
+    it('should keep the last known country when the lookup fails', async () => {
+      mockRedis.hGetAll.mockResolvedValue({});
+
+      await recordAnnounce(user, infoHash, { peer_id: peerId, ip: '10.0.0.1', left: 0 });
+
+      expect(mockDb.progress.upsert.mock.calls[0][0].update).not.toHaveProperty('country');
+    });
+
+    it('should log and swallow persistence errors', async () => {
+      mockRedis.hGetAll.mockResolvedValue({ uploaded: '0', downloaded: '0' });
+      mockDb.$transaction.mockRejectedValue(new Error('Database error'));
+
+      const result = await recordAnnounce(user, infoHash, {
+        peer_id: peerId,
+        uploaded: '10',
+        downloaded: '0',
+        left: 0
+      });
+
+      expect(result).toBeNull();
+      expect(mockRedis.hSet).not.toHaveBeenCalled();
+      expect(mockLogMessage).toHaveBeenCalledWith('error', 'Error recording announce: Database error');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { HttpTracker } from '../http-strategy.js';
+
+describe('HttpTracker', () => {
+  const passkey = 'a'.repeat(32);
+  let app;
+  let trackerServer;
+  let rateLimiter;
+
+  beforeEach(() => {
+    trackerServer = {
+      onHttpRequest: jest.fn((req, res) => res.end('ok'))
+    };
+    rateLimiter = jest.fn((req, res, next) => next());
+    app = express();
+    new HttpTracker(trackerServer, rateLimiter).start(app);
+  });
+
+  it('should move a path passkey into the announce query', async () => {
+    await request(app).get(`/${passkey}/announce?info_hash=abc&port=6881`);
+
+    const [req, , opts] = trackerServer.onHttpRequest.mock.calls[0];
+    expect(req.url).toBe(`/announce?info_hash=abc&port=6881&passkey=${passkey}`);
+    expect(opts).toEqual({ action: 'announce' });
+    expect(rateLimiter).toHaveBeenCalled();
+  });
+
+  it('should prefer the path passkey over a query passkey', async () => {
+    await request(app).get(`/${passkey}/announce?passkey=other&port=6881`);
+
+    const [req] = trackerServer.onHttpRequest.mock.calls[0];
+    expect(req.url).toBe(`/announce?port=6881&passkey=${passkey}`);
+  });
+
+  it('should support scrape with a path passkey', async () => {
+    await request(app).get(`/${passkey}/scrape`);
+
+    const [req, , opts] = trackerServer.onHttpRequest.mock.calls[0];
+    expect(req.url).toBe(`/scrape?passkey=${passkey}`);
+    expect(opts).toEqual({ action: 'scrape' });
+  });
+
+  it('should keep accepting the passkey as a query parameter', async () => {
+    await request(app).get(`/announce?passkey=${passkey}&port=6881`);
+
+    const [req, , opts] = trackerServer.onHttpRequest.mock.calls[0];
+    expect(req.url).toContain(`passkey=${passkey}`);
+    expect(opts).toEqual({ action: 'announce' });
+  });
+});
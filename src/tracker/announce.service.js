@@ -0,0 +1,211 @@
+import { db } from '../utils/db.server.js';
+import { logMessage } from '../utils/utils.js';
+import redisClient from '../utils/redis.js';
+import { RedisKeys, RedisTTL, RedisHelpers } from '../utils/redis-keys.js';
+import { getActiveFreeleechWindow } from '../freeleech/freeleech.service.js';
+import { trackerConfig } from '../config/tracker.js';
+import { openHitAndRun } from '../hit-and-runs/hit-and-runs.service.js';
+import { lookupCountry } from '../geoip/geoip.service.js';
+
+// Clients report cumulative counters for the current session, so anything
+// that is not a non-negative integer is treated as zero.
+function toCounter(value) {
+  try {
+    const counter = BigInt(String(value ?? 0));
+    return counter > 0n ? counter : 0n;
+  } catch {
+    return 0n;
+  }
+}
+
+function computeDelta(current, previous) {
+  return current > previous ? current - previous : 0n;
+}
+
+function applyMultiplier(amount, multiplier) {
+  if (amount === 0n || multiplier === 1) {
+    return amount;
+  }
+  return BigInt(Math.round(Number(amount) * multiplier));
+}
+
+// Torrent freeleech zeroes the download side; a site-wide window can only
+// make the terms better for users, never worse than the torrent's own.
+async function resolveMultipliers(infoHash) {
+  const [torrent, freeleechWindow] = await Promise.all([
+    RedisHelpers.getTrackerTorrent(infoHash),
+    getActiveFreeleechWindow()
+  ]);
+
+  let upload = torrent?.uploadMultiplier ?? 1;
+  let download = torrent?.freeleech ? 0 : (torrent?.downloadMultiplier ?? 1);
+
+  if (freeleechWindow) {
+    upload = Math.max(upload, freeleechWindow.uploadMultiplier);
+    download = Math.min(download, freeleechWindow.downloadMultiplier);
+  }
+
+  return { upload, download };
+}
+
+async function getLastAnnounce(key) {
+  const last = await redisClient.hGetAll(key);
+  if (!last || Object.keys(last).length === 0) {
+    return null;
+  }
+
+  return {
+    uploaded: toCounter(last.uploaded),
+    downloaded: toCounter(last.downloaded)
+  };
+}
+
+async function saveLastAnnounce(key, params, counters) {
+  if (params.event === 'stopped') {
+    await redisClient.del(key);
+    return;
+  }
+
+  await redisClient.hSet(key, {
+    uploaded: String(counters.uploaded),
+    downloaded: String(counters.downloaded)
+  });
+  await redisClient.expire(key, RedisTTL.PEER_DATA);
+}
+
+function maxSeedingGap() {
+  return trackerConfig.announceInterval + trackerConfig.seedtime.graceSeconds;
+}
+
+// Seeding time is tracked per user and torrent rather than per peer, so a
+// user seeding the same torrent from two clients is not credited twice.
+// The key expires after the allowed gap, which drops missed announces.
+async function computeSeedtime(seedKey, seeding, now) {
+  if (!seeding) {
+    return 0n;
+  }
+
+  const lastSeen = Number(await redisClient.get(seedKey));
+  if (!lastSeen || now <= lastSeen) {
+    return 0n;
+  }
+
+  const elapsed = Math.floor((now - lastSeen) / 1000);
+  return elapsed <= maxSeedingGap() ? BigInt(elapsed) : 0n;
+}
+
+async function saveSeedingState(seedKey, params, seeding, now) {
+  if (!seeding || params.event === 'stopped') {
+    await redisClient.del(seedKey);
+    return;
+  }
+
+  await redisClient.set(seedKey, String(now), { EX: maxSeedingGap() });
+}
+
+async function recordAnnounce(user, infoHash, params) {
+  try {
+    const key = RedisKeys.announce.last(user.id, infoHash, params.peer_id);
+    const counters = {
+      uploaded: toCounter(params.uploaded),
+      downloaded: toCounter(params.downloaded)
+    };
+    const left = Number.isFinite(Number(params.left)) ? toCounter(params.left) : null;
+    const seeding = left === 0n;
+    const seedKey = RedisKeys.announce.seeding(user.id, infoHash);
+    const now = Date.now();
+
+    // The first announce of a peer only sets the baseline: without a previous
+    // report there is nothing to compare the session counters against.
+    const last = await getLastAnnounce(key);
+    const delta = {
+      uploaded: last ? computeDelta(counters.uploaded, last.uploaded) : 0n,
+      downloaded: last ? computeDelta(counters.downloaded, last.downloaded) : 0n
+    };
+    const seedtime = await computeSeedtime(seedKey, seeding, now);
+    const country = await lookupCountry(params.ipv6 || params.ip);
+
+    const progressUpdate = {
+      uploaded: { increment: delta.uploaded },
+      download: { increment: delta.downloaded },
+      seedtime: { increment: seedtime }
+    };
+    if (left !== null) {
+      progressUpdate.left = left;
+    }
+    // An unknown lookup keeps the last country seen for the peer
+    if (country) {
+      progressUpdate.country = country;
+    }
+
+    const operations = [
+      db.progress.upsert({
+        where: { infoHash_userId: { infoHash, userId: user.id } },
+        create: {
+          infoHash,
+          userId: user.id,
+          uploaded: delta.uploaded,
+          download: delta.downloaded,
+          left: left ?? 0n,
+          seedtime,
+          country
+        },
+        update: progressUpdate
+      })
+    ];
+
+    // Progress keeps the real traffic; user totals get the credited amounts
+    let credit = { uploaded: 0n, downloaded: 0n };
+    if (delta.uploaded > 0n || delta.downloaded > 0n) {
+      const multipliers = await resolveMultipliers(infoHash);
+      credit = {
+        uploaded: applyMultiplier(delta.uploaded, multipliers.upload),
+        downloaded: applyMultiplier(delta.downloaded, multipliers.download)
+      };
+    }
+
+    const userUpdate = {};
+    const credited = credit.uploaded > 0n || credit.downloaded > 0n;
+    if (credited) {
+      userUpdate.uploaded = { increment: credit.uploaded };
+      userUpdate.downloaded = { increment: credit.downloaded };
+    }
+    if (seedtime > 0n) {
+      userUpdate.seedtime = { increment: seedtime };
+    }
+
+    if (Object.keys(userUpdate).length > 0) {
+      operations.push(
+        db.user.update({
+          where: { id: user.id },
+          data: userUpdate
+        })
+      );
+    }
+
+    await db.$transaction(operations);
+    await saveLastAnnounce(key, params, counters);
+    await saveSeedingState(seedKey, params, seeding, now);
+
+    if (params.event === 'completed') {
+      await openHitAndRun(user.id, infoHash);
+    }
+
+    if (Object.keys(userUpdate).length > 0) {
+      await redisClient.del(RedisKeys.user.stats(user.id));
+    }
+    if (credited) {
+      logMessage('info', `Announce credited to user ${user.id} on ${infoHash}: +${credit.uploaded} up, +${credit.downloaded} down`);
+    }
+
+    return { delta, credit, seedtime };
+  } catch (error) {
+    // Accounting must never refuse an otherwise valid announce
+    logMessage('error', `Error recording announce: ${error.message}`);
+    return null;
+  }
+}
+
+export {
+  recordAnnounce
+};
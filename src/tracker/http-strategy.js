@@ -8,12 +8,31 @@ export class HttpTracker extends TrackerStrategy {
   }
 
   start(app) {
-    // Rutas HTTP
-    app.use('/announce', this.rateLimiter, (req, res) => this.handleRequest(req, res));
-    app.use('/scrape', this.rateLimiter, (req, res) => this.handleRequest(req, res));
+    // Rutas HTTP con passkey en la ruta (/<passkey>/announce)
+    app.get('/:passkey/announce', this.rateLimiter, (req, res) => this.handleRequest(req, res, 'announce'));
+    app.get('/:passkey/scrape', this.rateLimiter, (req, res) => this.handleRequest(req, res, 'scrape'));
+
+    // Rutas HTTP con passkey en la query (?passkey=)
+    app.use('/announce', this.rateLimiter, (req, res) => this.handleRequest(req, res, 'announce'));
+    app.use('/scrape', this.rateLimiter, (req, res) => this.handleRequest(req, res, 'scrape'));
+  }
+
+  handleRequest(req, res, action) {
+    if (req.params?.passkey) {
+      req.url = HttpTracker.withPasskey(req.url, action, req.params.passkey);
+    }
+    // El path de req.url depende del montaje de Express, así que la acción se pasa explícitamente
+    this.trackerServer.onHttpRequest(req, res, { action });
   }
 
-  handleRequest(req, res) {
-    this.trackerServer.onHttpRequest(req, res);
+  // bittorrent-tracker lee los parámetros de req.url: la passkey de la ruta
+  // sustituye a cualquier passkey que viniera en la query
+  static withPasskey(url, action, passkey) {
+    const [, query = ''] = url.split('?');
+    const params = query
+      .split('&')
+      .filter((param) => param && !param.startsWith('passkey='));
+    params.push(`passkey=${encodeURIComponent(passkey)}`);
+    return `/${action}?${params.join('&')}`;
   }
 }
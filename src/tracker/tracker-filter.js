@@ -4,17 +4,40 @@ import {
   checkTorrent,
   logMessage
 } from '../utils/utils.js';
+import { recordAnnounce } from './announce.service.js';
+import { checkLeechingAllowed } from '../users/ratio-watch.service.js';
+import { checkCountryAllowed } from '../geoip/geoip.service.js';
+
+// Each check reports through a node-style callback; the tracker's own
+// callback must only be invoked once, after every check has passed.
+function runCheck(check, ...args) {
+  return new Promise((resolve, reject) => {
+    check(...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
 
 export async function applyTrackerFilters(infoHash, params, callback) {
   try {
     // Valida passkey
-    await checkPassKey(params, callback);
+    const user = await runCheck(checkPassKey, params);
 
     // IPs bloqueadas
-    await bannedIPs(params, callback);
+    await runCheck(bannedIPs, params);
+
+    // Política de países
+    await checkCountryAllowed(params.ipv6 || params.ip);
+
+    // Torrent permitido (v1, v2 truncado o híbrido)
+    const torrent = await runCheck(checkTorrent, infoHash);
+
+    // Usuarios en ratio watch sólo pueden sembrar
+    checkLeechingAllowed(user, params);
+
+    // Contabiliza subida/bajada del anuncio; los híbridos se anuncian con
+    // ambos hashes, así que todo se acumula bajo el infoHash guardado
+    await recordAnnounce(user, torrent.infoHash, params);
 
-    // Torrent permitido
-    await checkTorrent(infoHash, callback);
+    callback(null);
   } catch (error) {
     logMessage('error', `Tracker filter error: ${error.message}`);
     callback(error);
@@ -0,0 +1,164 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+const mockLogMessage = jest.fn();
+const mockGetUserById = jest.fn();
+const mockInvalidatePasskeyCache = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+jest.unstable_mockModule('../../utils/redis-keys.js', () => ({
+  RedisHelpers: { invalidatePasskeyCache: mockInvalidatePasskeyCache }
+}));
+jest.unstable_mockModule('../users.service.js', () => ({
+  getUserById: mockGetUserById,
+  calculateRatio: (uploaded, downloaded) => {
+    const ratio = Number(downloaded) > 0 ? Number(uploaded) / Number(downloaded) : 0;
+    return parseFloat(ratio.toFixed(2));
+  }
+}));
+
+const {
+  getRequiredRatio,
+  getRatioWatchStatus,
+  checkLeechingAllowed,
+  listRatioWatch,
+  evaluateRatioWatch
+} = await import('../ratio-watch.service.js');
+
+const GiB = 1024 ** 3;
+
+describe('Ratio Watch Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getRequiredRatio', () => {
+    it('should not require a ratio below the first tier', () => {
+      expect(getRequiredRatio(2 * GiB)).toBe(0);
+    });
+
+    it('should use the highest tier reached by the downloaded amount', () => {
+      expect(getRequiredRatio(5 * GiB)).toBe(0.15);
+      expect(getRequiredRatio(25 * GiB)).toBe(0.3);
+      expect(getRequiredRatio(BigInt(500 * GiB))).toBe(0.6);
+    });
+  });
+
+  describe('getRatioWatchStatus', () => {
+    it('should combine the user ratio with the watch state', async () => {
+      const watchEndsAt = new Date('2030-01-01T00:00:00Z');
+      mockGetUserById.mockResolvedValue({ id: 1, ratio: 0.1, downloaded: 12 * GiB });
+      mockDb.user.findUnique.mockResolvedValue({ ratioWatchUntil: watchEndsAt, leechingDisabled: false });
+
+      const result = await getRatioWatchStatus(1);
+
+      expect(result).toEqual({
+        ratio: 0.1,
+        requiredRatio: 0.2,
+        onWatch: true,
+        watchEndsAt,
+        leechingDisabled: false
+      });
+    });
+  });
+
+  describe('checkLeechingAllowed', () => {
+    const restricted = { id: 1, leechingDisabled: true };
+
+    it('should refuse leeching announces from restricted users', () => {
+      expect(() => checkLeechingAllowed(restricted, { left: 1000 }))
+        .toThrow('Leeching disabled: ratio below requirement');
+    });
+
+    it('should allow restricted users to seed', () => {
+      expect(() => checkLeechingAllowed(restricted, { left: 0 })).not.toThrow();
+    });
+
+    it('should allow restricted users to stop', () => {
+      expect(() => checkLeechingAllowed(restricted, { left: 1000, event: 'stopped' })).not.toThrow();
+    });
+
+    it('should allow unrestricted users to leech', () => {
+      expect(() => checkLeechingAllowed({ id: 2, leechingDisabled: false }, { left: 1000 })).not.toThrow();
+    });
+  });
+
+  describe('listRatioWatch', () => {
+    it('should list watched users with their ratio', async () => {
+      mockDb.user.findMany.mockResolvedValue([
+        { id: 1, username: 'leecher', uploaded: BigInt(GiB), downloaded: BigInt(20 * GiB), ratioWatchUntil: new Date(), leechingDisabled: false }
+      ]);
+      mockDb.user.count.mockResolvedValue(1);
+
+      const result = await listRatioWatch(1, 20);
+
+      expect(result.users[0]).toMatchObject({ ratio: 0.05, requiredRatio: 0.3, downloaded: 20 * GiB });
+      expect(result.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+  });
+
+  describe('evaluateRatioWatch', () => {
+    it('should put users below their required ratio on watch', async () => {
+      mockDb.user.findMany.mockResolvedValue([
+        { id: 1, username: 'leecher', uploaded: 0n, downloaded: BigInt(10 * GiB), ratioWatchUntil: null, leechingDisabled: false }
+      ]);
+
+      const result = await evaluateRatioWatch();
+
+      expect(result).toEqual({ watched: 1, restricted: 0, cleared: 0 });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { ratioWatchUntil: expect.any(Date) }
+      });
+    });
+
+    it('should disable leeching once the watch expires', async () => {
+      mockDb.user.findMany.mockResolvedValue([
+        { id: 1, username: 'leecher', passkey: 'a'.repeat(32), uploaded: 0n, downloaded: BigInt(10 * GiB), ratioWatchUntil: new Date(Date.now() - 1000), leechingDisabled: false }
+      ]);
+
+      const result = await evaluateRatioWatch();
+
+      expect(result).toEqual({ watched: 0, restricted: 1, cleared: 0 });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { leechingDisabled: true }
+      });
+      expect(mockInvalidatePasskeyCache).toHaveBeenCalledWith('a'.repeat(32));
+    });
+
+    it('should leave users within the grace period alone', async () => {
+      mockDb.user.findMany.mockResolvedValue([
+        { id: 1, username: 'leecher', uploaded: 0n, downloaded: BigInt(10 * GiB), ratioWatchUntil: new Date(Date.now() + 86400000), leechingDisabled: false }
+      ]);
+
+      const result = await evaluateRatioWatch();
+
+      expect(result).toEqual({ watched: 0, restricted: 0, cleared: 0 });
+      expect(mockDb.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should clear the watch when the ratio recovers', async () => {
+      mockDb.user.findMany.mockResolvedValue([
+        { id: 1, username: 'recovered', uploaded: BigInt(10 * GiB), downloaded: BigInt(10 * GiB), ratioWatchUntil: new Date(Date.now() - 1000), leechingDisabled: true }
+      ]);
+
+      const result = await evaluateRatioWatch();
+
+      expect(result).toEqual({ watched: 0, restricted: 0, cleared: 1 });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { ratioWatchUntil: null, leechingDisabled: false }
+      });
+    });
+  });
+});
@@ -17,6 +17,9 @@ const mockDb = {
 };
 
 const mockLogMessage = jest.fn();
+const mockRedisHelpers = {
+  invalidatePasskeyCache: jest.fn()
+};
 
 jest.unstable_mockModule('../../utils/db.server.js', () => ({
   db: mockDb
@@ -26,6 +29,11 @@ jest.unstable_mockModule('../../utils/utils.js', () => ({
   logMessage: mockLogMessage
 }));
 
+jest.unstable_mockModule('../../utils/redis-keys.js', () => ({
+  RedisKeys: { ban: { userCheck: (userId) => `ban:user:${userId}` } },
+  RedisHelpers: mockRedisHelpers
+}));
+
 const {
   createUserBan,
   banUserFor7Days,
@@ -51,7 +59,7 @@ describe('UserBan Service', () => {
 
   describe('createUserBan', () => {
     it('should create a new user ban successfully', async () => {
-      const mockUser = { id: 1, username: 'testuser', banned: false };
+      const mockUser = { id: 1, username: 'testuser', banned: false, passkey: 'a'.repeat(32) };
       const mockUserBan = {
         id: 1,
         userId: 1,
@@ -78,7 +86,7 @@ describe('UserBan Service', () => {
 
       expect(mockDb.user.findUnique).toHaveBeenCalledWith({
         where: { id: 1 },
-        select: { id: true, username: true, banned: true }
+        select: { id: true, username: true, banned: true, passkey: true }
       });
 
       expect(mockDb.userBan.create).toHaveBeenCalledWith({
@@ -105,6 +113,7 @@ describe('UserBan Service', () => {
       });
 
       expect(result).toEqual(mockUserBan);
+      expect(mockRedisHelpers.invalidatePasskeyCache).toHaveBeenCalledWith('a'.repeat(32));
       expect(mockLogMessage).toHaveBeenCalledWith(
         'info',
         'User banned (permanent): testuser by admin - Reason: Test ban reason'
@@ -318,7 +327,7 @@ describe('UserBan Service', () => {
         id: 1,
         userId: 1,
         active: true,
-        user: { id: 1, username: 'testuser' }
+        user: { id: 1, username: 'testuser', passkey: 'b'.repeat(32) }
       };
 
       mockDb.userBan.findUnique.mockResolvedValue(mockUserBan);
@@ -337,6 +346,7 @@ describe('UserBan Service', () => {
         where: { id: 1 },
         data: { banned: false }
       });
+      expect(mockRedisHelpers.invalidatePasskeyCache).toHaveBeenCalledWith('b'.repeat(32));
 
       expect(mockLogMessage).toHaveBeenCalledWith('info', 'User ban deactivated: testuser by admin');
     });
@@ -0,0 +1,165 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+const mockUserClassesService = {
+  listUserClassRules: jest.fn(),
+  upsertUserClassRule: jest.fn(),
+  deleteUserClassRule: jest.fn(),
+  evaluateUserClasses: jest.fn()
+};
+
+jest.unstable_mockModule('../user-classes.service.js', () => mockUserClassesService);
+
+const { userClassesRouter } = await import('../user-classes.router.js');
+
+const eliteRule = {
+  rank: 2,
+  minAgeDays: 56,
+  minUploaded: 536870912000,
+  minRatio: 1.05,
+  minSeedtime: 3600000,
+  demoteRatio: 0.95,
+  inviteBonus: 2
+};
+
+describe('User Classes Router', () => {
+  let app;
+  let currentUser;
+
+  beforeEach(() => {
+    currentUser = { id: 1, username: 'admin', role: 'ADMIN' };
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      next();
+    });
+    app.use('/api/user-classes', userClassesRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/user-classes', () => {
+    it('should list the rules', async () => {
+      mockUserClassesService.listUserClassRules.mockResolvedValue([{ name: 'Elite', ...eliteRule }]);
+
+      const response = await request(app).get('/api/user-classes');
+
+      expect(response.status).toBe(200);
+      expect(response.body.rules).toHaveLength(1);
+    });
+
+    it('should deny moderators', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+
+      const response = await request(app).get('/api/user-classes');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'users.classes' });
+    });
+  });
+
+  describe('PUT /api/user-classes/:name', () => {
+    it('should save the thresholds', async () => {
+      mockUserClassesService.upsertUserClassRule.mockResolvedValue({ name: 'Elite', ...eliteRule });
+
+      const response = await request(app)
+        .put('/api/user-classes/Elite')
+        .send(eliteRule);
+
+      expect(response.status).toBe(200);
+      expect(mockUserClassesService.upsertUserClassRule).toHaveBeenCalledWith('Elite', {
+        ...eliteRule,
+        minUploaded: '536870912000'
+      });
+    });
+
+    it('should default the optional fields', async () => {
+      mockUserClassesService.upsertUserClassRule.mockResolvedValue({});
+
+      await request(app)
+        .put('/api/user-classes/Power%20User')
+        .send({ rank: 1, minAgeDays: 28, minUploaded: 0, minRatio: 1, minSeedtime: 0 });
+
+      expect(mockUserClassesService.upsertUserClassRule).toHaveBeenCalledWith('Power User', expect.objectContaining({
+        demoteRatio: null,
+        inviteBonus: 0
+      }));
+    });
+
+    it('should validate the thresholds', async () => {
+      const response = await request(app)
+        .put('/api/user-classes/Elite')
+        .send({ ...eliteRule, rank: 0, minRatio: -1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(['rank', 'minRatio']);
+      expect(mockUserClassesService.upsertUserClassRule).not.toHaveBeenCalled();
+    });
+
+    it('should report rank conflicts', async () => {
+      mockUserClassesService.upsertUserClassRule.mockRejectedValue(new Error('Another user class already has this rank'));
+
+      const response = await request(app)
+        .put('/api/user-classes/Elite')
+        .send(eliteRule);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Another user class already has this rank' });
+    });
+
+    it('should deny moderators before validating the body', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+
+      const response = await request(app)
+        .put('/api/user-classes/Elite')
+        .send({ rank: 'first' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'users.classes' });
+    });
+  });
+
+  describe('DELETE /api/user-classes/:name', () => {
+    it('should delete the rule', async () => {
+      mockUserClassesService.deleteUserClassRule.mockResolvedValue();
+
+      const response = await request(app).delete('/api/user-classes/Elite');
+
+      expect(response.status).toBe(204);
+      expect(mockUserClassesService.deleteUserClassRule).toHaveBeenCalledWith('Elite');
+    });
+
+    it('should return 404 for unknown classes', async () => {
+      mockUserClassesService.deleteUserClassRule.mockRejectedValue(new Error('User class rule not found'));
+
+      const response = await request(app).delete('/api/user-classes/Wizard');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should deny moderators', async () => {
+      currentUser = { id: 2, username: 'mod', role: 'MODERATOR' };
+
+      const response = await request(app).delete(`/api/user-classes/${'x'.repeat(100)}`);
+
+      expect(response.status).toBe(403);
+      expect(mockUserClassesService.deleteUserClassRule).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/user-classes/evaluate', () => {
+    it('should run the evaluation', async () => {
+      mockUserClassesService.evaluateUserClasses.mockResolvedValue({ promoted: 3, demoted: 1 });
+
+      const response = await request(app).post('/api/user-classes/evaluate');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        message: 'User class evaluation completed',
+        promoted: 3,
+        demoted: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  user: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  userClassRule: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  userClassChange: {
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockRedis = {
+  del: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+
+const {
+  resolveUserClass,
+  upsertUserClassRule,
+  deleteUserClassRule,
+  evaluateUserClasses
+} = await import('../user-classes.service.js');
+
+const GiB = 1024 ** 3;
+const NOW = new Date('2026-06-01T00:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+const powerUser = {
+  name: 'Power User', rank: 1, minAgeDays: 28, minUploaded: BigInt(25 * GiB),
+  minRatio: 1.05, minSeedtime: 0, demoteRatio: 0.95, inviteBonus: 1
+};
+const elite = {
+  name: 'Elite', rank: 2, minAgeDays: 56, minUploaded: BigInt(500 * GiB),
+  minRatio: 1.05, minSeedtime: 1000 * 3600, demoteRatio: null, inviteBonus: 2
+};
+const rules = [powerUser, elite];
+
+const user = (overrides = {}) => ({
+  id: 7,
+  username: 'seeder',
+  created: daysAgo(60),
+  uploaded: BigInt(30 * GiB),
+  downloaded: BigInt(20 * GiB),
+  seedtime: BigInt(0),
+  userClass: null,
+  ...overrides
+});
+
+describe('User Classes Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.$transaction.mockResolvedValue([]);
+  });
+
+  describe('resolveUserClass', () => {
+    it('should pick the highest class whose every minimum is met', () => {
+      expect(resolveUserClass(user(), rules, NOW)).toBe(powerUser);
+      expect(resolveUserClass(user({ created: daysAgo(10) }), rules, NOW)).toBeNull();
+      expect(resolveUserClass(user({
+        uploaded: BigInt(600 * GiB),
+        seedtime: BigInt(2000 * 3600)
+      }), rules, NOW)).toBe(elite);
+    });
+
+    it('should treat nothing downloaded as meeting any ratio', () => {
+      expect(resolveUserClass(user({ downloaded: BigInt(0) }), rules, NOW)).toBe(powerUser);
+    });
+
+    it('should keep members until their ratio drops below demoteRatio', () => {
+      const member = user({ userClass: 'Power User', downloaded: BigInt(30 * GiB) });
+      expect(resolveUserClass(member, rules, NOW)).toBe(powerUser);
+
+      const slipping = user({ userClass: 'Power User', downloaded: BigInt(35 * GiB) });
+      expect(resolveUserClass(slipping, rules, NOW)).toBeNull();
+    });
+
+    it('should fall back to minRatio without a demoteRatio', () => {
+      const holding = user({ userClass: 'Elite', uploaded: BigInt(600 * GiB), downloaded: BigInt(560 * GiB) });
+      expect(resolveUserClass(holding, rules, NOW)).toBe(elite);
+
+      const slipping = user({ userClass: 'Elite', uploaded: BigInt(600 * GiB), downloaded: BigInt(700 * GiB) });
+      expect(resolveUserClass(slipping, rules, NOW)).toBeNull();
+    });
+
+    it('should demote into a lower class whose demoteRatio is still met', () => {
+      const member = user({ userClass: 'Elite', uploaded: BigInt(600 * GiB), downloaded: BigInt(600 * GiB) });
+
+      expect(resolveUserClass(member, rules, NOW)).toBe(powerUser);
+    });
+  });
+
+  describe('upsertUserClassRule', () => {
+    const data = { rank: 1, minAgeDays: 28, minUploaded: '1000', minRatio: 1, minSeedtime: 0 };
+
+    it('should store the thresholds', async () => {
+      mockDb.userClassRule.upsert.mockResolvedValue({ name: 'Power User', ...data, minUploaded: 1000n });
+
+      const rule = await upsertUserClassRule('Power User', data);
+
+      expect(mockDb.userClassRule.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { name: 'Power User' },
+        update: expect.objectContaining({ minUploaded: 1000n, demoteRatio: null, inviteBonus: 0 })
+      }));
+      expect(rule.minUploaded).toBe(1000);
+    });
+
+    it('should reject a demote ratio above the minimum ratio', async () => {
+      await expect(upsertUserClassRule('Power User', { ...data, demoteRatio: 2 }))
+        .rejects.toThrow('Demote ratio cannot be higher than the minimum ratio');
+      expect(mockDb.userClassRule.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should report duplicate ranks', async () => {
+      mockDb.userClassRule.upsert.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+      await expect(upsertUserClassRule('Elite', data))
+        .rejects.toThrow('Another user class already has this rank');
+    });
+  });
+
+  describe('deleteUserClassRule', () => {
+    it('should declass the members', async () => {
+      mockDb.userClassRule.delete.mockResolvedValue({});
+      mockDb.user.findMany.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+
+      await deleteUserClassRule('Elite');
+
+      expect(mockDb.user.updateMany).toHaveBeenCalledWith({
+        where: { userClass: 'Elite' },
+        data: { userClass: null }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith(['user:stats:3', 'user:stats:4']);
+    });
+
+    it('should throw for unknown rules', async () => {
+      mockDb.userClassRule.delete.mockRejectedValue(Object.assign(new Error('Missing'), { code: 'P2025' }));
+
+      await expect(deleteUserClassRule('Wizard')).rejects.toThrow('User class rule not found');
+    });
+  });
+
+  describe('evaluateUserClasses', () => {
+    beforeEach(() => {
+      mockDb.userClassRule.findMany.mockResolvedValue(rules);
+      mockDb.userClassChange.findFirst.mockResolvedValue(null);
+    });
+
+    it('should only evaluate users without a class or in an automatic one', async () => {
+      mockDb.user.findMany.mockResolvedValue([]);
+
+      await evaluateUserClasses();
+
+      expect(mockDb.user.findMany.mock.calls[0][0].where).toEqual({
+        banned: false,
+        OR: [
+          { userClass: null },
+          { userClass: { in: ['Power User', 'Elite'] } }
+        ]
+      });
+    });
+
+    it('should promote and grant the invite bonus the first time', async () => {
+      mockDb.user.findMany.mockResolvedValue([user()]);
+
+      const result = await evaluateUserClasses();
+
+      expect(result).toEqual({ promoted: 1, demoted: 0 });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { userClass: 'Power User', remainingInvites: { increment: 1 } }
+      });
+      expect(mockDb.userClassChange.create).toHaveBeenCalledWith({
+        data: { userId: 7, fromClass: null, toClass: 'Power User', reason: 'PROMOTED', invitesGranted: 1 }
+      });
+      expect(mockRedis.del).toHaveBeenCalledWith('user:stats:7');
+    });
+
+    it('should not pay the bonus again on a repeat promotion', async () => {
+      mockDb.user.findMany.mockResolvedValue([user()]);
+      mockDb.userClassChange.findFirst.mockResolvedValue({ id: 1 });
+
+      await evaluateUserClasses();
+
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { userClass: 'Power User' }
+      });
+    });
+
+    it('should demote members whose ratio dropped', async () => {
+      mockDb.user.findMany.mockResolvedValue([
+        user({ userClass: 'Power User', downloaded: BigInt(40 * GiB) })
+      ]);
+
+      const result = await evaluateUserClasses();
+
+      expect(result).toEqual({ promoted: 0, demoted: 1 });
+      expect(mockDb.userClassChange.create).toHaveBeenCalledWith({
+        data: { userId: 7, fromClass: 'Power User', toClass: null, reason: 'DEMOTED', invitesGranted: 0 }
+      });
+    });
+
+    it('should leave unchanged users alone', async () => {
+      mockDb.user.findMany.mockResolvedValue([user({ userClass: 'Power User' })]);
+
+      const result = await evaluateUserClasses();
+
+      expect(result).toEqual({ promoted: 0, demoted: 0 });
+      expect(mockDb.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should read the users in batches', async () => {
+      // Full first page of already classed users, then a last short page
+      mockDb.user.findMany.mockImplementation(({ take, cursor }) => Promise.resolve(cursor
+        ? [user({ id: take + 1 })]
+        : Array.from({ length: take }, (_, index) => user({ id: index + 1, userClass: 'Power User' }))));
+
+      const result = await evaluateUserClasses();
+
+      expect(mockDb.user.findMany).toHaveBeenCalledTimes(2);
+      const [first, second] = mockDb.user.findMany.mock.calls.map(([args]) => args);
+      expect(first).toEqual(expect.objectContaining({ orderBy: { id: 'asc' } }));
+      expect(first.cursor).toBeUndefined();
+      expect(second).toEqual(expect.objectContaining({ cursor: { id: first.take }, skip: 1, take: first.take }));
+      expect(result).toEqual({ promoted: 1, demoted: 0 });
+    });
+
+    it('should do nothing without rules', async () => {
+      mockDb.userClassRule.findMany.mockResolvedValue([]);
+
+      await evaluateUserClasses();
+
+      expect(mockDb.user.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockDb = {
+  user: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  revokedPasskey: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockRedis = {
+  get: jest.fn(),
+  setEx: jest.fn(),
+  del: jest.fn()
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../../utils/redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../../utils/utils.js', () => ({ logMessage: mockLogMessage }));
+jest.unstable_mockModule('bcrypt', () => ({
+  default: {
+    hash: jest.fn().mockResolvedValue('hashedpassword')
+  }
+}));
+
+const { createUser, resetPasskey } = await import('../users.service.js');
+
+describe('Users Service - Passkeys', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.$transaction.mockResolvedValue([]);
+  });
+
+  describe('createUser', () => {
+    it('should generate a passkey for new users', async () => {
+      mockDb.user.findFirst.mockResolvedValue(null);
+      mockDb.user.create.mockResolvedValue({ id: 1, username: 'new', email: 'new@example.com', role: 'USER' });
+
+      await createUser({ username: 'new', email: 'new@example.com', password: 'secret1' });
+
+      const { data } = mockDb.user.create.mock.calls[0][0];
+      expect(data.passkey).toMatch(/^[0-9a-f]{32}$/);
+    });
+  });
+
+  describe('resetPasskey', () => {
+    it('should revoke the old passkey and store a new one', async () => {
+      const oldPasskey = 'a'.repeat(32);
+      mockDb.user.findUnique.mockResolvedValue({ id: 1, username: 'user', passkey: oldPasskey });
+      mockDb.revokedPasskey.create.mockReturnValue('revoke-op');
+      mockDb.user.update.mockReturnValue('update-op');
+
+      const result = await resetPasskey(1);
+
+      expect(result.passkey).toMatch(/^[0-9a-f]{32}$/);
+      expect(result.passkey).not.toBe(oldPasskey);
+      expect(mockDb.revokedPasskey.create).toHaveBeenCalledWith({
+        data: { passkey: oldPasskey, userId: 1 }
+      });
+      expect(mockDb.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { passkey: result.passkey }
+      });
+      expect(mockDb.$transaction).toHaveBeenCalledWith(['revoke-op', 'update-op']);
+      expect(mockRedis.del).toHaveBeenCalledWith('user:stats:1');
+      expect(mockRedis.del).toHaveBeenCalledWith(`cache:passkey:${oldPasskey}`);
+    });
+
+    it('should throw when the user does not exist', async () => {
+      mockDb.user.findUnique.mockResolvedValue(null);
+
+      await expect(resetPasskey(99)).rejects.toThrow('User not found');
+      expect(mockDb.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -67,11 +67,14 @@ describe('Users Service - Ratio Functionality', () => {
           username: true,
           email: true,
           uid: true,
+          passkey: true,
           created: true,
           banned: true,
           role: true,
+          userClass: true,
           remainingInvites: true,
           emailVerified: true,
+          twoFactorEnabled: true,
           uploaded: true,
           downloaded: true,
           seedtime: true,
@@ -8,7 +8,8 @@ const mockUsersService = {
   getAllUsers: jest.fn(),
   updateUser: jest.fn(),
   toggleUserBan: jest.fn(),
-  getUserStats: jest.fn()
+  getUserStats: jest.fn(),
+  resetPasskey: jest.fn()
 };
 
 const mockAuthMiddleware = jest.fn((req, res, next) => {
@@ -16,9 +17,27 @@ const mockAuthMiddleware = jest.fn((req, res, next) => {
   next();
 });
 
+const mockRatioWatchService = {
+  getRatioWatchStatus: jest.fn(),
+  listRatioWatch: jest.fn()
+};
+
+const mockUserClassesService = {
+  isUserClassRule: jest.fn().mockResolvedValue(false),
+  getUserClassHistory: jest.fn().mockResolvedValue([])
+};
+
+const mockChangePassword = jest.fn();
+
 jest.unstable_mockModule('../users.service.js', () => mockUsersService);
+jest.unstable_mockModule('../../auth/verification.service.js', () => ({
+  changePassword: mockChangePassword
+}));
+jest.unstable_mockModule('../ratio-watch.service.js', () => mockRatioWatchService);
+jest.unstable_mockModule('../user-classes.service.js', () => mockUserClassesService);
 jest.unstable_mockModule('../../middleware/auth.js', () => ({
-  authMiddleware: mockAuthMiddleware
+  authMiddleware: mockAuthMiddleware,
+  requireScope: () => (req, res, next) => next()
 }));
 
 jest.unstable_mockModule('prom-client', () => ({
@@ -28,6 +47,7 @@ jest.unstable_mockModule('prom-client', () => ({
 }));
 
 const { usersRouter } = await import('../users.router.js');
+const { permissionsConfig } = await import('../../config/permissions.js');
 
 describe('Users Router', () => {
   let app;
@@ -97,7 +117,7 @@ describe('Users Router', () => {
         .get('/api/users');
 
       expect(response.status).toBe(403);
-      expect(response.body).toHaveProperty('error', 'Access denied. Administrator role required.');
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'users.list' });
     });
   });
 
@@ -178,6 +198,80 @@ describe('Users Router', () => {
       expect(mockUsersService.getUserById).toHaveBeenCalledWith(1);
       expect(mockUsersService.getUserStats).toHaveBeenCalledWith(1);
     });
+
+    it('should include the ratio watch status', async () => {
+      const ratioWatch = {
+        ratio: 0.1,
+        requiredRatio: 0.3,
+        onWatch: true,
+        watchEndsAt: '2030-01-01T00:00:00.000Z',
+        leechingDisabled: false
+      };
+
+      mockUsersService.getUserById.mockResolvedValue({ id: 1 });
+      mockUsersService.getUserStats.mockResolvedValue({});
+      mockRatioWatchService.getRatioWatchStatus.mockResolvedValue(ratioWatch);
+
+      const response = await request(app)
+        .get('/api/users/me');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('ratioWatch', ratioWatch);
+      expect(mockRatioWatchService.getRatioWatchStatus).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('POST /api/users/me/passkey/reset', () => {
+    it('should rotate the current user passkey', async () => {
+      mockUsersService.resetPasskey.mockResolvedValue({ passkey: 'c'.repeat(32) });
+
+      const response = await request(app)
+        .post('/api/users/me/passkey/reset');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        message: 'Passkey reset successfully',
+        passkey: 'c'.repeat(32)
+      });
+      expect(mockUsersService.resetPasskey).toHaveBeenCalledWith(1);
+    });
+
+    it('should return 500 when the rotation fails', async () => {
+      mockUsersService.resetPasskey.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/users/me/passkey/reset');
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('GET /api/users/ratio-watch', () => {
+    it('should list users on ratio watch for admin', async () => {
+      mockAuthMiddleware.mockImplementationOnce((req, res, next) => {
+        req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+        next();
+      });
+      mockRatioWatchService.listRatioWatch.mockResolvedValue({ users: [], pagination: {} });
+
+      const response = await request(app)
+        .get('/api/users/ratio-watch?page=2');
+
+      expect(response.status).toBe(200);
+      expect(mockRatioWatchService.listRatioWatch).toHaveBeenCalledWith(2, 20);
+    });
+
+    it('should deny access to non-admin users', async () => {
+      mockAuthMiddleware.mockImplementationOnce((req, res, next) => {
+        req.user = { id: 1, username: 'testuser', role: 'USER' };
+        next();
+      });
+
+      const response = await request(app)
+        .get('/api/users/ratio-watch');
+
+      expect(response.status).toBe(403);
+    });
   });
 
   describe('GET /api/users/:id', () => {
@@ -198,6 +292,19 @@ describe('Users Router', () => {
       expect(mockUsersService.getUserById).toHaveBeenCalledWith('2');
     });
 
+    it('should include the user class history', async () => {
+      const history = [{ fromClass: null, toClass: 'Power User', reason: 'PROMOTED', invitesGranted: 1 }];
+      mockUsersService.getUserById.mockResolvedValue({ id: 2 });
+      mockUserClassesService.getUserClassHistory.mockResolvedValueOnce(history);
+
+      const response = await request(app)
+        .get('/api/users/2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.classHistory).toEqual(history);
+      expect(mockUserClassesService.getUserClassHistory).toHaveBeenCalledWith('2');
+    });
+
     it('should return 404 for non-existent user', async () => {
       mockUsersService.getUserById.mockRejectedValue(new Error('User not found'));
 
@@ -234,6 +341,70 @@ describe('Users Router', () => {
       expect(mockUsersService.updateUser).toHaveBeenCalledWith('1', updateData);
     });
 
+    it('should change the own password only with the current one', async () => {
+      mockUsersService.updateUser.mockResolvedValue({ id: 1 });
+
+      const missing = await request(app)
+        .put('/api/users/1')
+        .send({ password: 'N3w!Password' });
+      const changed = await request(app)
+        .put('/api/users/1')
+        .send({ password: 'N3w!Password', currentPassword: 'Old!Passw0rd' });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body).toEqual({ error: 'Current password is required' });
+      expect(changed.status).toBe(200);
+      expect(mockChangePassword).toHaveBeenCalledTimes(1);
+      expect(mockChangePassword).toHaveBeenCalledWith('1', 'N3w!Password', 'Old!Passw0rd');
+      expect(mockUsersService.updateUser).toHaveBeenCalledWith('1', {});
+    });
+
+    it('should apply the password policy', async () => {
+      const response = await request(app)
+        .put('/api/users/1')
+        .send({ password: 'short', currentPassword: 'Old!Passw0rd' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('password');
+      expect(mockChangePassword).not.toHaveBeenCalled();
+    });
+
+    it('should let staff reset other passwords without the current one', async () => {
+      mockAuthMiddleware.mockImplementation((req, res, next) => {
+        req.user = { id: 9, username: 'admin', role: 'ADMIN' };
+        next();
+      });
+      mockUsersService.updateUser.mockResolvedValue({ id: 2 });
+
+      const response = await request(app)
+        .put('/api/users/2')
+        .send({ password: 'N3w!Password' });
+
+      expect(response.status).toBe(200);
+      expect(mockChangePassword).toHaveBeenCalledWith('2', 'N3w!Password', undefined);
+    });
+
+    it('should refuse password and email changes made with an API key', async () => {
+      mockAuthMiddleware.mockImplementation((req, res, next) => {
+        req.user = { id: 1, username: 'testuser', role: 'USER' };
+        req.apiKey = { id: 3, scopes: ['users:write'] };
+        next();
+      });
+
+      const password = await request(app)
+        .put('/api/users/1')
+        .send({ password: 'N3w!Password', currentPassword: 'Old!Passw0rd' });
+      const email = await request(app)
+        .put('/api/users/1')
+        .send({ email: 'attacker@example.com' });
+
+      expect(password.status).toBe(403);
+      expect(email.status).toBe(403);
+      expect(email.body).toEqual({ error: 'API keys cannot change the password or email' });
+      expect(mockChangePassword).not.toHaveBeenCalled();
+      expect(mockUsersService.updateUser).not.toHaveBeenCalled();
+    });
+
     it('should deny access to update other users profile for non-admin', async () => {
       
       mockAuthMiddleware.mockImplementation((req, res, next) => {
@@ -246,11 +417,49 @@ describe('Users Router', () => {
         .send({ username: 'hacker' });
 
       expect(response.status).toBe(403);
-      expect(response.body).toHaveProperty('error', 'Access denied.');
+      expect(response.body).toEqual({ error: 'Access denied', permission: 'users.edit.any' });
     });
   });
 
   describe('PATCH /api/users/:id', () => {
+    it('should only accept configured user classes', async () => {
+      mockAuthMiddleware.mockImplementation((req, res, next) => {
+        req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+        next();
+      });
+      permissionsConfig.userClasses = { Uploader: { permissions: ['torrents.multipliers'] } };
+      mockUsersService.updateUser.mockResolvedValue({ id: 2, userClass: 'Uploader' });
+
+      const unknown = await request(app)
+        .patch('/api/users/2')
+        .send({ userClass: 'Wizard' });
+      const known = await request(app)
+        .patch('/api/users/2')
+        .send({ userClass: 'Uploader' });
+      permissionsConfig.userClasses = {};
+
+      expect(unknown.status).toBe(400);
+      expect(known.status).toBe(200);
+      expect(mockUsersService.updateUser).toHaveBeenCalledTimes(1);
+      expect(mockUsersService.updateUser).toHaveBeenCalledWith('2', { userClass: 'Uploader' });
+    });
+
+    it('should accept automatic user classes', async () => {
+      mockAuthMiddleware.mockImplementation((req, res, next) => {
+        req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+        next();
+      });
+      mockUserClassesService.isUserClassRule.mockResolvedValueOnce(true);
+      mockUsersService.updateUser.mockResolvedValue({ id: 2, userClass: 'Elite' });
+
+      const response = await request(app)
+        .patch('/api/users/2')
+        .send({ userClass: 'Elite' });
+
+      expect(response.status).toBe(200);
+      expect(mockUserClassesService.isUserClassRule).toHaveBeenCalledWith('Elite');
+    });
+
     it('should ban user for admin', async () => {
       mockAuthMiddleware.mockImplementation((req, res, next) => {
         req.user = { id: 1, username: 'admin', role: 'ADMIN' };
@@ -0,0 +1,171 @@
+import { db } from '../utils/db.server.js';
+import { logMessage } from '../utils/utils.js';
+import { RedisHelpers } from '../utils/redis-keys.js';
+import { trackerConfig } from '../config/tracker.js';
+import { getUserById, calculateRatio } from './users.service.js';
+
+function getRequiredRatio(downloaded) {
+  let required = 0;
+  for (const tier of trackerConfig.ratioWatch.tiers) {
+    if (Number(downloaded) >= tier.downloaded) {
+      required = tier.ratio;
+    }
+  }
+  return required;
+}
+
+async function getRatioWatchStatus(userId) {
+  try {
+    const user = await getUserById(userId);
+    const watch = await db.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: {
+        ratioWatchUntil: true,
+        leechingDisabled: true
+      }
+    });
+
+    return {
+      ratio: user.ratio,
+      requiredRatio: getRequiredRatio(user.downloaded),
+      onWatch: Boolean(watch?.ratioWatchUntil),
+      watchEndsAt: watch?.ratioWatchUntil ?? null,
+      leechingDisabled: Boolean(watch?.leechingDisabled)
+    };
+  } catch (error) {
+    logMessage('error', `Error getting ratio watch status: ${error.message}`);
+    throw error;
+  }
+}
+
+// Seeding (nothing left to download) is always allowed so users can recover,
+// and a stopping leecher still gets removed from the swarm
+function checkLeechingAllowed(user, params) {
+  if (user.leechingDisabled && params.left > 0 && params.event !== 'stopped') {
+    throw new Error('Leeching disabled: ratio below requirement');
+  }
+}
+
+async function listRatioWatch(page = 1, limit = 20) {
+  try {
+    const skip = (page - 1) * limit;
+    const where = {
+      OR: [
+        { ratioWatchUntil: { not: null } },
+        { leechingDisabled: true }
+      ]
+    };
+
+    const [usersData, total] = await Promise.all([
+      db.user.findMany({
+        where,
+        skip,
+        take: limit,
+        select: {
+          id: true,
+          username: true,
+          uploaded: true,
+          downloaded: true,
+          ratioWatchUntil: true,
+          leechingDisabled: true
+        },
+        orderBy: { ratioWatchUntil: 'asc' }
+      }),
+      db.user.count({ where })
+    ]);
+
+    const users = usersData.map(user => ({
+      ...user,
+      uploaded: Number(user.uploaded),
+      downloaded: Number(user.downloaded),
+      ratio: calculateRatio(user.uploaded, user.downloaded),
+      requiredRatio: getRequiredRatio(user.downloaded)
+    }));
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logMessage('error', `Error listing ratio watch: ${error.message}`);
+    throw error;
+  }
+}
+
+async function evaluateRatioWatch() {
+  try {
+    const now = new Date();
+    const result = { watched: 0, restricted: 0, cleared: 0 };
+    const lowestTier = Math.min(...trackerConfig.ratioWatch.tiers.map(tier => tier.downloaded));
+
+    const users = await db.user.findMany({
+      where: {
+        OR: [
+          { downloaded: { gte: BigInt(lowestTier) } },
+          { ratioWatchUntil: { not: null } },
+          { leechingDisabled: true }
+        ]
+      },
+      select: {
+        id: true,
+        username: true,
+        passkey: true,
+        uploaded: true,
+        downloaded: true,
+        ratioWatchUntil: true,
+        leechingDisabled: true
+      }
+    });
+
+    for (const user of users) {
+      const ratio = calculateRatio(user.uploaded, user.downloaded);
+      let data = null;
+
+      if (ratio >= getRequiredRatio(user.downloaded)) {
+        if (user.ratioWatchUntil || user.leechingDisabled) {
+          data = { ratioWatchUntil: null, leechingDisabled: false };
+          result.cleared++;
+          logMessage('info', `User ${user.username} left ratio watch`);
+        }
+      } else if (!user.ratioWatchUntil) {
+        const watchEndsAt = new Date(now);
+        watchEndsAt.setDate(watchEndsAt.getDate() + trackerConfig.ratioWatch.graceDays);
+        data = { ratioWatchUntil: watchEndsAt };
+        result.watched++;
+        logMessage('warn', `User ${user.username} put on ratio watch until ${watchEndsAt.toISOString()}`);
+      } else if (user.ratioWatchUntil <= now && !user.leechingDisabled) {
+        data = { leechingDisabled: true };
+        result.restricted++;
+        logMessage('warn', `Leeching disabled for user ${user.username} (ratio ${ratio})`);
+      }
+
+      if (data) {
+        await db.user.update({
+          where: { id: user.id },
+          data
+        });
+        // The announce path reads leechingDisabled from the passkey cache
+        await RedisHelpers.invalidatePasskeyCache(user.passkey);
+      }
+    }
+
+    logMessage('info', `Ratio watch evaluation: ${result.watched} watched, ${result.restricted} restricted, ${result.cleared} cleared`);
+    return result;
+  } catch (error) {
+    logMessage('error', `Error evaluating ratio watch: ${error.message}`);
+    throw error;
+  }
+}
+
+export {
+  getRequiredRatio,
+  getRatioWatchStatus,
+  checkLeechingAllowed,
+  listRatioWatch,
+  evaluateRatioWatch
+};
@@ -2,6 +2,7 @@ import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { Counter } from 'prom-client';
 import { authMiddleware } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
 import {
   createUserBan,
   banUserForDays,
@@ -35,20 +36,6 @@ const deactivateBanCounter = new Counter({
   help: 'Count deactivate user ban requests'
 });
 
-const requireAdminOrModerator = (req, res, next) => {
-  if (req.user.role !== 'ADMIN' && req.user.role !== 'MODERATOR') {
-    return res.status(403).json({ error: 'Access denied. Administrator or Moderator role required.' });
-  }
-  next();
-};
-
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Access denied. Administrator role required.' });
-  }
-  next();
-};
-
 const createBanValidation = [
   body('userId')
     .isInt({ min: 1 })
@@ -91,7 +78,7 @@ userBanRouter.get('/',
   query('active').optional().isBoolean().withMessage('Active must be true or false'),
   query('userId').optional().isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
   query('bannedBy').optional().isString().withMessage('Banned by must be a string'),
-  requireAdminOrModerator,
+  requirePermission('bans.user.view'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -125,7 +112,7 @@ userBanRouter.get('/',
 
 userBanRouter.post('/',
   createBanValidation,
-  requireAdminOrModerator,
+  requirePermission('bans.user.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -156,7 +143,7 @@ userBanRouter.post('/',
 
 userBanRouter.post('/quick/7-days',
   quickBanValidation,
-  requireAdminOrModerator,
+  requirePermission('bans.user.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -182,7 +169,7 @@ userBanRouter.post('/quick/7-days',
 
 userBanRouter.post('/quick/15-days',
   quickBanValidation,
-  requireAdminOrModerator,
+  requirePermission('bans.user.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -208,7 +195,7 @@ userBanRouter.post('/quick/15-days',
 
 userBanRouter.post('/quick/30-days',
   quickBanValidation,
-  requireAdminOrModerator,
+  requirePermission('bans.user.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -234,7 +221,7 @@ userBanRouter.post('/quick/30-days',
 
 userBanRouter.post('/quick/permanent',
   quickBanValidation,
-  requireAdmin,
+  requirePermission('bans.user.permanent'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -260,7 +247,7 @@ userBanRouter.post('/quick/permanent',
 
 userBanRouter.post('/custom',
   banForDaysValidation,
-  requireAdminOrModerator,
+  requirePermission('bans.user.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -286,7 +273,7 @@ userBanRouter.post('/custom',
 
 userBanRouter.get('/:id',
   param('id').isInt({ min: 1 }).withMessage('ID must be a positive integer'),
-  requireAdminOrModerator,
+  requirePermission('bans.user.view'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -306,7 +293,7 @@ userBanRouter.get('/:id',
 
 userBanRouter.patch('/:id/deactivate',
   param('id').isInt({ min: 1 }).withMessage('ID must be a positive integer'),
-  requireAdminOrModerator,
+  requirePermission('bans.user.deactivate'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -330,7 +317,7 @@ userBanRouter.patch('/:id/deactivate',
 
 userBanRouter.get('/user/:userId',
   param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
-  requireAdminOrModerator,
+  requirePermission('bans.user.view'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -350,7 +337,7 @@ userBanRouter.get('/user/:userId',
 
 userBanRouter.get('/user/:userId/active',
   param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
-  requireAdminOrModerator,
+  requirePermission('bans.user.view'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -374,7 +361,7 @@ userBanRouter.get('/user/:userId/active',
 
 userBanRouter.get('/user/:userId/status',
   param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
-  requireAdminOrModerator,
+  requirePermission('bans.user.view'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -396,7 +383,7 @@ userBanRouter.get('/user/:userId/status',
 );
 
 userBanRouter.post('/cleanup',
-  requireAdmin,
+  requirePermission('bans.user.cleanup'),
   async (req, res) => {
     try {
       const result = await cleanupExpiredBans();
@@ -1,6 +1,6 @@
 import { db } from '../utils/db.server.js';
 import { logMessage } from '../utils/utils.js';
-import { RedisKeys } from '../utils/redis-keys.js';
+import { RedisKeys, RedisHelpers } from '../utils/redis-keys.js';
 import redisClient from '../utils/redis.js';
 
 async function createUserBan(banData) {
@@ -9,7 +9,7 @@ async function createUserBan(banData) {
     
     const user = await db.user.findUnique({
       where: { id: parseInt(userId) },
-      select: { id: true, username: true, banned: true }
+      select: { id: true, username: true, banned: true, passkey: true }
     });
 
     if (!user) {
@@ -41,6 +41,8 @@ async function createUserBan(banData) {
 
     const banKey = RedisKeys.ban.userCheck(userId);
     await redisClient.del(banKey);
+    // The tracker reads banned from the cached passkey lookup
+    await RedisHelpers.invalidatePasskeyCache(user.passkey);
 
     const banType = expiresAt ? `temporary (expires: ${new Date(expiresAt).toISOString()})` : 'permanent';
     logMessage('info', `User banned (${banType}): ${user.username} by ${bannedBy} - Reason: ${reason}`);
@@ -239,7 +241,8 @@ async function deactivateUserBan(banId, unbannedBy) {
         user: {
           select: {
             id: true,
-            username: true
+            username: true,
+            passkey: true
           }
         }
       }
@@ -276,6 +279,7 @@ async function deactivateUserBan(banId, unbannedBy) {
         where: { id: userBan.userId },
         data: { banned: false }
       });
+      await RedisHelpers.invalidatePasskeyCache(userBan.user.passkey);
     }
 
     const banKey = RedisKeys.ban.userCheck(userBan.userId);
@@ -310,7 +314,8 @@ async function cleanupExpiredBans() {
         user: {
           select: {
             id: true,
-            username: true
+            username: true,
+            passkey: true
           }
         }
       }
@@ -346,6 +351,7 @@ async function cleanupExpiredBans() {
           where: { id: ban.userId },
           data: { banned: false }
         });
+        await RedisHelpers.invalidatePasskeyCache(ban.user.passkey);
         logMessage('info', `User automatically unbanned due to expired ban: ${ban.user.username}`);
       }
 
@@ -0,0 +1,127 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requirePermission } from '../middleware/permissions.js';
+import {
+  listUserClassRules,
+  upsertUserClassRule,
+  deleteUserClassRule,
+  evaluateUserClasses
+} from './user-classes.service.js';
+
+export const userClassesRouter = express.Router();
+
+const nameValidation = param('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Class name must be between 1 and 50 characters');
+
+const ruleValidation = [
+  nameValidation,
+  body('rank')
+    .isInt({ min: 1 })
+    .withMessage('Rank must be a positive integer'),
+  body('minAgeDays')
+    .isInt({ min: 0 })
+    .withMessage('Minimum age must be a positive number of days'),
+  body('minUploaded')
+    .isInt({ min: 0 })
+    .withMessage('Minimum uploaded must be a positive number of bytes'),
+  body('minRatio')
+    .isFloat({ min: 0 })
+    .withMessage('Minimum ratio must be a positive number'),
+  body('minSeedtime')
+    .isInt({ min: 0 })
+    .withMessage('Minimum seedtime must be a positive number of seconds'),
+  body('demoteRatio')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Demote ratio must be a positive number'),
+  body('inviteBonus')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Invite bonus must be between 0 and 100')
+];
+
+// GET /api/user-classes - Automatic user class rules by rank
+userClassesRouter.get('/',
+  requirePermission('users.classes'),
+  async (req, res) => {
+    try {
+      const rules = await listUserClassRules();
+      res.json({ rules });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// POST /api/user-classes/evaluate - Run the evaluation job now
+userClassesRouter.post('/evaluate',
+  requirePermission('users.classes'),
+  async (req, res) => {
+    try {
+      const result = await evaluateUserClasses();
+
+      res.json({
+        message: 'User class evaluation completed',
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// PUT /api/user-classes/:name - Create or tune a class
+userClassesRouter.put('/:name',
+  requirePermission('users.classes'),
+  ruleValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { rank, minAgeDays, minUploaded, minRatio, minSeedtime, demoteRatio, inviteBonus } = req.body;
+      const rule = await upsertUserClassRule(req.params.name, {
+        rank: parseInt(rank),
+        minAgeDays: parseInt(minAgeDays),
+        minUploaded: String(minUploaded),
+        minRatio: parseFloat(minRatio),
+        minSeedtime: parseInt(minSeedtime),
+        demoteRatio: demoteRatio === undefined || demoteRatio === null ? null : parseFloat(demoteRatio),
+        inviteBonus: inviteBonus === undefined ? 0 : parseInt(inviteBonus)
+      });
+
+      res.json({
+        message: 'User class rule saved successfully',
+        rule
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// DELETE /api/user-classes/:name - Remove a class and declass its members
+userClassesRouter.delete('/:name',
+  requirePermission('users.classes'),
+  nameValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await deleteUserClassRule(req.params.name);
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'User class rule not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
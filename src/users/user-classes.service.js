@@ -0,0 +1,275 @@
+import { db } from '../utils/db.server.js';
+import { logMessage } from '../utils/utils.js';
+import redisClient from '../utils/redis.js';
+import { RedisKeys } from '../utils/redis-keys.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVALUATION_BATCH_SIZE = 500;
+
+// Unlike calculateRatio, nothing downloaded counts as an unbeatable ratio:
+// a pure seeder must not be kept out of a class by a 0 ratio
+function classRatio(uploaded, downloaded) {
+  return Number(downloaded) > 0 ? Number(uploaded) / Number(downloaded) : Infinity;
+}
+
+function formatRule(rule) {
+  return {
+    ...rule,
+    minUploaded: Number(rule.minUploaded)
+  };
+}
+
+const demoteRatioOf = (rule) => rule.demoteRatio ?? rule.minRatio;
+
+function qualifies(user, rule, now, minRatio = rule.minRatio) {
+  const ageDays = (now - user.created) / DAY_MS;
+  return ageDays >= rule.minAgeDays &&
+    Number(user.uploaded) >= Number(rule.minUploaded) &&
+    classRatio(user.uploaded, user.downloaded) >= minRatio &&
+    Number(user.seedtime) >= rule.minSeedtime;
+}
+
+// Highest ranked class the user qualifies for. Members of a higher class keep
+// it until their ratio drops below its demoteRatio (minRatio by default), so
+// age, upload and seedtime never demote anyone. A demoted member lands in the
+// best lower class whose demoteRatio they still meet.
+function resolveUserClass(user, rules, now = new Date()) {
+  const ranked = [...rules].sort((a, b) => b.rank - a.rank);
+  const target = ranked.find(rule => qualifies(user, rule, now)) ?? null;
+  const current = ranked.find(rule => rule.name === user.userClass) ?? null;
+
+  if (!current || current.rank <= (target?.rank ?? -Infinity)) {
+    return target;
+  }
+
+  const ratio = classRatio(user.uploaded, user.downloaded);
+  const kept = ranked.find(rule =>
+    rule.rank <= current.rank &&
+    rule.rank > (target?.rank ?? -Infinity) &&
+    (rule === current ? ratio >= demoteRatioOf(rule) : qualifies(user, rule, now, demoteRatioOf(rule))));
+
+  return kept ?? target;
+}
+
+async function listUserClassRules() {
+  try {
+    const rules = await db.userClassRule.findMany({
+      orderBy: { rank: 'asc' }
+    });
+
+    return rules.map(formatRule);
+  } catch (error) {
+    logMessage('error', `Error listing user class rules: ${error.message}`);
+    throw error;
+  }
+}
+
+async function isUserClassRule(name) {
+  const rule = await db.userClassRule.findUnique({
+    where: { name },
+    select: { id: true }
+  });
+
+  return Boolean(rule);
+}
+
+async function upsertUserClassRule(name, ruleData) {
+  try {
+    const { rank, minAgeDays, minUploaded, minRatio, minSeedtime, demoteRatio = null, inviteBonus = 0 } = ruleData;
+
+    if (demoteRatio !== null && demoteRatio > minRatio) {
+      throw new Error('Demote ratio cannot be higher than the minimum ratio');
+    }
+
+    const data = {
+      rank,
+      minAgeDays,
+      minUploaded: BigInt(minUploaded),
+      minRatio,
+      minSeedtime,
+      demoteRatio,
+      inviteBonus
+    };
+
+    const rule = await db.userClassRule.upsert({
+      where: { name },
+      create: { name, ...data },
+      update: data
+    });
+
+    logMessage('info', `User class rule ${name} updated`);
+    return formatRule(rule);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('Another user class already has this rank');
+    }
+    logMessage('error', `Error updating user class rule: ${error.message}`);
+    throw error;
+  }
+}
+
+// Members of a deleted class fall back to no class; the next evaluation
+// promotes them again into whatever classes remain
+async function deleteUserClassRule(name) {
+  try {
+    await db.userClassRule.delete({
+      where: { name }
+    });
+
+    const members = await db.user.findMany({
+      where: { userClass: name },
+      select: { id: true }
+    });
+
+    if (members.length > 0) {
+      await db.user.updateMany({
+        where: { userClass: name },
+        data: { userClass: null }
+      });
+      await redisClient.del(members.map(member => RedisKeys.user.stats(member.id)));
+    }
+
+    logMessage('info', `User class rule ${name} deleted, ${members.length} users declassed`);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('User class rule not found');
+    }
+    logMessage('error', `Error deleting user class rule: ${error.message}`);
+    throw error;
+  }
+}
+
+async function getUserClassHistory(userId, limit = 20) {
+  try {
+    return await db.userClassChange.findMany({
+      where: { userId: parseInt(userId) },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: {
+        fromClass: true,
+        toClass: true,
+        reason: true,
+        invitesGranted: true,
+        createdAt: true
+      }
+    });
+  } catch (error) {
+    logMessage('error', `Error getting user class history: ${error.message}`);
+    throw error;
+  }
+}
+
+// Yields the users to evaluate in id order, reading one batch at a time so
+// a large user table is never loaded into memory at once
+async function* usersToEvaluate(rules) {
+  let cursor = null;
+  let users;
+
+  do {
+    users = await db.user.findMany({
+      where: {
+        banned: false,
+        OR: [
+          { userClass: null },
+          { userClass: { in: rules.map(rule => rule.name) } }
+        ]
+      },
+      select: {
+        id: true,
+        username: true,
+        created: true,
+        uploaded: true,
+        downloaded: true,
+        seedtime: true,
+        userClass: true
+      },
+      orderBy: { id: 'asc' },
+      take: EVALUATION_BATCH_SIZE,
+      ...(cursor !== null && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    yield* users;
+    cursor = users.at(-1)?.id ?? null;
+  } while (users.length === EVALUATION_BATCH_SIZE);
+}
+
+// Only users without a class or in an automatic one are evaluated; classes
+// set by hand from USER_CLASSES_FILE are left alone
+async function evaluateUserClasses() {
+  try {
+    const now = new Date();
+    const result = { promoted: 0, demoted: 0 };
+
+    const rules = await db.userClassRule.findMany();
+    if (rules.length === 0) {
+      return result;
+    }
+
+    const ranks = new Map(rules.map(rule => [rule.name, rule.rank]));
+
+    for await (const user of usersToEvaluate(rules)) {
+      const target = resolveUserClass(user, rules, now);
+      const toClass = target?.name ?? null;
+      if (toClass === user.userClass) {
+        continue;
+      }
+
+      const promoted = (ranks.get(toClass) ?? -Infinity) > (ranks.get(user.userClass) ?? -Infinity);
+      let invitesGranted = 0;
+
+      // The invite bonus is a one-off: falling out of a class and climbing
+      // back into it does not pay again
+      if (promoted && target.inviteBonus > 0) {
+        const previous = await db.userClassChange.findFirst({
+          where: { userId: user.id, toClass, reason: 'PROMOTED' },
+          select: { id: true }
+        });
+        invitesGranted = previous ? 0 : target.inviteBonus;
+      }
+
+      await db.$transaction([
+        db.user.update({
+          where: { id: user.id },
+          data: {
+            userClass: toClass,
+            ...(invitesGranted > 0 && { remainingInvites: { increment: invitesGranted } })
+          }
+        }),
+        db.userClassChange.create({
+          data: {
+            userId: user.id,
+            fromClass: user.userClass,
+            toClass,
+            reason: promoted ? 'PROMOTED' : 'DEMOTED',
+            invitesGranted
+          }
+        })
+      ]);
+      await redisClient.del(RedisKeys.user.stats(user.id));
+
+      if (promoted) {
+        result.promoted++;
+        logMessage('info', `User ${user.username} promoted to ${toClass}`);
+      } else {
+        result.demoted++;
+        logMessage('warn', `User ${user.username} demoted from ${user.userClass} to ${toClass ?? 'no class'}`);
+      }
+    }
+
+    logMessage('info', `User class evaluation: ${result.promoted} promoted, ${result.demoted} demoted`);
+    return result;
+  } catch (error) {
+    logMessage('error', `Error evaluating user classes: ${error.message}`);
+    throw error;
+  }
+}
+
+export {
+  resolveUserClass,
+  listUserClassRules,
+  isUserClassRule,
+  upsertUserClassRule,
+  deleteUserClassRule,
+  getUserClassHistory,
+  evaluateUserClasses
+};
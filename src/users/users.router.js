@@ -1,15 +1,22 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { Counter } from 'prom-client';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireScope } from '../middleware/auth.js';
+import { requirePermission, hasPermission, listPermissions } from '../middleware/permissions.js';
+import { permissionsConfig } from '../config/permissions.js';
 import {
   createUser,
   getUserById,
   getAllUsers,
   updateUser,
   toggleUserBan,
-  getUserStats
+  getUserStats,
+  resetPasskey
 } from './users.service.js';
+import { getRatioWatchStatus, listRatioWatch } from './ratio-watch.service.js';
+import { isUserClassRule, getUserClassHistory } from './user-classes.service.js';
+import { changePassword } from '../auth/verification.service.js';
+import { checkPasswordPolicy } from '../auth/password-policy.js';
 
 export const usersRouter = express.Router();
 
@@ -29,22 +36,18 @@ const updateUserCounter = new Counter({
   help: 'Count update user requests'
 });
 
-// Middleware to verify admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Access denied. Administrator role required.' });
-  }
-  next();
-};
-
-// Middleware to verify that user accesses their own data or is admin
-const requireOwnerOrAdmin = (req, res, next) => {
-  const targetUserId = parseInt(req.params.id);
-  if (req.user.id !== targetUserId && req.user.role !== 'ADMIN') {
-    return res.status(403).json({ error: 'Access denied.' });
-  }
-  next();
-};
+// The user a /:id route acts on, for the .own permissions
+const targetUser = (req) => parseInt(req.params.id);
+
+// A class from USER_CLASSES_FILE or an automatic one; null clears the class
+// and falls back to the role's permissions
+const userClassValidation = body('userClass')
+  .optional({ values: 'null' })
+  .custom(async value => {
+    if (!Object.hasOwn(permissionsConfig.userClasses, value) && !(await isUserClassRule(value))) {
+      throw new Error('Unknown user class');
+    }
+  });
 
 // Validations
 const createUserValidation = [
@@ -80,8 +83,17 @@ const updateUserValidation = [
     .withMessage('Invalid email'),
   body('password')
     .optional()
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
+    .custom((password) => {
+      const problems = checkPasswordPolicy(password);
+      if (problems.length > 0) {
+        throw new Error(problems.join('. '));
+      }
+      return true;
+    }),
+  body('currentPassword')
+    .optional()
+    .isString()
+    .withMessage('Current password must be text'),
   body('role')
     .optional()
     .isIn(['USER', 'ADMIN', 'MODERATOR'])
@@ -93,16 +105,17 @@ const updateUserValidation = [
   body('banned')
     .optional()
     .isBoolean()
-    .withMessage('Banned must be true or false')
+    .withMessage('Banned must be true or false'),
+  userClassValidation
 ];
 
-usersRouter.use(authMiddleware);
+usersRouter.use(authMiddleware, requireScope('users'));
 
-// GET /api/users - List all users (admin only)
+// GET /api/users - List all users
 usersRouter.get('/',
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  requireAdmin,
+  requirePermission('users.list'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -123,10 +136,10 @@ usersRouter.get('/',
   }
 );
 
-// POST /api/users - Create new user (admin only)
+// POST /api/users - Create new user
 usersRouter.post('/',
   createUserValidation,
-  requireAdmin,
+  requirePermission('users.create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -156,21 +169,64 @@ usersRouter.get('/me', async (req, res) => {
   try {
     const user = await getUserById(req.user.id);
     const stats = await getUserStats(req.user.id);
+    const ratioWatch = await getRatioWatchStatus(req.user.id);
     
     getUserCounter.inc();
     res.json({
       user,
-      stats
+      stats,
+      ratioWatch,
+      permissions: listPermissions(req.user)
     });
   } catch (error) {
     res.status(404).json({ error: error.message });
   }
 });
 
-// GET /api/users/:id - Get user by ID (only own user or admin)
+// POST /api/users/me/passkey/reset - Rotate the current user's passkey
+usersRouter.post('/me/passkey/reset', async (req, res) => {
+  try {
+    const { passkey } = await resetPasskey(req.user.id);
+
+    updateUserCounter.inc();
+    res.json({
+      message: 'Passkey reset successfully',
+      passkey
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/users/ratio-watch - Users on ratio watch or with leeching disabled
+usersRouter.get('/ratio-watch',
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  requirePermission('users.list'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await listRatioWatch(page, limit);
+
+      getUserCounter.inc();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /api/users/:id - Get user by ID (own profile, or users.view.any)
 usersRouter.get('/:id', 
   param('id').isInt().withMessage('ID must be a number'),
-  requireOwnerOrAdmin,
+  requirePermission('users.view', { owner: targetUser }),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -180,11 +236,13 @@ usersRouter.get('/:id',
 
       const user = await getUserById(req.params.id);
       const stats = await getUserStats(req.params.id);
+      const classHistory = await getUserClassHistory(req.params.id);
       
       getUserCounter.inc();
       res.json({
         user,
-        stats
+        stats,
+        classHistory
       });
     } catch (error) {
       res.status(404).json({ error: error.message });
@@ -192,11 +250,11 @@ usersRouter.get('/:id',
   }
 );
 
-// PUT /api/users/:id - Update user (only own user or admin)
+// PUT /api/users/:id - Update user (own profile, or users.edit.any)
 usersRouter.put('/:id',
   param('id').isInt().withMessage('ID must be a number'),
   updateUserValidation,
-  requireOwnerOrAdmin,
+  requirePermission('users.edit', { owner: targetUser }),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -204,14 +262,31 @@ usersRouter.put('/:id',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Only admin can change role, invitations, and ban status
-      if (req.user.role !== 'ADMIN') {
+      // Role, class, invitations and ban status need users.manage
+      if (!hasPermission(req.user, 'users.manage')) {
         delete req.body.role;
+        delete req.body.userClass;
         delete req.body.remainingInvites;
         delete req.body.banned;
       }
 
-      const updatedUser = await updateUser(req.params.id, req.body);
+      const { password, currentPassword, ...updates } = req.body;
+
+      // Credentials stay with interactive logins, like sessions, 2FA and keys
+      if (req.apiKey && (password !== undefined || updates.email !== undefined)) {
+        return res.status(403).json({ error: 'API keys cannot change the password or email' });
+      }
+
+      if (password !== undefined) {
+        // Staff resetting someone else's password do not know the old one
+        const ownAccount = req.user.id === parseInt(req.params.id);
+        if (ownAccount && !currentPassword) {
+          return res.status(400).json({ error: 'Current password is required' });
+        }
+        await changePassword(req.params.id, password, ownAccount ? currentPassword : undefined);
+      }
+
+      const updatedUser = await updateUser(req.params.id, updates);
       
       updateUserCounter.inc();
       res.json({
@@ -231,7 +306,8 @@ usersRouter.patch('/:id',
   body('role').optional().isIn(['USER', 'ADMIN', 'MODERATOR']).withMessage('Invalid role'),
   body('remainingInvites').optional().isInt({ min: 0 }).withMessage('Remaining invitations must be a positive number'),
   body('reason').optional().isString().withMessage('Reason must be text'),
-  requireAdmin,
+  userClassValidation,
+  requirePermission('users.manage'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -262,10 +338,10 @@ usersRouter.patch('/:id',
   }
 );
 
-// GET /api/users/:id/statistics - Get user statistics (admin only)
+// GET /api/users/:id/statistics - Get user statistics
 usersRouter.get('/:id/statistics',
   param('id').isInt().withMessage('ID must be a number'),
-  requireAdmin,
+  requirePermission('users.view.any'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
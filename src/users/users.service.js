@@ -1,8 +1,18 @@
 import { db } from '../utils/db.server.js';
 import { logMessage } from '../utils/utils.js';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import redisClient from '../utils/redis.js';
-import { RedisKeys } from '../utils/redis-keys.js';
+import { RedisKeys, RedisHelpers } from '../utils/redis-keys.js';
+
+function generatePasskey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function calculateRatio(uploaded, downloaded) {
+  const ratio = downloaded > 0 ? Number(uploaded) / Number(downloaded) : 0;
+  return parseFloat(ratio.toFixed(2));
+}
 
 async function createUser(userData) {
   try {
@@ -28,6 +38,7 @@ async function createUser(userData) {
         username,
         email,
         password: hashedPassword,
+        passkey: generatePasskey(),
         created: new Date(),
         banned: false,
         role,
@@ -64,11 +75,14 @@ async function getUserById(id) {
         username: true,
         email: true,
         uid: true,
+        passkey: true,
         created: true,
         banned: true,
         role: true,
+        userClass: true,
         remainingInvites: true,
         emailVerified: true,
+        twoFactorEnabled: true,
         uploaded: true,
         downloaded: true,
         seedtime: true,
@@ -98,7 +112,6 @@ async function getUserById(id) {
 
     const uploaded = Number(user.uploaded);
     const downloaded = Number(user.downloaded);
-    const ratio = downloaded > 0 ? uploaded / downloaded : 0;
     const seedtime = Number(user.seedtime);
     
     const result = {
@@ -106,7 +119,8 @@ async function getUserById(id) {
       uploaded,
       downloaded,
       seedtime,
-      ratio: parseFloat(ratio.toFixed(2))
+      ratio: calculateRatio(uploaded, downloaded),
+      torrents: user.torrents?.map(torrent => ({ ...torrent, size: Number(torrent.size) }))
     };
 
     const userToCache = { ...result, uploaded: result.uploaded.toString(), downloaded: result.downloaded.toString() };
@@ -157,14 +171,13 @@ async function getAllUsers(page = 1, limit = 20) {
       const uploaded = Number(user.uploaded);
       const downloaded = Number(user.downloaded);
       const seedtime = Number(user.seedtime);
-      const ratio = downloaded > 0 ? uploaded / downloaded : 0;
 
       return {
         ...user,
         uploaded,
         downloaded,
         seedtime,
-        ratio: parseFloat(ratio.toFixed(2))
+        ratio: calculateRatio(uploaded, downloaded)
       };
     });
 
@@ -183,17 +196,13 @@ async function getAllUsers(page = 1, limit = 20) {
   }
 }
 
+// Passwords are changed through changePassword, which also closes sessions
 async function updateUser(id, updateData) {
   try {
-    const { password, ...otherData } = updateData;
-    
-    const dataToUpdate = { ...otherData };
-    
-    if (password) {
-      dataToUpdate.password = await bcrypt.hash(password, 10);
-    }
+    const dataToUpdate = { ...updateData };
+    delete dataToUpdate.password;
 
-    const updatedUser = await db.user.update({
+    const { passkey, ...updatedUser } = await db.user.update({
       where: { id: parseInt(id) },
       data: dataToUpdate,
       select: {
@@ -201,14 +210,19 @@ async function updateUser(id, updateData) {
         username: true,
         email: true,
         role: true,
+        userClass: true,
         banned: true,
         emailVerified: true,
-        remainingInvites: true
+        remainingInvites: true,
+        passkey: true
       }
     });
 
     const cacheKey = RedisKeys.user.stats(id); // Updated to use RedisKeys
     await redisClient.del(cacheKey);
+    if (dataToUpdate.banned !== undefined) {
+      await RedisHelpers.invalidatePasskeyCache(passkey);
+    }
     logMessage('info', `Cache invalidated for user ${id}.`);
 
     logMessage('info', `User updated: ${updatedUser.username}`);
@@ -221,15 +235,19 @@ async function updateUser(id, updateData) {
 
 async function toggleUserBan(id, banned, reason = null) {
   try {
-    const updatedUser = await db.user.update({
+    const user = await db.user.update({
       where: { id: parseInt(id) },
       data: { banned },
       select: {
         id: true,
         username: true,
-        banned: true
+        banned: true,
+        passkey: true
       }
     });
+    const { passkey, ...updatedUser } = user;
+    // The tracker reads banned from the cached passkey lookup
+    await RedisHelpers.invalidatePasskeyCache(passkey);
 
     const action = banned ? 'banned' : 'unbanned';
     logMessage('info', `User ${action}: ${updatedUser.username}${reason ? ` - Reason: ${reason}` : ''}`);
@@ -245,6 +263,44 @@ async function toggleUserBan(id, banned, reason = null) {
   }
 }
 
+// The old passkey is kept so announces with it fail as revoked instead of invalid
+async function resetPasskey(userId) {
+  try {
+    const user = await db.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: { id: true, username: true, passkey: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const passkey = generatePasskey();
+
+    await db.$transaction([
+      db.revokedPasskey.create({
+        data: {
+          passkey: user.passkey,
+          userId: user.id
+        }
+      }),
+      db.user.update({
+        where: { id: user.id },
+        data: { passkey }
+      })
+    ]);
+
+    await redisClient.del(RedisKeys.user.stats(user.id));
+    await RedisHelpers.invalidatePasskeyCache(user.passkey);
+
+    logMessage('info', `Passkey reset for user ${user.username}`);
+    return { passkey };
+  } catch (error) {
+    logMessage('error', `Error resetting passkey: ${error.message}`);
+    throw error;
+  }
+}
+
 async function getUserStats(userId) {
   try {
     const stats = await db.user.findUnique({
@@ -269,7 +325,6 @@ async function getUserStats(userId) {
     const totalUploaded = Number(stats.uploaded);
     const totalDownloaded = Number(stats.downloaded);
     const seedtime = Number(stats.seedtime);
-    const ratio = totalDownloaded > 0 ? totalUploaded / totalDownloaded : 0;
 
     return {
       torrentsUploaded: stats._count.torrents,
@@ -277,7 +332,7 @@ async function getUserStats(userId) {
       totalUploaded,
       totalDownloaded,
       seedtime,
-      ratio: parseFloat(ratio.toFixed(2))
+      ratio: calculateRatio(totalUploaded, totalDownloaded)
     };
   } catch (error) {
     logMessage('error', `Error getting user statistics: ${error.message}`);
@@ -291,5 +346,8 @@ export {
   getAllUsers,
   updateUser,
   toggleUserBan,
-  getUserStats
+  getUserStats,
+  resetPasskey,
+  calculateRatio,
+  generatePasskey
 };
\ No newline at end of file
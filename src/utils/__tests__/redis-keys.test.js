@@ -0,0 +1,201 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockRedis = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  incr: jest.fn(),
+  publish: jest.fn()
+};
+
+const mockDb = {
+  IPBan: {
+    findMany: jest.fn()
+  },
+  torrent: {
+    findUnique: jest.fn()
+  },
+  user: {
+    findUnique: jest.fn()
+  },
+  revokedPasskey: {
+    findUnique: jest.fn()
+  }
+};
+
+const mockLogMessage = jest.fn();
+
+jest.unstable_mockModule('../redis.js', () => ({ default: mockRedis }));
+jest.unstable_mockModule('../db.server.js', () => ({ db: mockDb }));
+jest.unstable_mockModule('../utils.js', () => ({
+  logMessage: mockLogMessage,
+  ipToNumber: (ip) => {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(Number.isNaN)) {
+      return null;
+    }
+    return parts.reduce((acc, part) => acc * 256n + BigInt(part), 0n);
+  }
+}));
+
+const { RedisKeys, RedisHelpers } = await import('../redis-keys.js');
+
+describe('RedisHelpers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedis.get.mockResolvedValue(null);
+  });
+
+  describe('isIPBanned', () => {
+    it('should return the cached result without loading ranges', async () => {
+      mockRedis.get.mockImplementation(async (key) => {
+        if (key === RedisKeys.ban.ipVersion()) {return '3';}
+        if (key === RedisKeys.ban.ipCheck('10.0.0.1', '3')) {return 'banned';}
+        return null;
+      });
+
+      const result = await RedisHelpers.isIPBanned('10.0.0.1');
+
+      expect(result).toBe(true);
+      expect(mockDb.IPBan.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should match the IP against the ban ranges and cache the result', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([
+        { fromIP: 3232235777n, toIP: 3232236031n } // 192.168.1.1 - 192.168.1.255
+      ]);
+
+      const banned = await RedisHelpers.isIPBanned('192.168.1.100');
+
+      expect(banned).toBe(true);
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        RedisKeys.ban.ipRanges(),
+        JSON.stringify([['3232235777', '3232236031', null]]),
+        { EX: 3600 }
+      );
+      expect(mockRedis.set).toHaveBeenCalledWith('ban:ip:check:0:192.168.1.100', 'banned', { EX: 3600 });
+    });
+
+    it('should not cache a temporary ban past its expiry', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([
+        { fromIP: 3232235777n, toIP: 3232236031n, expiresAt: new Date(Date.now() + 120 * 1000) }
+      ]);
+
+      const banned = await RedisHelpers.isIPBanned('192.168.1.100');
+
+      expect(banned).toBe(true);
+      const [, , options] = mockRedis.set.mock.calls.find(([key]) => key === 'ban:ip:check:0:192.168.1.100');
+      expect(options.EX).toBeGreaterThan(110);
+      expect(options.EX).toBeLessThanOrEqual(120);
+    });
+
+    it('should ignore expired ranges still in the cached list', async () => {
+      mockRedis.get.mockImplementation(async (key) => {
+        if (key === RedisKeys.ban.ipRanges()) {
+          return JSON.stringify([['3232235777', '3232236031', Date.now() - 1000]]);
+        }
+        return null;
+      });
+
+      const banned = await RedisHelpers.isIPBanned('192.168.1.100');
+
+      expect(banned).toBe(false);
+    });
+
+    it('should cache allowed IPs as well', async () => {
+      mockRedis.get.mockImplementation(async (key) => {
+        if (key === RedisKeys.ban.ipRanges()) {return JSON.stringify([['3232235777', '3232236031']]);}
+        return null;
+      });
+
+      const banned = await RedisHelpers.isIPBanned('10.0.0.1');
+
+      expect(banned).toBe(false);
+      expect(mockDb.IPBan.findMany).not.toHaveBeenCalled();
+      expect(mockRedis.set).toHaveBeenCalledWith('ban:ip:check:0:10.0.0.1', 'allowed', { EX: 3600 });
+    });
+
+    it('should not ban addresses that cannot be parsed', async () => {
+      mockDb.IPBan.findMany.mockResolvedValue([{ fromIP: 0n, toIP: 4294967295n }]);
+
+      const banned = await RedisHelpers.isIPBanned('invalid-ip');
+
+      expect(banned).toBe(false);
+    });
+  });
+
+  describe('invalidateIPBanCache', () => {
+    it('should bump the version, drop the range list and notify other processes', async () => {
+      await RedisHelpers.invalidateIPBanCache();
+
+      expect(mockRedis.incr).toHaveBeenCalledWith('ban:ip:version');
+      expect(mockRedis.del).toHaveBeenCalledWith('ban:ip:ranges');
+      expect(mockRedis.publish).toHaveBeenCalledWith('channel:ipbans:changed', expect.any(String));
+    });
+  });
+
+  describe('getTrackerTorrent', () => {
+    it('should load the torrent once and cache it', async () => {
+      const torrent = { id: 1, infoHash: 'abc', freeleech: false, uploadMultiplier: 1, downloadMultiplier: 1 };
+      mockDb.torrent.findUnique.mockResolvedValue(torrent);
+
+      const result = await RedisHelpers.getTrackerTorrent('abc');
+
+      expect(result).toEqual(torrent);
+      expect(mockRedis.set).toHaveBeenCalledWith('cache:torrent:abc', JSON.stringify(torrent), { EX: 300 });
+    });
+
+    it('should find hybrid torrents by their truncated v2 hash', async () => {
+      const torrent = { id: 2, infoHash: 'a'.repeat(40), freeleech: false, uploadMultiplier: 1, downloadMultiplier: 1 };
+      mockDb.torrent.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(torrent);
+
+      const result = await RedisHelpers.getTrackerTorrent('b'.repeat(40));
+
+      expect(result).toEqual(torrent);
+      expect(mockDb.torrent.findUnique).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { infoHashV2Truncated: 'b'.repeat(40) }
+      }));
+      expect(mockRedis.set).toHaveBeenCalledWith(`cache:torrent:${'b'.repeat(40)}`, JSON.stringify(torrent), { EX: 300 });
+    });
+
+    it('should cache unknown torrents', async () => {
+      mockRedis.get.mockResolvedValue('null');
+
+      const result = await RedisHelpers.getTrackerTorrent('abc');
+
+      expect(result).toBeNull();
+      expect(mockDb.torrent.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lookupPasskey', () => {
+    it('should return the passkey owner', async () => {
+      const user = { id: 1, username: 'user', leechingDisabled: false };
+      mockDb.user.findUnique.mockResolvedValue(user);
+
+      const result = await RedisHelpers.lookupPasskey('a'.repeat(32));
+
+      expect(result).toEqual({ user, revoked: false });
+      expect(mockDb.user.findUnique.mock.calls[0][0].select).toHaveProperty('banned', true);
+      expect(mockDb.revokedPasskey.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should flag revoked passkeys', async () => {
+      mockDb.user.findUnique.mockResolvedValue(null);
+      mockDb.revokedPasskey.findUnique.mockResolvedValue({ id: 1 });
+
+      const result = await RedisHelpers.lookupPasskey('a'.repeat(32));
+
+      expect(result).toEqual({ user: null, revoked: true });
+    });
+
+    it('should serve cached lookups without querying the database', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({ user: { id: 1 }, revoked: false }));
+
+      const result = await RedisHelpers.lookupPasskey('a'.repeat(32));
+
+      expect(result.user).toEqual({ id: 1 });
+      expect(mockDb.user.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,12 +1,9 @@
 import { jest, describe, it, expect, beforeEach } from '@jest/globals';
 
-const mockDb = {
-  torrent: {
-    findUnique: jest.fn()
-  },
-  IPBan: {
-    findMany: jest.fn()
-  }
+const mockRedisHelpers = {
+  getTrackerTorrent: jest.fn(),
+  isIPBanned: jest.fn(),
+  lookupPasskey: jest.fn()
 };
 
 const mockJwt = {
@@ -22,7 +19,13 @@ const mockLogger = {
 
 const mockCreateLogger = jest.fn().mockReturnValue(mockLogger);
 
-jest.unstable_mockModule('../db.server.js', () => ({ db: mockDb }));
+const mockIPBanIndex = {
+  isIPBanIndexReady: jest.fn().mockReturnValue(false),
+  isIPInBanIndex: jest.fn()
+};
+
+jest.unstable_mockModule('../redis-keys.js', () => ({ RedisHelpers: mockRedisHelpers }));
+jest.unstable_mockModule('../../ip-bans/ip-ban-index.js', () => mockIPBanIndex);
 jest.unstable_mockModule('jsonwebtoken', () => ({ default: mockJwt }));
 jest.unstable_mockModule('ip-address', () => ({
   Address4: mockAddress4,
@@ -44,8 +47,11 @@ jest.unstable_mockModule('winston', () => ({
 process.env.JWT_SECRET = 'test-secret';
 process.env.JWT_EXPIRES_IN = '1h';
 
+const { trackerConfig } = await import('../../config/tracker.js');
+const { securityConfig } = await import('../../config/security.js');
 const {
   checkTorrent,
+  checkPassKey,
   bannedIPs,
   logMessage,
   generateToken
@@ -56,27 +62,92 @@ describe('Utils', () => {
     jest.clearAllMocks();
   });
 
+  describe('checkPassKey', () => {
+    it('should pass the user owning the passkey to the callback', async () => {
+      const mockUser = { id: 1, username: 'user' };
+      mockRedisHelpers.lookupPasskey.mockResolvedValue({ user: mockUser, revoked: false });
+      const callback = jest.fn();
+
+      await checkPassKey({ passkey: 'a'.repeat(32) }, callback);
+
+      expect(mockRedisHelpers.lookupPasskey).toHaveBeenCalledWith('a'.repeat(32));
+      expect(callback).toHaveBeenCalledWith(null, mockUser);
+    });
+
+    it('should report revoked passkeys', async () => {
+      mockRedisHelpers.lookupPasskey.mockResolvedValue({ user: null, revoked: true });
+      const callback = jest.fn();
+
+      await checkPassKey({ passkey: 'a'.repeat(32) }, callback);
+
+      expect(callback).toHaveBeenCalledWith(new Error('Passkey revoked'));
+    });
+
+    it('should report unknown passkeys as invalid', async () => {
+      mockRedisHelpers.lookupPasskey.mockResolvedValue({ user: null, revoked: false });
+      const callback = jest.fn();
+
+      await checkPassKey({ passkey: 'b'.repeat(32) }, callback);
+
+      expect(callback).toHaveBeenCalledWith(new Error('Invalid passkey'));
+    });
+
+    it('should refuse banned users', async () => {
+      mockRedisHelpers.lookupPasskey.mockResolvedValue({ user: { id: 1, username: 'user', banned: true }, revoked: false });
+      const callback = jest.fn();
+
+      await checkPassKey({ passkey: 'a'.repeat(32) }, callback);
+
+      expect(callback).toHaveBeenCalledWith(new Error('User banned'));
+    });
+
+    it('should report a missing passkey', async () => {
+      const callback = jest.fn();
+
+      await checkPassKey({}, callback);
+
+      expect(callback).toHaveBeenCalledWith(new Error('Missing passkey'));
+      expect(mockRedisHelpers.lookupPasskey).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unverified emails when verification is required', async () => {
+      const mockUser = { id: 1, username: 'user', emailVerified: false };
+      mockRedisHelpers.lookupPasskey.mockResolvedValue({ user: mockUser, revoked: false });
+      const callback = jest.fn();
+
+      trackerConfig.requireVerifiedEmail = true;
+      try {
+        await checkPassKey({ passkey: 'a'.repeat(32) }, callback);
+      } finally {
+        trackerConfig.requireVerifiedEmail = false;
+      }
+
+      expect(callback).toHaveBeenCalledWith(new Error('Email not verified'));
+
+      await checkPassKey({ passkey: 'a'.repeat(32) }, callback);
+      expect(callback).toHaveBeenLastCalledWith(null, mockUser);
+    });
+  });
+
   describe('checkTorrent', () => {
     it('should call callback with null if torrent exists', async () => {
       const mockTorrent = {
         id: 1,
         infoHash: 'abc123',
-        name: 'Test Torrent'
+        freeleech: false
       };
 
-      mockDb.torrent.findUnique.mockResolvedValue(mockTorrent);
+      mockRedisHelpers.getTrackerTorrent.mockResolvedValue(mockTorrent);
       const callback = jest.fn();
 
       await checkTorrent('abc123', callback);
 
-      expect(mockDb.torrent.findUnique).toHaveBeenCalledWith({
-        where: { infoHash: 'abc123' }
-      });
-      expect(callback).toHaveBeenCalledWith(null);
+      expect(mockRedisHelpers.getTrackerTorrent).toHaveBeenCalledWith('abc123');
+      expect(callback).toHaveBeenCalledWith(null, mockTorrent);
     });
 
     it('should call callback with error if torrent does not exist', async () => {
-      mockDb.torrent.findUnique.mockResolvedValue(null);
+      mockRedisHelpers.getTrackerTorrent.mockResolvedValue(null);
       const callback = jest.fn();
 
       await checkTorrent('nonexistent', callback);
@@ -86,7 +157,7 @@ describe('Utils', () => {
     });
 
     it('should handle database errors', async () => {
-      mockDb.torrent.findUnique.mockRejectedValue(new Error('Database error'));
+      mockRedisHelpers.getTrackerTorrent.mockRejectedValue(new Error('Database error'));
       const callback = jest.fn();
 
       await checkTorrent('abc123', callback);
@@ -97,52 +168,21 @@ describe('Utils', () => {
   });
 
   describe('bannedIPs', () => {
-    beforeEach(() => {
-      
-      mockAddress4.mockImplementation((ip) => ({
-        bigInteger: () => {
-          if (ip === '192.168.1.100') {return BigInt('3232235876');}
-          if (ip === '192.168.1.1') {return BigInt('3232235777');}
-          if (ip === '192.168.1.255') {return BigInt('3232236031');}
-          if (ip === '10.0.0.1') {return BigInt('167772161');}
-          return BigInt('0');
-        }
-      }));
-
-      mockAddress6.mockImplementation((_ip) => ({
-        bigInteger: () => BigInt('0')
-      }));
-    });
-
     it('should call callback with null if IP is not banned', async () => {
-      const mockBannedIPs = [
-        {
-          fromIP: '192.168.1.1',
-          toIP: '192.168.1.255'
-        }
-      ];
-
-      mockDb.IPBan.findMany.mockResolvedValue(mockBannedIPs);
+      mockRedisHelpers.isIPBanned.mockResolvedValue(false);
       const callback = jest.fn();
-      const params = { ip: '10.0.0.1' }; // Different network
+      const params = { ip: '10.0.0.1' };
 
       await bannedIPs(params, callback);
 
-      expect(mockDb.IPBan.findMany).toHaveBeenCalled();
+      expect(mockRedisHelpers.isIPBanned).toHaveBeenCalledWith('10.0.0.1');
       expect(callback).toHaveBeenCalledWith(null);
     });
 
     it('should call callback with error if IP is banned', async () => {
-      const mockBannedIPs = [
-        {
-          fromIP: '192.168.1.1',
-          toIP: '192.168.1.255'
-        }
-      ];
-
-      mockDb.IPBan.findMany.mockResolvedValue(mockBannedIPs);
+      mockRedisHelpers.isIPBanned.mockResolvedValue(true);
       const callback = jest.fn();
-      const params = { ip: '192.168.1.100' }; // Within banned range
+      const params = { ip: '192.168.1.100' };
 
       await bannedIPs(params, callback);
 
@@ -150,38 +190,31 @@ describe('Utils', () => {
       expect(callback.mock.calls[0][0].message).toBe('IP banned');
     });
 
-    it('should handle IPv6 addresses', async () => {
-      mockDb.IPBan.findMany.mockResolvedValue([]);
+    it('should prefer the IPv6 address when present', async () => {
+      mockRedisHelpers.isIPBanned.mockResolvedValue(false);
       const callback = jest.fn();
-      const params = { ipv6: '2001:db8::1' };
+      const params = { ip: '10.0.0.1', ipv6: '2001:db8::1' };
 
       await bannedIPs(params, callback);
 
+      expect(mockRedisHelpers.isIPBanned).toHaveBeenCalledWith('2001:db8::1');
       expect(callback).toHaveBeenCalledWith(null);
     });
 
-    it('should handle invalid IP addresses gracefully', async () => {
-      mockAddress4.mockImplementation(() => {
-        throw new Error('Invalid IP');
-      });
-
-      mockDb.IPBan.findMany.mockResolvedValue([
-        {
-          fromIP: '192.168.1.1',
-          toIP: '192.168.1.255'
-        }
-      ]);
-
+    it('should use the in-memory index once it is loaded', async () => {
+      mockIPBanIndex.isIPBanIndexReady.mockReturnValueOnce(true);
+      mockIPBanIndex.isIPInBanIndex.mockReturnValue(true);
       const callback = jest.fn();
-      const params = { ip: 'invalid-ip' };
 
-      await bannedIPs(params, callback);
+      await bannedIPs({ ip: '192.168.1.100' }, callback);
 
-      expect(callback).toHaveBeenCalledWith(null);
+      expect(mockIPBanIndex.isIPInBanIndex).toHaveBeenCalledWith('192.168.1.100');
+      expect(mockRedisHelpers.isIPBanned).not.toHaveBeenCalled();
+      expect(callback.mock.calls[0][0].message).toBe('IP banned');
     });
 
-    it('should handle database errors', async () => {
-      mockDb.IPBan.findMany.mockRejectedValue(new Error('Database error'));
+    it('should handle cache errors', async () => {
+      mockRedisHelpers.isIPBanned.mockRejectedValue(new Error('Database error'));
       const callback = jest.fn();
       const params = { ip: '192.168.1.100' };
 
@@ -206,11 +239,36 @@ describe('Utils', () => {
       expect(mockJwt.sign).toHaveBeenCalledWith(
         { id: 1, username: 'testuser' },
         'test-secret',
-        { expiresIn: '1h' }
+        {
+          expiresIn: '1h',
+          algorithm: 'HS256',
+          issuer: 'node-tracker',
+          audience: 'tracker-users'
+        }
       );
       expect(result).toBe('mock_jwt_token');
     });
 
+    it('should take the lifetime from the security config', () => {
+      const { expiresIn } = securityConfig.jwt;
+      securityConfig.jwt.expiresIn = '15m';
+
+      generateToken({ id: 1, username: 'testuser' });
+      securityConfig.jwt.expiresIn = expiresIn;
+
+      expect(mockJwt.sign.mock.calls.at(-1)[2].expiresIn).toBe('15m');
+    });
+
+    it('should bind the token to a session', () => {
+      generateToken({ id: 1, username: 'testuser' }, 'abc123');
+
+      expect(mockJwt.sign).toHaveBeenCalledWith(
+        { id: 1, username: 'testuser', sid: 'abc123' },
+        'test-secret',
+        expect.any(Object)
+      );
+    });
+
     it('should throw error for invalid user data', () => {
       const invalidUser = { id: 1 }; 
 
@@ -10,12 +10,23 @@ export const RedisKeys = {
     stats: (infoHash) => `torrent:stats:${infoHash}`
   },
   peer: (infoHash, peerId) => `peer:${infoHash}:${peerId}`,
-  
+  announce: {
+    last: (userId, infoHash, peerId) => `announce:last:${userId}:${infoHash}:${peerId}`,
+    seeding: (userId, infoHash) => `announce:seeding:${userId}:${infoHash}`
+  },
+
   // Authentication
   auth: {
     blacklist: (jti) => `auth:blacklist:${jti}`,
-    session: (token) => `user:session:${token}`,
+    session: (sessionId) => `user:session:${sessionId}`,
+    // Sorted set of a user's session ids, scored by last use
+    sessions: (userId) => `user:sessions:${userId}`,
     attempts: (ip) => `auth:login:attempts:${ip}`,
+    twoFactorChallenge: (token) => `auth:2fa:challenge:${token}`,
+    twoFactorAttempts: (token) => `auth:2fa:attempts:${token}`,
+    // TOTP time steps already accepted for a user, to reject replays
+    totpUsed: (userId, counter) => `auth:2fa:used:${userId}:${counter}`,
+    apiKeyUsed: (keyId) => `auth:apikey:used:${keyId}`,
     blocked: (ip) => `auth:login:blocked:${ip}`
   },
   
@@ -29,7 +40,10 @@ export const RedisKeys = {
   // Bans
   ban: {
     userCheck: (userId) => `ban:user:check:${userId}`,
-    ipCheck: (ip) => `ban:ip:check:${ip}`,
+    // Versioned so a single INCR invalidates every cached IP result
+    ipCheck: (ip, version = 0) => `ban:ip:check:${version}:${ip}`,
+    ipVersion: () => 'ban:ip:version',
+    ipRanges: () => 'ban:ip:ranges',
     active: () => 'ban:user:active'
   },
   
@@ -42,7 +56,18 @@ export const RedisKeys = {
   cache: {
     ratio: (userId) => `cache:ratio:${userId}`,
     query: (hash) => `cache:query:${hash}`,
-    torrentCount: () => 'cache:torrent:count'
+    torrentCount: () => 'cache:torrent:count',
+    torrent: (infoHash) => `cache:torrent:${infoHash}`,
+    passkey: (passkey) => `cache:passkey:${passkey}`,
+    apiKey: (keyHash) => `cache:apikey:${keyHash}`,
+    countryRules: () => 'cache:country:rules',
+    freeleechWindow: () => 'cache:freeleech:active'
+  },
+  
+  // GeoIP
+  geoip: {
+    lookup: (ip, version = 0) => `geoip:lookup:${version}:${ip}`,
+    version: () => 'geoip:version'
   },
   
   // Invitations
@@ -60,6 +85,11 @@ export const RedisKeys = {
   // Health
   health: {
     db: () => 'health:db'
+  },
+
+  // Pub/Sub
+  channel: {
+    ipBans: () => 'channel:ipbans:changed'
   }
 };
 
@@ -70,6 +100,9 @@ export const RedisTTL = {
   IP_BAN_CHECK: 3600,
   RATIO_CACHE: 3600,
   QUERY_CACHE: 300,
+  FREELEECH_WINDOW: 60,
+  TRACKER_CACHE: 300,
+  GEOIP_LOOKUP: 86400,
   LOGIN_ATTEMPTS: 900,
   RATE_LIMIT_API: 900,
   RATE_LIMIT_ANNOUNCE: 60,
@@ -138,27 +171,49 @@ export const RedisHelpers = {
 
   // Check if IP is banned (cached)
   async isIPBanned(ip) {
-    const key = RedisKeys.ban.ipCheck(ip);
     try {
+      const version = (await redisClient.get(RedisKeys.ban.ipVersion())) || 0;
+      const key = RedisKeys.ban.ipCheck(ip, version);
+
       const cached = await redisClient.get(key);
       if (cached !== null) {return cached === 'banned';}
       
-      // Fallback to database check
-      const { db } = await import('./db.server.js');
-      const { ipToLong } = await import('./ip-utils.js');
-      
-      const ipLong = ipToLong(ip);
-      const ban = await db.iPBan.findFirst({
-        where: {
-          fromIP: { lte: ipLong },
-          toIP: { gte: ipLong }
-        }
+      // Fallback to the cached range list, loaded from the database once.
+      // Entries are [fromIP, toIP, expiresAt ms or null].
+      const ranges = await RedisHelpers.getOrCompute(
+        RedisKeys.ban.ipRanges(),
+        async () => {
+          const { db } = await import('./db.server.js');
+          const ipBans = await db.IPBan.findMany({
+            where: { OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] },
+            select: { fromIP: true, toIP: true, expiresAt: true }
+          });
+          return ipBans.map(({ fromIP, toIP, expiresAt }) => [
+            String(fromIP),
+            String(toIP),
+            expiresAt ? expiresAt.getTime() : null
+          ]);
+        },
+        RedisTTL.IP_BAN_CHECK
+      );
+
+      const { ipToNumber } = await import('./utils.js');
+      const ipNumber = ipToNumber(ip);
+      const now = Date.now();
+      const matches = ipNumber === null ? [] : ranges.filter(([fromIP, toIP, expiresAt]) => {
+        return (!expiresAt || expiresAt > now) &&
+          ipNumber >= BigInt(fromIP) && ipNumber <= BigInt(toIP);
       });
-      
-      const isBanned = !!ban;
-      if (isBanned) {
-        await redisClient.set(key, 'banned', { EX: RedisTTL.IP_BAN_CHECK });
+      const isBanned = matches.length > 0;
+
+      // A temporary ban must not outlive its expiry in the per-IP cache
+      let ttl = RedisTTL.IP_BAN_CHECK;
+      if (isBanned && matches.every(([, , expiresAt]) => expiresAt)) {
+        const lastExpiry = Math.max(...matches.map(([, , expiresAt]) => expiresAt));
+        ttl = Math.min(ttl, Math.ceil((lastExpiry - now) / 1000));
       }
+
+      await redisClient.set(key, isBanned ? 'banned' : 'allowed', { EX: ttl });
       return isBanned;
     } catch (error) {
       logMessage('error', `Redis isIPBanned error: ${error.message}`);
@@ -166,6 +221,85 @@ export const RedisHelpers = {
     }
   },
 
+  async invalidateIPBanCache() {
+    try {
+      await redisClient.incr(RedisKeys.ban.ipVersion());
+      await redisClient.del(RedisKeys.ban.ipRanges());
+      // Every process reloads its in-memory IP ban index
+      await redisClient.publish(RedisKeys.channel.ipBans(), String(Date.now()));
+    } catch (error) {
+      logMessage('error', `Redis invalidateIPBanCache error: ${error.message}`);
+    }
+  },
+
+  // Torrent fields the announce path needs (cached, null when unknown).
+  // Hybrid torrents are also announced by their v2 hash truncated to 40
+  // chars; the returned infoHash is always the stored one.
+  async getTrackerTorrent(infoHash) {
+    return RedisHelpers.getOrCompute(
+      RedisKeys.cache.torrent(infoHash),
+      async () => {
+        const { db } = await import('./db.server.js');
+        const select = {
+          id: true,
+          infoHash: true,
+          freeleech: true,
+          uploadMultiplier: true,
+          downloadMultiplier: true
+        };
+        const torrent = await db.torrent.findUnique({ where: { infoHash }, select });
+        if (torrent || infoHash.length !== 40) {
+          return torrent;
+        }
+        return db.torrent.findUnique({ where: { infoHashV2Truncated: infoHash }, select });
+      },
+      RedisTTL.TRACKER_CACHE
+    );
+  },
+
+  async invalidateTorrentCache(infoHash) {
+    try {
+      await redisClient.del(RedisKeys.cache.torrent(infoHash));
+    } catch (error) {
+      logMessage('error', `Redis invalidateTorrentCache error: ${error.message}`);
+    }
+  },
+
+  // Passkey owner (cached); unknown passkeys are cached too, flagged if revoked
+  async lookupPasskey(passkey) {
+    return RedisHelpers.getOrCompute(
+      RedisKeys.cache.passkey(passkey),
+      async () => {
+        const { db } = await import('./db.server.js');
+        const user = await db.user.findUnique({
+          where: { passkey },
+          select: {
+            id: true,
+            username: true,
+            leechingDisabled: true,
+            emailVerified: true,
+            banned: true
+          }
+        });
+        if (user) {
+          return { user, revoked: false };
+        }
+
+        const revoked = await db.revokedPasskey.findUnique({ where: { passkey } });
+        return { user: null, revoked: !!revoked };
+      },
+      RedisTTL.TRACKER_CACHE
+    );
+  },
+
+  async invalidatePasskeyCache(passkey) {
+    try {
+      await redisClient.del(RedisKeys.cache.passkey(passkey));
+    } catch (error) {
+      logMessage('error', `Redis invalidatePasskeyCache error: ${error.message}`);
+    }
+  },
+
   // Invalidate ban cache
   async invalidateBanCache(userId) {
     try {
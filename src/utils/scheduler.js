@@ -0,0 +1,20 @@
+import { logMessage } from './utils.js';
+
+function scheduleJob(name, intervalMs, job) {
+  const run = async () => {
+    try {
+      await job();
+    } catch (error) {
+      logMessage('error', `Scheduled job ${name} failed: ${error.message}`);
+    }
+  };
+
+  // Jobs must not keep the process alive on shutdown
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  logMessage('info', `Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+}
+
+export { scheduleJob };
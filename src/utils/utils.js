@@ -1,22 +1,22 @@
 import { createLogger, format, transports } from 'winston';
 import { Address6 } from 'ip-address';
-import { db } from './db.server.js';
 import fs from 'fs';
 import path from 'path';
 import morgan from 'morgan';
 import jwt from 'jsonwebtoken';
+import { securityConfig } from '../config/security.js';
+import { trackerConfig } from '../config/tracker.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   throw new Error('JWT_SECRET is not defined in environment variables');
 }
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 
 function ipToNumber(ip) {
   try {
     if (ip.includes(':')) {
       const addr6 = new Address6(ip);
-      if (addr6.isV4()) {
+      if (addr6.is4()) {
         const v4 = addr6.to4().address;
         const parts = v4.split('.').map(Number);
         return BigInt(parts[0]) * 16777216n +
@@ -24,7 +24,7 @@ function ipToNumber(ip) {
                BigInt(parts[2]) * 256n +
                BigInt(parts[3]);
       }
-      return BigInt(addr6.bigInteger());
+      return addr6.bigInt();
     } else {
       const parts = ip.split('.').map(Number);
       if (parts.length !== 4 || parts.some(part => part < 0 || part > 255)) {
@@ -72,16 +72,26 @@ function logMessage(level, message) {
   logger.log({ level, message });
 }
 
+// The announce checks go through the Redis caches in redis-keys.js; it is
+// imported lazily because redis-keys.js itself depends on this module
+async function trackerCache() {
+  const { RedisHelpers } = await import('./redis-keys.js');
+  return RedisHelpers;
+}
+
+async function ipBanIndex() {
+  return import('../ip-bans/ip-ban-index.js');
+}
+
 async function checkTorrent(infoHash, callback) {
   try {
-    const torrent = await db.torrent.findUnique({
-      where: { infoHash }
-    });
+    const cache = await trackerCache();
+    const torrent = await cache.getTrackerTorrent(infoHash);
     if (!torrent) {
       logMessage('warn', `Torrent not found: ${infoHash}`);
       throw new Error('Torrent not found');
     }
-    callback(null);
+    callback(null, torrent);
   } catch (error) {
     logMessage('error', `Error in checkTorrent: ${error.message}`);
     callback(error);
@@ -90,20 +100,13 @@ async function checkTorrent(infoHash, callback) {
 
 async function bannedIPs(params, callback) {
   try {
-    const bannedIPs = await db.IPBan.findMany();
     const ip = params.ipv6 || params.ip;
+    const banIndex = await ipBanIndex();
 
-    const isBanned = bannedIPs.some((ipBan) => {
-      const fromIP = ipToNumber(ipBan.fromIP);
-      const toIP = ipToNumber(ipBan.toIP);
-      const currentIP = ipToNumber(ip);
-
-      if (fromIP === null || toIP === null || currentIP === null) {
-        return false;
-      }
-
-      return currentIP >= fromIP && currentIP <= toIP;
-    });
+    // The Redis cache only answers until the in-memory index has loaded
+    const isBanned = banIndex.isIPBanIndexReady()
+      ? banIndex.isIPInBanIndex(ip)
+      : await (await trackerCache()).isIPBanned(ip);
 
     if (isBanned) {
       logMessage('warn', `IP banned: ${ip}`);
@@ -124,13 +127,20 @@ async function checkPassKey(params, callback) {
       return callback(new Error('Missing passkey'));
     }
 
-    const user = await db.user.findUnique({ where: { passkey } });
+    const cache = await trackerCache();
+    const { user, revoked } = await cache.lookupPasskey(passkey);
     if (!user) {
-      return callback(new Error('Invalid passkey'));
+      return callback(new Error(revoked ? 'Passkey revoked' : 'Invalid passkey'));
+    }
+    if (user.banned) {
+      return callback(new Error('User banned'));
+    }
+    if (trackerConfig.requireVerifiedEmail && !user.emailVerified) {
+      return callback(new Error('Email not verified'));
     }
 
     logMessage('info', `Announce OK for user ${user.username}`);
-    callback(null);
+    callback(null, user);
   }
   catch ( error ) {
     logMessage('error', `Error in checkPasskey: ${error.message}`);
@@ -138,15 +148,27 @@ async function checkPassKey(params, callback) {
   }
 }
 
-function generateToken(user) {
+// sessionId binds the access token to a refresh session (sid claim) so
+// revoking the session also rejects its access tokens
+function generateToken(user, sessionId) {
   if (!user || !user.id || !user.username) {
     throw new Error('Invalid user data for token generation');
   }
 
+  const payload = { id: user.id, username: user.username };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   return jwt.sign(
-    { id: user.id, username: user.username },
+    payload,
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    {
+      expiresIn: securityConfig.jwt.expiresIn,
+      algorithm: securityConfig.jwt.algorithm,
+      issuer: securityConfig.jwt.issuer,
+      audience: securityConfig.jwt.audience
+    }
   );
 }
 